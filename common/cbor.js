@@ -0,0 +1,380 @@
+/**
+ * Minimal CBOR (RFC 8949) encoder/decoder
+ * Covers the subset used by ISO 18013-5 mdoc, COSE and OpenID4VP handovers
+ */
+
+/**
+ * A CBOR tagged item (major type 6)
+ */
+export class Tagged {
+  /**
+   * @param {number} tag - Tag number
+   * @param {*} value - Tagged content
+   */
+  constructor(tag, value) {
+    this.tag = tag;
+    this.value = value;
+  }
+}
+
+// Tag 24: embedded CBOR data item (used for IssuerSignedItemBytes, MSO, DeviceAuthentication)
+export const TAG_ENCODED_CBOR = 24;
+
+/**
+ * Encode a JavaScript value as CBOR
+ * Numbers that are safe integers are encoded as integers, other numbers as float64.
+ * Uint8Array/Buffer → bstr, string → tstr, Array → array, Map/plain object → map,
+ * Tagged → tag, null/undefined/booleans → simple values.
+ * @param {*} value
+ * @returns {Buffer} CBOR bytes
+ */
+export function encode(value) {
+  const chunks = [];
+  encodeItem(value, chunks);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Write a major type and argument header
+ * @param {number} major
+ * @param {number|bigint} arg
+ * @param {Array<Buffer>} chunks
+ */
+function writeHeader(major, arg, chunks) {
+  const mt = major << 5;
+
+  if (typeof arg === 'bigint') {
+    if (arg <= 0xffffffffn) {
+      arg = Number(arg);
+    } else {
+      const buf = Buffer.alloc(9);
+      buf[0] = mt | 27;
+      buf.writeBigUInt64BE(arg, 1);
+      chunks.push(buf);
+      return;
+    }
+  }
+
+  if (arg < 24) {
+    chunks.push(Buffer.from([mt | arg]));
+  } else if (arg <= 0xff) {
+    chunks.push(Buffer.from([mt | 24, arg]));
+  } else if (arg <= 0xffff) {
+    const buf = Buffer.alloc(3);
+    buf[0] = mt | 25;
+    buf.writeUInt16BE(arg, 1);
+    chunks.push(buf);
+  } else if (arg <= 0xffffffff) {
+    const buf = Buffer.alloc(5);
+    buf[0] = mt | 26;
+    buf.writeUInt32BE(arg, 1);
+    chunks.push(buf);
+  } else {
+    const buf = Buffer.alloc(9);
+    buf[0] = mt | 27;
+    buf.writeBigUInt64BE(BigInt(arg), 1);
+    chunks.push(buf);
+  }
+}
+
+/**
+ * Encode a single data item
+ * @param {*} value
+ * @param {Array<Buffer>} chunks
+ */
+function encodeItem(value, chunks) {
+  if (value === null) {
+    chunks.push(Buffer.from([0xf6]));
+  } else if (value === undefined) {
+    chunks.push(Buffer.from([0xf7]));
+  } else if (value === false) {
+    chunks.push(Buffer.from([0xf4]));
+  } else if (value === true) {
+    chunks.push(Buffer.from([0xf5]));
+  } else if (typeof value === 'number') {
+    if (Number.isSafeInteger(value)) {
+      if (value >= 0) {
+        writeHeader(0, value, chunks);
+      } else {
+        writeHeader(1, -1 - value, chunks);
+      }
+    } else {
+      const buf = Buffer.alloc(9);
+      buf[0] = 0xfb;
+      buf.writeDoubleBE(value, 1);
+      chunks.push(buf);
+    }
+  } else if (typeof value === 'bigint') {
+    if (value >= 0n) {
+      writeHeader(0, value, chunks);
+    } else {
+      writeHeader(1, -1n - value, chunks);
+    }
+  } else if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf-8');
+    writeHeader(3, bytes.length, chunks);
+    chunks.push(bytes);
+  } else if (value instanceof Uint8Array) {
+    writeHeader(2, value.length, chunks);
+    chunks.push(Buffer.from(value.buffer, value.byteOffset, value.byteLength));
+  } else if (Array.isArray(value)) {
+    writeHeader(4, value.length, chunks);
+    for (const item of value) {
+      encodeItem(item, chunks);
+    }
+  } else if (value instanceof Tagged) {
+    writeHeader(6, value.tag, chunks);
+    encodeItem(value.value, chunks);
+  } else if (value instanceof Map) {
+    writeHeader(5, value.size, chunks);
+    for (const [key, item] of value) {
+      encodeItem(key, chunks);
+      encodeItem(item, chunks);
+    }
+  } else if (value instanceof Date) {
+    // tdate (tag 0) as used by ISO 18013-5 validityInfo
+    encodeItem(new Tagged(0, value.toISOString().replace(/\.\d{3}Z$/, 'Z')), chunks);
+  } else if (typeof value === 'object') {
+    const entries = Object.entries(value);
+    writeHeader(5, entries.length, chunks);
+    for (const [key, item] of entries) {
+      encodeItem(key, chunks);
+      encodeItem(item, chunks);
+    }
+  } else {
+    throw new TypeError(`Cannot CBOR-encode value of type ${typeof value}`);
+  }
+}
+
+/**
+ * Decode CBOR bytes into a JavaScript value
+ * Maps decode to Map (keys may be integers, as in COSE), byte strings to Buffer,
+ * tags to Tagged.
+ * @param {Uint8Array} bytes
+ * @returns {*}
+ */
+export function decode(bytes) {
+  const buf = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new Decoder(buf);
+  const value = decoder.readItem();
+
+  if (decoder.offset !== buf.length) {
+    throw new Error(`CBOR: ${buf.length - decoder.offset} trailing bytes after data item`);
+  }
+
+  return value;
+}
+
+// Marks the end of an indefinite-length item
+const BREAK = Symbol('break');
+
+class Decoder {
+  constructor(buf) {
+    this.buf = buf;
+    this.offset = 0;
+  }
+
+  ensure(length) {
+    if (this.offset + length > this.buf.length) {
+      throw new Error('CBOR: unexpected end of input');
+    }
+  }
+
+  readArgument(info) {
+    if (info < 24) {
+      return info;
+    }
+
+    switch (info) {
+      case 24:
+        this.ensure(1);
+        return this.buf[this.offset++];
+      case 25: {
+        this.ensure(2);
+        const value = this.buf.readUInt16BE(this.offset);
+        this.offset += 2;
+        return value;
+      }
+      case 26: {
+        this.ensure(4);
+        const value = this.buf.readUInt32BE(this.offset);
+        this.offset += 4;
+        return value;
+      }
+      case 27: {
+        this.ensure(8);
+        const value = this.buf.readBigUInt64BE(this.offset);
+        this.offset += 8;
+        return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+      }
+      default:
+        throw new Error(`CBOR: invalid additional information ${info}`);
+    }
+  }
+
+  readBytes(length) {
+    this.ensure(length);
+    const bytes = this.buf.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return bytes;
+  }
+
+  readItem() {
+    this.ensure(1);
+    const initial = this.buf[this.offset++];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    if (major === 7) {
+      return this.readSimple(info);
+    }
+
+    if (info === 31) {
+      return this.readIndefinite(major);
+    }
+
+    const arg = this.readArgument(info);
+
+    switch (major) {
+      case 0:
+        return arg;
+      case 1:
+        return typeof arg === 'bigint' ? -1n - arg : -1 - arg;
+      case 2:
+        return Buffer.from(this.readBytes(Number(arg)));
+      case 3:
+        return this.readBytes(Number(arg)).toString('utf-8');
+      case 4: {
+        const items = [];
+        for (let i = 0; i < arg; i++) {
+          items.push(this.readItem());
+        }
+        return items;
+      }
+      case 5: {
+        const map = new Map();
+        for (let i = 0; i < arg; i++) {
+          const key = this.readItem();
+          map.set(key, this.readItem());
+        }
+        return map;
+      }
+      case 6:
+        return new Tagged(Number(arg), this.readItem());
+      default:
+        throw new Error(`CBOR: unsupported major type ${major}`);
+    }
+  }
+
+  readIndefinite(major) {
+    switch (major) {
+      case 2:
+      case 3: {
+        const parts = [];
+        for (let item = this.readItem(); item !== BREAK; item = this.readItem()) {
+          parts.push(major === 2 ? item : Buffer.from(item, 'utf-8'));
+        }
+        const joined = Buffer.concat(parts);
+        return major === 2 ? joined : joined.toString('utf-8');
+      }
+      case 4: {
+        const items = [];
+        for (let item = this.readItem(); item !== BREAK; item = this.readItem()) {
+          items.push(item);
+        }
+        return items;
+      }
+      case 5: {
+        const map = new Map();
+        for (let key = this.readItem(); key !== BREAK; key = this.readItem()) {
+          map.set(key, this.readItem());
+        }
+        return map;
+      }
+      default:
+        throw new Error(`CBOR: indefinite length not allowed for major type ${major}`);
+    }
+  }
+
+  readSimple(info) {
+    switch (info) {
+      case 20:
+        return false;
+      case 21:
+        return true;
+      case 22:
+        return null;
+      case 23:
+        return undefined;
+      case 25: {
+        this.ensure(2);
+        const value = decodeHalf(this.buf.readUInt16BE(this.offset));
+        this.offset += 2;
+        return value;
+      }
+      case 26: {
+        this.ensure(4);
+        const value = this.buf.readFloatBE(this.offset);
+        this.offset += 4;
+        return value;
+      }
+      case 27: {
+        this.ensure(8);
+        const value = this.buf.readDoubleBE(this.offset);
+        this.offset += 8;
+        return value;
+      }
+      case 31:
+        return BREAK;
+      default:
+        if (info < 24) {
+          return info;
+        }
+        if (info === 24) {
+          this.ensure(1);
+          return this.buf[this.offset++];
+        }
+        throw new Error(`CBOR: invalid simple value ${info}`);
+    }
+  }
+}
+
+/**
+ * Decode an IEEE 754 half-precision float
+ * @param {number} half
+ * @returns {number}
+ */
+function decodeHalf(half) {
+  const exp = (half >> 10) & 0x1f;
+  const mant = half & 0x3ff;
+  const sign = half & 0x8000 ? -1 : 1;
+
+  if (exp === 0) {
+    return sign * mant * 2 ** -24;
+  }
+  if (exp === 31) {
+    return mant ? NaN : sign * Infinity;
+  }
+  return sign * (mant + 1024) * 2 ** (exp - 25);
+}
+
+/**
+ * Wrap a value as embedded CBOR (#6.24(bstr .cbor value))
+ * @param {*} value
+ * @returns {Tagged}
+ */
+export function encodeEmbedded(value) {
+  return new Tagged(TAG_ENCODED_CBOR, encode(value));
+}
+
+/**
+ * Unwrap an embedded CBOR item (#6.24(bstr)) and decode its content
+ * @param {Tagged} tagged
+ * @returns {*}
+ */
+export function decodeEmbedded(tagged) {
+  if (!(tagged instanceof Tagged) || tagged.tag !== TAG_ENCODED_CBOR) {
+    throw new Error('CBOR: expected embedded CBOR (tag 24)');
+  }
+  return decode(tagged.value);
+}
@@ -0,0 +1,237 @@
+/**
+ * COSE (RFC 9052/9053) helpers
+ * COSE_Sign1 / COSE_Mac0 verification and COSE_Key conversion for mdoc and VICAL
+ */
+
+import crypto from 'crypto';
+import { encode, decode } from './cbor.js';
+
+// Header labels
+export const HEADER_ALG = 1;
+export const HEADER_KID = 4;
+export const HEADER_X5CHAIN = 33;
+
+// COSE algorithm identifiers → Node digest names
+const SIGNATURE_ALGORITHMS = {
+  [-7]: { name: 'ES256', hash: 'sha256' },
+  [-35]: { name: 'ES384', hash: 'sha384' },
+  [-36]: { name: 'ES512', hash: 'sha512' },
+  [-8]: { name: 'EdDSA', hash: null }
+};
+
+const MAC_ALGORITHMS = {
+  5: { name: 'HS256', hash: 'sha256' },
+  6: { name: 'HS384', hash: 'sha384' },
+  7: { name: 'HS512', hash: 'sha512' }
+};
+
+// COSE_Key curve identifiers → JWK curve names
+const COSE_CURVES = {
+  1: 'P-256',
+  2: 'P-384',
+  3: 'P-521',
+  6: 'Ed25519'
+};
+
+/**
+ * Split a decoded COSE_Sign1 / COSE_Mac0 array into its parts
+ * @param {Array} message - [protected, unprotected, payload, signature|tag]
+ * @returns {{protectedBytes: Buffer, protectedHeaders: Map, unprotectedHeaders: Map, payload: Buffer|null, signature: Buffer}}
+ */
+export function parseCoseMessage(message) {
+  if (!Array.isArray(message) || message.length !== 4) {
+    throw new Error('COSE: expected a 4-element array');
+  }
+
+  const [protectedBytes, unprotectedHeaders, payload, signature] = message;
+
+  const protectedHeaders = protectedBytes.length > 0
+    ? decode(protectedBytes)
+    : new Map();
+
+  return {
+    protectedBytes,
+    protectedHeaders,
+    unprotectedHeaders: unprotectedHeaders instanceof Map ? unprotectedHeaders : new Map(),
+    payload,
+    signature
+  };
+}
+
+/**
+ * Read a header, preferring the protected bucket
+ * @param {object} parsed - Result of parseCoseMessage
+ * @param {number} label
+ * @returns {*}
+ */
+export function getHeader(parsed, label) {
+  if (parsed.protectedHeaders.has(label)) {
+    return parsed.protectedHeaders.get(label);
+  }
+  return parsed.unprotectedHeaders.get(label);
+}
+
+/**
+ * Get the x5chain header as an array of DER certificates
+ * @param {object} parsed - Result of parseCoseMessage
+ * @returns {Array<Buffer>}
+ */
+export function getX5Chain(parsed) {
+  const chain = getHeader(parsed, HEADER_X5CHAIN);
+  if (!chain) {
+    return [];
+  }
+  return Array.isArray(chain) ? chain : [chain];
+}
+
+/**
+ * Verify a COSE_Sign1 signature
+ * @param {Array} message - Decoded COSE_Sign1 array
+ * @param {crypto.KeyObject} publicKey
+ * @param {object} [options]
+ * @param {Buffer} [options.detachedPayload] - Payload when the message carries null
+ * @param {Buffer} [options.externalAad] - External additional authenticated data
+ * @returns {boolean}
+ */
+export function verifySign1(message, publicKey, { detachedPayload, externalAad = Buffer.alloc(0) } = {}) {
+  const parsed = parseCoseMessage(message);
+  const alg = SIGNATURE_ALGORITHMS[parsed.protectedHeaders.get(HEADER_ALG)];
+
+  if (!alg) {
+    throw new Error(`COSE: unsupported signature algorithm ${parsed.protectedHeaders.get(HEADER_ALG)}`);
+  }
+
+  const payload = parsed.payload ?? detachedPayload;
+  if (!payload) {
+    throw new Error('COSE: missing payload');
+  }
+
+  const toBeSigned = encode([
+    'Signature1',
+    parsed.protectedBytes,
+    externalAad,
+    payload
+  ]);
+
+  return crypto.verify(alg.hash, toBeSigned, {
+    key: publicKey,
+    dsaEncoding: 'ieee-p1363'
+  }, parsed.signature);
+}
+
+/**
+ * Create a COSE_Sign1 message
+ * @param {Buffer} payload
+ * @param {crypto.KeyObject} privateKey
+ * @param {object} [options]
+ * @param {number} [options.alg=-7] - COSE algorithm identifier
+ * @param {Map} [options.unprotectedHeaders]
+ * @param {boolean} [options.detached=false] - Emit a null payload
+ * @returns {Array} COSE_Sign1 array ready for CBOR encoding
+ */
+export function createSign1(payload, privateKey, { alg = -7, unprotectedHeaders = new Map(), detached = false } = {}) {
+  const algorithm = SIGNATURE_ALGORITHMS[alg];
+  if (!algorithm) {
+    throw new Error(`COSE: unsupported signature algorithm ${alg}`);
+  }
+
+  const protectedBytes = encode(new Map([[HEADER_ALG, alg]]));
+  const toBeSigned = encode(['Signature1', protectedBytes, Buffer.alloc(0), payload]);
+  const signature = crypto.sign(algorithm.hash, toBeSigned, {
+    key: privateKey,
+    dsaEncoding: 'ieee-p1363'
+  });
+
+  return [protectedBytes, unprotectedHeaders, detached ? null : payload, signature];
+}
+
+/**
+ * Verify a COSE_Mac0 tag
+ * @param {Array} message - Decoded COSE_Mac0 array
+ * @param {Buffer} key - MAC key
+ * @param {object} [options]
+ * @param {Buffer} [options.detachedPayload] - Payload when the message carries null
+ * @returns {boolean}
+ */
+export function verifyMac0(message, key, { detachedPayload } = {}) {
+  const parsed = parseCoseMessage(message);
+  const alg = MAC_ALGORITHMS[parsed.protectedHeaders.get(HEADER_ALG)];
+
+  if (!alg) {
+    throw new Error(`COSE: unsupported MAC algorithm ${parsed.protectedHeaders.get(HEADER_ALG)}`);
+  }
+
+  const payload = parsed.payload ?? detachedPayload;
+  if (!payload) {
+    throw new Error('COSE: missing payload');
+  }
+
+  const toBeMaced = encode(['MAC0', parsed.protectedBytes, Buffer.alloc(0), payload]);
+  const expected = crypto.createHmac(alg.hash, key).update(toBeMaced).digest();
+
+  return expected.length === parsed.signature.length &&
+    crypto.timingSafeEqual(expected, parsed.signature);
+}
+
+/**
+ * Convert a COSE_Key (decoded Map) to a JWK
+ * @param {Map} coseKey
+ * @returns {object} Public JWK
+ */
+export function coseKeyToJwk(coseKey) {
+  const kty = coseKey.get(1);
+  const crv = COSE_CURVES[coseKey.get(-1)];
+
+  if (!crv) {
+    throw new Error(`COSE: unsupported curve ${coseKey.get(-1)}`);
+  }
+
+  // OKP
+  if (kty === 1) {
+    return {
+      kty: 'OKP',
+      crv,
+      x: Buffer.from(coseKey.get(-2)).toString('base64url')
+    };
+  }
+
+  // EC2
+  if (kty === 2) {
+    return {
+      kty: 'EC',
+      crv,
+      x: Buffer.from(coseKey.get(-2)).toString('base64url'),
+      y: Buffer.from(coseKey.get(-3)).toString('base64url')
+    };
+  }
+
+  throw new Error(`COSE: unsupported key type ${kty}`);
+}
+
+/**
+ * Convert a public JWK to a COSE_Key Map
+ * @param {object} jwk
+ * @returns {Map}
+ */
+export function jwkToCoseKey(jwk) {
+  const crv = Number(Object.keys(COSE_CURVES).find(id => COSE_CURVES[id] === jwk.crv));
+
+  if (!crv) {
+    throw new Error(`COSE: unsupported curve ${jwk.crv}`);
+  }
+
+  if (jwk.kty === 'OKP') {
+    return new Map([
+      [1, 1],
+      [-1, crv],
+      [-2, Buffer.from(jwk.x, 'base64url')]
+    ]);
+  }
+
+  return new Map([
+    [1, 2],
+    [-1, crv],
+    [-2, Buffer.from(jwk.x, 'base64url')],
+    [-3, Buffer.from(jwk.y, 'base64url')]
+  ]);
+}
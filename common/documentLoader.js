@@ -0,0 +1,29 @@
+/**
+ * Offline JSON-LD document loader
+ * Serves the bundled W3C VC contexts and caller-supplied documents (e.g. a
+ * trusted controller document); never fetches from the network, so what a
+ * Data Integrity proof is computed over cannot be changed remotely
+ */
+
+import { contexts } from '@digitalbazaar/credentials-context';
+
+/**
+ * Create a document loader for jsonld-signatures
+ * @param {object} [documents] - URL → JSON-LD document
+ * @returns {Function} async url → { contextUrl, document, documentUrl }
+ */
+export function createDocumentLoader(documents = {}) {
+  return async url => {
+    const document = documents[url] ?? contexts.get(url);
+
+    if (!document) {
+      throw new Error(`Document not available offline: ${url}`);
+    }
+
+    return {
+      contextUrl: null,
+      document,
+      documentUrl: url
+    };
+  };
+}
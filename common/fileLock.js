@@ -0,0 +1,123 @@
+/**
+ * Cross-process lock files
+ * A lock is a file created exclusively ('wx') holding its owner's id. Locks
+ * left behind by a crashed holder are broken once they are older than
+ * staleAge: the breaker renames the lock to a unique name and only deletes it
+ * if it is still the stale lock it looked at, so two processes breaking the
+ * same lock at once never both end up holding a new one.
+ */
+
+import fs from 'fs/promises';
+import crypto from 'crypto';
+
+const LOCK_RETRY_DELAY = 20;
+const LOCK_TIMEOUT = 5000;
+const STALE_LOCK_AGE = 10000;
+
+/**
+ * Take a lock file, waiting for other holders and breaking stale locks
+ * @param {string} lockFile
+ * @param {object} [options]
+ * @param {number} [options.timeout] - ms to wait before giving up
+ * @param {number} [options.staleAge] - ms after which a lock counts as abandoned
+ * @returns {Promise<Function>} Releases the lock if this process still holds it
+ */
+export async function acquireFileLock(lockFile, { timeout = LOCK_TIMEOUT, staleAge = STALE_LOCK_AGE } = {}) {
+  const owner = `${process.pid}:${crypto.randomUUID()}`;
+  const deadline = Date.now() + timeout;
+
+  while (true) {
+    try {
+      await fs.writeFile(lockFile, owner, { flag: 'wx', mode: 0o600 });
+      return () => releaseFileLock(lockFile, owner);
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    if (await breakStaleLock(lockFile, staleAge)) {
+      continue;
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for lock ${lockFile}`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY));
+  }
+}
+
+/**
+ * Run an operation holding a lock file
+ * @param {string} lockFile
+ * @param {Function} operation - async () => result
+ * @param {object} [options] - See acquireFileLock
+ * @returns {Promise<*>} The operation's result
+ */
+export async function withFileLock(lockFile, operation, options) {
+  const release = await acquireFileLock(lockFile, options);
+  try {
+    return await operation();
+  } finally {
+    await release();
+  }
+}
+
+/**
+ * Delete the lock file, unless it was broken as stale and taken by another process
+ * @param {string} lockFile
+ * @param {string} owner
+ */
+async function releaseFileLock(lockFile, owner) {
+  const holder = await fs.readFile(lockFile, 'utf-8').catch(() => null);
+  if (holder === owner) {
+    await fs.unlink(lockFile).catch(() => {});
+  }
+}
+
+/**
+ * Remove the lock file if it is stale
+ * @param {string} lockFile
+ * @param {number} staleAge
+ * @returns {Promise<boolean>} Whether the lock is gone and can be retried at once
+ */
+async function breakStaleLock(lockFile, staleAge) {
+  let holder;
+  try {
+    const stat = await fs.stat(lockFile);
+    if (Date.now() - stat.mtimeMs <= staleAge) {
+      return false;
+    }
+    holder = await fs.readFile(lockFile, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return true;
+    }
+    throw error;
+  }
+
+  // Renaming is atomic: of several breakers, only one moves any given lock file
+  const moved = `${lockFile}.${crypto.randomUUID()}.stale`;
+  try {
+    await fs.rename(lockFile, moved);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return true;
+    }
+    throw error;
+  }
+
+  const movedHolder = await fs.readFile(moved, 'utf-8').catch(() => null);
+
+  if (movedHolder === holder) {
+    await fs.unlink(moved).catch(() => {});
+    console.warn(`Broke stale lock ${lockFile} held by ${holder}`);
+    return true;
+  }
+
+  // Another process broke the stale lock first and has taken a new one: put it back
+  await fs.link(moved, lockFile).catch(() => {});
+  await fs.unlink(moved).catch(() => {});
+  return false;
+}
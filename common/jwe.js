@@ -0,0 +1,159 @@
+/**
+ * ECDH-ES JWE decryption (RFC 7516, RFC 7518 §4.6)
+ * The ECDH step is delegated to the caller, so the recipient's private key can
+ * stay in a key provider (HSM, KMS); only the shared secret Z reaches this
+ * module. Key agreement: ECDH-ES, ECDH-ES+A128KW/A192KW/A256KW. Content
+ * encryption: A128GCM/A192GCM/A256GCM, A128CBC-HS256/A192CBC-HS384/A256CBC-HS512.
+ */
+
+import crypto from 'crypto';
+
+// Content encryption: key length in bytes
+const CONTENT_ENCRYPTION = {
+  A128GCM: 16,
+  A192GCM: 24,
+  A256GCM: 32,
+  'A128CBC-HS256': 32,
+  'A192CBC-HS384': 48,
+  'A256CBC-HS512': 64
+};
+
+// Key wrapping: KEK length in bytes
+const KEY_AGREEMENT = {
+  'ECDH-ES': null,
+  'ECDH-ES+A128KW': 16,
+  'ECDH-ES+A192KW': 24,
+  'ECDH-ES+A256KW': 32
+};
+
+/**
+ * Decrypt a compact ECDH-ES JWE
+ * @param {string} jwe - Compact serialization
+ * @param {Function} deriveSharedSecret - ECDH with the recipient key: epkJwk => Promise<Buffer>
+ * @returns {Promise<{plaintext: Uint8Array, protectedHeader: object}>}
+ */
+export async function decryptJwe(jwe, deriveSharedSecret) {
+  const parts = typeof jwe === 'string' ? jwe.split('.') : [];
+  if (parts.length !== 5) {
+    throw new Error('Invalid compact JWE');
+  }
+
+  const [encodedHeader, encryptedKey, iv, ciphertext, tag] = parts;
+  const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf-8'));
+  const { alg, enc, epk, apu, apv } = header;
+
+  if (!(alg in KEY_AGREEMENT)) {
+    throw new Error(`Unsupported JWE alg ${alg}`);
+  }
+  if (!(enc in CONTENT_ENCRYPTION)) {
+    throw new Error(`Unsupported JWE enc ${enc}`);
+  }
+  if (header.zip || header.crit) {
+    throw new Error('Unsupported JWE header parameter');
+  }
+
+  // Fails for points that are not on the curve
+  const { kty, crv, x, y } = epk || {};
+  crypto.createPublicKey({ key: { kty, crv, x, y }, format: 'jwk' });
+
+  const sharedSecret = await deriveSharedSecret({ kty, crv, x, y });
+  const kekLength = KEY_AGREEMENT[alg];
+  const derived = concatKdf(sharedSecret, {
+    algorithmId: kekLength ? alg : enc,
+    keyLength: kekLength || CONTENT_ENCRYPTION[enc],
+    apu,
+    apv
+  });
+
+  let cek;
+  if (kekLength) {
+    const decipher = crypto.createDecipheriv(`id-aes${kekLength * 8}-wrap`, derived, Buffer.from('A6A6A6A6A6A6A6A6', 'hex'));
+    cek = Buffer.concat([decipher.update(Buffer.from(encryptedKey, 'base64url')), decipher.final()]);
+  } else if (encryptedKey) {
+    throw new Error('ECDH-ES JWE must not carry an encrypted key');
+  } else {
+    cek = derived;
+  }
+
+  if (cek.length !== CONTENT_ENCRYPTION[enc]) {
+    throw new Error('Invalid content encryption key length');
+  }
+
+  const plaintext = decryptContent(enc, cek, {
+    iv: Buffer.from(iv, 'base64url'),
+    ciphertext: Buffer.from(ciphertext, 'base64url'),
+    tag: Buffer.from(tag, 'base64url'),
+    aad: Buffer.from(encodedHeader, 'ascii')
+  });
+
+  return { plaintext: new Uint8Array(plaintext), protectedHeader: header };
+}
+
+/**
+ * Concat KDF with SHA-256 (NIST SP 800-56A, as profiled in RFC 7518 §4.6.2)
+ * @param {Buffer} sharedSecret
+ * @param {object} options
+ * @returns {Buffer}
+ */
+function concatKdf(sharedSecret, { algorithmId, keyLength, apu, apv }) {
+  const lengthPrefixed = value => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(value.length);
+    return Buffer.concat([length, value]);
+  };
+
+  const keyDataLength = Buffer.alloc(4);
+  keyDataLength.writeUInt32BE(keyLength * 8);
+
+  const otherInfo = Buffer.concat([
+    lengthPrefixed(Buffer.from(algorithmId, 'ascii')),
+    lengthPrefixed(Buffer.from(apu || '', 'base64url')),
+    lengthPrefixed(Buffer.from(apv || '', 'base64url')),
+    keyDataLength
+  ]);
+
+  const rounds = [];
+  for (let counter = 1; rounds.length * 32 < keyLength; counter++) {
+    const round = Buffer.alloc(4);
+    round.writeUInt32BE(counter);
+    rounds.push(crypto.createHash('sha256').update(round).update(sharedSecret).update(otherInfo).digest());
+  }
+
+  return Buffer.concat(rounds).subarray(0, keyLength);
+}
+
+/**
+ * @param {string} enc
+ * @param {Buffer} cek
+ * @param {{iv: Buffer, ciphertext: Buffer, tag: Buffer, aad: Buffer}} parts
+ * @returns {Buffer}
+ */
+function decryptContent(enc, cek, { iv, ciphertext, tag, aad }) {
+  if (enc.endsWith('GCM')) {
+    if (tag.length !== 16) {
+      throw new Error('Invalid JWE authentication tag');
+    }
+
+    const decipher = crypto.createDecipheriv(`aes-${cek.length * 8}-gcm`, cek, iv);
+    decipher.setAAD(aad);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  }
+
+  // AES-CBC + HMAC-SHA-2 (RFC 7518 §5.2): MAC key first, then encryption key
+  const half = cek.length / 2;
+  const aadLength = Buffer.alloc(8);
+  aadLength.writeBigUInt64BE(BigInt(aad.length * 8));
+
+  const expectedTag = crypto.createHmac(`sha${half * 16}`, cek.subarray(0, half))
+    .update(Buffer.concat([aad, iv, ciphertext, aadLength]))
+    .digest()
+    .subarray(0, half);
+
+  if (tag.length !== half || !crypto.timingSafeEqual(tag, expectedTag)) {
+    throw new Error('JWE authentication failed');
+  }
+
+  const decipher = crypto.createDecipheriv(`aes-${half * 8}-cbc`, cek.subarray(half), iv);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
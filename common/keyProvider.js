@@ -0,0 +1,76 @@
+/**
+ * Key providers
+ * Where key ring private keys live and where they are used, selected by
+ * KEY_PROVIDER (file | encrypted-file | pkcs11 | remote). Key rings only keep
+ * the provider's reference to each key; signing and ECDH go through the
+ * provider, so with pkcs11 or remote no private key is ever in process memory.
+ *
+ * A provider implements:
+ *   generateKey({alg, use, label}) -> {publicJwk, ref}   (P-256)
+ *   sign(ref, data)                -> ES256 signature (r || s) over SHA-256(data)
+ *   deriveSharedSecret(ref, publicJwk) -> ECDH shared secret Z
+ *   deleteKey(ref)
+ */
+
+import { createFileProvider } from './keyProviders/fileProvider.js';
+import { createPkcs11Provider } from './keyProviders/pkcs11Provider.js';
+import { createRemoteProvider } from './keyProviders/remoteProvider.js';
+
+const providers = new Map();
+
+/**
+ * Get a provider by type (the configured one by default)
+ * @param {string} [type]
+ * @returns {object}
+ */
+export function getKeyProvider(type = process.env.KEY_PROVIDER || 'file') {
+  if (!providers.has(type)) {
+    providers.set(type, createKeyProvider(type));
+  }
+  return providers.get(type);
+}
+
+/**
+ * Create a provider
+ * @param {string} type - 'file', 'encrypted-file', 'pkcs11' or 'remote'
+ * @param {object} [options]
+ * @param {string} [options.passphrase] - Passphrase for encrypted-file
+ * @param {string} [options.module] - PKCS#11 module path
+ * @param {string} [options.tokenLabel] - PKCS#11 token label
+ * @param {string} [options.pin] - PKCS#11 user PIN
+ * @param {string} [options.url] - Key service URL for remote
+ * @param {string} [options.token] - Key service bearer token for remote
+ * @param {number} [options.timeout] - Key service request timeout (ms) for remote
+ * @returns {object}
+ */
+export function createKeyProvider(type, {
+  passphrase = process.env.KEY_PASSPHRASE,
+  module = process.env.PKCS11_MODULE,
+  tokenLabel = process.env.PKCS11_TOKEN_LABEL,
+  pin = process.env.PKCS11_PIN,
+  url = process.env.KMS_URL,
+  token = process.env.KMS_TOKEN,
+  timeout = parseInt(process.env.KMS_TIMEOUT_MS || '10000')
+} = {}) {
+  switch (type) {
+    case 'file':
+      return createFileProvider();
+    case 'encrypted-file':
+      if (!passphrase) {
+        throw new Error('KEY_PROVIDER=encrypted-file requires KEY_PASSPHRASE');
+      }
+      return createFileProvider({ passphrase });
+    case 'pkcs11':
+      if (!module || !pin) {
+        throw new Error('KEY_PROVIDER=pkcs11 requires PKCS11_MODULE and PKCS11_PIN');
+      }
+      return createPkcs11Provider({ module, tokenLabel, pin });
+    case 'remote':
+      if (!url) {
+        throw new Error('KEY_PROVIDER=remote requires KMS_URL');
+      }
+      return createRemoteProvider({ url, token, timeout });
+    default:
+      throw new Error(`Unknown KEY_PROVIDER "${type}" (expected file, encrypted-file, pkcs11 or remote)`);
+  }
+}
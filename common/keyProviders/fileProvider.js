@@ -0,0 +1,112 @@
+/**
+ * File key provider
+ * Private keys live in the key ring file: as plain JWKs (development), or
+ * encrypted under a passphrase (PBES2-HS512+A256KW JWE) and only decrypted
+ * into non-extractable memory when first used
+ */
+
+import crypto from 'crypto';
+import { CompactEncrypt, compactDecrypt } from 'jose';
+
+const PBES2_ALG = 'PBES2-HS512+A256KW';
+const PBES2_COUNT = 210000; // OWASP recommendation for PBKDF2-HMAC-SHA512
+
+/**
+ * Create a file key provider
+ * @param {object} [options]
+ * @param {string} [options.passphrase] - Encrypt private keys under this passphrase
+ * @returns {{type: string, generateKey: Function, importKey: Function, sign: Function, deriveSharedSecret: Function, deleteKey: Function}}
+ */
+export function createFileProvider({ passphrase } = {}) {
+  const secret = passphrase && new TextEncoder().encode(passphrase);
+
+  // Decrypted keys, by encrypted key, so the passphrase KDF runs once per key
+  const keyObjects = new Map();
+
+  /**
+   * @param {object} ref - { privateJwk } or { encryptedJwk }
+   * @returns {Promise<crypto.KeyObject>}
+   */
+  async function getPrivateKey(ref) {
+    if (ref.privateJwk) {
+      return crypto.createPrivateKey({ key: ref.privateJwk, format: 'jwk' });
+    }
+
+    if (!secret) {
+      throw new Error('Encrypted key file requires KEY_PASSPHRASE');
+    }
+
+    if (!keyObjects.has(ref.encryptedJwk)) {
+      let plaintext;
+      try {
+        ({ plaintext } = await compactDecrypt(ref.encryptedJwk, secret, {
+          keyManagementAlgorithms: [PBES2_ALG],
+          maxPBES2Count: PBES2_COUNT
+        }));
+      } catch (error) {
+        throw new Error('Cannot decrypt key: wrong KEY_PASSPHRASE?');
+      }
+      keyObjects.set(ref.encryptedJwk, crypto.createPrivateKey({
+        key: JSON.parse(new TextDecoder().decode(plaintext)),
+        format: 'jwk'
+      }));
+    }
+
+    return keyObjects.get(ref.encryptedJwk);
+  }
+
+  /**
+   * Reference to store for a private JWK
+   * @param {object} privateJwk
+   * @returns {Promise<object>}
+   */
+  async function protect(privateJwk) {
+    if (!secret) {
+      return { privateJwk };
+    }
+
+    const encryptedJwk = await new CompactEncrypt(new TextEncoder().encode(JSON.stringify(privateJwk)))
+      .setProtectedHeader({ alg: PBES2_ALG, enc: 'A256GCM', cty: 'jwk+json' })
+      .setKeyManagementParameters({ p2c: PBES2_COUNT })
+      .encrypt(secret);
+
+    return { encryptedJwk };
+  }
+
+  return {
+    type: secret ? 'encrypted-file' : 'file',
+
+    async generateKey() {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+      return {
+        publicJwk: publicKey.export({ format: 'jwk' }),
+        ref: await protect(privateKey.export({ format: 'jwk' }))
+      };
+    },
+
+    /**
+     * Take over a key that was stored as a plain JWK
+     * @param {object} privateJwk
+     * @returns {Promise<object>} Reference to store
+     */
+    async importKey(privateJwk) {
+      return protect(privateJwk);
+    },
+
+    async sign(ref, data) {
+      return crypto.sign('sha256', data, { key: await getPrivateKey(ref), dsaEncoding: 'ieee-p1363' });
+    },
+
+    async deriveSharedSecret(ref, publicJwk) {
+      return crypto.diffieHellman({
+        privateKey: await getPrivateKey(ref),
+        publicKey: crypto.createPublicKey({ key: publicJwk, format: 'jwk' })
+      });
+    },
+
+    async deleteKey(ref) {
+      keyObjects.delete(ref.encryptedJwk);
+    }
+  };
+}
@@ -0,0 +1,209 @@
+/**
+ * PKCS#11 key provider
+ * Keys are generated on a token (HSM, SoftHSM, YubiHSM, cloud HSM client)
+ * as sensitive, non-extractable objects; signing and ECDH run on the token.
+ * Needs the optional pkcs11js package and the vendor's PKCS#11 module.
+ */
+
+import crypto from 'crypto';
+
+// DER-encoded OID of P-256 (prime256v1)
+const P256_PARAMS = Buffer.from('06082a8648ce3d030107', 'hex');
+
+/**
+ * Create a PKCS#11 key provider
+ * @param {object} options
+ * @param {string} options.module - Path to the PKCS#11 module (e.g. /usr/lib/softhsm/libsofthsm2.so)
+ * @param {string} [options.tokenLabel] - Label of the token to use (default: first token present)
+ * @param {string} options.pin - User PIN
+ * @returns {{type: string, generateKey: Function, sign: Function, deriveSharedSecret: Function, deleteKey: Function, close: Function}}
+ */
+export function createPkcs11Provider({ module, tokenLabel, pin }) {
+  let connection = null;
+
+  /**
+   * Load the module and open a logged-in session (once)
+   * @returns {Promise<{pkcs11: object, lib: object, session: Buffer}>}
+   */
+  function connect() {
+    if (!connection) {
+      connection = (async () => {
+        let pkcs11;
+        try {
+          pkcs11 = (await import('pkcs11js')).default;
+        } catch (error) {
+          throw new Error('KEY_PROVIDER=pkcs11 requires the pkcs11js package (npm install pkcs11js)');
+        }
+
+        const lib = new pkcs11.PKCS11();
+        lib.load(module);
+        lib.C_Initialize();
+
+        const slot = lib.C_GetSlotList(true).find(candidate =>
+          !tokenLabel || lib.C_GetTokenInfo(candidate).label.trim() === tokenLabel);
+        if (!slot) {
+          throw new Error(`PKCS#11 token "${tokenLabel}" not found`);
+        }
+
+        const session = lib.C_OpenSession(slot, pkcs11.CKF_SERIAL_SESSION | pkcs11.CKF_RW_SESSION);
+        lib.C_Login(session, pkcs11.CKU_USER, pin);
+
+        return { pkcs11, lib, session };
+      })();
+
+      // Let a failed connection be retried on the next call
+      connection.catch(() => { connection = null; });
+    }
+
+    return connection;
+  }
+
+  /**
+   * Find a key object by CKA_ID
+   * @param {object} context
+   * @param {string} id - Hex key id
+   * @param {number} objectClass - CKO_PRIVATE_KEY or CKO_PUBLIC_KEY
+   * @returns {Buffer|null} Object handle
+   */
+  function findKey({ pkcs11, lib, session }, id, objectClass) {
+    lib.C_FindObjectsInit(session, [
+      { type: pkcs11.CKA_CLASS, value: objectClass },
+      { type: pkcs11.CKA_ID, value: Buffer.from(id, 'hex') }
+    ]);
+    try {
+      return lib.C_FindObjects(session);
+    } finally {
+      lib.C_FindObjectsFinal(session);
+    }
+  }
+
+  /**
+   * @param {object} context
+   * @param {{id: string}} ref
+   * @returns {Buffer} Private key handle
+   */
+  function getPrivateKey(context, ref) {
+    const handle = findKey(context, ref.id, context.pkcs11.CKO_PRIVATE_KEY);
+    if (!handle) {
+      throw new Error(`PKCS#11 key ${ref.id} not found on token`);
+    }
+    return handle;
+  }
+
+  return {
+    type: 'pkcs11',
+
+    async generateKey({ use, label }) {
+      const context = await connect();
+      const { pkcs11, lib, session } = context;
+      const id = crypto.randomBytes(16);
+      const common = [
+        { type: pkcs11.CKA_TOKEN, value: true },
+        { type: pkcs11.CKA_ID, value: id },
+        { type: pkcs11.CKA_LABEL, value: label }
+      ];
+
+      const { publicKey } = lib.C_GenerateKeyPair(session, { mechanism: pkcs11.CKM_EC_KEY_PAIR_GEN }, [
+        ...common,
+        { type: pkcs11.CKA_EC_PARAMS, value: P256_PARAMS },
+        { type: pkcs11.CKA_VERIFY, value: use === 'sig' }
+      ], [
+        ...common,
+        { type: pkcs11.CKA_PRIVATE, value: true },
+        { type: pkcs11.CKA_SENSITIVE, value: true },
+        { type: pkcs11.CKA_EXTRACTABLE, value: false },
+        { type: pkcs11.CKA_SIGN, value: use === 'sig' },
+        { type: pkcs11.CKA_DERIVE, value: use === 'enc' }
+      ]);
+
+      const [{ value: ecPoint }] = lib.C_GetAttributeValue(session, publicKey, [{ type: pkcs11.CKA_EC_POINT }]);
+
+      return {
+        publicJwk: pointToJwk(ecPoint),
+        ref: { id: id.toString('hex') }
+      };
+    },
+
+    async sign(ref, data) {
+      const context = await connect();
+      const { pkcs11, lib, session } = context;
+
+      // CKM_ECDSA signs a digest and returns r || s, as JWS expects
+      lib.C_SignInit(session, { mechanism: pkcs11.CKM_ECDSA }, getPrivateKey(context, ref));
+      return lib.C_Sign(session, crypto.createHash('sha256').update(data).digest(), Buffer.alloc(64));
+    },
+
+    async deriveSharedSecret(ref, publicJwk) {
+      const context = await connect();
+      const { pkcs11, lib, session } = context;
+      const publicKey = crypto.createPublicKey({ key: publicJwk, format: 'jwk' });
+
+      const secret = lib.C_DeriveKey(session, {
+        mechanism: pkcs11.CKM_ECDH1_DERIVE,
+        parameter: {
+          type: pkcs11.CK_PARAMS_EC_DH,
+          kdf: pkcs11.CKD_NULL,
+          publicData: publicKey.export({ format: 'der', type: 'spki' }).subarray(-65)
+        }
+      }, getPrivateKey(context, ref), [
+        { type: pkcs11.CKA_CLASS, value: pkcs11.CKO_SECRET_KEY },
+        { type: pkcs11.CKA_KEY_TYPE, value: pkcs11.CKK_GENERIC_SECRET },
+        { type: pkcs11.CKA_VALUE_LEN, value: 32 },
+        { type: pkcs11.CKA_TOKEN, value: false },
+        { type: pkcs11.CKA_SENSITIVE, value: false },
+        { type: pkcs11.CKA_EXTRACTABLE, value: true }
+      ]);
+
+      // The KDF and content decryption run in software, so Z leaves the token
+      try {
+        const [{ value }] = lib.C_GetAttributeValue(session, secret, [{ type: pkcs11.CKA_VALUE }]);
+        return value;
+      } finally {
+        lib.C_DestroyObject(session, secret);
+      }
+    },
+
+    async deleteKey(ref) {
+      const context = await connect();
+      for (const objectClass of [context.pkcs11.CKO_PRIVATE_KEY, context.pkcs11.CKO_PUBLIC_KEY]) {
+        const handle = findKey(context, ref.id, objectClass);
+        if (handle) {
+          context.lib.C_DestroyObject(context.session, handle);
+        }
+      }
+    },
+
+    async close() {
+      if (connection) {
+        const { lib, session } = await connection;
+        connection = null;
+        lib.C_Logout(session);
+        lib.C_CloseSession(session);
+        lib.C_Finalize();
+      }
+    }
+  };
+}
+
+/**
+ * Convert CKA_EC_POINT (DER OCTET STRING of 04 || X || Y, or the bare point
+ * from some modules) to a P-256 JWK
+ * @param {Buffer} ecPoint
+ * @returns {object}
+ */
+function pointToJwk(ecPoint) {
+  const point = ecPoint.length === 67 && ecPoint[0] === 0x04 && ecPoint[1] === 0x41
+    ? ecPoint.subarray(2)
+    : ecPoint;
+
+  if (point.length !== 65 || point[0] !== 0x04) {
+    throw new Error('Unsupported PKCS#11 EC point encoding');
+  }
+
+  return {
+    kty: 'EC',
+    crv: 'P-256',
+    x: point.subarray(1, 33).toString('base64url'),
+    y: point.subarray(33).toString('base64url')
+  };
+}
@@ -0,0 +1,97 @@
+/**
+ * Remote key provider
+ * Keys live in a KMS or signing service reached over HTTP; only public keys,
+ * digests, signatures and ECDH results cross the wire. Adapt a cloud KMS by
+ * fronting it with this small API (examples/mock-kms.js implements it):
+ *
+ *   POST   /keys               {usage: 'sign'|'derive', label} -> {keyId, publicJwk}
+ *   POST   /keys/:keyId/sign   {digest}                        -> {signature}  (SHA-256 digest in, r || s out)
+ *   POST   /keys/:keyId/derive {publicJwk}                     -> {sharedSecret}
+ *   DELETE /keys/:keyId
+ *
+ * Binary values are base64url. Requests carry "Authorization: Bearer <token>"
+ * and are aborted after a timeout, so a hung key service fails signing and
+ * decryption instead of stalling them.
+ */
+
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Create a remote key provider
+ * @param {object} options
+ * @param {string} options.url - Base URL of the key service
+ * @param {string} [options.token] - Bearer token
+ * @param {number} [options.timeout] - ms before a request is aborted
+ * @returns {{type: string, generateKey: Function, sign: Function, deriveSharedSecret: Function, deleteKey: Function}}
+ */
+export function createRemoteProvider({ url, token, timeout = DEFAULT_TIMEOUT }) {
+  /**
+   * @param {string} method
+   * @param {string} path
+   * @param {object} [body]
+   * @returns {Promise<object|null>}
+   */
+  async function call(method, path, body) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(new URL(path, url), {
+        method,
+        headers: {
+          ...(body && { 'Content-Type': 'application/json' }),
+          ...(token && { Authorization: `Bearer ${token}` })
+        },
+        body: body && JSON.stringify(body),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`Key service ${method} ${path} failed: HTTP ${response.status}`);
+      }
+
+      // The body is read under the same timeout
+      return response.status === 204 ? null : await response.json();
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Key service ${method} ${path} timed out after ${timeout} ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  const keyPath = (ref, action = '') => `/keys/${encodeURIComponent(ref.keyId)}${action}`;
+
+  return {
+    type: 'remote',
+
+    async generateKey({ use, label }) {
+      const { keyId, publicJwk } = await call('POST', '/keys', { usage: use === 'sig' ? 'sign' : 'derive', label });
+      const { kty, crv, x, y } = publicJwk;
+
+      return { publicJwk: { kty, crv, x, y }, ref: { keyId } };
+    },
+
+    async sign(ref, data) {
+      const { signature } = await call('POST', keyPath(ref, '/sign'), {
+        digest: crypto.createHash('sha256').update(data).digest('base64url')
+      });
+      return Buffer.from(signature, 'base64url');
+    },
+
+    async deriveSharedSecret(ref, publicJwk) {
+      const { kty, crv, x, y } = publicJwk;
+      const { sharedSecret } = await call('POST', keyPath(ref, '/derive'), { publicJwk: { kty, crv, x, y } });
+      return Buffer.from(sharedSecret, 'base64url');
+    },
+
+    async deleteKey(ref) {
+      await call('DELETE', keyPath(ref));
+    }
+  };
+}
@@ -0,0 +1,347 @@
+/**
+ * Rotating key rings
+ * P-256 keys kept in a JSON file, each in one of three states:
+ * 'next' (published, not yet used), 'active' (used for new tokens/requests)
+ * and 'retired' (kept until everything made with it has expired).
+ * The next key exists a full rotation interval before it is activated, so
+ * anyone caching the published key set already has it when it takes over.
+ *
+ * Private keys stay with the key provider (see keyProvider.js); the ring
+ * file holds each key's public JWK and the provider's reference to it.
+ * Processes sharing a ring file update it under a lock file, so only one of
+ * them rotates a due key.
+ */
+
+import { calculateJwkThumbprint } from 'jose';
+import fs from 'fs/promises';
+import { getKeyProvider } from './keyProvider.js';
+import { withFileLock } from './fileLock.js';
+
+// Key order in the ring and in published key sets: the key in use first
+const KEY_STATES = ['active', 'next', 'retired'];
+
+// Key generation can go through a slow HSM or KMS, so updates may hold the lock a while
+const LOCK_OPTIONS = { timeout: 30000, staleAge: 60000 };
+
+/**
+ * Create a key ring
+ * @param {object} options
+ * @param {string} options.name - Used in log messages (e.g. 'issuer')
+ * @param {string} options.file - Key ring file
+ * @param {string} options.use - JWK use: 'sig' or 'enc'
+ * @param {string} options.alg - JWK alg, e.g. 'ES256' or 'ECDH-ES'
+ * @param {number} options.rotationInterval - Seconds a key stays active (0 disables scheduled rotation)
+ * @param {number} options.retention - Seconds a retired key is kept
+ * @param {Array<string>} [options.publish] - Key states included in the published key set
+ * @param {{publicJwk: string, privateJwk: string}} [options.environment] - Names of env vars holding a fixed key pair
+ * @returns {{getKeys: Function, getActiveKey: Function, getKey: Function, getJwks: Function, rotate: Function, signJwt: Function, deriveSharedSecret: Function}}
+ */
+export function createKeyRing({ name, file, use, alg, rotationInterval, retention, publish = KEY_STATES, environment }) {
+  // Updates are read-modify-write on one file, so they run one at a time:
+  // queued within this process and under the lock file across processes
+  let queue = Promise.resolve();
+
+  /**
+   * Load the ring, apply rotation and expiry, and save it if it changed
+   * @param {Function} isRotationDue - keys => boolean
+   * @returns {Promise<Array<object>>}
+   */
+  function update(isRotationDue) {
+    const run = queue.then(async () => {
+      // A key pair from the environment is used as it is
+      const fixedKey = await loadEnvironmentKey();
+      if (fixedKey) {
+        return [fixedKey];
+      }
+
+      return withFileLock(`${file}.lock`, () => updateRing(isRotationDue), LOCK_OPTIONS);
+    });
+
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Read-modify-write of the ring file, called with the lock held
+   * @param {Function} isRotationDue
+   * @returns {Promise<Array<object>>}
+   */
+  async function updateRing(isRotationDue) {
+    const { keys: loaded, changed: migrated } = await load();
+    const now = Date.now();
+
+    const keys = loaded.filter(key => key.state !== 'retired' || key.expiresAt > now);
+    const expired = loaded.filter(key => !keys.includes(key));
+    let changed = migrated || expired.length > 0;
+
+    // Plain JWKs from before a passphrase was configured get encrypted
+    const provider = getKeyProvider();
+    for (const key of keys) {
+      if (key.provider === 'file' && provider.type !== 'file' && provider.importKey) {
+        key.key = await provider.importKey(key.key.privateJwk);
+        key.provider = provider.type;
+        changed = true;
+      }
+    }
+
+    if (isRotationDue(keys)) {
+      const active = keys.find(key => key.state === 'active');
+      let next = keys.find(key => key.state === 'next');
+
+      if (!next) {
+        next = await createKey();
+        keys.push(next);
+      }
+
+      if (active) {
+        active.state = 'retired';
+        active.retiredAt = now;
+        active.expiresAt = now + retention * 1000;
+      }
+
+      next.state = 'active';
+      next.activatedAt = now;
+      changed = true;
+
+      console.log(`🔄 ${capitalize(name)} key ${next.kid} is now active`);
+    }
+
+    // Always have the key that will be activated next
+    if (!keys.some(key => key.state === 'next')) {
+      keys.push(await createKey());
+      changed = true;
+    }
+
+    keys.sort((a, b) => KEY_STATES.indexOf(a.state) - KEY_STATES.indexOf(b.state));
+
+    if (changed) {
+      await save(keys);
+    }
+
+    for (const key of expired) {
+      try {
+        await getKeyProvider(key.provider).deleteKey(key.key);
+      } catch (error) {
+        console.error(`Failed to delete expired ${name} key ${key.kid}:`, error.message);
+      }
+    }
+
+    return keys;
+  }
+
+  /**
+   * The ring from its file; a missing file starts a new ring. Any other read
+   * or parse error is thrown, since saving over the file would destroy keys
+   * @returns {Promise<{keys: Array<object>, changed: boolean}>}
+   */
+  async function load() {
+    let stored;
+    try {
+      stored = JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { keys: [], changed: true };
+      }
+      throw new Error(`Cannot read ${name} key ring ${file}: ${error.message}`);
+    }
+
+    if (Array.isArray(stored.keys)) {
+      // Entries from before key providers held the private JWK itself
+      const legacy = stored.keys.filter(key => key.privateJwk);
+      for (const key of legacy) {
+        key.provider = 'file';
+        key.key = { privateJwk: key.privateJwk };
+        delete key.privateJwk;
+      }
+
+      return { keys: stored.keys, changed: legacy.length > 0 };
+    }
+
+    // Single key pair from before rotation: keep its kid so anything made with it still matches
+    if (stored.publicJwk && stored.privateJwk) {
+      return {
+        keys: [{
+          ...await describeKey(stored.publicJwk),
+          provider: 'file',
+          key: { privateJwk: stored.privateJwk },
+          state: 'active',
+          createdAt: Date.now(),
+          activatedAt: Date.now()
+        }],
+        changed: true
+      };
+    }
+
+    return { keys: [], changed: true };
+  }
+
+  /**
+   * @param {Array<object>} keys
+   */
+  async function save(keys) {
+    // Written to a temporary file and renamed, so readers never see a partial ring
+    const tmpFile = `${file}.${process.pid}.tmp`;
+
+    try {
+      await fs.writeFile(tmpFile, JSON.stringify({ keys }, null, 2), { mode: 0o600 });
+      await fs.rename(tmpFile, file);
+    } catch (error) {
+      console.error(`Failed to save ${name} keys to file:`, error);
+    }
+  }
+
+  /**
+   * Generate a key in the 'next' state
+   * @returns {Promise<object>}
+   */
+  async function createKey() {
+    const provider = getKeyProvider();
+    console.log(`🔑 Generating new ${name} key pair (P-256, ${provider.type})...`);
+    const { publicJwk, ref } = await provider.generateKey({ alg, use, label: `${name}-key` });
+
+    return {
+      ...await describeKey(publicJwk),
+      provider: provider.type,
+      key: ref,
+      state: 'next',
+      createdAt: Date.now()
+    };
+  }
+
+  /**
+   * Ring entry for a public key; kid defaults to the RFC 7638 thumbprint
+   * @param {object} publicJwk
+   * @returns {Promise<{kid: string, publicJwk: object}>}
+   */
+  async function describeKey(publicJwk) {
+    const kid = publicJwk.kid || await calculateJwkThumbprint(publicJwk);
+
+    return {
+      kid,
+      publicJwk: { ...publicJwk, kid, use, alg }
+    };
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  function isFixed() {
+    return Boolean(environment &&
+      process.env[environment.publicJwk] && process.env[environment.privateJwk]);
+  }
+
+  /**
+   * Active key from the environment (its rotation is up to whoever sets it)
+   * @returns {Promise<object|null>}
+   */
+  async function loadEnvironmentKey() {
+    if (!isFixed()) {
+      return null;
+    }
+
+    try {
+      return {
+        ...await describeKey(JSON.parse(process.env[environment.publicJwk])),
+        provider: 'file',
+        key: { privateJwk: JSON.parse(process.env[environment.privateJwk]) },
+        state: 'active'
+      };
+    } catch (error) {
+      console.error(`Failed to parse ${name} keys from environment:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * All keys, rotated when the active key is due and with expired retired keys dropped
+   * @returns {Promise<Array<{kid: string, state: string, publicJwk: object, provider: string, key: object, activatedAt?: number, expiresAt?: number}>>}
+   */
+  function getKeys() {
+    return update(keys => {
+      const active = keys.find(key => key.state === 'active');
+      return !active || (rotationInterval > 0 &&
+        Date.now() >= active.activatedAt + rotationInterval * 1000);
+    });
+  }
+
+  return {
+    getKeys,
+
+    /**
+     * @returns {Promise<object>} The active key
+     */
+    async getActiveKey() {
+      return (await getKeys()).find(key => key.state === 'active');
+    },
+
+    /**
+     * @param {string} kid
+     * @returns {Promise<object|null>} Key in any state, or null if unknown or expired
+     */
+    async getKey(kid) {
+      return (await getKeys()).find(key => key.kid === kid) || null;
+    },
+
+    /**
+     * @returns {Promise<{keys: Array<object>}>} Published public keys (JWK Set)
+     */
+    async getJwks() {
+      return {
+        keys: (await getKeys())
+          .filter(key => publish.includes(key.state))
+          .map(key => key.publicJwk)
+      };
+    },
+
+    /**
+     * Rotate now: the next key becomes active and the active key is retired
+     * @returns {Promise<Array<object>>} The rotated ring
+     */
+    async rotate() {
+      if (isFixed()) {
+        throw new Error(`${capitalize(name)} keys from ${environment.publicJwk}/${environment.privateJwk} cannot be rotated`);
+      }
+
+      return update(() => true);
+    },
+
+    /**
+     * Sign a JWT (or any JWS) with the active key
+     * @param {object} header - Protected header; alg and kid are set here
+     * @param {object} payload
+     * @returns {Promise<string>} Compact JWS
+     */
+    async signJwt(header, payload) {
+      const active = (await getKeys()).find(key => key.state === 'active');
+      const signingInput = [
+        { ...header, alg, kid: active.kid },
+        payload
+      ].map(part => Buffer.from(JSON.stringify(part)).toString('base64url')).join('.');
+
+      const signature = await getKeyProvider(active.provider).sign(active.key, Buffer.from(signingInput));
+      return `${signingInput}.${signature.toString('base64url')}`;
+    },
+
+    /**
+     * ECDH with one of the ring's keys
+     * @param {string} kid - Key in any state
+     * @param {object} publicJwk - Peer's P-256 public key
+     * @returns {Promise<Buffer>} Shared secret Z
+     */
+    async deriveSharedSecret(kid, publicJwk) {
+      const key = (await getKeys()).find(candidate => candidate.kid === kid);
+      if (!key) {
+        throw new Error(`Unknown ${name} key ${kid}`);
+      }
+      return getKeyProvider(key.provider).deriveSharedSecret(key.key, publicJwk);
+    }
+  };
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
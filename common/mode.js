@@ -0,0 +1,65 @@
+/**
+ * Verifier mode configuration
+ * Mock trust and verification sources are only allowed outside production
+ */
+
+const MODES = ['production', 'development', 'test'];
+
+// Environment flags that force a mock source on
+const MOCK_FLAGS = {
+  longfellow: 'LONGFELLOW_MOCK',
+  vical: 'VICAL_MOCK',
+  iaca: 'IACA_MOCK'
+};
+
+/**
+ * Get the configured verifier mode
+ * Defaults to production so mocks are never enabled by accident
+ * @returns {'production'|'development'|'test'}
+ */
+export function getVerifierMode() {
+  const mode = (process.env.VERIFIER_MODE || 'production').toLowerCase();
+
+  if (!MODES.includes(mode)) {
+    throw new Error(`Invalid VERIFIER_MODE "${mode}" (expected one of: ${MODES.join(', ')})`);
+  }
+
+  return mode;
+}
+
+/**
+ * Whether mock sources may be used
+ * @returns {boolean}
+ */
+export function mocksAllowed() {
+  return getVerifierMode() !== 'production';
+}
+
+/**
+ * Throw if a mock source is about to be used in production
+ * @param {string} source - e.g. 'Longfellow', 'VICAL'
+ */
+export function assertMocksAllowed(source) {
+  if (!mocksAllowed()) {
+    throw new Error(`Mock ${source} is not allowed in production mode`);
+  }
+}
+
+/**
+ * Whether a mock source has been forced on via its environment flag
+ * @param {'longfellow'|'vical'|'iaca'} source
+ * @returns {boolean}
+ */
+export function isMockForced(source) {
+  return process.env[MOCK_FLAGS[source]] === 'true';
+}
+
+/**
+ * List mock sources forced on via environment flags
+ * @returns {Array<string>}
+ */
+export function getForcedMockSources() {
+  return Object.keys(MOCK_FLAGS).filter(isMockForced);
+}
+
+export { MODES };
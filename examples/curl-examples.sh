@@ -23,12 +23,42 @@ echo "------------------"
 curl -s "${BASE_VERIFIER}/api/reader-jwks" | jq '.'
 echo ""
 
+# 2b. Create a verification request
+echo "2b. Create Verification Request"
+echo "-------------------------------"
+curl -s -X POST "${BASE_VERIFIER}/api/request" \
+  -H "Content-Type: application/json" \
+  -H "Origin: http://localhost:8080" \
+  -d '{}' | jq '.'
+echo ""
+
+# 2c. Create a ZK verification request (needs LONGFELLOW_ZK_SPECS on the verifier)
+echo "2c. Create ZK Verification Request (mso_mdoc_zk)"
+echo "------------------------------------------------"
+curl -s -X POST "${BASE_VERIFIER}/api/request" \
+  -H "Content-Type: application/json" \
+  -H "Origin: http://localhost:8080" \
+  -d '{"format": "mso_mdoc_zk", "claims": ["age_over_21"]}' | jq '.request.data.dcql_query'
+echo ""
+
 # 3. Get issuer metadata
 echo "3. Get Issuer Metadata (OID4VCI Discovery)"
 echo "-------------------------------------------"
 curl -s "${BASE_ISSUER}/.well-known/openid-credential-issuer" | jq '.'
 echo ""
 
+# 3b. Get authorization server metadata
+echo "3b. Get Authorization Server Metadata"
+echo "-------------------------------------"
+curl -s "${BASE_ISSUER}/.well-known/oauth-authorization-server" | jq '.'
+echo ""
+
+# 3c. Get a c_nonce
+echo "3c. Get a c_nonce (nonce endpoint)"
+echo "----------------------------------"
+curl -s -X POST "${BASE_ISSUER}/nonce" | jq '.'
+echo ""
+
 # 4. Verify presentation (mock example)
 echo "4. Verify Presentation"
 echo "----------------------"
@@ -36,7 +66,8 @@ echo "Note: This requires actual JWE from Digital Credentials API"
 echo "Example structure:"
 cat << 'EOF'
 {
-  "response": "<JWE-encrypted-vp-token>"
+  "response": "<JWE-encrypted-vp-token>",
+  "sessionId": "<sessionId-from-api-request>"
 }
 EOF
 echo ""
@@ -45,10 +76,12 @@ echo ""
 echo "5. Request Derived Credential Flow"
 echo "-----------------------------------"
 echo "Step 1: Authorize"
+echo "Note: verificationReceipt is the \"receipt\" from a successful /api/verify response"
+VERIFICATION_RECEIPT=${VERIFICATION_RECEIPT:-"<receipt-from-api-verify>"}
 AUTH_RESPONSE=$(curl -s -X POST "${BASE_ISSUER}/authorize" \
   -H "Content-Type: application/json" \
   -d '{
-    "verificationSessionId": "test-session-123",
+    "verificationReceipt": "'"$VERIFICATION_RECEIPT"'",
     "holderPublicKey": {
       "kty": "EC",
       "crv": "P-256",
@@ -76,15 +109,47 @@ if [ "$AUTH_CODE" != "null" ]; then
 
   if [ "$ACCESS_TOKEN" != "null" ]; then
     echo "Step 3: Request credential"
+    echo "Note: each proofs.jwt entry is an openid4vci-proof+jwt signed by a holder key (jwk header),"
+    echo "      with aud = ${BASE_ISSUER} and nonce = a c_nonce from /nonce (see 3c)."
+    echo "      Send one proof per key to get a batch of credentials, all over one c_nonce"
+    PROOF_JWT=${PROOF_JWT:-"<openid4vci-proof+jwt>"}
     curl -s -X POST "${BASE_ISSUER}/credential" \
       -H "Content-Type: application/json" \
       -H "Authorization: Bearer $ACCESS_TOKEN" \
       -d '{
-        "format": "vc+sd-jwt"
+        "credential_configuration_id": "derived-mdl-vc",
+        "proofs": { "jwt": ["'"$PROOF_JWT"'"] }
       }' | jq '.'
     echo ""
   fi
 fi
 
+# 6. Credential offer for a standard wallet (pre-authorized code flow)
+echo "6. Credential Offer (pre-authorized code)"
+echo "-----------------------------------------"
+echo "Note: receipts are single use; this needs a receipt from another /api/verify"
+OFFER_RECEIPT=${OFFER_RECEIPT:-"<another-receipt-from-api-verify>"}
+OFFER_RESPONSE=$(curl -s -X POST "${BASE_ISSUER}/credential-offer" \
+  -H "Content-Type: application/json" \
+  -d '{
+    "verificationReceipt": "'"$OFFER_RECEIPT"'",
+    "tx_code": true
+  }')
+echo "$OFFER_RESPONSE" | jq '.'
+echo ""
+
+PRE_AUTHORIZED_CODE=$(echo "$OFFER_RESPONSE" | jq -r '.credential_offer.grants["urn:ietf:params:oauth:grant-type:pre-authorized_code"]["pre-authorized_code"] // "null"')
+
+if [ "$PRE_AUTHORIZED_CODE" != "null" ]; then
+  echo "Wallet link (encode qr_payload as a QR code): $(echo "$OFFER_RESPONSE" | jq -r '.qr_payload')"
+  echo ""
+  echo "What the wallet does: redeem the pre-authorized code (with the tx_code the user types in)"
+  curl -s -X POST "${BASE_ISSUER}/token" \
+    --data-urlencode "grant_type=urn:ietf:params:oauth:grant-type:pre-authorized_code" \
+    --data-urlencode "pre-authorized_code=$PRE_AUTHORIZED_CODE" \
+    --data-urlencode "tx_code=$(echo "$OFFER_RESPONSE" | jq -r '.tx_code')" | jq '.'
+  echo ""
+fi
+
 echo "=== Examples Complete ==="
 
@@ -0,0 +1,129 @@
+/**
+ * Fake Longfellow
+ * Local stand-in for the Longfellow verifier-service, for exercising the
+ * verifier's Longfellow client (timeouts, retries, circuit breaker) and ZK
+ * request flow without the real service. Answers POST /verify with a
+ * successful result for any proof made with a circuit it has "loaded" (the
+ * specs in LONGFELLOW_ZK_SPECS, default examples/longfellow-zk-specs.json);
+ * its behavior can be changed at runtime to simulate a slow or failing backend.
+ * For local development and testing only: it does not verify anything.
+ *
+ *   POST /_fake/behavior {delayMs, failRate, failStatus, reset}  change behavior
+ *   GET  /_fake/stats                                            requests seen
+ *
+ * failStatus is an HTTP status, 'reset' to drop the connection, or
+ * 'invalid_json' to answer 200 with a body that is not JSON.
+ *
+ * Tests start it in-process with createFakeLongfellow().
+ */
+
+import express from 'express';
+import { pathToFileURL } from 'url';
+import { loadZkSpecs } from '../verifier/mdocZk.js';
+
+const PORT = process.env.FAKE_LONGFELLOW_PORT || 8090;
+const DEFAULT_SPECS = new URL('./longfellow-zk-specs.json', import.meta.url).pathname;
+
+/**
+ * Create the fake Longfellow app
+ * @param {object} options
+ * @param {Array<object>} options.specs - Loaded circuit specs (see loadZkSpecs)
+ * @param {object} [options.behavior] - Initial {delayMs, failRate, failStatus}
+ * @returns {{app: Function, behavior: object, stats: object}}
+ */
+export function createFakeLongfellow({ specs, behavior: initial = {} }) {
+  const app = express();
+
+  const behavior = { delayMs: 0, failRate: 0, failStatus: '503', ...initial };
+  const stats = { requests: 0, failed: 0 };
+
+  app.use(express.json({ limit: '5mb' }));
+
+  app.post('/verify', async (req, res) => {
+    stats.requests++;
+
+    if (behavior.delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, behavior.delayMs));
+    }
+
+    if (Math.random() < behavior.failRate) {
+      stats.failed++;
+      if (behavior.failStatus === 'reset') {
+        return req.socket.destroy();
+      }
+      if (behavior.failStatus === 'invalid_json') {
+        return res.type('application/json').send('<html>Bad Gateway</html>');
+      }
+      return res.status(parseInt(behavior.failStatus)).json({ error: 'simulated failure' });
+    }
+
+    const { circuitId, proof, attributes, issuerPublicKeys, sessionTranscript } = req.body || {};
+
+    if (!proof || !sessionTranscript || !Array.isArray(attributes) || !issuerPublicKeys?.length) {
+      return res.status(400).json({ error: 'proof, attributes, issuerPublicKeys and sessionTranscript are required' });
+    }
+
+    const spec = specs.find(s => s.circuit_hash === circuitId);
+    if (!spec) {
+      return res.status(400).json({ error: `Unknown circuit ${circuitId}` });
+    }
+
+    if (attributes.length !== spec.num_attributes) {
+      return res.status(400).json({ error: `Circuit ${circuitId} proves ${spec.num_attributes} attributes` });
+    }
+
+    res.json({
+      valid: true,
+      circuitId,
+      issuerKeyId: issuerPublicKeys[0].kid,
+      mock: true
+    });
+  });
+
+  app.post('/_fake/behavior', (req, res) => {
+    const { delayMs, failRate, failStatus, reset } = req.body || {};
+
+    if (delayMs !== undefined) {
+      behavior.delayMs = Number(delayMs);
+    }
+    if (failRate !== undefined) {
+      behavior.failRate = Number(failRate);
+    }
+    if (failStatus !== undefined) {
+      behavior.failStatus = String(failStatus);
+    }
+    if (reset) {
+      Object.assign(stats, { requests: 0, failed: 0 });
+    }
+
+    console.log(`🎛️  Behavior: ${JSON.stringify(behavior)}`);
+    res.json(behavior);
+  });
+
+  app.get('/_fake/stats', (req, res) => {
+    res.json({ ...stats, behavior });
+  });
+
+  return { app, behavior, stats };
+}
+
+// Run as a service (npm run start:fake-longfellow)
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const specs = await loadZkSpecs(process.env.LONGFELLOW_ZK_SPECS || DEFAULT_SPECS);
+  const { app } = createFakeLongfellow({
+    specs,
+    behavior: {
+      delayMs: parseInt(process.env.FAKE_LONGFELLOW_DELAY_MS || '0'),
+      failRate: parseFloat(process.env.FAKE_LONGFELLOW_FAIL_RATE || '0'),
+      failStatus: process.env.FAKE_LONGFELLOW_FAIL_STATUS || '503'
+    }
+  });
+
+  app.listen(PORT, () => {
+    console.log(`🧪 Fake Longfellow running on http://localhost:${PORT}`);
+    console.log(`   Set LONGFELLOW_URL=http://localhost:${PORT} on the verifier`);
+    console.log(`   Circuits: ${specs.map(s => `${s.num_attributes} attribute(s)`).join(', ') || 'none'}`);
+  });
+}
+
+export { DEFAULT_SPECS };
@@ -0,0 +1,145 @@
+/**
+ * Mock KMS
+ * In-memory stand-in for a remote key service, implementing the API used by
+ * KEY_PROVIDER=remote (see common/keyProviders/remoteProvider.js). For local
+ * development and testing only: keys are lost when it stops.
+ *
+ * Tests start it in-process with createMockKms().
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import { pathToFileURL } from 'url';
+
+const PORT = process.env.MOCK_KMS_PORT || 8200;
+
+// P-256 group order
+const N = BigInt('0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551');
+
+/**
+ * Create the mock KMS app
+ * @param {object} [options]
+ * @param {string} [options.token] - Bearer token required on every request
+ * @returns {{app: Function, keys: Map<string, object>}}
+ */
+export function createMockKms({ token } = {}) {
+  const app = express();
+  const keys = new Map();
+
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      return res.status(401).json({ error: 'unauthorized' });
+    }
+    next();
+  });
+
+  app.post('/keys', (req, res) => {
+    const { usage, label } = req.body || {};
+    if (!['sign', 'derive'].includes(usage)) {
+      return res.status(400).json({ error: 'usage must be sign or derive' });
+    }
+
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const keyId = crypto.randomUUID();
+    keys.set(keyId, { usage, label, privateKey });
+
+    console.log(`🔑 Created ${usage} key ${keyId}${label ? ` (${label})` : ''}`);
+    res.status(201).json({ keyId, publicJwk: publicKey.export({ format: 'jwk' }) });
+  });
+
+  app.post('/keys/:keyId/sign', (req, res) => {
+    const key = keys.get(req.params.keyId);
+    if (!key || key.usage !== 'sign') {
+      return res.status(404).json({ error: 'key not found' });
+    }
+
+    const digest = Buffer.from(req.body?.digest || '', 'base64url');
+    if (digest.length !== 32) {
+      return res.status(400).json({ error: 'digest must be a SHA-256 hash' });
+    }
+
+    res.json({ signature: signDigest(key.privateKey, digest).toString('base64url') });
+  });
+
+  app.post('/keys/:keyId/derive', (req, res) => {
+    const key = keys.get(req.params.keyId);
+    if (!key || key.usage !== 'derive') {
+      return res.status(404).json({ error: 'key not found' });
+    }
+
+    try {
+      const sharedSecret = crypto.diffieHellman({
+        privateKey: key.privateKey,
+        publicKey: crypto.createPublicKey({ key: req.body?.publicJwk, format: 'jwk' })
+      });
+      res.json({ sharedSecret: sharedSecret.toString('base64url') });
+    } catch (error) {
+      res.status(400).json({ error: 'invalid publicJwk' });
+    }
+  });
+
+  app.delete('/keys/:keyId', (req, res) => {
+    keys.delete(req.params.keyId);
+    res.status(204).end();
+  });
+
+  return { app, keys };
+}
+
+/**
+ * ECDSA over a precomputed digest (node:crypto always hashes its input)
+ * @param {crypto.KeyObject} privateKey
+ * @param {Buffer} digest
+ * @returns {Buffer} r || s
+ */
+function signDigest(privateKey, digest) {
+  const d = BigInt(`0x${Buffer.from(privateKey.export({ format: 'jwk' }).d, 'base64url').toString('hex')}`);
+  const z = BigInt(`0x${digest.toString('hex')}`);
+  const ecdh = crypto.createECDH('prime256v1');
+
+  for (;;) {
+    const k = BigInt(`0x${crypto.randomBytes(32).toString('hex')}`);
+    if (k === 0n || k >= N) {
+      continue;
+    }
+
+    // x coordinate of k·G
+    ecdh.setPrivateKey(Buffer.from(k.toString(16).padStart(64, '0'), 'hex'));
+    const r = BigInt(`0x${ecdh.getPublicKey().subarray(1, 33).toString('hex')}`) % N;
+    const s = (modPow(k, N - 2n) * (z + r * d)) % N;
+
+    if (r !== 0n && s !== 0n) {
+      return Buffer.from(r.toString(16).padStart(64, '0') + s.toString(16).padStart(64, '0'), 'hex');
+    }
+  }
+}
+
+/**
+ * @param {bigint} base
+ * @param {bigint} exponent
+ * @returns {bigint} base^exponent mod N
+ */
+function modPow(base, exponent) {
+  let result = 1n;
+  base %= N;
+  while (exponent > 0n) {
+    if (exponent & 1n) {
+      result = (result * base) % N;
+    }
+    base = (base * base) % N;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+// Run as a service (npm run start:mock-kms)
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { app } = createMockKms({ token: process.env.MOCK_KMS_TOKEN });
+
+  app.listen(PORT, () => {
+    console.log(`🔐 Mock KMS running on http://localhost:${PORT}`);
+    console.log('⚠️  Keys are kept in memory only; do not use in production');
+  });
+}
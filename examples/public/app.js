@@ -2,15 +2,25 @@
  * Frontend application for Digital Credentials API demo
  */
 
+import { generateKeyPair, createProofJwt, createDpopProof, listDisclosures, createPresentation } from '/holder/index.js';
+
 const VERIFIER_URL = 'http://localhost:3000';
 const ISSUER_URL = 'http://localhost:3001';
+// ?zk asks the wallet for a Longfellow ZK proof (mso_mdoc_zk) instead of the mDL itself
+const MDL_FORMAT = new URLSearchParams(window.location.search).has('zk') ? 'mso_mdoc_zk' : 'mso_mdoc';
 
 let verificationSessionId = null;
-let holderPublicKey = null;
+let verificationReceipt = null;
+let holderKeyPair = null;
+let dpopKeyPair = null;
+let dpopNonce = null;
+let derivedCredential = null;
 
 // UI elements
 const verifyBtn = document.getElementById('verifyBtn');
 const requestDerivedBtn = document.getElementById('requestDerivedBtn');
+const offerToWalletBtn = document.getElementById('offerToWalletBtn');
+const presentDerivedBtn = document.getElementById('presentDerivedBtn');
 const statusDiv = document.getElementById('status');
 const resultDiv = document.getElementById('result');
 
@@ -25,45 +35,23 @@ async function verifyWithDigitalID() {
       return;
     }
 
-    showStatus('info', 'Fetching reader keys...');
+    showStatus('info', 'Creating verification request...');
 
-    // Get reader's public key from verifier
-    const jwksResponse = await fetch(`${VERIFIER_URL}/api/reader-jwks`);
-    const jwks = await jwksResponse.json();
-    const readerPublicKey = jwks.keys[0];
+    // The verifier mints the nonce and DCQL query (with the Longfellow
+    // circuits it accepts, for ZK) and tracks the session
+    const requestResponse = await fetch(`${VERIFIER_URL}/api/request`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ format: MDL_FORMAT })
+    });
+    const { sessionId, request, error } = await requestResponse.json();
 
-    showStatus('info', 'Requesting mDL from wallet...');
+    if (!request) {
+      showStatus('error', `Failed to create verification request${error ? `: ${error}` : ''}`);
+      return;
+    }
 
-    // Generate nonce for this session
-    const nonce = crypto.randomUUID();
-
-    // Create Digital Credentials API request
-    const request = {
-      protocol: "openid4vp-v1-unsigned",
-      data: {
-        response_type: "vp_token",
-        response_mode: "dc_api.jwt",
-        nonce: nonce,
-        client_id: window.location.origin,
-        client_metadata: {
-          jwks: { keys: [readerPublicKey] }
-        },
-        // DCQL query for age verification
-        dcql_query: {
-          credentials: [{
-            id: "mdl",
-            // For ZK with Google Wallet, use format: "mso_mdoc_zk"
-            // and add: meta: { zk_system_type: "longfellow" }
-            format: "mso_mdoc",
-            meta: { doctype_value: "org.iso.18013.5.1.mDL" },
-            claims: [
-              { path: ["org.iso.18013.5.1", "age_over_21"] },
-              { path: ["org.iso.18013.5.1", "not_expired"] }
-            ]
-          }]
-        }
-      }
-    };
+    showStatus('info', 'Requesting mDL from wallet...');
 
     // Request credential from wallet
     const credential = await navigator.credentials.get({
@@ -81,7 +69,7 @@ async function verifyWithDigitalID() {
     const verifyResponse = await fetch(`${VERIFIER_URL}/api/verify`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(credential.data)
+      body: JSON.stringify({ ...credential.data, sessionId })
     });
 
     const verifyResult = await verifyResponse.json();
@@ -91,15 +79,17 @@ async function verifyWithDigitalID() {
       return;
     }
 
-    // Store session for derived credential flow
+    // Store session and signed receipt for derived credential flow
     verificationSessionId = verifyResult.sessionId;
+    verificationReceipt = verifyResult.receipt;
 
     // Display results
     showStatus('success', 'Verification successful! ✓');
     displayResults(verifyResult);
 
-    // Show derived credential button
+    // Show derived credential buttons
     requestDerivedBtn.style.display = 'block';
+    offerToWalletBtn.style.display = 'block';
 
   } catch (error) {
     console.error('Verification error:', error);
@@ -112,16 +102,16 @@ async function verifyWithDigitalID() {
  */
 async function requestDerivedCredential() {
   try {
-    if (!verificationSessionId) {
+    if (!verificationReceipt) {
       showStatus('error', 'No verification session. Please verify your mDL first.');
       return;
     }
 
     showStatus('info', 'Generating holder key pair...');
 
-    // Generate ephemeral key pair for holder binding
-    const keyPair = await generateKeyPair();
-    holderPublicKey = keyPair.publicKey;
+    // Generate ephemeral key pairs for holder binding and for the DPoP-bound access token
+    holderKeyPair = await generateKeyPair();
+    dpopKeyPair = await generateKeyPair();
 
     showStatus('info', 'Requesting authorization...');
 
@@ -130,22 +120,23 @@ async function requestDerivedCredential() {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
+        verificationReceipt,
         verificationSessionId,
-        holderPublicKey
+        holderPublicKey: holderKeyPair.publicKey
       })
     });
 
     const authResult = await authResponse.json();
 
     if (!authResult.authorization_code) {
-      showStatus('error', 'Authorization failed');
+      showStatus('error', `Authorization failed: ${authResult.error_description || authResult.error || 'Unknown error'}`);
       return;
     }
 
     showStatus('info', 'Exchanging code for token...');
 
     // Step 2: Exchange code for access token
-    const tokenResponse = await fetch(`${ISSUER_URL}/token`, {
+    const tokenResponse = await fetchWithDpop(`${ISSUER_URL}/token`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -163,27 +154,37 @@ async function requestDerivedCredential() {
 
     showStatus('info', 'Issuing derived credential...');
 
-    // Step 3: Request credential
-    const credentialResponse = await fetch(`${ISSUER_URL}/credential`, {
+    // Step 3: Get a c_nonce and request the credential
+    const { c_nonce: cNonce } = await (await fetch(`${ISSUER_URL}/nonce`, { method: 'POST' })).json();
+
+    const credentialResponse = await fetchWithDpop(`${ISSUER_URL}/credential`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${tokenResult.access_token}`
+        'Authorization': `DPoP ${tokenResult.access_token}`
       },
       body: JSON.stringify({
-        format: 'vc+sd-jwt'
+        credential_configuration_id: 'derived-mdl-vc',
+        // Proof of possession of the holder key over the c_nonce
+        proofs: {
+          jwt: [await createProofJwt(holderKeyPair, { audience: ISSUER_URL, nonce: cNonce })]
+        }
       })
-    });
+    }, tokenResult.access_token);
 
     const credentialResult = await credentialResponse.json();
 
-    if (!credentialResult.credential) {
-      showStatus('error', 'Credential issuance failed');
+    if (!credentialResult.credentials) {
+      showStatus('error', `Credential issuance failed: ${credentialResult.error_description || credentialResult.error || 'Unknown error'}`);
       return;
     }
 
+    derivedCredential = credentialResult.credentials[0].credential;
+
     showStatus('success', 'Derived credential issued! ✓');
-    displayDerivedCredential(credentialResult.credential);
+    await displayDerivedCredential(derivedCredential);
+
+    presentDerivedBtn.style.display = 'block';
 
   } catch (error) {
     console.error('Derived credential error:', error);
@@ -192,25 +193,129 @@ async function requestDerivedCredential() {
 }
 
 /**
- * Generate P-256 key pair for holder binding
+ * Issuer request with a DPoP proof, retried once when the issuer asks for a
+ * (new) DPoP nonce
+ * @param {string} url
+ * @param {object} options - fetch options
+ * @param {string} [accessToken] - DPoP-bound access token the request carries
+ * @returns {Promise<Response>}
  */
-async function generateKeyPair() {
-  const keyPair = await crypto.subtle.generateKey(
-    {
-      name: 'ECDSA',
-      namedCurve: 'P-256'
-    },
-    true,
-    ['sign', 'verify']
-  );
-
-  const publicKeyJwk = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
-  const privateKeyJwk = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
-
-  return {
-    publicKey: publicKeyJwk,
-    privateKey: privateKeyJwk
+async function fetchWithDpop(url, options, accessToken) {
+  const send = async () => {
+    const dpop = await createDpopProof(dpopKeyPair, { method: options.method, url, accessToken, nonce: dpopNonce });
+    const response = await fetch(url, { ...options, headers: { ...options.headers, DPoP: dpop } });
+    dpopNonce = response.headers.get('DPoP-Nonce') || dpopNonce;
+    return response;
   };
+
+  const response = await send();
+  const error = response.ok ? null : (await response.clone().json().catch(() => ({}))).error;
+  return error === 'use_dpop_nonce' ? send() : response;
+}
+
+/**
+ * Exchange the verification receipt for an OID4VCI credential offer that a
+ * standard wallet redeems itself (pre-authorized code + tx_code)
+ */
+async function offerToWallet() {
+  try {
+    if (!verificationReceipt) {
+      showStatus('error', 'No verification session. Please verify your mDL first.');
+      return;
+    }
+
+    showStatus('info', 'Creating credential offer...');
+
+    const offerResponse = await fetch(`${ISSUER_URL}/credential-offer`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        verificationReceipt,
+        verificationSessionId,
+        tx_code: true
+      })
+    });
+
+    const offerResult = await offerResponse.json();
+
+    if (!offerResult.credential_offer) {
+      showStatus('error', `Credential offer failed: ${offerResult.error_description || offerResult.error || 'Unknown error'}`);
+      return;
+    }
+
+    // The receipt is single use, so the in-browser flow is no longer available
+    verificationReceipt = null;
+    requestDerivedBtn.style.display = 'none';
+    offerToWalletBtn.style.display = 'none';
+
+    showStatus('success', 'Credential offer created! Open it in your wallet ✓');
+    displayCredentialOffer(offerResult);
+
+  } catch (error) {
+    console.error('Credential offer error:', error);
+    showStatus('error', `Error: ${error.message}`);
+  }
+}
+
+/**
+ * Present the derived credential to the verifier (OID4VP direct_post),
+ * disclosing only the claims the verifier asks for
+ */
+async function presentDerivedCredential() {
+  try {
+    if (!derivedCredential) {
+      showStatus('error', 'No derived credential. Please request one first.');
+      return;
+    }
+
+    showStatus('info', 'Requesting presentation request...');
+
+    const requestResponse = await fetch(`${VERIFIER_URL}/api/vc/request`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ claims: ['over21'] })
+    });
+    const { request } = await requestResponse.json();
+
+    if (!request) {
+      showStatus('error', 'Failed to create presentation request');
+      return;
+    }
+
+    showStatus('info', 'Creating presentation...');
+
+    // Reveal only the requested claims, bound to this verifier and nonce
+    const [credentialQuery] = request.dcql_query.credentials;
+    const presentation = await createPresentation(derivedCredential, {
+      disclose: credentialQuery.claims.map(claim => claim.path),
+      keyPair: holderKeyPair,
+      audience: request.client_id,
+      nonce: request.nonce
+    });
+
+    const verifyResponse = await fetch(request.response_uri, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        vp_token: { [credentialQuery.id]: [presentation] },
+        state: request.state
+      })
+    });
+
+    const verifyResult = await verifyResponse.json();
+
+    if (!verifyResult.ok) {
+      showStatus('error', `Presentation failed: ${verifyResult.details || verifyResult.error || 'Unknown error'}`);
+      return;
+    }
+
+    showStatus('success', 'Derived credential accepted! ✓');
+    displayResults({ predicates: verifyResult.claims, sessionId: verifyResult.sessionId });
+
+  } catch (error) {
+    console.error('Presentation error:', error);
+    showStatus('error', `Error: ${error.message}`);
+  }
 }
 
 /**
@@ -248,28 +353,64 @@ function displayResults(result) {
 }
 
 /**
- * Display derived credential
+ * Display derived credential and the claims it can disclose
  */
-function displayDerivedCredential(sdJwt) {
-  const parts = sdJwt.split('~');
-  const jwt = parts[0];
+async function displayDerivedCredential(sdJwt) {
+  const disclosures = await listDisclosures(sdJwt);
   
   let html = '<h3>Derived Credential (SD-JWT VC)</h3>';
   html += `
     <div class="result-item">
       <span class="result-label">Format</span>
-      <span class="result-value">vc+sd-jwt</span>
+      <span class="result-value">dc+sd-jwt</span>
+    </div>
+  `;
+
+  for (const { path, value } of disclosures) {
+    html += `
+      <div class="result-item">
+        <span class="result-label">${path.join('.')}</span>
+        <span class="result-value">${typeof value === 'object' ? '{…}' : value}</span>
+      </div>
+    `;
+  }
+
+  resultDiv.innerHTML = html;
+  resultDiv.classList.add('show');
+}
+
+/**
+ * Display a credential offer: wallet link, QR payload and transaction code
+ */
+function displayCredentialOffer(offerResult) {
+  // Offer links are URL-encoded by the issuer, so they are safe to insert
+  let html = '<h3>Credential Offer</h3>';
+  html += `
+    <div class="result-item">
+      <span class="result-label">Wallet link</span>
+      <span class="result-value"><a href="${offerResult.links.by_reference}">Open in wallet</a></span>
     </div>
     <div class="result-item">
-      <span class="result-label">Disclosures</span>
-      <span class="result-value">${parts.length - 2}</span>
+      <span class="result-label">QR payload</span>
+      <span class="result-value"><code>${offerResult.qr_payload}</code></span>
     </div>
+  `;
+
+  if (offerResult.tx_code) {
+    html += `
+      <div class="result-item">
+        <span class="result-label">Transaction code</span>
+        <span class="result-value">${offerResult.tx_code}</span>
+      </div>
+    `;
+  }
+
+  html += `
     <div class="result-item">
-      <span class="result-label">JWT Length</span>
-      <span class="result-value">${jwt.length} chars</span>
+      <span class="result-label">Expires in</span>
+      <span class="result-value">${Math.round(offerResult.expires_in / 60)} min</span>
     </div>
   `;
-  html += '<div class="code">' + sdJwt.substring(0, 200) + '...</div>';
 
   resultDiv.innerHTML = html;
   resultDiv.classList.add('show');
@@ -286,6 +427,8 @@ function showStatus(type, message) {
 // Event listeners
 verifyBtn.addEventListener('click', verifyWithDigitalID);
 requestDerivedBtn.addEventListener('click', requestDerivedCredential);
+offerToWalletBtn.addEventListener('click', offerToWallet);
+presentDerivedBtn.addEventListener('click', presentDerivedCredential);
 
 // Check API availability on load
 window.addEventListener('DOMContentLoaded', () => {
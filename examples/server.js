@@ -16,6 +16,9 @@ const PORT = process.env.EXAMPLE_PORT || 8080;
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Holder library (browser-compatible ESM) imported by app.js
+app.use('/holder', express.static(path.join(__dirname, '..', 'holder')));
+
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
@@ -0,0 +1,43 @@
+/**
+ * BBS derived proofs
+ * Turns an issued bbs-2023 credential into a presentation that reveals only
+ * the chosen claims. Every derived proof is freshly randomized, so two
+ * presentations of the same credential cannot be linked by the proof.
+ *
+ * Needs the JSON-LD/BBS packages, so it is not part of the WebCrypto-only
+ * holder/index.js; import it directly (Node.js or a bundler).
+ */
+
+import { createDiscloseCryptosuite } from '@digitalbazaar/bbs-2023-cryptosuite';
+import { DataIntegrityProof } from '@digitalbazaar/data-integrity';
+import jsigs from 'jsonld-signatures';
+import { createDocumentLoader } from '../common/documentLoader.js';
+
+const { purposes: { AssertionProofPurpose } } = jsigs;
+
+/**
+ * Derive a selectively disclosed BBS credential
+ * @param {object} credential - Issued credential with a bbs-2023 base proof
+ * @param {object} options
+ * @param {Array<string>} options.disclose - credentialSubject claim names or JSON pointers to reveal
+ * @param {string} options.nonce - Nonce from the relying party's request (bound as the presentation header)
+ * @returns {Promise<object>} Credential with a derived proof
+ */
+export async function deriveBbsPresentation(credential, { disclose = [], nonce }) {
+  if (!nonce) {
+    throw new Error('nonce is required to derive a presentation');
+  }
+
+  const selectivePointers = disclose.map(claim => (claim.startsWith('/') ? claim : `/credentialSubject/${claim}`));
+
+  return jsigs.derive(credential, {
+    suite: new DataIntegrityProof({
+      cryptosuite: createDiscloseCryptosuite({
+        selectivePointers,
+        presentationHeader: new TextEncoder().encode(nonce)
+      })
+    }),
+    purpose: new AssertionProofPurpose(),
+    documentLoader: createDocumentLoader()
+  });
+}
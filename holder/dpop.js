@@ -0,0 +1,38 @@
+/**
+ * DPoP proofs (RFC 9449)
+ * The dpop+jwt a client sends with /token and /credential requests to prove
+ * possession of the key its access token is bound to
+ */
+
+import { signJwt, toPublicJwk, base64url } from './keys.js';
+
+const encoder = new TextEncoder();
+
+/**
+ * Create a DPoP proof for one HTTP request
+ * @param {object} keyPair - From generateKeyPair
+ * @param {object} request
+ * @param {string} request.method - HTTP method (htm)
+ * @param {string} request.url - Request URL (htu)
+ * @param {string} [request.accessToken] - Access token sent with the request (ath)
+ * @param {string} [request.nonce] - Server nonce from the last DPoP-Nonce header
+ * @returns {Promise<string>} DPoP proof JWT
+ */
+export async function createDpopProof(keyPair, { method, url, accessToken, nonce }) {
+  const ath = accessToken
+    ? base64url(new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(accessToken))))
+    : undefined;
+
+  return signJwt(
+    keyPair,
+    { typ: 'dpop+jwt', jwk: toPublicJwk(keyPair.publicKey) },
+    {
+      jti: crypto.randomUUID(),
+      htm: method,
+      htu: url,
+      iat: Math.floor(Date.now() / 1000),
+      ...(ath && { ath }),
+      ...(nonce && { nonce })
+    }
+  );
+}
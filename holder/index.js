@@ -0,0 +1,9 @@
+/**
+ * Holder module exports
+ * Browser- and Node.js-compatible (WebCrypto only)
+ */
+
+export { generateKeyPair, signJwt } from './keys.js';
+export { createProofJwt } from './proof.js';
+export { createDpopProof } from './dpop.js';
+export { listDisclosures, createPresentation } from './presentation.js';
@@ -0,0 +1,91 @@
+/**
+ * Holder keys and JWS signing
+ * Uses WebCrypto only, so the holder library runs in browsers and Node.js alike
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Generate a P-256 key pair for holder binding
+ * @returns {Promise<{publicKey: object, privateKey: object, signingKey: CryptoKey}>} JWKs plus the WebCrypto signing key
+ */
+export async function generateKeyPair() {
+  const keyPair = await crypto.subtle.generateKey(
+    {
+      name: 'ECDSA',
+      namedCurve: 'P-256'
+    },
+    true,
+    ['sign', 'verify']
+  );
+
+  const publicKeyJwk = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+  const privateKeyJwk = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
+
+  return {
+    publicKey: publicKeyJwk,
+    privateKey: privateKeyJwk,
+    signingKey: keyPair.privateKey
+  };
+}
+
+/**
+ * Sign a compact ES256 JWS
+ * @param {object} keyPair - From generateKeyPair (a stored pair without signingKey is imported from privateKey)
+ * @param {object} header - Protected header; alg is set to ES256
+ * @param {object} payload - JWT claims
+ * @returns {Promise<string>}
+ */
+export async function signJwt(keyPair, header, payload) {
+  const signingKey = keyPair.signingKey || await crypto.subtle.importKey(
+    'jwk',
+    keyPair.privateKey,
+    { name: 'ECDSA', namedCurve: 'P-256' },
+    false,
+    ['sign']
+  );
+
+  const encode = value => base64url(encoder.encode(JSON.stringify(value)));
+  const signingInput = `${encode({ ...header, alg: 'ES256' })}.${encode(payload)}`;
+
+  // WebCrypto ECDSA signatures are already in JWS (r || s) form
+  const signature = await crypto.subtle.sign(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    signingKey,
+    encoder.encode(signingInput)
+  );
+
+  return `${signingInput}.${base64url(new Uint8Array(signature))}`;
+}
+
+/**
+ * Public part of a holder JWK
+ * @param {object} jwk
+ * @returns {{kty: string, crv: string, x: string, y: string}}
+ */
+export function toPublicJwk({ kty, crv, x, y }) {
+  return { kty, crv, x, y };
+}
+
+/**
+ * Base64url-encode bytes without padding
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function base64url(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url to a UTF-8 string
+ * @param {string} value
+ * @returns {string}
+ */
+export function decodeBase64url(value) {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+}
@@ -0,0 +1,184 @@
+/**
+ * SD-JWT+KB presentations
+ * Lets a holder choose which disclosures of an issued SD-JWT VC to reveal and
+ * binds the presentation to a relying party with a Key Binding JWT
+ */
+
+import { signJwt, base64url, decodeBase64url } from './keys.js';
+
+// _sd_alg values → WebCrypto digest names
+const HASH_ALGORITHMS = {
+  'sha-256': 'SHA-256',
+  'sha-384': 'SHA-384',
+  'sha-512': 'SHA-512'
+};
+
+const encoder = new TextEncoder();
+
+/**
+ * List the disclosures of an issued SD-JWT VC with the claim path each one reveals
+ * Paths follow DCQL claims paths: object property names and array indexes
+ * @param {string} sdJwt - <JWT>~<disclosure>~...~ as issued (a trailing KB-JWT is ignored)
+ * @returns {Promise<Array<{disclosure: string, path: Array<string|number>, value: *}>>}
+ */
+export async function listDisclosures(sdJwt) {
+  const { payload, disclosures } = splitSdJwt(sdJwt);
+  const algorithm = getDigestAlgorithm(payload._sd_alg || 'sha-256');
+
+  // digest → { disclosure, decoded }
+  const byDigest = new Map();
+  for (const disclosure of disclosures) {
+    byDigest.set(await digest(disclosure, algorithm), {
+      disclosure,
+      decoded: JSON.parse(decodeBase64url(disclosure))
+    });
+  }
+
+  const entries = [];
+
+  const walk = (value, path) => {
+    if (Array.isArray(value)) {
+      value.forEach((element, index) => {
+        const found = isArrayElementDigest(element) && byDigest.get(element['...']);
+        if (found) {
+          const [, elementValue] = found.decoded;
+          entries.push({ disclosure: found.disclosure, path: [...path, index], value: elementValue });
+          walk(elementValue, [...path, index]);
+        } else {
+          walk(element, [...path, index]);
+        }
+      });
+      return;
+    }
+
+    if (value === null || typeof value !== 'object') {
+      return;
+    }
+
+    for (const [name, property] of Object.entries(value)) {
+      if (name !== '_sd' && name !== '_sd_alg') {
+        walk(property, [...path, name]);
+      }
+    }
+
+    for (const hash of value._sd || []) {
+      const found = byDigest.get(hash);
+      if (found) {
+        const [, name, propertyValue] = found.decoded;
+        entries.push({ disclosure: found.disclosure, path: [...path, name], value: propertyValue });
+        walk(propertyValue, [...path, name]);
+      }
+    }
+  };
+
+  walk(payload, []);
+
+  return entries;
+}
+
+/**
+ * Create an SD-JWT+KB presentation revealing only the chosen claims
+ * A claim path reveals the disclosures needed to reach it and everything below
+ * it; null in a path matches every array element (as in DCQL)
+ * @param {string} sdJwt - Issued SD-JWT VC
+ * @param {object} options
+ * @param {Array<string|Array<string|number|null>>} options.disclose - Claim names or claim paths to reveal
+ * @param {object} options.keyPair - Holder key pair from generateKeyPair (the credential's cnf key)
+ * @param {string} options.audience - Relying party client_id (KB-JWT aud)
+ * @param {string} options.nonce - Nonce from the relying party's request
+ * @returns {Promise<string>} <JWT>~<disclosure>~...~<KB-JWT>
+ */
+export async function createPresentation(sdJwt, { disclose = [], keyPair, audience, nonce }) {
+  if (!keyPair || !audience || !nonce) {
+    throw new Error('keyPair, audience and nonce are required to create a presentation');
+  }
+
+  const { jwt, payload } = splitSdJwt(sdJwt);
+  const requested = disclose.map(path => (Array.isArray(path) ? path : [path]));
+
+  const selected = (await listDisclosures(sdJwt))
+    .filter(({ path }) => requested.some(claimPath => pathsOverlap(path, claimPath)))
+    .map(({ disclosure }) => disclosure);
+
+  const presented = `${jwt}~${selected.map(disclosure => `${disclosure}~`).join('')}`;
+
+  const kbJwt = await signJwt(keyPair, { typ: 'kb+jwt' }, {
+    iat: Math.floor(Date.now() / 1000),
+    aud: audience,
+    nonce,
+    // Covers the issuer JWT and exactly the disclosures revealed
+    sd_hash: await digest(presented, getDigestAlgorithm(payload._sd_alg || 'sha-256'))
+  });
+
+  return `${presented}${kbJwt}`;
+}
+
+/**
+ * Split an SD-JWT and decode its (unverified) issuer payload
+ * @param {string} sdJwt
+ * @returns {{jwt: string, payload: object, disclosures: Array<string>}}
+ */
+function splitSdJwt(sdJwt) {
+  const parts = sdJwt.split('~');
+
+  if (parts.length < 2) {
+    throw new Error('Malformed SD-JWT: missing ~ separator');
+  }
+
+  return {
+    jwt: parts[0],
+    payload: JSON.parse(decodeBase64url(parts[0].split('.')[1])),
+    disclosures: parts.slice(1, -1)
+  };
+}
+
+/**
+ * Whether one claim path is a prefix of the other
+ * @param {Array<string|number>} disclosurePath
+ * @param {Array<string|number|null>} claimPath
+ * @returns {boolean}
+ */
+function pathsOverlap(disclosurePath, claimPath) {
+  const length = Math.min(disclosurePath.length, claimPath.length);
+
+  for (let i = 0; i < length; i++) {
+    const matches = claimPath[i] === null
+      ? typeof disclosurePath[i] === 'number'
+      : claimPath[i] === disclosurePath[i];
+    if (!matches) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * @param {*} element
+ * @returns {boolean}
+ */
+function isArrayElementDigest(element) {
+  return element !== null && typeof element === 'object' && !Array.isArray(element) &&
+    Object.keys(element).length === 1 && '...' in element;
+}
+
+/**
+ * @param {string} value - ASCII input
+ * @param {string} algorithm - WebCrypto digest name
+ * @returns {Promise<string>} base64url digest
+ */
+async function digest(value, algorithm) {
+  return base64url(new Uint8Array(await crypto.subtle.digest(algorithm, encoder.encode(value))));
+}
+
+/**
+ * @param {string} hashAlg - _sd_alg value
+ * @returns {string} WebCrypto digest name
+ */
+function getDigestAlgorithm(hashAlg) {
+  const algorithm = HASH_ALGORITHMS[hashAlg];
+  if (!algorithm) {
+    throw new Error(`Unsupported _sd_alg ${hashAlg}`);
+  }
+  return algorithm;
+}
@@ -0,0 +1,27 @@
+/**
+ * OID4VCI key proof
+ * The openid4vci-proof+jwt a holder sends to /credential to prove possession
+ * of the key the credential will be bound to
+ */
+
+import { signJwt, toPublicJwk } from './keys.js';
+
+/**
+ * Create a key proof over the issuer's c_nonce
+ * @param {object} keyPair - From generateKeyPair
+ * @param {object} options
+ * @param {string} options.audience - Credential issuer identifier
+ * @param {string} options.nonce - c_nonce from the issuer's nonce endpoint
+ * @returns {Promise<string>} Proof JWT
+ */
+export async function createProofJwt(keyPair, { audience, nonce }) {
+  return signJwt(
+    keyPair,
+    { typ: 'openid4vci-proof+jwt', jwk: toPublicJwk(keyPair.publicKey) },
+    {
+      aud: audience,
+      iat: Math.floor(Date.now() / 1000),
+      nonce
+    }
+  );
+}
@@ -0,0 +1,185 @@
+/**
+ * BBS Data Integrity credential issuance and verification
+ * W3C VC 2.0 credentials with a bbs-2023 proof: the holder derives a fresh,
+ * unlinkable proof for every presentation, revealing only chosen claims
+ */
+
+import * as Bls12381Multikey from '@digitalbazaar/bls12-381-multikey';
+import { createSignCryptosuite, createVerifyCryptosuite } from '@digitalbazaar/bbs-2023-cryptosuite';
+import { DataIntegrityProof } from '@digitalbazaar/data-integrity';
+import jsigs from 'jsonld-signatures';
+import { getIssuerBbsKeys, getCredentialIssuer } from './keys.js';
+import { DERIVED_VC_TYPE, DERIVED_VC_TTL } from './issueCredential.js';
+import { createDocumentLoader } from '../common/documentLoader.js';
+
+const { purposes: { AssertionProofPurpose } } = jsigs;
+
+const BBS_CREDENTIAL_TYPE = 'DerivedMdlCredential';
+const BBS_CRYPTOSUITE = 'bbs-2023';
+const DAY = 24 * 60 * 60 * 1000;
+
+// Derived claim names are terms in the derived VC vocabulary
+const BBS_CONTEXT = [
+  'https://www.w3.org/ns/credentials/v2',
+  { '@vocab': `${DERIVED_VC_TYPE}#` }
+];
+
+// Disclosed in every presentation; everything else is up to the holder
+const MANDATORY_POINTERS = ['/issuer', '/validUntil'];
+
+/**
+ * Issuer identifier and controller document for its BBS key
+ * @returns {Promise<object>} Controlled identifier document
+ */
+export async function getBbsControllerDocument() {
+  const issuer = getCredentialIssuer();
+  const { publicKeyMultibase } = await getIssuerBbsKeys();
+
+  return {
+    '@context': 'https://www.w3.org/ns/cid/v1',
+    id: issuer,
+    assertionMethod: [{
+      id: `${issuer}#bbs-key-1`,
+      type: 'Multikey',
+      controller: issuer,
+      publicKeyMultibase
+    }]
+  };
+}
+
+/**
+ * Issue a BBS credential
+ * No id, credentialStatus or holder key is embedded and validUntil is rounded
+ * up to UTC midnight, so nothing in a presentation is unique to one credential
+ * @param {object} options
+ * @param {object} options.claims - Claims to include (derived from verified predicates)
+ * @returns {Promise<{credential: object, format: string}>}
+ */
+export async function issueBbsCredential({ claims }) {
+  try {
+    const controller = await getBbsControllerDocument();
+    const [verificationMethod] = controller.assertionMethod;
+
+    const keyPair = await Bls12381Multikey.from({
+      ...verificationMethod,
+      secretKeyMultibase: (await getIssuerBbsKeys()).secretKeyMultibase
+    });
+
+    const credential = {
+      '@context': BBS_CONTEXT,
+      type: ['VerifiableCredential', BBS_CREDENTIAL_TYPE],
+      issuer: controller.id,
+      validUntil: new Date(Math.ceil((Date.now() + DERIVED_VC_TTL * 1000) / DAY) * DAY)
+        .toISOString().replace('.000Z', 'Z'),
+      credentialSubject: claims
+    };
+
+    const suite = new DataIntegrityProof({
+      signer: keyPair.signer(),
+      cryptosuite: createSignCryptosuite({ mandatoryPointers: MANDATORY_POINTERS })
+    });
+
+    return {
+      credential: await jsigs.sign(credential, {
+        suite,
+        purpose: new AssertionProofPurpose(),
+        documentLoader: createDocumentLoader()
+      }),
+      format: 'ldp_vc'
+    };
+
+  } catch (error) {
+    console.error('BBS credential issuance error:', error);
+    throw new Error(`Failed to issue BBS credential: ${error.message}`);
+  }
+}
+
+/**
+ * Verify a derived (selectively disclosed) BBS credential presented to a relying party
+ * @param {object} credential - Credential with a derived bbs-2023 proof
+ * @param {object} options
+ * @param {string} options.nonce - Nonce the relying party issued (the proof's presentation header)
+ * @param {object} [options.controller] - Trusted issuer controller document (defaults to this issuer's)
+ * @returns {Promise<{valid: boolean, claims?: object, issuer?: string, expiresAt?: number, error?: string}>}
+ */
+export async function verifyBbsPresentation(credential, { nonce, controller }) {
+  try {
+    if (!nonce) {
+      throw new Error('nonce is required to verify a presentation');
+    }
+
+    const trustedController = controller || await getBbsControllerDocument();
+
+    if (credential?.proof?.cryptosuite !== BBS_CRYPTOSUITE) {
+      return {
+        valid: false,
+        error: `Proof cryptosuite must be ${BBS_CRYPTOSUITE}`
+      };
+    }
+
+    if (credential.issuer !== trustedController.id) {
+      return {
+        valid: false,
+        error: `Credential issuer ${credential.issuer} is not trusted`
+      };
+    }
+
+    // Only the trusted controller's keys can be resolved
+    const documents = Object.fromEntries(
+      trustedController.assertionMethod.map(method => [method.id, method])
+    );
+
+    // The presentation header is compared below rather than passed as
+    // expectedPresentationHeader, which fails with an opaque TypeError on mismatch
+    const cryptosuite = createVerifyCryptosuite();
+
+    const result = await jsigs.verify(credential, {
+      suite: new DataIntegrityProof({ cryptosuite }),
+      purpose: new AssertionProofPurpose({ controller: trustedController }),
+      documentLoader: createDocumentLoader(documents)
+    });
+
+    if (!result.verified) {
+      const errors = result.error?.errors || [result.error];
+      return {
+        valid: false,
+        error: errors.filter(Boolean).map(e => e.message).join('; ') || 'Invalid proof'
+      };
+    }
+
+    // The header is signed into the derived proof, so this binds it to the nonce
+    const presentationHeader = cryptosuite.results.lastParsedProof?.presentationHeader;
+    if (!presentationHeader || Buffer.from(presentationHeader).toString('utf-8') !== nonce) {
+      return {
+        valid: false,
+        error: 'Presentation nonce mismatch'
+      };
+    }
+
+    const expiresAt = Date.parse(credential.validUntil);
+    if (!(expiresAt > Date.now())) {
+      return {
+        valid: false,
+        error: 'Credential expired'
+      };
+    }
+
+    const { id, type, ...claims } = credential.credentialSubject || {};
+
+    return {
+      valid: true,
+      claims,
+      issuer: credential.issuer,
+      expiresAt: Math.floor(expiresAt / 1000)
+    };
+
+  } catch (error) {
+    console.error('BBS presentation verification error:', error);
+    return {
+      valid: false,
+      error: error.message
+    };
+  }
+}
+
+export { BBS_CONTEXT, BBS_CREDENTIAL_TYPE, BBS_CRYPTOSUITE };
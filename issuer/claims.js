@@ -0,0 +1,103 @@
+/**
+ * Derived VC claims
+ * Each claim the issuer can put in a derived credential, and the verified
+ * predicate that proves it
+ */
+
+// name → how the claim value is derived from verified predicates (undefined = not proven)
+const CLAIM_DEFINITIONS = {
+  over18: {
+    derive: predicates => predicates.over18 === true ? true : undefined,
+    display: [{ name: 'Over 18', locale: 'en-US' }]
+  },
+  over21: {
+    derive: predicates => predicates.over21 === true ? true : undefined,
+    display: [{ name: 'Over 21', locale: 'en-US' }]
+  },
+  over65: {
+    derive: predicates => predicates.over65 === true ? true : undefined,
+    display: [{ name: 'Over 65', locale: 'en-US' }]
+  },
+  residentState: {
+    derive: predicates => typeof predicates.residentState === 'string' && predicates.residentState
+      ? predicates.residentState
+      : undefined,
+    display: [{ name: 'State of Residence', locale: 'en-US' }]
+  },
+  notExpired: {
+    derive: predicates => predicates.notExpired === true ? true : undefined,
+    display: [{ name: 'Not Expired', locale: 'en-US' }]
+  }
+};
+
+/**
+ * Claims this issuer offers: DERIVED_VC_CLAIMS (comma-separated) or all known claims
+ * @returns {Array<string>}
+ */
+export function getSupportedClaims() {
+  const configured = process.env.DERIVED_VC_CLAIMS;
+  if (!configured) {
+    return Object.keys(CLAIM_DEFINITIONS);
+  }
+
+  const claims = configured.split(',').map(c => c.trim()).filter(Boolean);
+  const unknown = claims.filter(c => !CLAIM_DEFINITIONS[c]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown claim(s) in DERIVED_VC_CLAIMS: ${unknown.join(', ')}`);
+  }
+  return claims;
+}
+
+/**
+ * Credential metadata for the supported claims (OID4VCI claims description)
+ * @param {Array<string>} [parentPath] - Path of the object holding the claims, e.g. ['credentialSubject']
+ * @returns {Array<{path: Array<string>, display: Array<object>}>}
+ */
+export function getClaimsMetadata(parentPath = []) {
+  return getSupportedClaims().map(name => ({
+    path: [...parentPath, name],
+    display: CLAIM_DEFINITIONS[name].display
+  }));
+}
+
+/**
+ * Derive the claim set from verified predicates
+ * Requested claims must all be proven; without a request, every supported
+ * claim that was proven is included
+ * @param {object} predicates - Predicates from the verification receipt
+ * @param {Array<string>} [requestedClaims] - Claims the client asked for
+ * @returns {{claims?: object, code?: string, error?: string}}
+ */
+export function deriveClaims(predicates, requestedClaims) {
+  const supported = getSupportedClaims();
+
+  if (requestedClaims) {
+    const unsupported = requestedClaims.filter(name => !supported.includes(name));
+    if (unsupported.length > 0) {
+      return { code: 'invalid_request', error: `Unsupported claim(s): ${unsupported.join(', ')}` };
+    }
+  }
+
+  const names = requestedClaims || supported;
+  const claims = {};
+  const unproven = [];
+
+  for (const name of names) {
+    const value = CLAIM_DEFINITIONS[name].derive(predicates);
+    if (value === undefined) {
+      unproven.push(name);
+    } else {
+      claims[name] = value;
+    }
+  }
+
+  if (requestedClaims && unproven.length > 0) {
+    return { code: 'access_denied', error: `Verification did not prove: ${unproven.join(', ')}` };
+  }
+
+  if (Object.keys(claims).length === 0) {
+    return { code: 'access_denied', error: 'Verification did not prove any supported claim' };
+  }
+
+  return { claims };
+}
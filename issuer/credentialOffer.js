@@ -0,0 +1,185 @@
+/**
+ * OID4VCI credential offers (pre-authorized code flow)
+ * After a successful mDL check, the verification receipt is exchanged for a
+ * credential offer a standard wallet can redeem: the wallet opens the
+ * openid-credential-offer:// link (or scans it as a QR code), redeems the
+ * pre-authorized code at /token, optionally with a tx_code shown to the user
+ * out of band, and fetches the credential from /credential.
+ */
+
+import crypto from 'crypto';
+import { getSessionStore } from './sessionStore.js';
+
+const PRE_AUTHORIZED_CODE_GRANT = 'urn:ietf:params:oauth:grant-type:pre-authorized_code';
+const CREDENTIAL_OFFER_SCHEME = 'openid-credential-offer://';
+
+const PRE_AUTHORIZED_CODE_TTL = parseInt(process.env.PRE_AUTHORIZED_CODE_TTL || '600'); // 10 minutes
+const TX_CODE_LENGTH = parseInt(process.env.TX_CODE_LENGTH || '6');
+const TX_CODE_MAX_ATTEMPTS = parseInt(process.env.TX_CODE_MAX_ATTEMPTS || '3');
+
+/**
+ * Create a credential offer with a single-use pre-authorized code
+ * @param {object} options
+ * @param {string} options.credentialIssuer - Credential issuer identifier
+ * @param {Array<string>} options.configurationIds - Offered credential configuration ids
+ * @param {object} options.session - Session data the code grants access to (claims, trust, ...)
+ * @param {boolean} [options.txCode] - Require a transaction code at /token
+ * @returns {Promise<{offer: object, offerUri: string, txCode?: string, expiresIn: number}>}
+ */
+export async function createCredentialOffer({ credentialIssuer, configurationIds, session, txCode = false }) {
+  const store = getSessionStore();
+  const offerId = crypto.randomBytes(32).toString('base64url');
+  const preAuthorizedCode = crypto.randomBytes(32).toString('base64url');
+  const transactionCode = txCode ? generateTxCode() : undefined;
+
+  const offer = {
+    credential_issuer: credentialIssuer,
+    credential_configuration_ids: configurationIds,
+    grants: {
+      [PRE_AUTHORIZED_CODE_GRANT]: {
+        'pre-authorized_code': preAuthorizedCode,
+        ...(transactionCode && {
+          tx_code: {
+            input_mode: 'numeric',
+            length: TX_CODE_LENGTH,
+            description: 'Enter the code shown after your mDL check'
+          }
+        })
+      }
+    }
+  };
+
+  // The access token the code is exchanged for only issues what was offered
+  await store.put('pre_auth_code', preAuthorizedCode, {
+    ...session,
+    credentialConfigurationIds: configurationIds,
+    offerId,
+    ...(transactionCode && { txCodeHash: hashTxCode(transactionCode), txCodeAttempts: 0 }),
+    expiresAt: Date.now() + PRE_AUTHORIZED_CODE_TTL * 1000
+  }, PRE_AUTHORIZED_CODE_TTL);
+
+  await store.put('credential_offer', offerId, offer, PRE_AUTHORIZED_CODE_TTL);
+
+  return {
+    offer,
+    offerUri: `${credentialIssuer}/credential-offer/${offerId}`,
+    ...(transactionCode && { txCode: transactionCode }),
+    expiresIn: PRE_AUTHORIZED_CODE_TTL
+  };
+}
+
+/**
+ * Look up an offer passed by reference (credential_offer_uri)
+ * @param {string} offerId
+ * @returns {Promise<object|null>} Credential offer, or null once redeemed or expired
+ */
+export async function getCredentialOffer(offerId) {
+  if (typeof offerId !== 'string' || !offerId) {
+    return null;
+  }
+  return await getSessionStore().get('credential_offer', offerId);
+}
+
+/**
+ * Redeem a pre-authorized code (single use)
+ * A wrong tx_code leaves the code usable for TX_CODE_MAX_ATTEMPTS tries in total
+ * @param {string} preAuthorizedCode
+ * @param {string|number} [tx] - tx_code; JSON token requests may send the numeric code as a number
+ * @returns {Promise<{valid: boolean, session?: object, code?: string, error?: string}>}
+ */
+export async function redeemPreAuthorizedCode(preAuthorizedCode, tx) {
+  if (typeof preAuthorizedCode !== 'string' || !preAuthorizedCode) {
+    return invalid('invalid_request', 'Missing pre-authorized_code');
+  }
+
+  // A number has lost the code's leading zeros
+  const txCode = Number.isSafeInteger(tx) && tx >= 0 ? String(tx).padStart(TX_CODE_LENGTH, '0') : tx;
+
+  // Taken out of the store first, so concurrent redemptions get it at most once
+  const store = getSessionStore();
+  const stored = await store.consume('pre_auth_code', preAuthorizedCode);
+  if (!stored) {
+    return invalid('invalid_grant', 'Invalid, expired or already used pre-authorized code');
+  }
+
+  const { offerId, txCodeHash, txCodeAttempts, expiresAt, ...session } = stored;
+  const restore = data => restorePreAuthorizedCode(preAuthorizedCode, data);
+
+  if (!txCodeHash && txCode !== undefined) {
+    await restore(stored);
+    return invalid('invalid_request', 'This offer does not use a tx_code');
+  }
+
+  if (txCodeHash) {
+    if (typeof txCode !== 'string' || !txCode) {
+      await restore(stored);
+      return invalid('invalid_request', 'tx_code is required');
+    }
+
+    if (!crypto.timingSafeEqual(Buffer.from(hashTxCode(txCode), 'hex'), Buffer.from(txCodeHash, 'hex'))) {
+      const attempts = txCodeAttempts + 1;
+      if (attempts < TX_CODE_MAX_ATTEMPTS) {
+        await restore({ ...stored, txCodeAttempts: attempts });
+      } else {
+        await store.delete('credential_offer', offerId);
+      }
+      return invalid('invalid_grant', 'Invalid tx_code');
+    }
+  }
+
+  // A redeemed offer can no longer be fetched by reference
+  await store.delete('credential_offer', offerId);
+
+  return { valid: true, session };
+}
+
+/**
+ * Put a pre-authorized code back for another try, with its original expiry
+ * @param {string} preAuthorizedCode
+ * @param {object} data - Stored code data
+ */
+async function restorePreAuthorizedCode(preAuthorizedCode, data) {
+  const ttlSeconds = Math.ceil((data.expiresAt - Date.now()) / 1000);
+  if (ttlSeconds > 0) {
+    await getSessionStore().put('pre_auth_code', preAuthorizedCode, data, ttlSeconds);
+  }
+}
+
+/**
+ * Wallet links for an offer
+ * @param {object} offer
+ * @param {string} offerUri
+ * @returns {{byValue: string, byReference: string}}
+ */
+export function getCredentialOfferUrls(offer, offerUri) {
+  return {
+    byValue: `${CREDENTIAL_OFFER_SCHEME}?credential_offer=${encodeURIComponent(JSON.stringify(offer))}`,
+    byReference: `${CREDENTIAL_OFFER_SCHEME}?credential_offer_uri=${encodeURIComponent(offerUri)}`
+  };
+}
+
+/**
+ * @returns {string} Random numeric transaction code
+ */
+function generateTxCode() {
+  return Array.from({ length: TX_CODE_LENGTH }, () => crypto.randomInt(10)).join('');
+}
+
+/**
+ * @param {string} txCode
+ * @returns {string}
+ */
+function hashTxCode(txCode) {
+  return crypto.createHash('sha256').update(txCode).digest('hex');
+}
+
+/**
+ * @param {string} code
+ * @param {string} error
+ * @returns {{valid: boolean, code: string, error: string}}
+ */
+function invalid(code, error) {
+  return { valid: false, code, error };
+}
+
+export { PRE_AUTHORIZED_CODE_GRANT, PRE_AUTHORIZED_CODE_TTL };
@@ -0,0 +1,155 @@
+/**
+ * OAuth 2.0 DPoP (RFC 9449)
+ * Sender-constrained access tokens: the client proves possession of a key with
+ * a DPoP proof JWT at /token, the access token is bound to that key's
+ * thumbprint, and every /credential request must carry a fresh proof by the
+ * same key over the token (ath)
+ */
+
+import crypto from 'crypto';
+import { jwtVerify, decodeProtectedHeader, importJWK, calculateJwkThumbprint } from 'jose';
+import { getSessionStore } from './sessionStore.js';
+
+const DPOP_TYPE = 'dpop+jwt';
+const DPOP_ALGORITHMS = ['ES256', 'ES384', 'ES512', 'EdDSA'];
+const DPOP_MAX_AGE = parseInt(process.env.DPOP_MAX_AGE || '300'); // 5 minutes
+const DPOP_CLOCK_TOLERANCE = 60;
+const DPOP_NONCE_TTL = parseInt(process.env.DPOP_NONCE_TTL || '300'); // 5 minutes
+// Require proofs over a server-provided nonce (DPoP-Nonce), unless DPOP_NONCE_REQUIRED=false
+const DPOP_NONCE_REQUIRED = process.env.DPOP_NONCE_REQUIRED !== 'false';
+
+/**
+ * Validate a DPoP proof
+ * @param {string} proof - DPoP request header
+ * @param {object} request
+ * @param {string} request.method - HTTP method of the request (htm)
+ * @param {string} request.url - Public URL of the request, without query or fragment (htu)
+ * @param {string} [request.accessToken] - Access token sent with the proof (ath), if any
+ * @param {string} [request.jkt] - Thumbprint of the key the access token is bound to
+ * @returns {Promise<{valid: boolean, jkt?: string, code?: string, error?: string}>}
+ */
+export async function validateDpopProof(proof, { method, url, accessToken, jkt }) {
+  if (typeof proof !== 'string' || !proof || proof.includes(',')) {
+    return invalid('invalid_dpop_proof', 'Exactly one DPoP proof is required');
+  }
+
+  let header;
+  try {
+    header = decodeProtectedHeader(proof);
+  } catch (error) {
+    return invalid('invalid_dpop_proof', `Malformed DPoP proof: ${error.message}`);
+  }
+
+  if (header.typ !== DPOP_TYPE) {
+    return invalid('invalid_dpop_proof', `DPoP proof typ must be ${DPOP_TYPE}`);
+  }
+
+  if (!DPOP_ALGORITHMS.includes(header.alg)) {
+    return invalid('invalid_dpop_proof', `Unsupported DPoP proof alg ${header.alg}`);
+  }
+
+  if (!header.jwk || header.jwk.d) {
+    return invalid('invalid_dpop_proof', 'DPoP proof must carry a public jwk');
+  }
+
+  const { kty, crv, x, y } = header.jwk;
+  const jwk = { kty, crv, x, ...(y && { y }) };
+
+  let payload;
+  try {
+    ({ payload } = await jwtVerify(proof, await importJWK(jwk, header.alg), {
+      algorithms: [header.alg],
+      typ: DPOP_TYPE,
+      maxTokenAge: DPOP_MAX_AGE,
+      clockTolerance: DPOP_CLOCK_TOLERANCE,
+      requiredClaims: ['jti', 'htm', 'htu', 'iat']
+    }));
+  } catch (error) {
+    return invalid('invalid_dpop_proof', `DPoP proof verification failed: ${error.message}`);
+  }
+
+  if (payload.htm !== method) {
+    return invalid('invalid_dpop_proof', 'DPoP proof htm does not match the request method');
+  }
+
+  if (normalizeHtu(payload.htu) !== normalizeHtu(url)) {
+    return invalid('invalid_dpop_proof', 'DPoP proof htu does not match the request URL');
+  }
+
+  if (accessToken !== undefined) {
+    const ath = crypto.createHash('sha256').update(accessToken).digest('base64url');
+    if (payload.ath !== ath) {
+      return invalid('invalid_dpop_proof', 'DPoP proof ath does not match the access token');
+    }
+  }
+
+  const thumbprint = await calculateJwkThumbprint(jwk);
+  if (jkt !== undefined && thumbprint !== jkt) {
+    return invalid('invalid_dpop_proof', 'DPoP proof key does not match the access token binding');
+  }
+
+  if (DPOP_NONCE_REQUIRED && !await isCurrentDpopNonce(payload.nonce)) {
+    return invalid('use_dpop_nonce', 'DPoP proof must use the nonce from the DPoP-Nonce header');
+  }
+
+  // Checked last, so a proof rejected for a missing nonce can't burn its jti
+  const fresh = await getSessionStore().add(
+    'dpop_jti',
+    `${thumbprint}:${payload.jti}`,
+    { usedAt: Date.now() },
+    DPOP_MAX_AGE + 2 * DPOP_CLOCK_TOLERANCE
+  );
+  if (!fresh) {
+    return invalid('invalid_dpop_proof', 'DPoP proof jti has already been used');
+  }
+
+  return { valid: true, jkt: thumbprint };
+}
+
+/**
+ * Issue a server nonce for DPoP proofs (sent in the DPoP-Nonce header)
+ * Nonces may be used by several proofs until they expire; proofs stay single
+ * use through their jti
+ * @returns {Promise<string>}
+ */
+export async function createDpopNonce() {
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  await getSessionStore().put('dpop_nonce', nonce, { createdAt: Date.now() }, DPOP_NONCE_TTL);
+  return nonce;
+}
+
+/**
+ * @param {string} nonce
+ * @returns {Promise<boolean>}
+ */
+async function isCurrentDpopNonce(nonce) {
+  if (typeof nonce !== 'string' || !nonce) {
+    return false;
+  }
+  return await getSessionStore().get('dpop_nonce', nonce) !== null;
+}
+
+/**
+ * htu comparison ignores query and fragment (RFC 9449 §4.3)
+ * @param {string} url
+ * @returns {string|null}
+ */
+function normalizeHtu(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @param {string} code
+ * @param {string} error
+ * @returns {{valid: false, code: string, error: string}}
+ */
+function invalid(code, error) {
+  return { valid: false, code, error };
+}
+
+export { DPOP_ALGORITHMS, DPOP_NONCE_REQUIRED };
@@ -2,6 +2,20 @@
  * Issuer module exports
  */
 
-export { issueCredential, verifyCredential } from './issueCredential.js';
-export { getIssuerKeys } from './keys.js';
-
+export { issueCredential, verifyCredential, verifySdJwtPresentation } from './issueCredential.js';
+export { issueBbsCredential, verifyBbsPresentation, getBbsControllerDocument } from './bbsCredential.js';
+export { getCredentialIssuer, getIssuerKeys, getIssuerJwks, signIssuerJwt, rotateIssuerKeys, getIssuerBbsKeys } from './keys.js';
+export { createStatusListToken, setCredentialStatus, checkCredentialStatus } from './statusList.js';
+export { validateDpopProof, createDpopNonce } from './dpop.js';
+export { createCredentialOffer, getCredentialOffer, redeemPreAuthorizedCode, getCredentialOfferUrls } from './credentialOffer.js';
+export {
+  getSessionStore,
+  setSessionStore,
+  createSessionStore,
+  createAuthorizationCode,
+  consumeAuthorizationCode,
+  createAccessToken,
+  getAccessToken,
+  createCNonce,
+  consumeCNonce
+} from './sessionStore.js';
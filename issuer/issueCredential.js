@@ -3,75 +3,93 @@
  * Creates selective disclosure JWT VCs with holder binding
  */
 
-import { SignJWT, importJWK } from 'jose';
-import { getIssuerKeys } from './keys.js';
+import { importJWK, jwtVerify, createLocalJWKSet } from 'jose';
+import { signIssuerJwt, getIssuerJwks, getCredentialIssuer } from './keys.js';
+import { createDisclosures, reconstructClaims, parseSdJwt, digest, getDigestAlgorithm } from './sdJwt.js';
+import { allocateStatusIndex, checkCredentialStatus } from './statusList.js';
 import crypto from 'crypto';
 
 const DERIVED_VC_TTL = parseInt(process.env.DERIVED_VC_TTL || '86400'); // 24 hours
+const KB_JWT_MAX_AGE = parseInt(process.env.KB_JWT_MAX_AGE || '300'); // 5 minutes
+const DERIVED_VC_IAT_JITTER = parseInt(process.env.DERIVED_VC_IAT_JITTER || '3600'); // 1 hour
+
+// SD-JWT VC type of the derived credential
+const DERIVED_VC_TYPE = 'https://example.com/derived-mdl-vc';
+
+// Registered JWT / SD-JWT VC claims, reported separately from the credential claims
+const METADATA_CLAIMS = ['iss', 'sub', 'iat', 'nbf', 'exp', 'jti', 'vct', 'cnf', 'status'];
+
+// KB-JWT algorithm each holder key type may sign with (the proof algorithms)
+const KB_JWT_ALGORITHMS = {
+  'EC:P-256': 'ES256',
+  'EC:P-384': 'ES384',
+  'EC:P-521': 'ES512',
+  'OKP:Ed25519': 'EdDSA'
+};
 
 /**
  * Issue an SD-JWT VC
  * @param {object} options
  * @param {object} options.holderPublicKey - Holder's public key (JWK)
  * @param {string} options.verificationSessionId - Reference to mDL verification
- * @param {object} options.claims - Claims to include
- * @returns {Promise<{sdJwt: string, disclosures: Array, kbJwt?: string}>}
+ * @param {object} options.claims - Claims to include (derived from verified predicates)
+ * @returns {Promise<{sdJwt: string, disclosures: Array, credentialId: string, status: object}>}
  */
 export async function issueCredential({ holderPublicKey, verificationSessionId, claims }) {
   try {
-    const { privateJwk, publicJwk } = await getIssuerKeys();
-    const issuerKey = await importJWK(privateJwk, 'ES256');
+    // 1. Create disclosures for selective disclosure (with decoys, sorted _sd)
+    const { payload: sdPayload, disclosures } = createDisclosures(claims);
 
-    // 1. Create disclosures for selective disclosure
-    const { disclosures, disclosureDigests } = createDisclosures(claims);
+    // 2. Allocate a status list index so the credential can be revoked
+    // The verification it was derived from is only recorded issuer-side
+    const credentialId = crypto.randomUUID();
+    const status = await allocateStatusIndex({ credentialId, verificationSessionId, ttlSeconds: DERIVED_VC_TTL });
 
-    // 2. Build SD-JWT payload
-    const now = Math.floor(Date.now() / 1000);
+    // 3. Build SD-JWT payload
+    // iat is randomly backdated so credentials issued together (e.g. one batch)
+    // cannot be linked by their timestamps
+    const iat = Math.floor(Date.now() / 1000) - crypto.randomInt(DERIVED_VC_IAT_JITTER + 1);
     const payload = {
       // Standard VC claims
-      iss: `http://localhost:${process.env.ISSUER_PORT || 3001}`,
+      iss: getCredentialIssuer(),
       sub: holderPublicKey.kid || crypto.createHash('sha256')
         .update(JSON.stringify(holderPublicKey))
         .digest('hex').substring(0, 16),
-      iat: now,
-      exp: now + DERIVED_VC_TTL,
+      iat,
+      exp: iat + DERIVED_VC_TTL,
+      jti: credentialId,
       
       // VC type
-      vct: 'https://example.com/derived-mdl-vc',
+      vct: DERIVED_VC_TYPE,
       
       // Selective disclosure digests
-      _sd: disclosureDigests,
+      ...sdPayload,
       
       // Holder binding
       cnf: {
         jwk: holderPublicKey
       },
+
+      // Revocation status (Token Status List)
+      status,
       
       // Metadata
-      _sd_alg: 'sha-256',
-      derivedFrom: {
-        type: 'mDL-verification',
-        sessionId: verificationSessionId
-      }
+      _sd_alg: 'sha-256'
     };
 
-    // 3. Sign the JWT
-    const jwt = await new SignJWT(payload)
-      .setProtectedHeader({ 
-        alg: 'ES256',
-        typ: 'vc+sd-jwt',
-        kid: publicJwk.kid || 'issuer-key-1'
-      })
-      .sign(issuerKey);
+    // 4. Sign the JWT
+    const jwt = await signIssuerJwt({ typ: 'dc+sd-jwt' }, payload);
 
-    // 4. Combine JWT with disclosures
+    // 5. Combine JWT with disclosures
     // Format: <JWT>~<disclosure1>~<disclosure2>~...~
     const sdJwt = `${jwt}~${disclosures.join('~')}~`;
 
     return {
       sdJwt,
       disclosures,
-      format: 'vc+sd-jwt'
+      credentialId,
+      status,
+      format: 'dc+sd-jwt'
     };
 
   } catch (error) {
@@ -80,58 +98,39 @@ export async function issueCredential({ holderPublicKey, verificationSessionId,
   }
 }
 
-/**
- * Create selective disclosures for claims
- * @param {object} claims 
- * @returns {{disclosures: Array<string>, disclosureDigests: Array<string>}}
- */
-function createDisclosures(claims) {
-  const disclosures = [];
-  const disclosureDigests = [];
-
-  for (const [key, value] of Object.entries(claims)) {
-    // Create disclosure: [salt, claim_name, claim_value]
-    const salt = crypto.randomBytes(16).toString('base64url');
-    const disclosure = [salt, key, value];
-    
-    // Base64url encode the disclosure
-    const disclosureString = Buffer.from(JSON.stringify(disclosure))
-      .toString('base64url');
-    
-    disclosures.push(disclosureString);
-    
-    // Create digest for the JWT payload
-    const digest = crypto.createHash('sha256')
-      .update(disclosureString, 'utf-8')
-      .digest('base64url');
-    
-    disclosureDigests.push(digest);
-  }
-
-  return { disclosures, disclosureDigests };
-}
-
 /**
  * Verify an SD-JWT VC
+ * Checks typ dc+sd-jwt, the signature, iss, vct, expiry and status
  * @param {string} sdJwt - The SD-JWT VC string
- * @param {object} issuerPublicKey - Issuer's public key (JWK)
- * @returns {Promise<{valid: boolean, claims?: object, error?: string}>}
+ * @param {object|Function} issuerPublicKey - Issuer's public key (JWK), or a jose key set such as createLocalJWKSet
+ * @param {object} [options]
+ * @param {string} [options.issuer] - Expected iss (defaults to this issuer)
+ * @param {string} [options.vct] - Expected vct
+ * @returns {Promise<{valid: boolean, claims?: object, holder?: object, issuer?: string, vct?: string, sdAlg?: string, status?: string, error?: string}>}
  */
-export async function verifyCredential(sdJwt, issuerPublicKey) {
+export async function verifyCredential(sdJwt, issuerPublicKey, { issuer = getCredentialIssuer(), vct = DERIVED_VC_TYPE } = {}) {
   try {
-    // Parse SD-JWT
-    const parts = sdJwt.split('~');
-    const jwt = parts[0];
-    const disclosures = parts.slice(1, -1); // Last part is empty
+    // Parse SD-JWT (a trailing KB-JWT is ignored here, see verifySdJwtPresentation)
+    const { jwt, disclosures } = parseSdJwt(sdJwt);
 
     // Verify JWT signature
-    const { jwtVerify } = await import('jose');
-    const issuerKey = await importJWK(issuerPublicKey, 'ES256');
+    const issuerKey = typeof issuerPublicKey === 'function'
+      ? issuerPublicKey
+      : await importJWK(issuerPublicKey, 'ES256');
     
     const { payload } = await jwtVerify(jwt, issuerKey, {
-      algorithms: ['ES256']
+      algorithms: ['ES256'],
+      typ: 'dc+sd-jwt',
+      issuer
     });
 
+    if (payload.vct !== vct) {
+      return {
+        valid: false,
+        error: `Unexpected credential type ${payload.vct}`
+      };
+    }
+
     // Check expiration
     const now = Math.floor(Date.now() / 1000);
     if (payload.exp && payload.exp < now) {
@@ -141,28 +140,31 @@ export async function verifyCredential(sdJwt, issuerPublicKey) {
       };
     }
 
-    // Decode disclosures
-    const claims = {};
-    for (const disclosure of disclosures) {
-      const [salt, key, value] = JSON.parse(
-        Buffer.from(disclosure, 'base64url').toString('utf-8')
-      );
-      
-      // Verify digest
-      const digest = crypto.createHash('sha256')
-        .update(disclosure, 'utf-8')
-        .digest('base64url');
-      
-      if (payload._sd && payload._sd.includes(digest)) {
-        claims[key] = value;
+    // Revoked or suspended credentials are not valid (status list is fetched and cached)
+    if (payload.status) {
+      const status = await checkCredentialStatus(payload.status, issuerKey);
+      if (status !== 'valid') {
+        return {
+          valid: false,
+          status,
+          error: `Credential ${status}`
+        };
       }
     }
 
+    // Reconstruct the disclosed claim tree (rejects duplicate or unreferenced digests)
+    const reconstructed = reconstructClaims(payload, disclosures);
+    const claims = Object.fromEntries(
+      Object.entries(reconstructed).filter(([name]) => !METADATA_CLAIMS.includes(name))
+    );
+
     return {
       valid: true,
       claims,
       holder: payload.cnf?.jwk,
       issuer: payload.iss,
+      vct: payload.vct,
+      sdAlg: payload._sd_alg || 'sha-256',
       issuedAt: payload.iat,
       expiresAt: payload.exp
     };
@@ -176,3 +178,97 @@ export async function verifyCredential(sdJwt, issuerPublicKey) {
   }
 }
 
+/**
+ * Verify an SD-JWT+KB presentation received by a relying party
+ * Verifies the SD-JWT VC, then the Key Binding JWT against cnf.jwk: typ kb+jwt,
+ * aud, nonce, iat window and sd_hash over the presented SD-JWT
+ * @param {string} presentation - <JWT>~<disclosure>~...~<KB-JWT>
+ * @param {object} options
+ * @param {string} options.audience - Expected KB-JWT aud (the relying party)
+ * @param {string} options.nonce - Nonce the relying party issued for this presentation
+ * @param {object|Function} [options.issuerPublicKey] - Issuer public JWK or key set (defaults to this issuer's published keys)
+ * @param {string} [options.issuer] - Expected credential iss (defaults to this issuer)
+ * @returns {Promise<{valid: boolean, claims?: object, holder?: object, issuer?: string, vct?: string, issuedAt?: number, expiresAt?: number, error?: string}>}
+ */
+export async function verifySdJwtPresentation(presentation, { audience, nonce, issuerPublicKey, issuer }) {
+  try {
+    if (!audience || !nonce) {
+      throw new Error('audience and nonce are required to verify a presentation');
+    }
+
+    const { kbJwt, sdJwt } = parseSdJwt(presentation);
+
+    if (!kbJwt) {
+      return {
+        valid: false,
+        error: 'Presentation has no Key Binding JWT'
+      };
+    }
+
+    const credential = await verifyCredential(
+      sdJwt,
+      issuerPublicKey || createLocalJWKSet(await getIssuerJwks()),
+      { issuer }
+    );
+
+    if (!credential.valid) {
+      return credential;
+    }
+
+    if (!credential.holder) {
+      return {
+        valid: false,
+        error: 'Credential has no cnf.jwk to verify key binding against'
+      };
+    }
+
+    // Key Binding JWT, signed by the holder key the credential is bound to,
+    // with the one algorithm that key type implies (never the header's choice)
+    const alg = KB_JWT_ALGORITHMS[`${credential.holder.kty}:${credential.holder.crv}`];
+    if (!alg) {
+      return {
+        valid: false,
+        error: `Unsupported cnf.jwk key type ${credential.holder.kty} ${credential.holder.crv}`
+      };
+    }
+    const holderKey = await importJWK(credential.holder, alg);
+
+    const { payload } = await jwtVerify(kbJwt, holderKey, {
+      algorithms: [alg],
+      typ: 'kb+jwt',
+      audience,
+      maxTokenAge: KB_JWT_MAX_AGE,
+      clockTolerance: 60,
+      requiredClaims: ['iat', 'nonce', 'sd_hash']
+    });
+
+    if (payload.nonce !== nonce) {
+      return {
+        valid: false,
+        error: 'Key Binding JWT nonce mismatch'
+      };
+    }
+
+    // sd_hash covers the issuer JWT and exactly the disclosures presented,
+    // hashed with the credential's _sd_alg
+    const sdHash = digest(sdJwt, getDigestAlgorithm(credential.sdAlg));
+
+    if (payload.sd_hash !== sdHash) {
+      return {
+        valid: false,
+        error: 'Key Binding JWT sd_hash does not match the presented SD-JWT'
+      };
+    }
+
+    return credential;
+
+  } catch (error) {
+    console.error('Presentation verification error:', error);
+    return {
+      valid: false,
+      error: error.message
+    };
+  }
+}
+
+export { DERIVED_VC_TYPE, DERIVED_VC_TTL };
@@ -1,36 +1,105 @@
 /**
- * Key management for issuer keys
- * P-256 key pair for SD-JWT VC signing
+ * Issuer identity and key management
+ * The credential issuer identifier (public base URL), P-256 signing keys for SD-JWT VCs and status lists, rotated on a schedule,
+ * and a BLS12-381 key pair for BBS credentials
+ *
+ * Signing keys are held by the configured key provider (KEY_PROVIDER). BBS keys
+ * are not: HSMs and KMSs don't offer BLS12-381, so they stay env/file based.
+ *
+ * Signing keys are published in every state: the next key before it signs
+ * anything, and retired keys until every token they signed has expired.
  */
 
-import { generateKeyPair, exportJWK } from 'jose';
+import * as Bls12381Multikey from '@digitalbazaar/bls12-381-multikey';
 import fs from 'fs/promises';
+import { createKeyRing } from '../common/keyRing.js';
 
 const KEY_FILE = '.issuer-keys.json';
+const BBS_KEY_FILE = '.issuer-bbs-keys.json';
+
+const signingKeys = createKeyRing({
+  name: 'issuer',
+  file: KEY_FILE,
+  use: 'sig',
+  alg: 'ES256',
+  rotationInterval: parseInt(process.env.ISSUER_KEY_ROTATION_INTERVAL || '2592000'), // 30 days, 0 disables
+  // Longest lifetime of anything the issuer signs (derived VCs by default)
+  retention: parseInt(process.env.ISSUER_KEY_RETENTION || process.env.DERIVED_VC_TTL || '86400'),
+  environment: { publicJwk: 'ISSUER_PUBLIC_JWK', privateJwk: 'ISSUER_PRIVATE_JWK' }
+});
+
+/**
+ * Credential issuer identifier: the public base URL wallets and verifiers
+ * reach the issuer at (ISSUER_URL), used as iss and in metadata
+ * @returns {string}
+ */
+export function getCredentialIssuer() {
+  return (process.env.ISSUER_URL || `http://localhost:${process.env.ISSUER_PORT || 3001}`).replace(/\/+$/, '');
+}
 
 /**
- * Get or generate issuer key pair
- * @returns {Promise<{publicJwk: object, privateJwk: object}>}
+ * Get the active issuer signing key (the private key stays with the key provider)
+ * @returns {Promise<{publicJwk: object}>}
  */
 export async function getIssuerKeys() {
+  const { publicJwk } = await signingKeys.getActiveKey();
+  return { publicJwk };
+}
+
+/**
+ * Sign a JWT with the active issuer key (ES256, kid set)
+ * @param {object} header - Protected header, e.g. { typ }
+ * @param {object} payload
+ * @returns {Promise<string>} Compact JWS
+ */
+export async function signIssuerJwt(header, payload) {
+  return signingKeys.signJwt(header, payload);
+}
+
+/**
+ * Public issuer signing keys: active, next and retired keys still in use
+ * @returns {Promise<{keys: Array<object>}>} JWK Set
+ */
+export async function getIssuerJwks() {
+  return signingKeys.getJwks();
+}
+
+/**
+ * Issuer signing key set, rotated when the active key is due and with
+ * retired keys dropped once everything they signed has expired
+ * @returns {Promise<Array<{kid: string, state: string, publicJwk: object, provider: string, key: object, activatedAt?: number, expiresAt?: number}>>}
+ */
+export async function getIssuerKeySet() {
+  return signingKeys.getKeys();
+}
+
+/**
+ * Rotate now: the next key becomes active and the active key is retired
+ * (e.g. on suspected compromise, or before the schedule)
+ * @returns {Promise<Array<object>>} The rotated key set
+ */
+export async function rotateIssuerKeys() {
+  return signingKeys.rotate();
+}
+
+/**
+ * Get or generate the issuer BBS key pair (BLS12-381 G2, for bbs-2023 proofs)
+ * @returns {Promise<{publicKeyMultibase: string, secretKeyMultibase: string}>}
+ */
+export async function getIssuerBbsKeys() {
   // Try loading from environment first
-  if (process.env.ISSUER_PUBLIC_JWK && process.env.ISSUER_PRIVATE_JWK) {
-    try {
-      return {
-        publicJwk: JSON.parse(process.env.ISSUER_PUBLIC_JWK),
-        privateJwk: JSON.parse(process.env.ISSUER_PRIVATE_JWK)
-      };
-    } catch (error) {
-      console.error('Failed to parse issuer keys from environment:', error);
-    }
+  if (process.env.ISSUER_BBS_PUBLIC_KEY && process.env.ISSUER_BBS_SECRET_KEY) {
+    return {
+      publicKeyMultibase: process.env.ISSUER_BBS_PUBLIC_KEY,
+      secretKeyMultibase: process.env.ISSUER_BBS_SECRET_KEY
+    };
   }
 
   // Try loading from file
   try {
-    const keysJson = await fs.readFile(KEY_FILE, 'utf-8');
-    const keys = JSON.parse(keysJson);
-    
-    if (keys.publicJwk && keys.privateJwk) {
+    const keys = JSON.parse(await fs.readFile(BBS_KEY_FILE, 'utf-8'));
+
+    if (keys.publicKeyMultibase && keys.secretKeyMultibase) {
       return keys;
     }
   } catch (error) {
@@ -38,26 +107,24 @@ export async function getIssuerKeys() {
   }
 
   // Generate new key pair
-  console.log('🔑 Generating new issuer key pair (P-256)...');
-  const keyPair = await generateKeyPair('ES256');
-  const publicJwk = await exportJWK(keyPair.publicKey);
-  const privateJwk = await exportJWK(keyPair.privateKey);
-
-  // Add key ID
-  publicJwk.kid = 'issuer-key-1';
-  privateJwk.kid = 'issuer-key-1';
+  console.log('🔑 Generating new issuer BBS key pair (BLS12-381)...');
+  const keyPair = await Bls12381Multikey.generateBbsKeyPair({
+    algorithm: Bls12381Multikey.ALGORITHMS.BBS_BLS12381_SHA256
+  });
+  const { publicKeyMultibase, secretKeyMultibase } = await keyPair.export({
+    publicKey: true,
+    secretKey: true
+  });
 
-  const keys = { publicJwk, privateJwk };
+  const keys = { publicKeyMultibase, secretKeyMultibase };
 
   // Save to file for persistence
   try {
-    await fs.writeFile(KEY_FILE, JSON.stringify(keys, null, 2));
-    console.log(`✅ Issuer keys saved to ${KEY_FILE}`);
-    console.log('⚠️  For production, move these keys to environment variables or secure storage');
+    await fs.writeFile(BBS_KEY_FILE, JSON.stringify(keys, null, 2), { mode: 0o600 });
+    console.log(`✅ Issuer BBS keys saved to ${BBS_KEY_FILE}`);
   } catch (error) {
-    console.error('Failed to save keys to file:', error);
+    console.error('Failed to save BBS keys to file:', error);
   }
 
   return keys;
 }
-
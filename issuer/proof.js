@@ -0,0 +1,158 @@
+/**
+ * OID4VCI key proof validation
+ * Verifies the openid4vci-proof+jwt sent to /credential so the credential is
+ * bound to a key the holder has proven possession of
+ */
+
+import { jwtVerify, decodeProtectedHeader, importJWK, calculateJwkThumbprint } from 'jose';
+import { consumeCNonce } from './sessionStore.js';
+
+const PROOF_TYPE = 'openid4vci-proof+jwt';
+const PROOF_MAX_AGE = parseInt(process.env.PROOF_MAX_AGE || '300'); // 5 minutes
+const PROOF_ALGORITHMS = ['ES256', 'ES384', 'ES512', 'EdDSA'];
+
+/**
+ * Validate the key proofs of a batch credential request
+ * Every proof must be over the same c_nonce and for a different key, so each
+ * credential in the batch is bound to its own key and cannot be linked to the
+ * others. A grant with a pinned holder key only issues for that key (no batch)
+ * @param {object} proofs - Credential request `proofs` ({ jwt: [...] })
+ * @param {object} context
+ * @param {string} context.audience - Credential issuer identifier
+ * @param {object} [context.holderPublicKey] - Key announced at /authorize, if any
+ * @param {number} [context.batchSize] - Most proofs accepted
+ * @returns {Promise<{valid: boolean, jwks?: Array<object>, code?: string, error?: string}>}
+ */
+export async function validateProofs(proofs, { audience, holderPublicKey, batchSize = 1 }) {
+  const jwts = proofs?.jwt;
+  if (!Array.isArray(jwts) || jwts.length === 0 || !jwts.every(jwt => typeof jwt === 'string')) {
+    return invalid('invalid_proof', 'proofs.jwt must be a non-empty array of proof JWTs');
+  }
+
+  if (jwts.length > batchSize) {
+    return invalid('invalid_credential_request', `At most ${batchSize} proofs per request`);
+  }
+
+  // A key pinned at /authorize binds the grant to that one key, while a batch
+  // needs a different key per credential
+  if (holderPublicKey && jwts.length > 1) {
+    return invalid('invalid_credential_request', 'Batch issuance needs a grant without a holderPublicKey pinned at /authorize');
+  }
+
+  const verified = [];
+  for (const jwt of jwts) {
+    const result = await verifyProofJwt(jwt, { audience, holderPublicKey });
+    if (!result.valid) {
+      return result;
+    }
+    verified.push(result);
+  }
+
+  if (new Set(verified.map(p => p.nonce)).size !== 1) {
+    return invalid('invalid_proof', 'All proofs must use the same c_nonce');
+  }
+
+  const thumbprints = await Promise.all(verified.map(p => calculateJwkThumbprint(p.jwk)));
+  if (new Set(thumbprints).size !== thumbprints.length) {
+    return invalid('invalid_proof', 'Each proof must be signed with a different key');
+  }
+
+  // c_nonce is single use
+  if (!await consumeCNonce(verified[0].nonce)) {
+    return invalid('invalid_nonce', 'Proof nonce is not a current c_nonce');
+  }
+
+  return { valid: true, jwks: verified.map(p => p.jwk) };
+}
+
+/**
+ * Verify one proof JWT (everything but the c_nonce, which is checked once per request)
+ * @param {string} jwt
+ * @param {object} context
+ * @param {string} context.audience
+ * @param {object} [context.holderPublicKey]
+ * @returns {Promise<{valid: boolean, jwk?: object, nonce?: string, code?: string, error?: string}>}
+ */
+async function verifyProofJwt(jwt, { audience, holderPublicKey }) {
+  let header;
+  try {
+    header = decodeProtectedHeader(jwt);
+  } catch (error) {
+    return invalid('invalid_proof', `Malformed proof JWT: ${error.message}`);
+  }
+
+  if (header.typ !== PROOF_TYPE) {
+    return invalid('invalid_proof', `Proof typ must be ${PROOF_TYPE}`);
+  }
+
+  if (!PROOF_ALGORITHMS.includes(header.alg)) {
+    return invalid('invalid_proof', `Unsupported proof alg ${header.alg}`);
+  }
+
+  // The proof key: an embedded jwk, or a kid naming the key announced at /authorize
+  const { jwk, error: keyError } = resolveProofKey(header, holderPublicKey);
+  if (!jwk) {
+    return invalid('invalid_proof', keyError);
+  }
+
+  let payload;
+  try {
+    ({ payload } = await jwtVerify(jwt, await importJWK(jwk, header.alg), {
+      algorithms: [header.alg],
+      typ: PROOF_TYPE,
+      audience,
+      maxTokenAge: PROOF_MAX_AGE,
+      clockTolerance: 60,
+      requiredClaims: ['iat', 'nonce']
+    }));
+  } catch (error) {
+    return invalid('invalid_proof', `Proof verification failed: ${error.message}`);
+  }
+
+  // The key must be the one announced at /authorize, when one was
+  if (holderPublicKey && await calculateJwkThumbprint(jwk) !== await calculateJwkThumbprint(holderPublicKey)) {
+    return invalid('invalid_proof', 'Proof key does not match the key sent to /authorize');
+  }
+
+  return { valid: true, jwk, nonce: payload.nonce };
+}
+
+/**
+ * Resolve the public key a proof JWT is signed with
+ * @param {object} header - Proof JWT protected header
+ * @param {object} [holderPublicKey]
+ * @returns {{jwk?: object, error?: string}}
+ */
+function resolveProofKey(header, holderPublicKey) {
+  if (header.jwk && header.kid) {
+    return { error: 'Proof header must contain either jwk or kid, not both' };
+  }
+
+  if (header.jwk) {
+    if (header.jwk.d) {
+      return { error: 'Proof jwk must not contain a private key' };
+    }
+    const { kty, crv, x, y } = header.jwk;
+    return { jwk: { kty, crv, x, ...(y && { y }) } };
+  }
+
+  if (header.kid) {
+    if (holderPublicKey?.kid !== header.kid) {
+      return { error: `Unknown proof kid ${header.kid}` };
+    }
+    return { jwk: holderPublicKey };
+  }
+
+  return { error: 'Proof header must contain jwk or kid' };
+}
+
+/**
+ * @param {string} code
+ * @param {string} error
+ * @returns {{valid: false, code: string, error: string}}
+ */
+function invalid(code, error) {
+  return { valid: false, code, error };
+}
+
+export { PROOF_TYPE, PROOF_ALGORITHMS };
@@ -0,0 +1,69 @@
+/**
+ * Fixed-window rate limiting per client IP
+ * Counts are kept in memory, so every replica enforces the limit on its own
+ */
+
+const RATE_LIMIT_WINDOW = 60; // seconds
+const MAX_TRACKED_CLIENTS = 10000;
+
+/**
+ * Create an Express middleware that answers 429 once a client IP has made
+ * more than `limit` requests in the current window
+ * @param {object} options
+ * @param {number} options.limit - Requests per window and client IP (0 = unlimited)
+ * @param {number} [options.windowSeconds] - Window length
+ * @returns {Function} Express middleware
+ */
+export function createRateLimiter({ limit, windowSeconds = RATE_LIMIT_WINDOW }) {
+  // client IP → { count, resetAt }
+  const windows = new Map();
+
+  return function rateLimit(req, res, next) {
+    if (!limit) {
+      return next();
+    }
+
+    const now = Date.now();
+    let window = windows.get(req.ip);
+
+    if (!window || now >= window.resetAt) {
+      windows.delete(req.ip);
+      if (windows.size >= MAX_TRACKED_CLIENTS) {
+        prune(windows, now);
+      }
+      window = { count: 0, resetAt: now + windowSeconds * 1000 };
+      windows.set(req.ip, window);
+    }
+
+    if (++window.count > limit) {
+      res.set('Retry-After', String(Math.ceil((window.resetAt - now) / 1000)));
+      return res.status(429).json({
+        error: 'too_many_requests',
+        error_description: 'Too many requests, try again later'
+      });
+    }
+
+    return next();
+  };
+}
+
+/**
+ * Drop finished windows, and the oldest ones if that is not enough
+ * @param {Map} windows
+ * @param {number} now
+ */
+function prune(windows, now) {
+  for (const [ip, window] of windows) {
+    if (now >= window.resetAt) {
+      windows.delete(ip);
+    }
+  }
+
+  // Windows are inserted in start order, so the first ones are the oldest
+  for (const ip of windows.keys()) {
+    if (windows.size < MAX_TRACKED_CLIENTS) {
+      break;
+    }
+    windows.delete(ip);
+  }
+}
@@ -0,0 +1,263 @@
+/**
+ * SD-JWT selective disclosure (IETF SD-JWT, RFC 9901)
+ * Packs claims into disclosures and digests, and reconstructs the claim tree
+ * from an issuer-signed payload and the disclosures presented with it
+ */
+
+import crypto from 'crypto';
+
+// _sd_alg values → Node digest names
+const HASH_ALGORITHMS = {
+  'sha-256': 'sha256',
+  'sha-384': 'sha384',
+  'sha-512': 'sha512'
+};
+
+const DEFAULT_DECOYS = parseInt(process.env.SD_JWT_DECOYS || '2');
+
+// Claim names a disclosure may never set
+const RESERVED_NAMES = ['_sd', '...', '_sd_alg'];
+
+/**
+ * Make claims selectively disclosable
+ *
+ * Every object property becomes an object property disclosure, recursively:
+ * a nested object is disclosable as a whole and each of its properties is
+ * disclosable on its own. Array elements become array element disclosures
+ * ({"...": digest}). Each _sd array gets decoy digests and is sorted.
+ *
+ * @param {object} claims - Plain claims object
+ * @param {object} [options]
+ * @param {number} [options.decoys] - Decoy digests added to every _sd array
+ * @param {string} [options.hashAlg] - _sd_alg
+ * @returns {{payload: object, disclosures: Array<string>}} payload holds the _sd arrays
+ */
+export function createDisclosures(claims, { decoys = DEFAULT_DECOYS, hashAlg = 'sha-256' } = {}) {
+  const digestAlgorithm = getDigestAlgorithm(hashAlg);
+  const disclosures = [];
+
+  const disclose = content => {
+    const encoded = Buffer.from(JSON.stringify([crypto.randomBytes(16).toString('base64url'), ...content]))
+      .toString('base64url');
+    disclosures.push(encoded);
+    return digest(encoded, digestAlgorithm);
+  };
+
+  const packValue = value => {
+    if (Array.isArray(value)) {
+      return value.map(element => ({ '...': disclose([packValue(element)]) }));
+    }
+    if (isPlainObject(value)) {
+      return packObject(value);
+    }
+    return value;
+  };
+
+  const packObject = object => {
+    const sd = Object.entries(object).map(([name, value]) => {
+      if (RESERVED_NAMES.includes(name)) {
+        throw new Error(`Claim name ${name} is reserved`);
+      }
+      return disclose([name, packValue(value)]);
+    });
+
+    for (let i = 0; i < decoys; i++) {
+      sd.push(digest(crypto.randomBytes(32).toString('base64url'), digestAlgorithm));
+    }
+
+    // Sorted so digest order reveals nothing about claim order
+    return { _sd: sd.sort() };
+  };
+
+  return {
+    payload: packObject(claims),
+    disclosures
+  };
+}
+
+/**
+ * Reconstruct the claim tree from a verified SD-JWT payload and its disclosures
+ * Rejects duplicate digests, disclosures that are malformed, unreferenced or
+ * would overwrite an existing claim
+ * @param {object} payload - Issuer-signed JWT payload
+ * @param {Array<string>} disclosures - Presented disclosures
+ * @returns {object} Payload with disclosed claims in place and no _sd/_sd_alg
+ */
+export function reconstructClaims(payload, disclosures) {
+  const digestAlgorithm = getDigestAlgorithm(payload._sd_alg || 'sha-256');
+
+  // digest → decoded disclosure
+  const byDigest = new Map();
+  for (const encoded of disclosures) {
+    const hash = digest(encoded, digestAlgorithm);
+    if (byDigest.has(hash)) {
+      throw new Error('Disclosure presented more than once');
+    }
+    byDigest.set(hash, decodeDisclosure(encoded));
+  }
+
+  const seen = new Set();
+  const referenced = new Set();
+
+  const see = hash => {
+    if (typeof hash !== 'string') {
+      throw new Error('Digest is not a string');
+    }
+    if (seen.has(hash)) {
+      throw new Error(`Digest ${hash} appears more than once`);
+    }
+    seen.add(hash);
+  };
+
+  const processValue = value => {
+    if (Array.isArray(value)) {
+      return processArray(value);
+    }
+    if (isPlainObject(value)) {
+      return processObject(value);
+    }
+    return value;
+  };
+
+  const processArray = array => {
+    const result = [];
+
+    for (const element of array) {
+      if (isPlainObject(element) && Object.keys(element).length === 1 && '...' in element) {
+        const hash = element['...'];
+        see(hash);
+
+        const disclosure = byDigest.get(hash);
+        if (!disclosure) {
+          continue; // Undisclosed element or decoy
+        }
+        if (disclosure.length !== 2) {
+          throw new Error('Array element disclosure must have 2 elements');
+        }
+
+        referenced.add(hash);
+        result.push(processValue(disclosure[1]));
+      } else {
+        result.push(processValue(element));
+      }
+    }
+
+    return result;
+  };
+
+  const processObject = object => {
+    const result = {};
+
+    for (const [name, value] of Object.entries(object)) {
+      if (name !== '_sd') {
+        result[name] = processValue(value);
+      }
+    }
+
+    if (object._sd !== undefined && !Array.isArray(object._sd)) {
+      throw new Error('_sd must be an array');
+    }
+
+    for (const hash of object._sd || []) {
+      see(hash);
+
+      const disclosure = byDigest.get(hash);
+      if (!disclosure) {
+        continue; // Undisclosed claim or decoy
+      }
+      if (disclosure.length !== 3) {
+        throw new Error('Object property disclosure must have 3 elements');
+      }
+
+      const [, name, value] = disclosure;
+      if (typeof name !== 'string' || RESERVED_NAMES.includes(name)) {
+        throw new Error(`Invalid disclosed claim name ${name}`);
+      }
+      if (name in result) {
+        throw new Error(`Disclosed claim ${name} already exists`);
+      }
+
+      referenced.add(hash);
+      result[name] = processValue(value);
+    }
+
+    return result;
+  };
+
+  const { _sd_alg, ...rest } = payload;
+  const claims = processObject(rest);
+
+  if (referenced.size !== byDigest.size) {
+    throw new Error('Disclosure not referenced by any digest');
+  }
+
+  return claims;
+}
+
+/**
+ * Digest of a base64url-encoded disclosure
+ * @param {string} encoded
+ * @param {string} [digestAlgorithm] - Node digest name
+ * @returns {string}
+ */
+export function digest(encoded, digestAlgorithm = 'sha256') {
+  return crypto.createHash(digestAlgorithm).update(encoded, 'ascii').digest('base64url');
+}
+
+/**
+ * Split an SD-JWT (optionally with a Key Binding JWT)
+ * @param {string} sdJwt - <JWT>~<disclosure>~...~[<KB-JWT>]
+ * @returns {{jwt: string, disclosures: Array<string>, kbJwt: string|null, sdJwt: string}} sdJwt is the part the KB-JWT sd_hash covers
+ */
+export function parseSdJwt(sdJwt) {
+  const parts = sdJwt.split('~');
+
+  if (parts.length < 2) {
+    throw new Error('Malformed SD-JWT: missing ~ separator');
+  }
+
+  const kbJwt = parts[parts.length - 1] || null;
+
+  return {
+    jwt: parts[0],
+    disclosures: parts.slice(1, -1),
+    kbJwt,
+    sdJwt: `${parts.slice(0, -1).join('~')}~`
+  };
+}
+
+/**
+ * Decode a base64url disclosure into its JSON array
+ * @param {string} encoded
+ * @returns {Array}
+ */
+export function decodeDisclosure(encoded) {
+  const disclosure = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf-8'));
+
+  if (!Array.isArray(disclosure) || typeof disclosure[0] !== 'string') {
+    throw new Error('Malformed disclosure');
+  }
+
+  return disclosure;
+}
+
+/**
+ * Node digest name for an _sd_alg value
+ * @param {string} hashAlg - _sd_alg value
+ * @returns {string} Node digest name
+ */
+export function getDigestAlgorithm(hashAlg) {
+  const algorithm = HASH_ALGORITHMS[hashAlg];
+  if (!algorithm) {
+    throw new Error(`Unsupported _sd_alg ${hashAlg}`);
+  }
+  return algorithm;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
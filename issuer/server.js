@@ -6,61 +6,196 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { issueCredential } from './issueCredential.js';
-import { getIssuerKeys } from './keys.js';
 import crypto from 'crypto';
+import { issueCredential, DERIVED_VC_TYPE } from './issueCredential.js';
+import { issueBbsCredential, getBbsControllerDocument, BBS_CONTEXT, BBS_CREDENTIAL_TYPE, BBS_CRYPTOSUITE } from './bbsCredential.js';
+import { getClaimsMetadata, getSupportedClaims } from './claims.js';
+import { validateVerificationReceipt } from './verificationReceipt.js';
+import { validateProofs, PROOF_ALGORITHMS } from './proof.js';
+import { getIssuerJwks, rotateIssuerKeys, getCredentialIssuer } from './keys.js';
+import { validateDpopProof, createDpopNonce, DPOP_ALGORITHMS, DPOP_NONCE_REQUIRED } from './dpop.js';
+import { createStatusListToken, setCredentialStatus, STATUS_LIST_ID, STATUS_LIST_TYPE } from './statusList.js';
+import {
+  createCredentialOffer,
+  getCredentialOffer,
+  redeemPreAuthorizedCode,
+  getCredentialOfferUrls,
+  PRE_AUTHORIZED_CODE_GRANT
+} from './credentialOffer.js';
+import {
+  getSessionStore,
+  createAuthorizationCode,
+  consumeAuthorizationCode,
+  createAccessToken,
+  getAccessToken,
+  claimIssuance,
+  releaseIssuance,
+  createCNonce
+} from './sessionStore.js';
+import { createRateLimiter } from './rateLimit.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.ISSUER_PORT || 3001;
-
-app.use(cors());
+const CREDENTIAL_ISSUER = getCredentialIssuer();
+// credential_configuration_id → format
+const CREDENTIAL_CONFIGURATIONS = {
+  'derived-mdl-vc': 'dc+sd-jwt',
+  'derived-mdl-vc-bbs': 'ldp_vc'
+};
+const CREDENTIAL_CONFIGURATION_IDS = Object.keys(CREDENTIAL_CONFIGURATIONS);
+// Most credentials per request, each bound to its own key (proofs.jwt)
+const CREDENTIAL_BATCH_SIZE = parseInt(process.env.CREDENTIAL_BATCH_SIZE || '10');
+// Only issue DPoP-bound access tokens (bearer tokens otherwise stay available)
+const DPOP_REQUIRED = process.env.DPOP_REQUIRED === 'true';
+// /nonce is unauthenticated and every call writes a store record
+const NONCE_RATE_LIMIT = parseInt(process.env.NONCE_RATE_LIMIT || '60'); // per minute and client IP
+const JWKS_MAX_AGE = 300; // seconds; keys are published a rotation interval before use
+
+// Browser clients need to read the DPoP nonce and challenge
+app.use(cors({ exposedHeaders: ['DPoP-Nonce', 'WWW-Authenticate'] }));
 app.use(express.json());
+// OAuth token requests are form-encoded
+app.use(express.urlencoded({ extended: false }));
 
-// In-memory session store (use Redis/DB in production)
-const sessions = new Map();
+// Fail fast on a misconfigured ISSUER_SESSION_STORE or DERIVED_VC_CLAIMS
+const SESSION_STORE = process.env.ISSUER_SESSION_STORE || 'memory';
+getSessionStore();
+getSupportedClaims();
 
 /**
  * POST /authorize
  * Initial authorization for credential issuance
- * Client provides proof of mDL verification
+ * Client provides the verifier's signed receipt as proof of mDL verification
  */
 app.post('/authorize', async (req, res) => {
   try {
-    const { verificationSessionId, holderPublicKey } = req.body;
+    const { holderPublicKey } = req.body;
 
-    if (!verificationSessionId || !holderPublicKey) {
-      return res.status(400).json({
-        error: 'invalid_request',
-        error_description: 'Missing verificationSessionId or holderPublicKey'
+    const verification = await checkVerificationReceipt(req.body);
+    if (!verification.valid) {
+      return res.status(verification.status).json({
+        error: verification.code,
+        error_description: verification.error
       });
     }
 
-    // In production, verify the session with the verifier service
-    // For now, accept any session
-
-    // Generate authorization code
-    const authCode = crypto.randomUUID();
-    const sessionData = {
-      authCode,
+    // Generate a single-use authorization code
+    const { code, expiresIn } = await createAuthorizationCode({
       holderPublicKey,
-      verificationSessionId,
+      verificationSessionId: verification.sessionId,
+      claims: verification.claims,
+      trust: verification.trust,
       timestamp: new Date().toISOString()
-    };
+    });
+
+    return res.json({
+      authorization_code: code,
+      expires_in: expiresIn,
+      claims: Object.keys(verification.claims)
+    });
+
+  } catch (error) {
+    console.error('Authorization error:', error);
+    return res.status(500).json({
+      error: 'server_error',
+      error_description: error.message
+    });
+  }
+});
 
-    sessions.set(authCode, sessionData);
+/**
+ * POST /credential-offer
+ * Exchange a verification receipt for an OID4VCI credential offer with a
+ * pre-authorized code, for a standard wallet to redeem
+ */
+app.post('/credential-offer', async (req, res) => {
+  try {
+    const {
+      credential_configuration_ids: configurationIds = CREDENTIAL_CONFIGURATION_IDS,
+      tx_code: txCode = process.env.CREDENTIAL_OFFER_TX_CODE === 'true'
+    } = req.body;
 
-    // Auto-expire after 10 minutes
-    setTimeout(() => sessions.delete(authCode), 10 * 60 * 1000);
+    if (!Array.isArray(configurationIds) || configurationIds.length === 0 ||
+        !configurationIds.every(id => CREDENTIAL_CONFIGURATION_IDS.includes(id))) {
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: `credential_configuration_ids must be a non-empty subset of: ${CREDENTIAL_CONFIGURATION_IDS.join(', ')}`
+      });
+    }
+
+    if (typeof txCode !== 'boolean') {
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: 'tx_code must be a boolean'
+      });
+    }
+
+    const verification = await checkVerificationReceipt(req.body);
+    if (!verification.valid) {
+      return res.status(verification.status).json({
+        error: verification.code,
+        error_description: verification.error
+      });
+    }
+
+    const offer = await createCredentialOffer({
+      credentialIssuer: CREDENTIAL_ISSUER,
+      configurationIds,
+      session: {
+        verificationSessionId: verification.sessionId,
+        claims: verification.claims,
+        trust: verification.trust,
+        timestamp: new Date().toISOString()
+      },
+      txCode
+    });
+    const urls = getCredentialOfferUrls(offer.offer, offer.offerUri);
 
     return res.json({
-      authorization_code: authCode,
-      expires_in: 600
+      credential_offer: offer.offer,
+      credential_offer_uri: offer.offerUri,
+      links: {
+        by_value: urls.byValue,
+        by_reference: urls.byReference
+      },
+      // Short enough for a QR code a wallet can scan
+      qr_payload: urls.byReference,
+      // Shown to the user apart from the offer, never sent along with it
+      ...(offer.txCode && { tx_code: offer.txCode }),
+      expires_in: offer.expiresIn,
+      claims: Object.keys(verification.claims)
     });
 
   } catch (error) {
-    console.error('Authorization error:', error);
+    console.error('Credential offer error:', error);
+    return res.status(500).json({
+      error: 'server_error',
+      error_description: error.message
+    });
+  }
+});
+
+/**
+ * GET /credential-offer/:id
+ * Credential offer passed by reference (credential_offer_uri)
+ */
+app.get('/credential-offer/:id', async (req, res) => {
+  try {
+    const offer = await getCredentialOffer(req.params.id);
+
+    if (!offer) {
+      return res.status(404).json({
+        error: 'not_found',
+        error_description: 'Unknown, expired or already redeemed credential offer'
+      });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    return res.json(offer);
+  } catch (error) {
+    console.error('Credential offer error:', error);
     return res.status(500).json({
       error: 'server_error',
       error_description: error.message
@@ -70,38 +205,58 @@ app.post('/authorize', async (req, res) => {
 
 /**
  * POST /token
- * Exchange authorization code for access token
+ * Exchange an authorization code or a pre-authorized code for an access token
  */
 app.post('/token', async (req, res) => {
   try {
     const { grant_type, code } = req.body;
-
-    if (grant_type !== 'authorization_code') {
-      return res.status(400).json({
-        error: 'unsupported_grant_type',
-        error_description: 'Only authorization_code grant type is supported'
-      });
+    let session;
+
+    // Checked before the grant, so a DPoP nonce challenge doesn't use up the code
+    let dpop = null;
+    if (req.get('DPoP') !== undefined || DPOP_REQUIRED) {
+      dpop = await validateDpopProof(req.get('DPoP'), { method: 'POST', url: `${CREDENTIAL_ISSUER}/token` });
+      if (!dpop.valid) {
+        return await sendDpopError(res, 400, dpop);
+      }
     }
 
-    const session = sessions.get(code);
-    if (!session) {
+    if (grant_type === 'authorization_code') {
+      // Codes are single use: a second redemption fails even when concurrent
+      session = await consumeAuthorizationCode(code);
+      if (!session) {
+        return res.status(400).json({
+          error: 'invalid_grant',
+          error_description: 'Invalid, expired or already used authorization code'
+        });
+      }
+    } else if (grant_type === PRE_AUTHORIZED_CODE_GRANT) {
+      const redemption = await redeemPreAuthorizedCode(req.body['pre-authorized_code'], req.body.tx_code);
+      if (!redemption.valid) {
+        return res.status(400).json({
+          error: redemption.code,
+          error_description: redemption.error
+        });
+      }
+      session = redemption.session;
+    } else {
       return res.status(400).json({
-        error: 'invalid_grant',
-        error_description: 'Invalid or expired authorization code'
+        error: 'unsupported_grant_type',
+        error_description: `Supported grant types: authorization_code, ${PRE_AUTHORIZED_CODE_GRANT}`
       });
     }
 
-    // Generate access token
-    const accessToken = crypto.randomUUID();
-    session.accessToken = accessToken;
-    sessions.set(accessToken, session);
+    // Generate access token, bound to the DPoP key when there is one
+    const { accessToken, expiresIn } = await createAccessToken({ ...session, ...(dpop && { dpopJkt: dpop.jkt }) });
 
+    res.set('Cache-Control', 'no-store');
+    if (dpop && DPOP_NONCE_REQUIRED) {
+      res.set('DPoP-Nonce', await createDpopNonce());
+    }
     return res.json({
       access_token: accessToken,
-      token_type: 'bearer',
-      expires_in: 3600,
-      c_nonce: crypto.randomUUID(),
-      c_nonce_expires_in: 300
+      token_type: dpop ? 'DPoP' : 'bearer',
+      expires_in: expiresIn
     });
 
   } catch (error) {
@@ -113,22 +268,44 @@ app.post('/token', async (req, res) => {
   }
 });
 
+/**
+ * POST /nonce
+ * Fresh c_nonce for credential request proofs (OID4VCI nonce endpoint), the
+ * only place wallets get one
+ */
+app.post('/nonce', createRateLimiter({ limit: NONCE_RATE_LIMIT }), async (req, res) => {
+  try {
+    const { cNonce } = await createCNonce();
+
+    res.set('Cache-Control', 'no-store');
+    return res.json({ c_nonce: cNonce });
+  } catch (error) {
+    console.error('Nonce error:', error);
+    return res.status(500).json({
+      error: 'server_error',
+      error_description: error.message
+    });
+  }
+});
+
 /**
  * POST /credential
- * Issue the actual SD-JWT VC
+ * Issue the actual SD-JWT VC, or a BBS Data Integrity VC (ldp_vc)
+ * One SD-JWT VC is issued per proof in proofs.jwt (batch issuance), each
+ * bound to its own key with its own jti and status index, so a holder can
+ * present a different credential to every site
  */
 app.post('/credential', async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    const [scheme, accessToken] = (req.headers.authorization || '').split(' ');
+    if (!['bearer', 'dpop'].includes(scheme?.toLowerCase()) || !accessToken) {
       return res.status(401).json({
         error: 'invalid_token',
         error_description: 'Missing or invalid access token'
       });
     }
 
-    const accessToken = authHeader.substring(7);
-    const session = sessions.get(accessToken);
+    const session = await getAccessToken(accessToken);
 
     if (!session) {
       return res.status(401).json({
@@ -137,40 +314,119 @@ app.post('/credential', async (req, res) => {
       });
     }
 
-    const { format, proof } = req.body;
+    // A DPoP-bound token is only accepted with a proof by its key, and never as a bearer token
+    if (Boolean(session.dpopJkt) !== (scheme.toLowerCase() === 'dpop')) {
+      return res.status(401).json({
+        error: 'invalid_token',
+        error_description: session.dpopJkt
+          ? 'DPoP-bound access token must be sent with the DPoP scheme'
+          : 'Access token is not DPoP-bound'
+      });
+    }
+
+    if (session.dpopJkt) {
+      const dpop = await validateDpopProof(req.get('DPoP'), {
+        method: 'POST',
+        url: `${CREDENTIAL_ISSUER}/credential`,
+        accessToken,
+        jkt: session.dpopJkt
+      });
+      if (!dpop.valid) {
+        return await sendDpopError(res, 401, dpop);
+      }
+      if (DPOP_NONCE_REQUIRED) {
+        res.set('DPoP-Nonce', await createDpopNonce());
+      }
+    }
+
+    const { credential_configuration_id: configurationId, proofs } = req.body;
 
-    // Validate format
-    if (format && format !== 'vc+sd-jwt') {
+    if (typeof configurationId !== 'string') {
       return res.status(400).json({
-        error: 'unsupported_credential_format',
-        error_description: 'Only vc+sd-jwt format is supported'
+        error: 'invalid_credential_request',
+        error_description: 'credential_configuration_id is required'
       });
     }
 
-    // Validate proof (KB-JWT for holder binding)
-    // In production, verify the proof signature
-    if (proof && proof.proof_type !== 'jwt') {
+    if (!CREDENTIAL_CONFIGURATION_IDS.includes(configurationId)) {
       return res.status(400).json({
-        error: 'invalid_proof',
-        error_description: 'Only jwt proof type is supported'
+        error: 'unknown_credential_configuration',
+        error_description: `Supported credential configurations: ${CREDENTIAL_CONFIGURATION_IDS.join(', ')}`
       });
     }
 
-    // Issue the credential
-    const credential = await issueCredential({
-      holderPublicKey: session.holderPublicKey,
-      verificationSessionId: session.verificationSessionId,
-      claims: {
-        over21: true,
-        notExpired: true
+    // Tokens from a credential offer only issue the offered configurations
+    if (session.credentialConfigurationIds && !session.credentialConfigurationIds.includes(configurationId)) {
+      return res.status(400).json({
+        error: 'credential_request_denied',
+        error_description: `${configurationId} was not offered with this grant`
+      });
+    }
+
+    // BBS credentials carry no holder key (unlinkability), so no key proof is
+    // needed; being bearer credentials, each access token gets only one
+    if (CREDENTIAL_CONFIGURATIONS[configurationId] === 'ldp_vc') {
+      if (!await claimIssuance(accessToken, configurationId)) {
+        return res.status(400).json({
+          error: 'invalid_credential_request',
+          error_description: `${configurationId} was already issued with this access token`
+        });
+      }
+
+      let credential;
+      try {
+        ({ credential } = await issueBbsCredential({ claims: session.claims }));
+      } catch (error) {
+        await releaseIssuance(accessToken, configurationId);
+        throw error;
       }
+
+      return res.json({
+        credentials: [{ credential }]
+      });
+    }
+
+    // Proof of possession of the holder key(s), over a c_nonce from /nonce
+    const proofResult = await validateProofs(proofs, {
+      audience: CREDENTIAL_ISSUER,
+      holderPublicKey: session.holderPublicKey,
+      batchSize: CREDENTIAL_BATCH_SIZE
     });
 
+    if (!proofResult.valid) {
+      return res.status(400).json({
+        error: proofResult.code,
+        error_description: proofResult.error
+      });
+    }
+
+    // One issuance per configuration and access token, so new nonces cannot
+    // be used to mint more than one batch
+    if (!await claimIssuance(accessToken, configurationId)) {
+      return res.status(400).json({
+        error: 'invalid_credential_request',
+        error_description: `${configurationId} was already issued with this access token`
+      });
+    }
+
+    // Issue the claims proven by the verification receipt at /authorize,
+    // one credential per proven key
+    const credentials = [];
+    try {
+      for (const holderPublicKey of proofResult.jwks) {
+        credentials.push(await issueCredential({
+          holderPublicKey,
+          verificationSessionId: session.verificationSessionId,
+          claims: session.claims
+        }));
+      }
+    } catch (error) {
+      await releaseIssuance(accessToken, configurationId);
+      throw error;
+    }
+
     return res.json({
-      format: 'vc+sd-jwt',
-      credential: credential.sdJwt,
-      c_nonce: crypto.randomUUID(),
-      c_nonce_expires_in: 300
+      credentials: credentials.map(credential => ({ credential: credential.sdJwt }))
     });
 
   } catch (error) {
@@ -182,47 +438,241 @@ app.post('/credential', async (req, res) => {
   }
 });
 
+/**
+ * GET /controller
+ * Controller document with the public key BBS credentials are verified with
+ */
+app.get('/controller', async (req, res) => {
+  try {
+    return res.json(await getBbsControllerDocument());
+  } catch (error) {
+    console.error('Controller document error:', error);
+    return res.status(500).json({
+      error: 'server_error',
+      error_description: error.message
+    });
+  }
+});
+
+/**
+ * GET /status-lists/:id
+ * Signed Token Status List of issued credentials
+ */
+app.get('/status-lists/:id', async (req, res) => {
+  try {
+    if (req.params.id !== STATUS_LIST_ID) {
+      return res.status(404).json({
+        error: 'not_found',
+        error_description: 'Unknown status list'
+      });
+    }
+
+    res.type(`application/${STATUS_LIST_TYPE}`);
+    return res.send(await createStatusListToken());
+
+  } catch (error) {
+    console.error('Status list error:', error);
+    return res.status(500).json({
+      error: 'server_error',
+      error_description: error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/credentials/status
+ * Revoke, suspend or reinstate an issued credential (requires ISSUER_ADMIN_TOKEN)
+ */
+app.post('/admin/credentials/status', async (req, res) => {
+  try {
+    if (!isAdmin(req)) {
+      return res.status(401).json({
+        error: 'invalid_token',
+        error_description: process.env.ISSUER_ADMIN_TOKEN
+          ? 'Missing or invalid admin token'
+          : 'Admin API disabled (ISSUER_ADMIN_TOKEN not set)'
+      });
+    }
+
+    const { credentialId, idx, status } = req.body || {};
+
+    if (credentialId === undefined && idx === undefined) {
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: 'credentialId or idx is required'
+      });
+    }
+
+    const result = await setCredentialStatus({ credentialId, idx }, status);
+
+    if (!result.updated) {
+      return res.status(result.code === 'not_found' ? 404 : 400).json({
+        error: result.code,
+        error_description: result.error
+      });
+    }
+
+    return res.json({
+      idx: result.idx,
+      status: result.status
+    });
+
+  } catch (error) {
+    console.error('Credential status error:', error);
+    return res.status(500).json({
+      error: 'server_error',
+      error_description: error.message
+    });
+  }
+});
+
 /**
  * GET /.well-known/openid-credential-issuer
  * OID4VCI discovery endpoint
  */
 app.get('/.well-known/openid-credential-issuer', async (req, res) => {
-  const { publicJwk } = await getIssuerKeys();
-  
-  res.json({
-    credential_issuer: `http://localhost:${PORT}`,
-    credential_endpoint: `http://localhost:${PORT}/credential`,
-    token_endpoint: `http://localhost:${PORT}/token`,
-    authorization_endpoint: `http://localhost:${PORT}/authorize`,
-    jwks: {
-      keys: [publicJwk]
-    },
-    credentials_supported: [
-      {
-        format: 'vc+sd-jwt',
-        id: 'derived-mdl-vc',
-        cryptographic_binding_methods_supported: ['jwk'],
-        cryptographic_suites_supported: ['ES256'],
-        display: [
-          {
-            name: 'Derived mDL Credential',
-            locale: 'en-US',
-            description: 'Short-lived derived credential from mDL verification'
+  try {
+    const jwks = await getIssuerJwks();
+
+    return res.json({
+      credential_issuer: CREDENTIAL_ISSUER,
+      credential_endpoint: `${CREDENTIAL_ISSUER}/credential`,
+      nonce_endpoint: `${CREDENTIAL_ISSUER}/nonce`,
+      batch_credential_issuance: {
+        batch_size: CREDENTIAL_BATCH_SIZE
+      },
+      jwks,
+      display: [
+        {
+          name: 'zk-mdl-kit Derived Credential Issuer',
+          locale: 'en-US'
+        }
+      ],
+      credential_configurations_supported: {
+        'derived-mdl-vc': {
+          format: 'dc+sd-jwt',
+          vct: DERIVED_VC_TYPE,
+          cryptographic_binding_methods_supported: ['jwk'],
+          credential_signing_alg_values_supported: ['ES256'],
+          proof_types_supported: {
+            jwt: { proof_signing_alg_values_supported: PROOF_ALGORITHMS }
+          },
+          credential_metadata: {
+            display: [
+              {
+                name: 'Derived mDL Credential',
+                locale: 'en-US',
+                description: 'Short-lived derived credential from mDL verification'
+              }
+            ],
+            claims: getClaimsMetadata()
           }
-        ],
-        claims: {
-          over21: {
-            display: [{ name: 'Over 21', locale: 'en-US' }]
+        },
+        'derived-mdl-vc-bbs': {
+          format: 'ldp_vc',
+          credential_signing_alg_values_supported: [BBS_CRYPTOSUITE],
+          credential_definition: {
+            '@context': BBS_CONTEXT,
+            type: ['VerifiableCredential', BBS_CREDENTIAL_TYPE]
           },
-          notExpired: {
-            display: [{ name: 'Not Expired', locale: 'en-US' }]
+          credential_metadata: {
+            display: [
+              {
+                name: 'Derived mDL Credential (BBS)',
+                locale: 'en-US',
+                description: 'Short-lived derived credential with unlinkable selective disclosure'
+              }
+            ],
+            claims: getClaimsMetadata(['credentialSubject'])
           }
         }
       }
-    ]
+    });
+  } catch (error) {
+    console.error('Issuer metadata error:', error);
+    return res.status(500).json({
+      error: 'server_error',
+      error_description: error.message
+    });
+  }
+});
+
+/**
+ * GET /.well-known/oauth-authorization-server
+ * OAuth 2.0 authorization server metadata (RFC 8414); the credential issuer
+ * is its own authorization server
+ */
+app.get('/.well-known/oauth-authorization-server', (req, res) => {
+  res.json({
+    issuer: CREDENTIAL_ISSUER,
+    authorization_endpoint: `${CREDENTIAL_ISSUER}/authorize`,
+    token_endpoint: `${CREDENTIAL_ISSUER}/token`,
+    response_types_supported: ['code'],
+    grant_types_supported: ['authorization_code', PRE_AUTHORIZED_CODE_GRANT],
+    token_endpoint_auth_methods_supported: ['none'],
+    'pre-authorized_grant_anonymous_access_supported': true,
+    dpop_signing_alg_values_supported: DPOP_ALGORITHMS
+  });
+});
+
+/**
+ * GET /.well-known/jwt-vc-issuer
+ * SD-JWT VC issuer metadata: where the keys that sign credentials are published
+ */
+app.get('/.well-known/jwt-vc-issuer', (req, res) => {
+  res.json({
+    issuer: CREDENTIAL_ISSUER,
+    jwks_uri: `${CREDENTIAL_ISSUER}/jwks`
   });
 });
 
+/**
+ * GET /jwks
+ * Issuer signing keys: active, next and retired keys whose credentials can still be valid
+ */
+app.get('/jwks', async (req, res) => {
+  try {
+    res.set('Cache-Control', `public, max-age=${JWKS_MAX_AGE}`);
+    return res.json(await getIssuerJwks());
+  } catch (error) {
+    console.error('JWKS error:', error);
+    return res.status(500).json({
+      error: 'server_error',
+      error_description: error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/keys/rotate
+ * Rotate the signing key now instead of on schedule
+ */
+app.post('/admin/keys/rotate', async (req, res) => {
+  try {
+    if (!isAdmin(req)) {
+      return res.status(401).json({
+        error: 'invalid_token',
+        error_description: process.env.ISSUER_ADMIN_TOKEN
+          ? 'Missing or invalid admin token'
+          : 'Admin API disabled (ISSUER_ADMIN_TOKEN not set)'
+      });
+    }
+
+    const keys = await rotateIssuerKeys();
+
+    return res.json({
+      keys: keys.map(({ kid, state, activatedAt, expiresAt }) => ({ kid, state, activatedAt, expiresAt }))
+    });
+
+  } catch (error) {
+    console.error('Key rotation error:', error);
+    return res.status(500).json({
+      error: 'server_error',
+      error_description: error.message
+    });
+  }
+});
+
 /**
  * GET /health
  */
@@ -230,14 +680,85 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     service: 'zk-mdl-kit-issuer',
+    sessionStore: SESSION_STORE,
     timestamp: new Date().toISOString()
   });
 });
 
+/**
+ * Validate the verification receipt (and requested claims) in an
+ * /authorize or /credential-offer request
+ * @param {object} body - { verificationReceipt, verificationSessionId?, claims? }
+ * @returns {Promise<{valid: boolean, status?: number, code?: string, error?: string, sessionId?: string, claims?: object, trust?: object}>}
+ */
+async function checkVerificationReceipt({ verificationReceipt, verificationSessionId, claims }) {
+  if (!verificationReceipt) {
+    return { valid: false, status: 400, code: 'invalid_request', error: 'Missing verificationReceipt' };
+  }
+
+  if (claims !== undefined && (!Array.isArray(claims) || claims.length === 0 ||
+      !claims.every(c => typeof c === 'string'))) {
+    return { valid: false, status: 400, code: 'invalid_request', error: 'claims must be a non-empty array of claim names' };
+  }
+
+  // Receipt must be fresh, unused and prove every requested claim
+  const verification = await validateVerificationReceipt(verificationReceipt, {
+    requestedClaims: claims,
+    verificationSessionId
+  });
+
+  return verification.valid
+    ? verification
+    : { ...verification, status: verification.code === 'access_denied' ? 403 : 400 };
+}
+
+/**
+ * Reject a request with a failed DPoP proof
+ * Token endpoint errors are 400s; the credential endpoint answers 401 with a
+ * DPoP challenge. A missing or stale nonce comes with a fresh DPoP-Nonce.
+ * @param {object} res
+ * @param {number} status - 400 (/token) or 401 (/credential)
+ * @param {{code: string, error: string}} result - From validateDpopProof
+ */
+async function sendDpopError(res, status, { code, error }) {
+  if (code === 'use_dpop_nonce') {
+    res.set('DPoP-Nonce', await createDpopNonce());
+  }
+  if (status === 401) {
+    res.set('WWW-Authenticate', `DPoP error="${code}", error_description="${error.replace(/"/g, "'")}", algs="${DPOP_ALGORITHMS.join(' ')}"`);
+  }
+  res.set('Cache-Control', 'no-store');
+  return res.status(status).json({
+    error: code,
+    error_description: error
+  });
+}
+
+/**
+ * Check the admin bearer token
+ * @param {object} req
+ * @returns {boolean}
+ */
+function isAdmin(req) {
+  const adminToken = process.env.ISSUER_ADMIN_TOKEN;
+  const authHeader = req.headers.authorization || '';
+
+  if (!adminToken || !authHeader.startsWith('Bearer ')) {
+    return false;
+  }
+
+  const expected = crypto.createHash('sha256').update(adminToken).digest();
+  const presented = crypto.createHash('sha256').update(authHeader.substring(7)).digest();
+  return crypto.timingSafeEqual(expected, presented);
+}
+
 app.listen(PORT, () => {
-  console.log(`🎫 Issuer service running on http://localhost:${PORT}`);
+  console.log(`🎫 Issuer service running on http://localhost:${PORT} (public URL ${CREDENTIAL_ISSUER})`);
+  console.log(`🗄️  Session store: ${SESSION_STORE}`);
   console.log(`📋 Health check: http://localhost:${PORT}/health`);
-  console.log(`🔍 Discovery: http://localhost:${PORT}/.well-known/openid-credential-issuer`);
+  console.log(`🔍 Discovery: ${CREDENTIAL_ISSUER}/.well-known/openid-credential-issuer`);
+  console.log(`🔑 JWKS: ${CREDENTIAL_ISSUER}/jwks`);
+  console.log(`🚫 Status list: ${CREDENTIAL_ISSUER}/status-lists/${STATUS_LIST_ID}`);
 });
 
 export default app;
@@ -0,0 +1,168 @@
+/**
+ * Issuer session store
+ * Authorization codes, access tokens, issuance claims, c_nonces and used
+ * verification receipts for OID4VCI, kept in a pluggable backend selected by ISSUER_SESSION_STORE
+ * (memory | file | redis)
+ */
+
+import crypto from 'crypto';
+import { createMemoryStore } from './stores/memoryStore.js';
+import { createFileStore } from './stores/fileStore.js';
+import { createRedisStore } from './stores/redisStore.js';
+
+const AUTH_CODE_TTL = parseInt(process.env.AUTH_CODE_TTL || '600'); // 10 minutes
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL || '3600'); // 1 hour
+const C_NONCE_TTL = parseInt(process.env.C_NONCE_TTL || '300'); // 5 minutes
+
+const ISSUER_SESSION_STORE = process.env.ISSUER_SESSION_STORE || 'memory';
+const ISSUER_SESSION_FILE = process.env.ISSUER_SESSION_FILE || '.issuer-sessions.json';
+
+let store = null;
+
+/**
+ * Get the configured store backend
+ * @returns {{put: Function, add: Function, get: Function, consume: Function, delete: Function, close: Function}}
+ */
+export function getSessionStore() {
+  if (!store) {
+    store = createSessionStore(ISSUER_SESSION_STORE);
+  }
+  return store;
+}
+
+/**
+ * Replace the store backend (e.g. with one created by createSessionStore)
+ * @param {object} backend
+ */
+export function setSessionStore(backend) {
+  store = backend;
+}
+
+/**
+ * Create a store backend
+ * @param {string} type - 'memory', 'file' or 'redis'
+ * @param {object} [options]
+ * @param {string} [options.file] - Store file for the file backend
+ * @param {string} [options.url] - Connection URL for the redis backend
+ * @returns {object}
+ */
+export function createSessionStore(type, {
+  file = ISSUER_SESSION_FILE,
+  url = process.env.REDIS_URL
+} = {}) {
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore({ file });
+    case 'redis':
+      if (!url) {
+        throw new Error('ISSUER_SESSION_STORE=redis requires REDIS_URL');
+      }
+      return createRedisStore({ url });
+    default:
+      throw new Error(`Unknown ISSUER_SESSION_STORE "${type}" (expected memory, file or redis)`);
+  }
+}
+
+/**
+ * Create a single-use authorization code
+ * @param {object} data - Session data the code grants access to
+ * @returns {Promise<{code: string, expiresIn: number}>}
+ */
+export async function createAuthorizationCode(data) {
+  const code = crypto.randomBytes(32).toString('base64url');
+  await getSessionStore().put('auth_code', code, data, AUTH_CODE_TTL);
+  return { code, expiresIn: AUTH_CODE_TTL };
+}
+
+/**
+ * Consume an authorization code (single use)
+ * Concurrent redemptions of the same code get it at most once
+ * @param {string} code
+ * @returns {Promise<object|null>} Session data, or null if unknown, used or expired
+ */
+export async function consumeAuthorizationCode(code) {
+  if (typeof code !== 'string' || !code) {
+    return null;
+  }
+  return await getSessionStore().consume('auth_code', code);
+}
+
+/**
+ * Create an access token
+ * @param {object} data - Session data the token grants access to
+ * @returns {Promise<{accessToken: string, expiresIn: number}>}
+ */
+export async function createAccessToken(data) {
+  const accessToken = crypto.randomBytes(32).toString('base64url');
+  await getSessionStore().put('access_token', accessToken, data, ACCESS_TOKEN_TTL);
+  return { accessToken, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+/**
+ * Look up an access token
+ * @param {string} accessToken
+ * @returns {Promise<object|null>} Session data, or null if unknown or expired
+ */
+export async function getAccessToken(accessToken) {
+  if (typeof accessToken !== 'string' || !accessToken) {
+    return null;
+  }
+  return await getSessionStore().get('access_token', accessToken);
+}
+
+/**
+ * Claim the issuance of a credential configuration with an access token
+ * An access token issues each configuration once (one request, which may be a
+ * batch), and concurrent requests with the same token get the claim at most once
+ * @param {string} accessToken
+ * @param {string} configurationId - credential_configuration_id
+ * @returns {Promise<boolean>} false if the configuration was already issued with this token
+ */
+export async function claimIssuance(accessToken, configurationId) {
+  return await getSessionStore().add('issuance', `${accessToken}:${configurationId}`, { claimedAt: Date.now() }, ACCESS_TOKEN_TTL);
+}
+
+/**
+ * Give back an issuance claim whose credentials could not be issued
+ * @param {string} accessToken
+ * @param {string} configurationId
+ */
+export async function releaseIssuance(accessToken, configurationId) {
+  await getSessionStore().delete('issuance', `${accessToken}:${configurationId}`);
+}
+
+/**
+ * Create a c_nonce for credential request proofs (served by /nonce)
+ * @returns {Promise<{cNonce: string, expiresIn: number}>}
+ */
+export async function createCNonce() {
+  const cNonce = crypto.randomBytes(32).toString('base64url');
+  await getSessionStore().put('c_nonce', cNonce, { createdAt: Date.now() }, C_NONCE_TTL);
+  return { cNonce, expiresIn: C_NONCE_TTL };
+}
+
+/**
+ * Consume a c_nonce (single use)
+ * @param {string} cNonce
+ * @returns {Promise<object|null>} Nonce record, or null if unknown, used or expired
+ */
+export async function consumeCNonce(cNonce) {
+  if (typeof cNonce !== 'string' || !cNonce) {
+    return null;
+  }
+  return await getSessionStore().consume('c_nonce', cNonce);
+}
+
+/**
+ * Record a verification receipt as used
+ * @param {string} receiptId - Receipt jti
+ * @param {number} ttlSeconds - Keep the record at least until the receipt expires
+ * @returns {Promise<boolean>} false if the receipt was already used
+ */
+export async function markReceiptUsed(receiptId, ttlSeconds) {
+  return await getSessionStore().add('receipt', receiptId, { usedAt: Date.now() }, Math.max(ttlSeconds, 1));
+}
+
+export { AUTH_CODE_TTL, ACCESS_TOKEN_TTL, C_NONCE_TTL };
@@ -0,0 +1,327 @@
+/**
+ * Token Status List (IETF draft-ietf-oauth-status-list)
+ * Allocates a status index per derived VC, publishes the list as a signed,
+ * compressed statuslist+jwt and checks credential status on verification
+ */
+
+import zlib from 'zlib';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { jwtVerify } from 'jose';
+import { signIssuerJwt, getCredentialIssuer } from './keys.js';
+import { getSessionStore } from './sessionStore.js';
+
+const STATUS_LIST_TYPE = 'statuslist+jwt';
+const STATUS_LIST_ID = '1';
+const STATUS_LIST_BITS = 2;
+const STATUS_LIST_SIZE = parseInt(process.env.STATUS_LIST_SIZE || '131072'); // indexes
+const STATUS_LIST_TTL = parseInt(process.env.STATUS_LIST_TTL || '300'); // 5 minutes
+
+// Status values (2 bits per credential)
+const STATUS_VALID = 0x00;
+const STATUS_INVALID = 0x01;
+const STATUS_SUSPENDED = 0x02;
+
+const STATUS_NAMES = {
+  valid: STATUS_VALID,
+  revoked: STATUS_INVALID,
+  suspended: STATUS_SUSPENDED
+};
+
+const MAX_ALLOCATION_ATTEMPTS = 32;
+
+// Status list lock shared by all replicas through the session store
+const STATUS_LOCK_TTL = 10; // seconds, longer than any update takes
+const STATUS_LOCK_WAIT = 5000; // ms
+const STATUS_LOCK_RETRY_DELAY = 25; // ms
+
+// Status list tokens fetched for verification: uri → { bytes, bits, expiresAt }
+const listCache = new Map();
+const MAX_CACHED_LISTS = 100;
+
+// Status updates are read-modify-write on one record, so they run one at a
+// time: queued within this process and under the store lock across replicas
+let updateQueue = Promise.resolve();
+
+/**
+ * URI the issuer's status list token is published at
+ * @returns {string}
+ */
+export function getStatusListUri() {
+  return `${getCredentialIssuer()}/status-lists/${STATUS_LIST_ID}`;
+}
+
+/**
+ * Allocate a status index for a new credential
+ * Indexes are random, so a credential's position reveals nothing about when it
+ * was issued, and are claimed atomically so replicas never hand one out twice
+ * @param {object} options
+ * @param {string} options.credentialId - Credential jti
+ * @param {string} [options.verificationSessionId] - mDL verification the credential was derived from
+ * @param {number} options.ttlSeconds - Credential lifetime; the index is reusable afterwards
+ * @returns {Promise<{status_list: {idx: number, uri: string}}>} The credential's status claim
+ */
+export async function allocateStatusIndex({ credentialId, verificationSessionId, ttlSeconds }) {
+  const store = getSessionStore();
+  const expiresAt = Date.now() + ttlSeconds * 1000;
+
+  for (let attempt = 0; attempt < MAX_ALLOCATION_ATTEMPTS; attempt++) {
+    const idx = crypto.randomInt(STATUS_LIST_SIZE);
+
+    if (await store.add('status_index', String(idx), { credentialId, expiresAt }, ttlSeconds)) {
+      await store.put('status_credential', credentialId, { idx, verificationSessionId, expiresAt }, ttlSeconds);
+      return { status_list: { idx, uri: getStatusListUri() } };
+    }
+  }
+
+  throw new Error('Status list is full, increase STATUS_LIST_SIZE');
+}
+
+/**
+ * Change the status of an issued credential
+ * Revocation is final; a suspended credential can be made valid again
+ * @param {object} target
+ * @param {string} [target.credentialId] - Credential jti
+ * @param {number} [target.idx] - Status list index
+ * @param {string} status - 'valid', 'revoked' or 'suspended'
+ * @returns {Promise<{updated: boolean, idx?: number, status?: string, code?: string, error?: string}>}
+ */
+export async function setCredentialStatus({ credentialId, idx }, status) {
+  if (!(status in STATUS_NAMES)) {
+    return { updated: false, code: 'invalid_request', error: 'status must be valid, revoked or suspended' };
+  }
+
+  const store = getSessionStore();
+
+  // Only live credentials have a status to change
+  const credential = credentialId !== undefined
+    ? await store.get('status_credential', String(credentialId))
+    : Number.isInteger(idx) && { idx, ...await store.get('status_index', String(idx)) };
+
+  if (!credential?.expiresAt) {
+    return { updated: false, code: 'not_found', error: 'Unknown or expired credential' };
+  }
+
+  return serializeUpdate(() => withStatusLock(async () => {
+    const entries = await readStatusEntries();
+    const current = entries[credential.idx]?.status ?? STATUS_VALID;
+
+    if (current === STATUS_INVALID && STATUS_NAMES[status] !== STATUS_INVALID) {
+      return { updated: false, code: 'invalid_request', error: 'Credential is revoked' };
+    }
+
+    if (STATUS_NAMES[status] === STATUS_VALID) {
+      delete entries[credential.idx];
+    } else {
+      entries[credential.idx] = { status: STATUS_NAMES[status], expiresAt: credential.expiresAt };
+    }
+
+    await writeStatusEntries(entries);
+
+    return { updated: true, idx: credential.idx, status };
+  }));
+}
+
+/**
+ * Create the signed status list token for publication
+ * @returns {Promise<string>} statuslist+jwt
+ */
+export async function createStatusListToken() {
+  const entries = await readStatusEntries();
+
+  const bytes = Buffer.alloc(Math.ceil(STATUS_LIST_SIZE * STATUS_LIST_BITS / 8));
+  for (const [idx, { status }] of Object.entries(entries)) {
+    writeStatus(bytes, Number(idx), status);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+
+  return signIssuerJwt({ typ: STATUS_LIST_TYPE }, {
+    sub: getStatusListUri(),
+    iat: now,
+    exp: now + STATUS_LIST_TTL,
+    status_list: {
+      bits: STATUS_LIST_BITS,
+      lst: zlib.deflateSync(bytes).toString('base64url')
+    },
+    ttl: STATUS_LIST_TTL
+  });
+}
+
+/**
+ * Look up a credential's status in the status list it references
+ * Status list tokens are fetched from their uri and cached for their ttl
+ * @param {object} status - Credential status claim ({ status_list: { idx, uri } })
+ * @param {object|Function} issuerKey - Imported key (or jose key set) the credential was verified with
+ * @returns {Promise<string>} 'valid', 'revoked' or 'suspended'
+ */
+export async function checkCredentialStatus(status, issuerKey) {
+  const { idx, uri } = status?.status_list || {};
+
+  if (!Number.isInteger(idx) || idx < 0 || typeof uri !== 'string') {
+    throw new Error('Malformed status claim');
+  }
+
+  const { bytes, bits } = await getStatusList(uri, issuerKey);
+
+  if (idx >= bytes.length * 8 / bits) {
+    throw new Error(`Status index ${idx} is outside the status list`);
+  }
+
+  const value = (bytes[Math.floor(idx * bits / 8)] >> ((idx * bits) % 8)) & ((1 << bits) - 1);
+
+  switch (value) {
+    case STATUS_VALID:
+      return 'valid';
+    case STATUS_SUSPENDED:
+      return 'suspended';
+    default:
+      // Unknown and application-specific values are treated as not valid
+      return 'revoked';
+  }
+}
+
+/**
+ * @param {string} uri
+ * @param {object|Function} issuerKey
+ * @returns {Promise<{bytes: Buffer, bits: number}>}
+ */
+async function getStatusList(uri, issuerKey) {
+  const cached = listCache.get(uri);
+  if (cached && Date.now() < cached.expiresAt) {
+    return cached;
+  }
+
+  const response = await fetch(uri, { headers: { Accept: `application/${STATUS_LIST_TYPE}` } });
+  if (!response.ok) {
+    throw new Error(`Status list fetch failed: ${response.status}`);
+  }
+
+  const { payload } = await jwtVerify(await response.text(), issuerKey, {
+    algorithms: ['ES256'],
+    typ: STATUS_LIST_TYPE,
+    subject: uri,
+    requiredClaims: ['iat', 'status_list']
+  });
+
+  const { bits, lst } = payload.status_list;
+  if (![1, 2, 4, 8].includes(bits) || typeof lst !== 'string') {
+    throw new Error('Malformed status list');
+  }
+
+  const ttl = Number.isInteger(payload.ttl) ? payload.ttl : STATUS_LIST_TTL;
+  const list = {
+    bytes: zlib.inflateSync(Buffer.from(lst, 'base64url')),
+    bits,
+    expiresAt: Math.min(Date.now() + ttl * 1000, payload.exp ? payload.exp * 1000 : Infinity)
+  };
+
+  // Credentials name their own status list uri, so the cache is bounded
+  listCache.delete(uri);
+  if (listCache.size >= MAX_CACHED_LISTS) {
+    pruneListCache();
+  }
+  listCache.set(uri, list);
+  return list;
+}
+
+/**
+ * Drop expired status lists, and the oldest ones if that is not enough
+ */
+function pruneListCache() {
+  const now = Date.now();
+  for (const [uri, list] of listCache) {
+    if (now >= list.expiresAt) {
+      listCache.delete(uri);
+    }
+  }
+
+  // Lists are inserted in fetch order, so the first ones are the oldest
+  for (const uri of listCache.keys()) {
+    if (listCache.size < MAX_CACHED_LISTS) {
+      break;
+    }
+    listCache.delete(uri);
+  }
+}
+
+/**
+ * Non-valid statuses of live credentials: idx → { status, expiresAt }
+ * @returns {Promise<object>}
+ */
+async function readStatusEntries() {
+  const record = await getSessionStore().get('status_list', STATUS_LIST_ID);
+  const now = Date.now();
+
+  // Expired credentials drop out, so their indexes can be reallocated as valid
+  return Object.fromEntries(
+    Object.entries(record?.entries || {}).filter(([, entry]) => entry.expiresAt > now)
+  );
+}
+
+/**
+ * @param {object} entries
+ */
+async function writeStatusEntries(entries) {
+  // Kept as long as its longest-lived entry
+  const expiresAt = Math.max(Date.now() + 1000, ...Object.values(entries).map(entry => entry.expiresAt));
+  const ttlSeconds = Math.ceil((expiresAt - Date.now()) / 1000);
+
+  await getSessionStore().put('status_list', STATUS_LIST_ID, { entries }, ttlSeconds);
+}
+
+/**
+ * @param {Buffer} bytes
+ * @param {number} idx
+ * @param {number} status
+ */
+function writeStatus(bytes, idx, status) {
+  const bit = idx * STATUS_LIST_BITS;
+  const mask = ((1 << STATUS_LIST_BITS) - 1) << (bit % 8);
+  const byte = Math.floor(bit / 8);
+
+  bytes[byte] = (bytes[byte] & ~mask) | ((status << (bit % 8)) & mask);
+}
+
+/**
+ * Run status updates one at a time
+ * @param {Function} update
+ * @returns {Promise<*>}
+ */
+function serializeUpdate(update) {
+  const run = updateQueue.then(update, update);
+  updateQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Run an update holding the status list lock in the session store, so
+ * replicas sharing the store never interleave their read-modify-write
+ * The lock is taken with the store's atomic add and expires after
+ * STATUS_LOCK_TTL if its holder dies
+ * @param {Function} update
+ * @returns {Promise<*>}
+ */
+async function withStatusLock(update) {
+  const store = getSessionStore();
+  const owner = crypto.randomUUID();
+  const deadline = Date.now() + STATUS_LOCK_WAIT;
+
+  while (!await store.add('status_lock', STATUS_LIST_ID, { owner }, STATUS_LOCK_TTL)) {
+    if (Date.now() >= deadline) {
+      throw new Error('Timed out waiting for the status list lock');
+    }
+    await new Promise(resolve => setTimeout(resolve, STATUS_LOCK_RETRY_DELAY + crypto.randomInt(STATUS_LOCK_RETRY_DELAY)));
+  }
+
+  try {
+    return await update();
+  } finally {
+    // Only release the lock if it has not expired and been taken by another replica
+    if ((await store.get('status_lock', STATUS_LIST_ID))?.owner === owner) {
+      await store.delete('status_lock', STATUS_LIST_ID);
+    }
+  }
+}
+
+export { STATUS_LIST_ID, STATUS_LIST_TYPE, STATUS_LIST_TTL };
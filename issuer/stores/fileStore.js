@@ -0,0 +1,124 @@
+/**
+ * File-backed issuer session store
+ * Keeps entries in a JSON file so issuance survives restarts. Every operation
+ * takes an exclusive lock file and rewrites the store atomically (write + rename),
+ * so replicas sharing the file on one host still consume codes exactly once.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { withFileLock } from '../../common/fileLock.js';
+
+/**
+ * Create a file-backed store
+ * @param {object} options
+ * @param {string} options.file - Path of the JSON store file
+ * @returns {{put: Function, add: Function, get: Function, consume: Function, delete: Function, close: Function}}
+ */
+export function createFileStore({ file }) {
+  const lockFile = `${file}.lock`;
+
+  // Serialize operations within this process; the lock file covers other processes
+  let queue = Promise.resolve();
+
+  const transaction = operation => {
+    const run = queue.then(() => withFileLock(lockFile, async () => {
+      const entries = await readEntries(file);
+      const { result, changed } = operation(entries, Date.now());
+      if (changed) {
+        await writeEntries(file, entries);
+      }
+      return result;
+    }));
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    async put(kind, key, value, ttlSeconds) {
+      await transaction((entries, now) => {
+        entries[`${kind}:${key}`] = { value, expiresAt: now + ttlSeconds * 1000 };
+        return { changed: true };
+      });
+    },
+
+    async add(kind, key, value, ttlSeconds) {
+      return await transaction((entries, now) => {
+        const id = `${kind}:${key}`;
+        if (entries[id] && entries[id].expiresAt > now) {
+          return { result: false };
+        }
+        entries[id] = { value, expiresAt: now + ttlSeconds * 1000 };
+        return { result: true, changed: true };
+      });
+    },
+
+    async get(kind, key) {
+      return await transaction((entries, now) => {
+        const entry = entries[`${kind}:${key}`];
+        return { result: entry && entry.expiresAt > now ? entry.value : null };
+      });
+    },
+
+    async consume(kind, key) {
+      return await transaction((entries, now) => {
+        const id = `${kind}:${key}`;
+        const entry = entries[id];
+        if (!entry) {
+          return { result: null };
+        }
+        delete entries[id];
+        return { result: entry.expiresAt > now ? entry.value : null, changed: true };
+      });
+    },
+
+    async delete(kind, key) {
+      await transaction(entries => {
+        const id = `${kind}:${key}`;
+        const changed = id in entries;
+        delete entries[id];
+        return { changed };
+      });
+    },
+
+    async close() {
+      await queue;
+    }
+  };
+}
+
+/**
+ * Read the store file
+ * @param {string} file
+ * @returns {Promise<object>}
+ */
+async function readEntries(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write the store file atomically, dropping expired entries
+ * @param {string} file
+ * @param {object} entries
+ */
+async function writeEntries(file, entries) {
+  const now = Date.now();
+  for (const [id, entry] of Object.entries(entries)) {
+    if (entry.expiresAt <= now) {
+      delete entries[id];
+    }
+  }
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+
+  const temp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(entries), { mode: 0o600 });
+  await fs.rename(temp, file);
+}
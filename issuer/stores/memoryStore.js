@@ -0,0 +1,82 @@
+/**
+ * In-memory issuer session store
+ * Single-process only: entries are lost on restart and not shared between replicas
+ */
+
+const SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * Create an in-memory store
+ * @returns {{put: Function, add: Function, get: Function, consume: Function, delete: Function, close: Function}}
+ */
+export function createMemoryStore() {
+  // "kind:key" → { value, expiresAt }
+  const entries = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [id, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(id);
+      }
+    }
+  }, SWEEP_INTERVAL);
+  sweep.unref();
+
+  const read = id => {
+    const entry = entries.get(id);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(id);
+      return null;
+    }
+    return entry.value;
+  };
+
+  const write = (id, value, ttlSeconds) => {
+    entries.set(id, {
+      value: structuredClone(value),
+      expiresAt: Date.now() + ttlSeconds * 1000
+    });
+  };
+
+  return {
+    async put(kind, key, value, ttlSeconds) {
+      write(`${kind}:${key}`, value, ttlSeconds);
+    },
+
+    // Store only if absent; returns false when a live entry already exists
+    async add(kind, key, value, ttlSeconds) {
+      const id = `${kind}:${key}`;
+      if (read(id) !== null) {
+        return false;
+      }
+      write(id, value, ttlSeconds);
+      return true;
+    },
+
+    async get(kind, key) {
+      const value = read(`${kind}:${key}`);
+      return value === null ? null : structuredClone(value);
+    },
+
+    // Read and delete in one synchronous step, so a code can only be consumed once
+    async consume(kind, key) {
+      const id = `${kind}:${key}`;
+      const value = read(id);
+      entries.delete(id);
+      return value;
+    },
+
+    async delete(kind, key) {
+      entries.delete(`${kind}:${key}`);
+    },
+
+    async close() {
+      clearInterval(sweep);
+      entries.clear();
+    }
+  };
+}
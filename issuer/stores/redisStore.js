@@ -0,0 +1,268 @@
+/**
+ * Redis-compatible issuer session store
+ * Talks RESP2 directly over TCP/TLS (Redis ≥ 6.2, Valkey, KeyDB, ...) so no client
+ * library is required. TTLs use SET PX, add-if-absent uses SET NX and single-use
+ * consumption uses GETDEL.
+ */
+
+import net from 'net';
+import tls from 'tls';
+
+const REDIS_COMMAND_TIMEOUT = parseInt(process.env.REDIS_COMMAND_TIMEOUT || '5000'); // ms
+
+/**
+ * Create a Redis-backed store
+ * @param {object} options
+ * @param {string} options.url - redis://[user:password@]host[:port][/db] or rediss://
+ * @param {string} [options.prefix] - Key prefix
+ * @param {number} [options.commandTimeout] - ms to wait for a connection or a reply
+ * @returns {{put: Function, add: Function, get: Function, consume: Function, delete: Function, close: Function}}
+ */
+export function createRedisStore({ url, prefix = 'zk-mdl-kit:issuer:', commandTimeout = REDIS_COMMAND_TIMEOUT }) {
+  const client = createRespClient(url, commandTimeout);
+  const keyOf = (kind, key) => `${prefix}${kind}:${key}`;
+
+  return {
+    async put(kind, key, value, ttlSeconds) {
+      await client.command('SET', keyOf(kind, key), JSON.stringify(value), 'PX', String(ttlSeconds * 1000));
+    },
+
+    async add(kind, key, value, ttlSeconds) {
+      const reply = await client.command('SET', keyOf(kind, key), JSON.stringify(value), 'PX', String(ttlSeconds * 1000), 'NX');
+      return reply === 'OK';
+    },
+
+    async get(kind, key) {
+      const value = await client.command('GET', keyOf(kind, key));
+      return value === null ? null : JSON.parse(value);
+    },
+
+    async consume(kind, key) {
+      const value = await client.command('GETDEL', keyOf(kind, key));
+      return value === null ? null : JSON.parse(value);
+    },
+
+    async delete(kind, key) {
+      await client.command('DEL', keyOf(kind, key));
+    },
+
+    async close() {
+      await client.close();
+    }
+  };
+}
+
+/**
+ * Minimal pipelined RESP2 client
+ * Connects lazily and reconnects on the next command after the socket closes.
+ * Replies are matched to commands by order, so a malformed reply or a command
+ * that times out fails the whole connection and every command pending on it.
+ * @param {string} url
+ * @param {number} commandTimeout - ms
+ * @returns {{command: Function, close: Function}}
+ */
+function createRespClient(url, commandTimeout) {
+  const target = new URL(url);
+
+  // Current connection: { socket, pending, buffer, ready }
+  let connection = null;
+
+  const fail = (conn, error) => {
+    conn.rejectReady?.(error);
+    while (conn.pending.length) {
+      const { reject, timer } = conn.pending.shift();
+      clearTimeout(timer);
+      reject(error);
+    }
+    conn.socket.destroy();
+
+    // A stale socket closing must not drop a newer connection
+    if (connection === conn) {
+      connection = null;
+    }
+  };
+
+  const onData = (conn, chunk) => {
+    conn.buffer = Buffer.concat([conn.buffer, chunk]);
+
+    while (conn.pending.length) {
+      const parsed = parseReply(conn.buffer, 0);
+      if (!parsed) {
+        return;
+      }
+      conn.buffer = conn.buffer.subarray(parsed.end);
+
+      const { resolve, reject, timer } = conn.pending.shift();
+      clearTimeout(timer);
+      if (parsed.value instanceof Error) {
+        reject(parsed.value);
+      } else {
+        resolve(parsed.value);
+      }
+    }
+  };
+
+  const send = (conn, args) => new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => fail(conn, new Error(`Redis: ${args[0]} timed out after ${commandTimeout} ms`)),
+      commandTimeout
+    );
+    conn.pending.push({ resolve, reject, timer });
+    conn.socket.write(encodeCommand(args));
+  });
+
+  const connect = () => {
+    if (connection) {
+      return connection;
+    }
+
+    const options = {
+      host: target.hostname || 'localhost',
+      port: parseInt(target.port || '6379')
+    };
+
+    const socket = target.protocol === 'rediss:'
+      ? tls.connect({ ...options, servername: options.host })
+      : net.connect(options);
+    const conn = { socket, pending: [], buffer: Buffer.alloc(0) };
+    connection = conn;
+
+    const connected = new Promise((resolve, reject) => {
+      conn.rejectReady = reject;
+      const timer = setTimeout(
+        () => fail(conn, new Error(`Redis: connect timed out after ${commandTimeout} ms`)),
+        commandTimeout
+      );
+      socket.once(target.protocol === 'rediss:' ? 'secureConnect' : 'connect', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      socket.once('close', () => clearTimeout(timer));
+    });
+
+    socket.on('data', chunk => {
+      try {
+        onData(conn, chunk);
+      } catch (error) {
+        fail(conn, error);
+      }
+    });
+    socket.on('error', error => fail(conn, error));
+    socket.on('close', () => fail(conn, new Error('Redis connection closed')));
+
+    conn.ready = connected.then(async () => {
+      conn.rejectReady = null;
+
+      if (target.password) {
+        const username = decodeURIComponent(target.username);
+        const password = decodeURIComponent(target.password);
+        await send(conn, username ? ['AUTH', username, password] : ['AUTH', password]);
+      }
+
+      const db = target.pathname.replace('/', '');
+      if (db) {
+        await send(conn, ['SELECT', db]);
+      }
+    });
+
+    conn.ready.catch(error => fail(conn, error));
+
+    return conn;
+  };
+
+  return {
+    async command(...args) {
+      const conn = connect();
+      await conn.ready;
+      return await send(conn, args);
+    },
+
+    async close() {
+      if (connection) {
+        connection.socket.end();
+        connection = null;
+      }
+    }
+  };
+}
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array<string>} args
+ * @returns {Buffer}
+ */
+function encodeCommand(args) {
+  const parts = [`*${args.length}\r\n`];
+  for (const arg of args) {
+    parts.push(`$${Buffer.byteLength(arg)}\r\n${arg}\r\n`);
+  }
+  return Buffer.from(parts.join(''));
+}
+
+/**
+ * Parse one RESP2 reply
+ * @param {Buffer} buf
+ * @param {number} offset
+ * @returns {{value: *, end: number}|null} null when the reply is incomplete
+ */
+function parseReply(buf, offset) {
+  const lineEnd = buf.indexOf('\r\n', offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString('utf-8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, end: next };
+    case '-':
+      return { value: new Error(`Redis: ${line}`), end: next };
+    case ':':
+      return { value: parseInt(line), end: next };
+    case '$': {
+      const length = parseLength(line);
+      if (length === -1) {
+        return { value: null, end: next };
+      }
+      if (buf.length < next + length + 2) {
+        return null;
+      }
+      return { value: buf.toString('utf-8', next, next + length), end: next + length + 2 };
+    }
+    case '*': {
+      const count = parseLength(line);
+      if (count === -1) {
+        return { value: null, end: next };
+      }
+      const items = [];
+      let end = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buf, end);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        end = item.end;
+      }
+      return { value: items, end };
+    }
+    default:
+      // Thrown out of the data handler, which fails the connection
+      throw new Error(`Redis: unexpected reply type ${type}`);
+  }
+}
+
+/**
+ * @param {string} line - Bulk string length or array count
+ * @returns {number}
+ */
+function parseLength(line) {
+  const length = Number(line);
+  if (!Number.isInteger(length) || length < -1) {
+    throw new Error(`Redis: malformed length ${line}`);
+  }
+  return length;
+}
@@ -0,0 +1,98 @@
+/**
+ * Verification receipt validation
+ * The issuer only authorizes issuance for a fresh, unused receipt signed by the
+ * verifier, and only for the claims its predicates prove
+ */
+
+import { jwtVerify, createRemoteJWKSet, createLocalJWKSet } from 'jose';
+import { markReceiptUsed } from './sessionStore.js';
+import { deriveClaims } from './claims.js';
+
+const VERIFIER_URL = process.env.VERIFIER_URL || 'http://localhost:3000';
+const RECEIPT_MAX_AGE = parseInt(process.env.RECEIPT_MAX_AGE || '300'); // 5 minutes
+const RECEIPT_TYPE = 'verification-receipt+jwt';
+
+let receiptKeys = null;
+
+/**
+ * Key set receipts are verified with
+ * VERIFIER_RECEIPT_JWKS (inline JWKS) or the verifier's /api/receipt-jwks
+ * @returns {Function}
+ */
+function getReceiptKeySet() {
+  if (!receiptKeys) {
+    receiptKeys = process.env.VERIFIER_RECEIPT_JWKS
+      ? createLocalJWKSet(JSON.parse(process.env.VERIFIER_RECEIPT_JWKS))
+      : createRemoteJWKSet(new URL('/api/receipt-jwks', VERIFIER_URL));
+  }
+  return receiptKeys;
+}
+
+/**
+ * Validate a verification receipt, derive the claims it proves and mark it used
+ * @param {string} receipt - Receipt JWS from the verifier's /api/verify response
+ * @param {object} [options]
+ * @param {Array<string>} [options.requestedClaims] - Claims that must all be proven
+ * @param {string} [options.verificationSessionId] - Session the client claims the receipt is for
+ * @returns {Promise<{valid: boolean, sessionId?: string, claims?: object, trust?: object, code?: string, error?: string}>}
+ */
+export async function validateVerificationReceipt(receipt, { requestedClaims, verificationSessionId } = {}) {
+  let payload;
+
+  try {
+    ({ payload } = await jwtVerify(receipt, getReceiptKeySet(), {
+      algorithms: ['ES256'],
+      typ: RECEIPT_TYPE,
+      issuer: VERIFIER_URL,
+      ...(process.env.RECEIPT_AUDIENCE && { audience: process.env.RECEIPT_AUDIENCE }),
+      maxTokenAge: RECEIPT_MAX_AGE,
+      requiredClaims: ['sub', 'jti', 'iat', 'exp']
+    }));
+  } catch (error) {
+    return {
+      valid: false,
+      code: 'invalid_grant',
+      error: `Invalid verification receipt: ${error.message}`
+    };
+  }
+
+  if (verificationSessionId && verificationSessionId !== payload.sub) {
+    return {
+      valid: false,
+      code: 'invalid_grant',
+      error: 'Verification receipt does not belong to verificationSessionId'
+    };
+  }
+
+  if (payload.mock && process.env.ISSUER_ACCEPT_MOCK_RECEIPTS !== 'true') {
+    return {
+      valid: false,
+      code: 'invalid_grant',
+      error: 'Verification receipt comes from a mock verification'
+    };
+  }
+
+  // Checked before the receipt is used up, so a refused request can be retried
+  const { claims, code, error } = deriveClaims(payload.predicates || {}, requestedClaims);
+
+  if (!claims) {
+    return { valid: false, code, error };
+  }
+
+  // Single use, remembered until the receipt could no longer be accepted anyway
+  const ttl = payload.exp - Math.floor(Date.now() / 1000);
+  if (!await markReceiptUsed(payload.jti, ttl)) {
+    return {
+      valid: false,
+      code: 'invalid_grant',
+      error: 'Verification receipt already used'
+    };
+  }
+
+  return {
+    valid: true,
+    sessionId: payload.sub,
+    claims,
+    trust: payload.trust
+  };
+}
@@ -0,0 +1,76 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { acquireFileLock, withFileLock } from '../../common/fileLock.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-lock-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Leave a lock behind as a crashed holder would
+ * @param {string} lockFile
+ * @param {number} ageMs
+ */
+async function abandonLock(lockFile, ageMs) {
+  await fs.writeFile(lockFile, 'crashed-holder');
+  const then = new Date(Date.now() - ageMs);
+  await fs.utimes(lockFile, then, then);
+}
+
+test('waits for the holder and times out', async () => {
+  const lockFile = path.join(dir, 'held.lock');
+  const release = await acquireFileLock(lockFile);
+
+  await assert.rejects(acquireFileLock(lockFile, { timeout: 100 }), /Timed out/);
+
+  await release();
+  await (await acquireFileLock(lockFile, { timeout: 100 }))();
+});
+
+test('breaks a stale lock', async () => {
+  const lockFile = path.join(dir, 'stale.lock');
+  await abandonLock(lockFile, 60000);
+
+  const release = await acquireFileLock(lockFile, { timeout: 100, staleAge: 10000 });
+
+  assert.notEqual(await fs.readFile(lockFile, 'utf-8'), 'crashed-holder');
+  await release();
+  await assert.rejects(fs.stat(lockFile), { code: 'ENOENT' });
+});
+
+test('lets only one of several processes breaking a stale lock hold it', async () => {
+  const lockFile = path.join(dir, 'contended.lock');
+  await abandonLock(lockFile, 60000);
+
+  let holders = 0;
+  let maxHolders = 0;
+
+  await Promise.all(Array.from({ length: 8 }, () => withFileLock(lockFile, async () => {
+    maxHolders = Math.max(maxHolders, ++holders);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    holders--;
+  }, { staleAge: 10000 })));
+
+  assert.equal(maxHolders, 1);
+  assert.deepEqual((await fs.readdir(dir)).filter(name => name.startsWith('contended')), []);
+});
+
+test('does not release a lock another process has taken over', async () => {
+  const lockFile = path.join(dir, 'taken-over.lock');
+  const release = await acquireFileLock(lockFile);
+
+  // The lock was broken as stale and another process holds it now
+  await fs.writeFile(lockFile, 'other-holder');
+  await release();
+
+  assert.equal(await fs.readFile(lockFile, 'utf-8'), 'other-holder');
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { decodeProtectedHeader } from 'jose';
+import { createFileProvider } from '../../../common/keyProviders/fileProvider.js';
+import { createKeyRing } from '../../../common/keyRing.js';
+
+const PASSPHRASE = 'correct horse battery staple';
+const DATA = Buffer.from('signing input');
+
+/**
+ * @param {object} publicJwk
+ * @param {Buffer} signature - ES256 (r || s)
+ * @param {Buffer} [data]
+ * @returns {boolean}
+ */
+function verifies(publicJwk, signature, data = DATA) {
+  return crypto.verify('sha256', data, {
+    key: crypto.createPublicKey({ key: publicJwk, format: 'jwk' }),
+    dsaEncoding: 'ieee-p1363'
+  }, signature);
+}
+
+test('wraps generated keys under the passphrase and uses them after a restart', async () => {
+  const { publicJwk, ref } = await createFileProvider({ passphrase: PASSPHRASE }).generateKey({ alg: 'ES256', use: 'sig' });
+
+  assert.deepEqual(Object.keys(ref), ['encryptedJwk']);
+  const { p2s, ...header } = decodeProtectedHeader(ref.encryptedJwk);
+  assert.deepEqual(header, { alg: 'PBES2-HS512+A256KW', enc: 'A256GCM', cty: 'jwk+json', p2c: 210000 });
+  assert.ok(p2s);
+  assert.equal(ref.encryptedJwk.includes(publicJwk.x), false);
+
+  // A new provider has nothing cached and decrypts the stored reference
+  const restarted = createFileProvider({ passphrase: PASSPHRASE });
+  assert.equal(verifies(publicJwk, await restarted.sign(ref, DATA)), true);
+
+  const peer = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  assert.deepEqual(
+    await restarted.deriveSharedSecret(ref, peer.publicKey.export({ format: 'jwk' })),
+    crypto.diffieHellman({ privateKey: peer.privateKey, publicKey: crypto.createPublicKey({ key: publicJwk, format: 'jwk' }) })
+  );
+});
+
+test('refuses to use an encrypted key with the wrong passphrase or none', async () => {
+  const { ref } = await createFileProvider({ passphrase: PASSPHRASE }).generateKey({ alg: 'ES256', use: 'sig' });
+
+  await assert.rejects(createFileProvider({ passphrase: 'wrong passphrase' }).sign(ref, DATA), {
+    message: 'Cannot decrypt key: wrong KEY_PASSPHRASE?'
+  });
+  await assert.rejects(createFileProvider().sign(ref, DATA), {
+    message: 'Encrypted key file requires KEY_PASSPHRASE'
+  });
+});
+
+test('a key ring encrypts its plain JWKs once a passphrase is configured', async t => {
+  const ENV = ['KEY_PROVIDER', 'KEY_PASSPHRASE'];
+  const saved = Object.fromEntries(ENV.map(name => [name, process.env[name]]));
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-provider-'));
+
+  t.after(async () => {
+    for (const name of ENV) {
+      if (saved[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[name];
+      }
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  // Every key generated is logged
+  t.mock.method(console, 'log', () => {});
+
+  const file = path.join(dir, 'ring.json');
+  const ring = () => createKeyRing({ name: 'test', file, use: 'sig', alg: 'ES256', rotationInterval: 0, retention: 3600 });
+
+  // Plain JWKs, as written before KEY_PASSPHRASE was set
+  process.env.KEY_PROVIDER = 'file';
+  const plain = await ring().getKeys();
+  assert.ok(plain.every(key => key.provider === 'file' && key.key.privateJwk));
+
+  process.env.KEY_PROVIDER = 'encrypted-file';
+  process.env.KEY_PASSPHRASE = PASSPHRASE;
+  const migrated = ring();
+  const keys = await migrated.getKeys();
+
+  // Same keys, same kids: anything already signed still verifies
+  assert.deepEqual(keys.map(key => key.kid), plain.map(key => key.kid));
+  assert.ok(keys.every(key => key.provider === 'encrypted-file' && key.key.encryptedJwk && !key.key.privateJwk));
+
+  const stored = await fs.readFile(file, 'utf-8');
+  assert.equal(stored.includes('privateJwk'), false);
+  for (const key of plain) {
+    assert.equal(stored.includes(key.key.privateJwk.d), false);
+  }
+
+  const active = keys.find(key => key.state === 'active');
+  const [signingInput, signature] = (await migrated.signJwt({ typ: 'JWT' }, { sub: 'migrated' })).split(/\.(?=[^.]*$)/);
+  assert.equal(verifies(active.publicJwk, Buffer.from(signature, 'base64url'), Buffer.from(signingInput)), true);
+});
@@ -0,0 +1,98 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createPkcs11Provider } from '../../../common/keyProviders/pkcs11Provider.js';
+
+// Runs against a SoftHSM token in a temporary directory; skipped without
+// SoftHSM (SOFTHSM2_MODULE or a distribution path) or the pkcs11js package
+const MODULE = [
+  process.env.SOFTHSM2_MODULE,
+  '/usr/lib/softhsm/libsofthsm2.so',
+  '/usr/lib/x86_64-linux-gnu/softhsm/libsofthsm2.so',
+  '/usr/local/lib/softhsm/libsofthsm2.so',
+  '/opt/homebrew/lib/softhsm/libsofthsm2.so'
+].find(candidate => candidate && fs.existsSync(candidate));
+
+const PIN = '1234';
+const TOKEN_LABEL = 'zk-mdl-kit-test';
+
+/**
+ * @returns {Promise<string|false>} Why the tests are skipped, if they are
+ */
+async function unavailable() {
+  if (!MODULE) {
+    return 'SoftHSM module not found';
+  }
+  try {
+    execFileSync('softhsm2-util', ['--version'], { stdio: 'ignore' });
+  } catch (error) {
+    return 'softhsm2-util not found';
+  }
+  try {
+    await import('pkcs11js');
+  } catch (error) {
+    return 'pkcs11js not installed';
+  }
+  return false;
+}
+
+const skip = await unavailable();
+
+let dir;
+let provider;
+
+before(() => {
+  if (skip) {
+    return;
+  }
+
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'softhsm-'));
+  fs.mkdirSync(path.join(dir, 'tokens'));
+  fs.writeFileSync(path.join(dir, 'softhsm2.conf'), `directories.tokendir = ${path.join(dir, 'tokens')}\nobjectstore.backend = file\n`);
+  process.env.SOFTHSM2_CONF = path.join(dir, 'softhsm2.conf');
+
+  execFileSync('softhsm2-util', ['--init-token', '--free', '--label', TOKEN_LABEL, '--pin', PIN, '--so-pin', '0000'], { stdio: 'ignore' });
+  provider = createPkcs11Provider({ module: MODULE, tokenLabel: TOKEN_LABEL, pin: PIN });
+});
+
+after(async () => {
+  await provider?.close();
+  if (dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('signs with a non-extractable key on the token', { skip }, async () => {
+  const { publicJwk, ref } = await provider.generateKey({ use: 'sig', label: 'test' });
+  const data = Buffer.from('signing input');
+
+  const signature = await provider.sign(ref, data);
+
+  const publicKey = crypto.createPublicKey({ key: publicJwk, format: 'jwk' });
+  assert.equal(crypto.verify('sha256', data, { key: publicKey, dsaEncoding: 'ieee-p1363' }, signature), true);
+});
+
+test('derives an ECDH shared secret on the token', { skip }, async () => {
+  const { publicJwk, ref } = await provider.generateKey({ use: 'enc', label: 'test' });
+  const peer = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+  const sharedSecret = await provider.deriveSharedSecret(ref, peer.publicKey.export({ format: 'jwk' }));
+
+  const expected = crypto.diffieHellman({
+    privateKey: peer.privateKey,
+    publicKey: crypto.createPublicKey({ key: publicJwk, format: 'jwk' })
+  });
+  assert.deepEqual(Buffer.from(sharedSecret), expected);
+});
+
+test('deletes keys from the token', { skip }, async () => {
+  const { ref } = await provider.generateKey({ use: 'sig', label: 'test' });
+
+  await provider.deleteKey(ref);
+
+  await assert.rejects(provider.sign(ref, Buffer.from('data')), /not found on token/);
+});
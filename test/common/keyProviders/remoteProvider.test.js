@@ -0,0 +1,82 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { createRemoteProvider } from '../../../common/keyProviders/remoteProvider.js';
+import { createMockKms } from '../../../examples/mock-kms.js';
+
+const TOKEN = 'test-token';
+
+let kms;
+let server;
+let url;
+
+before(async () => {
+  // The mock KMS logs every key it creates
+  mock.method(console, 'log', () => {});
+
+  kms = createMockKms({ token: TOKEN });
+  server = await new Promise(resolve => {
+    const listening = kms.app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test('signs with a key kept in the KMS', async () => {
+  const provider = createRemoteProvider({ url, token: TOKEN });
+  const { publicJwk, ref } = await provider.generateKey({ use: 'sig', label: 'test' });
+  const data = Buffer.from('signing input');
+
+  const signature = await provider.sign(ref, data);
+
+  const publicKey = crypto.createPublicKey({ key: publicJwk, format: 'jwk' });
+  assert.equal(crypto.verify('sha256', data, { key: publicKey, dsaEncoding: 'ieee-p1363' }, signature), true);
+  assert.equal(kms.keys.has(ref.keyId), true);
+});
+
+test('derives an ECDH shared secret in the KMS', async () => {
+  const provider = createRemoteProvider({ url, token: TOKEN });
+  const { publicJwk, ref } = await provider.generateKey({ use: 'enc', label: 'test' });
+  const peer = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+  const sharedSecret = await provider.deriveSharedSecret(ref, peer.publicKey.export({ format: 'jwk' }));
+
+  const expected = crypto.diffieHellman({
+    privateKey: peer.privateKey,
+    publicKey: crypto.createPublicKey({ key: publicJwk, format: 'jwk' })
+  });
+  assert.deepEqual(sharedSecret, expected);
+});
+
+test('deletes keys', async () => {
+  const provider = createRemoteProvider({ url, token: TOKEN });
+  const { ref } = await provider.generateKey({ use: 'sig', label: 'test' });
+
+  await provider.deleteKey(ref);
+
+  await assert.rejects(provider.sign(ref, Buffer.from('data')), /HTTP 404/);
+});
+
+test('fails on a missing or wrong token', async () => {
+  const provider = createRemoteProvider({ url, token: 'wrong' });
+
+  await assert.rejects(provider.generateKey({ use: 'sig', label: 'test' }), /HTTP 401/);
+});
+
+test('times out a key service that does not answer', async () => {
+  const hung = http.createServer(() => {});
+  await new Promise(resolve => hung.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const provider = createRemoteProvider({ url: `http://127.0.0.1:${hung.address().port}`, timeout: 100 });
+    await assert.rejects(provider.sign({ keyId: 'k' }, Buffer.from('data')), /timed out after 100 ms/);
+  } finally {
+    hung.closeAllConnections();
+    hung.close();
+  }
+});
@@ -0,0 +1,104 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createKeyRing } from '../../common/keyRing.js';
+
+let dir;
+
+before(async () => {
+  // Every key generated and rotated in is logged
+  mock.method(console, 'log', () => {});
+
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'key-ring-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * A signing key ring in the test directory
+ * @param {string} file
+ * @param {object} [options]
+ * @param {number} [options.rotationInterval] - Seconds (0 disables scheduled rotation)
+ * @param {number} [options.retention] - Seconds
+ * @returns {object}
+ */
+function ring(file, { rotationInterval = 0, retention = 3600 } = {}) {
+  return createKeyRing({ name: 'test', file: path.join(dir, file), use: 'sig', alg: 'ES256', rotationInterval, retention });
+}
+
+test('starts a new ring when the file does not exist', async () => {
+  const keys = await ring('new.json').getKeys();
+
+  assert.deepEqual(keys.map(key => key.state), ['active', 'next']);
+  const stored = JSON.parse(await fs.readFile(path.join(dir, 'new.json'), 'utf-8'));
+  assert.deepEqual(stored.keys.map(key => key.kid), keys.map(key => key.kid));
+});
+
+test('refuses a ring file it cannot parse and leaves it untouched', async () => {
+  const file = path.join(dir, 'truncated.json');
+  await fs.writeFile(file, '{"keys": [{"kid": "a"');
+
+  await assert.rejects(ring('truncated.json').getKeys(), /Cannot read test key ring/);
+  assert.equal(await fs.readFile(file, 'utf-8'), '{"keys": [{"kid": "a"');
+});
+
+test('refuses a ring file it cannot read', { skip: process.getuid?.() === 0 && 'root reads any file' }, async () => {
+  const file = path.join(dir, 'unreadable.json');
+  await fs.writeFile(file, JSON.stringify({ keys: [] }), { mode: 0o000 });
+
+  await assert.rejects(ring('unreadable.json').getKeys(), /Cannot read test key ring/);
+});
+
+test('rotations by two processes sharing a ring file are both kept', async () => {
+  // Two rings on one file stand in for two processes: separate queues, shared lock file
+  const first = ring('shared.json');
+  const second = ring('shared.json');
+  await first.getKeys();
+
+  await Promise.all([first.rotate(), second.rotate()]);
+
+  const keys = await first.getKeys();
+  assert.deepEqual(keys.map(key => key.state), ['active', 'next', 'retired', 'retired']);
+  assert.equal(new Set(keys.map(key => key.kid)).size, 4);
+});
+
+test('rotates on schedule and drops a retired key after its retention', async () => {
+  const scheduled = ring('scheduled.json', { rotationInterval: 3600, retention: 60 });
+  const states = keys => Object.fromEntries(keys.map(key => [key.kid, key.state]));
+
+  mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  try {
+    const [first, second] = await scheduled.getKeys();
+    assert.deepEqual([first.state, second.state], ['active', 'next']);
+
+    // Not due yet
+    mock.timers.tick(3599 * 1000);
+    assert.deepEqual(states(await scheduled.getKeys()), { [first.kid]: 'active', [second.kid]: 'next' });
+
+    // Due: the next key takes over, the active key is retired and a new next key is made
+    mock.timers.tick(1000);
+    const rotated = await scheduled.getKeys();
+    assert.equal(states(rotated)[first.kid], 'retired');
+    assert.equal(states(rotated)[second.kid], 'active');
+    assert.deepEqual(rotated.map(key => key.state), ['active', 'next', 'retired']);
+    assert.equal((await scheduled.getKey(first.kid)).expiresAt, Date.now() + 60 * 1000);
+
+    // Kept, and published, for the retention period
+    mock.timers.tick(60 * 1000 - 1);
+    assert.ok((await scheduled.getJwks()).keys.some(jwk => jwk.kid === first.kid));
+
+    mock.timers.tick(1);
+    assert.equal(await scheduled.getKey(first.kid), null);
+    assert.deepEqual((await scheduled.getKeys()).map(key => key.state), ['active', 'next']);
+
+    // The expired key is gone from the file too
+    const stored = JSON.parse(await fs.readFile(path.join(dir, 'scheduled.json'), 'utf-8'));
+    assert.equal(stored.keys.some(key => key.kid === first.kid), false);
+  } finally {
+    mock.timers.reset();
+  }
+});
@@ -0,0 +1,82 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getVerifierMode, mocksAllowed, assertMocksAllowed, isMockForced, getForcedMockSources } from '../../common/mode.js';
+
+const ENV = ['VERIFIER_MODE', 'LONGFELLOW_MOCK', 'VICAL_MOCK', 'IACA_MOCK'];
+const saved = Object.fromEntries(ENV.map(name => [name, process.env[name]]));
+
+afterEach(() => {
+  for (const name of ENV) {
+    if (saved[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = saved[name];
+    }
+  }
+});
+
+/**
+ * @param {object} env
+ */
+function configure(env) {
+  ENV.forEach(name => delete process.env[name]);
+  Object.assign(process.env, env);
+}
+
+test('defaults to production mode, where mocks are not allowed', () => {
+  configure({});
+
+  assert.equal(getVerifierMode(), 'production');
+  assert.equal(mocksAllowed(), false);
+  assert.throws(() => assertMocksAllowed('VICAL'), /Mock VICAL is not allowed in production mode/);
+});
+
+test('allows mocks in development and test mode', () => {
+  for (const mode of ['development', 'TEST']) {
+    configure({ VERIFIER_MODE: mode });
+
+    assert.equal(mocksAllowed(), true);
+    assert.doesNotThrow(() => assertMocksAllowed('Longfellow'));
+  }
+});
+
+test('rejects an unknown mode instead of falling back to one', () => {
+  configure({ VERIFIER_MODE: 'staging' });
+
+  assert.throws(() => getVerifierMode(), /Invalid VERIFIER_MODE "staging"/);
+  assert.throws(() => mocksAllowed(), /Invalid VERIFIER_MODE/);
+});
+
+test('lists the mock sources forced on by their flags', () => {
+  configure({ LONGFELLOW_MOCK: 'true', VICAL_MOCK: 'false', IACA_MOCK: 'true' });
+
+  assert.equal(isMockForced('longfellow'), true);
+  assert.equal(isMockForced('vical'), false);
+  assert.deepEqual(getForcedMockSources(), ['longfellow', 'iaca']);
+});
+
+test('the verifier refuses to start in production with a *_MOCK flag set', async () => {
+  const server = fileURLToPath(new URL('../../verifier/server.js', import.meta.url));
+  // No .env is picked up from the repository, and nothing is written to it
+  const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'verifier-mode-'));
+
+  try {
+    const { code, stderr } = await new Promise(resolve => {
+      execFile(process.execPath, [server], {
+        cwd,
+        timeout: 30000,
+        env: { PATH: process.env.PATH, VERIFIER_MODE: 'production', VICAL_MOCK: 'true' }
+      }, (error, stdout, stderr) => resolve({ code: error?.code, stderr }));
+    });
+
+    assert.equal(code, 1);
+    assert.match(stderr, /Refusing to start: mock sources active in production mode \(vical\)/);
+  } finally {
+    await fs.rm(cwd, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,137 @@
+#!/bin/sh
+# Regenerate the test IACA / Document Signer hierarchy (ISO 18013-5 Annex B profiles)
+# and the test VICALs (ISO 18013-5 Annex C) listing its IACA root.
+# Private keys are thrown away; only the certificates and VICALs are kept as fixtures.
+# Usage: sh test/fixtures/trust/generate.sh
+set -e
+
+cd "$(dirname "$0")"
+KEYS=$(mktemp -d)
+trap 'rm -rf "$KEYS"' EXIT
+
+cat > "$KEYS/ext.cnf" <<'CNF'
+[iaca]
+basicConstraints = critical, CA:TRUE, pathlen:0
+keyUsage = critical, keyCertSign, cRLSign
+subjectKeyIdentifier = hash
+issuerAltName = URI:https://dmv.example.com
+
+[iaca_critical_extension]
+basicConstraints = critical, CA:TRUE, pathlen:0
+keyUsage = critical, keyCertSign, cRLSign
+subjectKeyIdentifier = hash
+1.3.6.1.4.1.55555.1 = critical, DER:05:00
+
+[ds]
+keyUsage = critical, digitalSignature
+extendedKeyUsage = critical, 1.0.18013.5.1.2
+crlDistributionPoints = URI:https://dmv.example.com/crl
+subjectKeyIdentifier = hash
+authorityKeyIdentifier = keyid
+
+[ds_no_eku]
+keyUsage = critical, digitalSignature
+crlDistributionPoints = URI:https://dmv.example.com/crl
+authorityKeyIdentifier = keyid
+
+[ds_cert_sign]
+keyUsage = critical, digitalSignature, keyCertSign
+extendedKeyUsage = critical, 1.0.18013.5.1.2
+crlDistributionPoints = URI:https://dmv.example.com/crl
+authorityKeyIdentifier = keyid
+
+[ds_extra_key_usage]
+keyUsage = critical, digitalSignature, nonRepudiation
+extendedKeyUsage = critical, 1.0.18013.5.1.2
+crlDistributionPoints = URI:https://dmv.example.com/crl
+authorityKeyIdentifier = keyid
+
+[ds_wrong_aki]
+keyUsage = critical, digitalSignature
+extendedKeyUsage = critical, 1.0.18013.5.1.2
+crlDistributionPoints = URI:https://dmv.example.com/crl
+2.5.29.35 = DER:30:16:80:14:00:11:22:33:44:55:66:77:88:99:aa:bb:cc:dd:ee:ff:00:11:22:33
+
+[ds_critical_extension]
+keyUsage = critical, digitalSignature
+extendedKeyUsage = critical, 1.0.18013.5.1.2
+crlDistributionPoints = URI:https://dmv.example.com/crl
+authorityKeyIdentifier = keyid
+1.3.6.1.4.1.55555.1 = critical, DER:05:00
+
+[vical_provider]
+basicConstraints = critical, CA:FALSE
+keyUsage = critical, digitalSignature
+subjectKeyIdentifier = hash
+CNF
+
+key() {
+  openssl ecparam -name prime256v1 -genkey -noout -out "$KEYS/$1.key"
+}
+
+# root <name> <subject> <section> <days>
+root() {
+  key "$1"
+  openssl req -new -x509 -key "$KEYS/$1.key" -subj "$2" -days "$4" -sha256 \
+    -config "$KEYS/ext.cnf" -extensions "$3" -out "$1.crt"
+}
+
+# signer <name> <issuer> <subject> <section> <days>
+signer() {
+  key "$1"
+  openssl req -new -key "$KEYS/$1.key" -subj "$3" -out "$KEYS/$1.csr"
+  openssl x509 -req -in "$KEYS/$1.csr" -CA "$2.crt" -CAkey "$KEYS/$2.key" -set_serial "0x$(openssl rand -hex 8)" \
+    -days "$5" -sha256 -extfile "$KEYS/ext.cnf" -extensions "$4" -out "$1.crt"
+}
+
+root iaca '/C=US/ST=CA/O=Test DMV/CN=Test IACA' iaca 3650
+root other-iaca '/C=US/ST=NY/O=Other Test DMV/CN=Other Test IACA' iaca 3650
+root iaca-critical-extension '/C=US/ST=CA/O=Test DMV/CN=Test IACA with unknown critical extension' iaca_critical_extension 3650
+
+signer ds iaca '/C=US/ST=CA/O=Test DMV/CN=Test Document Signer' ds 365
+signer ds-no-eku iaca '/C=US/ST=CA/O=Test DMV/CN=Test DS without EKU' ds_no_eku 365
+signer ds-cert-sign iaca '/C=US/ST=CA/O=Test DMV/CN=Test DS with keyCertSign' ds_cert_sign 365
+signer ds-extra-key-usage iaca '/C=US/ST=CA/O=Test DMV/CN=Test DS with nonRepudiation' ds_extra_key_usage 365
+signer ds-wrong-aki iaca '/C=US/ST=CA/O=Test DMV/CN=Test DS with wrong AKI' ds_wrong_aki 365
+signer ds-critical-extension iaca '/C=US/ST=CA/O=Test DMV/CN=Test DS with unknown critical extension' ds_critical_extension 365
+signer ds-outlives-iaca iaca '/C=US/ST=CA/O=Test DMV/CN=Test DS outliving its IACA' ds 4000
+signer ds-other-state iaca '/C=US/ST=NY/O=Test DMV/CN=Test DS in another state' ds 365
+signer ds-other-iaca other-iaca '/C=US/ST=NY/O=Other Test DMV/CN=Other Test Document Signer' ds 365
+root vical-provider '/C=US/O=Test VICAL Provider/CN=Test VICAL Signer' vical_provider 3650
+
+# vical <name> <issueID|-> - COSE_Sign1 VICAL listing iaca.crt, signed by vical-provider
+vical() {
+  node --input-type=module - "$1" "$2" "$KEYS/vical-provider.key" <<'JS'
+import fs from 'fs';
+import crypto from 'crypto';
+import { encode, Tagged } from '../../../common/cbor.js';
+import { createSign1, HEADER_X5CHAIN } from '../../../common/cose.js';
+
+const [name, issueID, keyFile] = process.argv.slice(2);
+const der = file => new crypto.X509Certificate(fs.readFileSync(file)).raw;
+
+const vical = {
+  version: '1.0',
+  vicalProvider: 'Test VICAL Provider',
+  date: new Tagged(0, '2026-01-01T00:00:00Z'),
+  ...(issueID !== '-' && { vicalIssueID: Number(issueID) }),
+  certificateInfos: [{
+    certificate: der('iaca.crt'),
+    docType: ['org.iso.18013.5.1.mDL'],
+    issuingAuthority: 'Test DMV',
+    issuingCountry: 'US',
+    stateOrProvinceName: 'US-CA'
+  }]
+};
+
+const privateKey = crypto.createPrivateKey(fs.readFileSync(keyFile));
+const message = createSign1(encode(vical), privateKey, {
+  unprotectedHeaders: new Map([[HEADER_X5CHAIN, der('vical-provider.crt')]])
+});
+fs.writeFileSync(`${name}.cbor`, encode(new Tagged(18, message)));
+JS
+}
+
+vical vical 2
+vical vical-older 1
+vical vical-no-issue-id -
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPair as generateIssuerKeyPair, exportJWK, SignJWT } from 'jose';
+import { verifySdJwtPresentation, DERIVED_VC_TYPE } from '../../issuer/issueCredential.js';
+import { createDisclosures } from '../../issuer/sdJwt.js';
+import { generateKeyPair, listDisclosures, createPresentation } from '../../holder/index.js';
+import { toPublicJwk } from '../../holder/keys.js';
+
+const ISSUER = 'https://issuer.example.com';
+const AUDIENCE = 'https://rp.example.com';
+const NONCE = 'rp-nonce';
+
+const CLAIMS = {
+  given_name: 'John',
+  address: { street_address: '123 Main St', country: 'US' },
+  nationalities: ['US', 'DE']
+};
+
+const issuerKeys = await generateIssuerKeyPair('ES256');
+const issuerPublicKey = await exportJWK(issuerKeys.publicKey);
+const holder = await generateKeyPair();
+
+/**
+ * Issue CLAIMS to the holder as an SD-JWT VC, every property and array element selectively disclosable
+ * @returns {Promise<string>}
+ */
+async function issue() {
+  const { payload, disclosures } = createDisclosures(CLAIMS);
+
+  const jwt = await new SignJWT({
+    iss: ISSUER,
+    vct: DERIVED_VC_TYPE,
+    cnf: { jwk: toPublicJwk(holder.publicKey) },
+    ...payload,
+    _sd_alg: 'sha-256'
+  })
+    .setProtectedHeader({ alg: 'ES256', typ: 'dc+sd-jwt' })
+    .setIssuedAt()
+    .setExpirationTime('1h')
+    .sign(issuerKeys.privateKey);
+
+  return `${jwt}~${disclosures.join('~')}~`;
+}
+
+/**
+ * Present the nested address.country and the second nationality only
+ * @param {string} sdJwt
+ * @returns {Promise<string>}
+ */
+function presentSubset(sdJwt) {
+  return createPresentation(sdJwt, {
+    disclose: [['address', 'country'], ['nationalities', 1]],
+    keyPair: holder,
+    audience: AUDIENCE,
+    nonce: NONCE
+  });
+}
+
+/**
+ * @param {string} presentation
+ * @returns {Promise<object>}
+ */
+function verify(presentation) {
+  return verifySdJwtPresentation(presentation, { audience: AUDIENCE, nonce: NONCE, issuerPublicKey, issuer: ISSUER });
+}
+
+test('lists the claim path of every disclosure', async () => {
+  const paths = (await listDisclosures(await issue())).map(({ path }) => JSON.stringify(path)).sort();
+
+  assert.deepEqual(paths, [
+    '["address","country"]',
+    '["address","street_address"]',
+    '["address"]',
+    '["given_name"]',
+    '["nationalities",0]',
+    '["nationalities",1]',
+    '["nationalities"]'
+  ]);
+});
+
+test('reveals only the chosen nested claim and array element', async () => {
+  const result = await verify(await presentSubset(await issue()));
+
+  assert.equal(result.valid, true, result.error);
+  assert.deepEqual(result.claims, { address: { country: 'US' }, nationalities: ['DE'] });
+  assert.equal('given_name' in result.claims, false);
+});
+
+test('rejects a presentation whose disclosures changed after key binding', async () => {
+  const sdJwt = await issue();
+  const presentation = await presentSubset(sdJwt);
+
+  // Add an issued disclosure the holder did not present (given_name)
+  const [givenName] = (await listDisclosures(sdJwt)).filter(({ path }) => path[0] === 'given_name');
+  const parts = presentation.split('~');
+  parts.splice(1, 0, givenName.disclosure);
+
+  const result = await verify(parts.join('~'));
+  assert.equal(result.valid, false);
+  assert.equal(result.error, 'Key Binding JWT sd_hash does not match the presented SD-JWT');
+});
+
+test('rejects a presentation with an altered disclosure', async () => {
+  const presentation = await presentSubset(await issue());
+
+  const parts = presentation.split('~');
+  const index = parts.findIndex((part, i) => i > 0 && JSON.parse(Buffer.from(part, 'base64url'))[1] === 'country');
+  const [salt] = JSON.parse(Buffer.from(parts[index], 'base64url'));
+  parts[index] = Buffer.from(JSON.stringify([salt, 'country', 'DE'])).toString('base64url');
+
+  const result = await verify(parts.join('~'));
+  assert.equal(result.valid, false);
+  assert.equal(result.error, 'Disclosure not referenced by any digest');
+});
@@ -0,0 +1,98 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import * as Bls12381Multikey from '@digitalbazaar/bls12-381-multikey';
+import { generateKeyPair, exportJWK } from 'jose';
+import { issueBbsCredential, verifyBbsPresentation, getBbsControllerDocument, BBS_CREDENTIAL_TYPE } from '../../issuer/bbsCredential.js';
+import { deriveBbsPresentation } from '../../holder/bbs.js';
+import { buildDerivedVcQuery } from '../../verifier/requestBuilder.js';
+
+const CLAIMS = { over18: true, over21: true, issuing_jurisdiction: 'US-CA' };
+
+// Keys from the environment, so no .issuer-bbs-keys.json is written
+const bbsKeyPair = await Bls12381Multikey.generateBbsKeyPair({
+  algorithm: Bls12381Multikey.ALGORITHMS.BBS_BLS12381_SHA256
+});
+const { publicKeyMultibase, secretKeyMultibase } = await bbsKeyPair.export({ publicKey: true, secretKey: true });
+process.env.ISSUER_BBS_PUBLIC_KEY = publicKeyMultibase;
+process.env.ISSUER_BBS_SECRET_KEY = secretKeyMultibase;
+
+const { publicKey } = await generateKeyPair('ES256');
+const jwks = { keys: [{ ...await exportJWK(publicKey), kid: 'issuer-key-1' }] };
+
+// The issuer's metadata and controller document, as the relying party fetches them
+const server = http.createServer(async (req, res) => {
+  const body = req.url === '/controller'
+    ? await getBbsControllerDocument()
+    : { credential_issuer: process.env.ISSUER_URL, jwks };
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+// Read when the relying party module is imported
+process.env.ISSUER_URL = `http://127.0.0.1:${server.address().port}`;
+const { verifyDerivedPresentation } = await import('../../verifier/derivedVc.js');
+
+after(() => server.close());
+
+/**
+ * A consumed 'derived_vc' verification session asking for over21 as a BBS credential
+ * @param {string} nonce
+ * @returns {object}
+ */
+function derivedVcSession(nonce) {
+  return {
+    nonce,
+    clientId: 'https://rp.example.com',
+    dcqlQuery: buildDerivedVcQuery({
+      format: 'ldp_vc',
+      types: ['VerifiableCredential', BBS_CREDENTIAL_TYPE],
+      claims: ['over21']
+    })
+  };
+}
+
+test('issues, derives and verifies a presentation revealing only the chosen claims', async () => {
+  const { credential, format } = await issueBbsCredential({ claims: CLAIMS });
+  assert.equal(format, 'ldp_vc');
+
+  const derived = await deriveBbsPresentation(credential, { disclose: ['over21'], nonce: 'nonce-1' });
+  const result = await verifyBbsPresentation(derived, { nonce: 'nonce-1' });
+
+  assert.equal(result.valid, true, result.error);
+  assert.deepEqual(result.claims, { over21: true });
+  assert.equal(result.issuer, process.env.ISSUER_URL);
+  assert.ok(result.expiresAt > Date.now() / 1000);
+});
+
+test('the relying party accepts the presentation for its session', async () => {
+  const { credential } = await issueBbsCredential({ claims: CLAIMS });
+  const derived = await deriveBbsPresentation(credential, { disclose: ['over21'], nonce: 'session-nonce-1' });
+
+  const result = await verifyDerivedPresentation({ derived_vc: [derived] }, derivedVcSession('session-nonce-1'));
+
+  assert.equal(result.valid, true, result.error);
+  assert.deepEqual(result.claims, { over21: true });
+});
+
+test('the relying party rejects a presentation replayed to another session', async () => {
+  const { credential } = await issueBbsCredential({ claims: CLAIMS });
+  const derived = await deriveBbsPresentation(credential, { disclose: ['over21'], nonce: 'session-nonce-1' });
+
+  const result = await verifyDerivedPresentation({ derived_vc: [derived] }, derivedVcSession('session-nonce-2'));
+
+  assert.equal(result.valid, false);
+  assert.equal(result.code, 'invalid_presentation');
+  assert.equal(result.error, 'Presentation nonce mismatch');
+});
+
+test('rejects a presentation that does not disclose a requested claim', async () => {
+  const { credential } = await issueBbsCredential({ claims: CLAIMS });
+  const derived = await deriveBbsPresentation(credential, { disclose: ['over18'], nonce: 'session-nonce-1' });
+
+  const result = await verifyDerivedPresentation({ derived_vc: [derived] }, derivedVcSession('session-nonce-1'));
+
+  assert.equal(result.valid, false);
+  assert.equal(result.error, 'Requested claims not disclosed: over21');
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createCredentialOffer,
+  getCredentialOffer,
+  redeemPreAuthorizedCode,
+  getCredentialOfferUrls,
+  PRE_AUTHORIZED_CODE_GRANT
+} from '../../issuer/credentialOffer.js';
+
+const ISSUER = 'https://issuer.example.com';
+const SESSION = { verificationSessionId: 'session-1', claims: { over21: true } };
+
+/**
+ * @param {object} [options]
+ * @param {boolean} [options.txCode]
+ * @returns {Promise<{offer: object, offerUri: string, txCode?: string, preAuthorizedCode: string, offerId: string}>}
+ */
+async function offer({ txCode = false } = {}) {
+  const created = await createCredentialOffer({
+    credentialIssuer: ISSUER,
+    configurationIds: ['derived-mdl-vc'],
+    session: SESSION,
+    txCode
+  });
+
+  return {
+    ...created,
+    preAuthorizedCode: created.offer.grants[PRE_AUTHORIZED_CODE_GRANT]['pre-authorized_code'],
+    offerId: created.offerUri.split('/').at(-1)
+  };
+}
+
+test('passes the offer by value and by reference', async () => {
+  const { offer: credentialOffer, offerUri, offerId } = await offer();
+
+  assert.equal(credentialOffer.credential_issuer, ISSUER);
+  assert.deepEqual(credentialOffer.credential_configuration_ids, ['derived-mdl-vc']);
+  assert.equal(offerUri, `${ISSUER}/credential-offer/${offerId}`);
+  assert.deepEqual(await getCredentialOffer(offerId), credentialOffer);
+
+  const { byValue, byReference } = getCredentialOfferUrls(credentialOffer, offerUri);
+  assert.deepEqual(JSON.parse(new URL(byValue).searchParams.get('credential_offer')), credentialOffer);
+  assert.equal(new URL(byReference).searchParams.get('credential_offer_uri'), offerUri);
+});
+
+test('redeems a pre-authorized code once, for the offered configurations', async () => {
+  const { preAuthorizedCode, offerId } = await offer();
+
+  const first = await redeemPreAuthorizedCode(preAuthorizedCode);
+  assert.equal(first.valid, true, first.error);
+  assert.deepEqual(first.session, { ...SESSION, credentialConfigurationIds: ['derived-mdl-vc'] });
+
+  // The offer can no longer be fetched once redeemed
+  assert.equal(await getCredentialOffer(offerId), null);
+
+  const second = await redeemPreAuthorizedCode(preAuthorizedCode);
+  assert.equal(second.valid, false);
+  assert.equal(second.code, 'invalid_grant');
+});
+
+test('requires the tx_code of an offer that has one', async () => {
+  const { offer: credentialOffer, preAuthorizedCode, txCode } = await offer({ txCode: true });
+
+  assert.equal(credentialOffer.grants[PRE_AUTHORIZED_CODE_GRANT].tx_code.input_mode, 'numeric');
+  assert.match(txCode, /^\d{6}$/);
+
+  const missing = await redeemPreAuthorizedCode(preAuthorizedCode);
+  assert.equal(missing.code, 'invalid_request');
+
+  const wrong = await redeemPreAuthorizedCode(preAuthorizedCode, txCode === '000000' ? '111111' : '000000');
+  assert.equal(wrong.code, 'invalid_grant');
+  assert.equal(wrong.error, 'Invalid tx_code');
+
+  assert.equal((await redeemPreAuthorizedCode(preAuthorizedCode, txCode)).valid, true);
+});
+
+test('refuses a tx_code for an offer without one', async () => {
+  const { preAuthorizedCode } = await offer();
+
+  const result = await redeemPreAuthorizedCode(preAuthorizedCode, '123456');
+  assert.equal(result.code, 'invalid_request');
+
+  // The refusal does not use up the code
+  assert.equal((await redeemPreAuthorizedCode(preAuthorizedCode)).valid, true);
+});
+
+test('voids the offer after too many wrong tx_codes', async () => {
+  const { preAuthorizedCode, txCode, offerId } = await offer({ txCode: true });
+  const wrongCode = txCode === '000000' ? '111111' : '000000';
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    assert.equal((await redeemPreAuthorizedCode(preAuthorizedCode, wrongCode)).error, 'Invalid tx_code');
+  }
+
+  const result = await redeemPreAuthorizedCode(preAuthorizedCode, txCode);
+  assert.equal(result.valid, false);
+  assert.equal(result.code, 'invalid_grant');
+  assert.equal(await getCredentialOffer(offerId), null);
+});
+
+test('accepts a tx_code sent as a JSON number', async () => {
+  const { preAuthorizedCode, txCode } = await offer({ txCode: true });
+
+  const result = await redeemPreAuthorizedCode(preAuthorizedCode, Number(txCode));
+  assert.equal(result.valid, true, result.error);
+});
+
+test('restores the leading zeros of a numeric tx_code', async () => {
+  // Retry until the random code starts with 0 (one in ten)
+  let created;
+  do {
+    created = await offer({ txCode: true });
+  } while (!created.txCode.startsWith('0'));
+
+  const result = await redeemPreAuthorizedCode(created.preAuthorizedCode, Number(created.txCode));
+  assert.equal(result.valid, true, result.error);
+});
@@ -0,0 +1,97 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateDpopProof, createDpopNonce } from '../../issuer/dpop.js';
+import { setSessionStore, createSessionStore } from '../../issuer/sessionStore.js';
+import { generateKeyPair, createDpopProof } from '../../holder/index.js';
+
+const CREDENTIAL_URL = 'https://issuer.example.com/credential';
+const ACCESS_TOKEN = 'access-token-1';
+
+let keyPair;
+let nonce;
+
+beforeEach(async () => {
+  setSessionStore(createSessionStore('memory'));
+  keyPair = await generateKeyPair();
+  nonce = await createDpopNonce();
+});
+
+/**
+ * A /credential proof by the holder key, bound to the access token
+ * @param {object} [overrides] - createDpopProof request fields
+ * @returns {Promise<string>}
+ */
+function credentialProof(overrides = {}) {
+  return createDpopProof(keyPair, { method: 'POST', url: CREDENTIAL_URL, accessToken: ACCESS_TOKEN, nonce, ...overrides });
+}
+
+/**
+ * Validate a proof as the /credential endpoint does
+ * @param {string} proof
+ * @param {object} [request] - Overrides for the request the proof is checked against
+ * @returns {Promise<object>}
+ */
+function validate(proof, request = {}) {
+  return validateDpopProof(proof, { method: 'POST', url: CREDENTIAL_URL, accessToken: ACCESS_TOKEN, ...request });
+}
+
+test('accepts a proof and returns the key thumbprint', async () => {
+  const first = await validate(await credentialProof());
+  assert.equal(first.valid, true, first.error);
+
+  // A token bound to that thumbprint accepts further proofs by the same key
+  const second = await validate(await credentialProof({ url: `${CREDENTIAL_URL}?x=1` }), { jkt: first.jkt });
+  assert.equal(second.valid, true, second.error);
+});
+
+test('rejects a replayed proof', async () => {
+  const proof = await credentialProof();
+
+  assert.equal((await validate(proof)).valid, true);
+
+  const replay = await validate(proof);
+  assert.equal(replay.valid, false);
+  assert.equal(replay.error, 'DPoP proof jti has already been used');
+});
+
+test('rejects a proof for another URL or method', async () => {
+  const wrongUrl = await validate(await credentialProof({ url: 'https://issuer.example.com/token' }));
+  assert.equal(wrongUrl.error, 'DPoP proof htu does not match the request URL');
+
+  const wrongMethod = await validate(await credentialProof({ method: 'GET' }));
+  assert.equal(wrongMethod.error, 'DPoP proof htm does not match the request method');
+});
+
+test('rejects a proof over another access token', async () => {
+  const result = await validate(await credentialProof({ accessToken: 'access-token-2' }));
+
+  assert.equal(result.valid, false);
+  assert.equal(result.error, 'DPoP proof ath does not match the access token');
+});
+
+test('asks for a fresh nonce when the proof has none or an expired one', async () => {
+  const missing = await validate(await credentialProof({ nonce: undefined }));
+  assert.equal(missing.code, 'use_dpop_nonce');
+
+  const unknown = await validate(await credentialProof({ nonce: 'not-issued-by-the-server' }));
+  assert.equal(unknown.code, 'use_dpop_nonce');
+
+  mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  try {
+    mock.timers.tick(301 * 1000);
+    const stale = await validate(await credentialProof());
+    assert.equal(stale.code, 'use_dpop_nonce');
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test('rejects a proof by another key than the one the token is bound to', async () => {
+  const { jkt } = await validate(await credentialProof());
+
+  keyPair = await generateKeyPair();
+  const result = await validate(await credentialProof(), { jkt });
+
+  assert.equal(result.valid, false);
+  assert.equal(result.error, 'DPoP proof key does not match the access token binding');
+});
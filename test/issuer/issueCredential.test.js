@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPair as generateIssuerKeyPair, exportJWK, SignJWT } from 'jose';
+import { verifyCredential, verifySdJwtPresentation, DERIVED_VC_TYPE } from '../../issuer/issueCredential.js';
+import { createDisclosures } from '../../issuer/sdJwt.js';
+import { generateKeyPair, createPresentation } from '../../holder/index.js';
+import { toPublicJwk } from '../../holder/keys.js';
+
+const ISSUER = 'https://issuer.example.com';
+const AUDIENCE = 'https://rp.example.com';
+const NONCE = 'rp-nonce';
+
+const issuerKeys = await generateIssuerKeyPair('ES256');
+const issuerPublicKey = await exportJWK(issuerKeys.publicKey);
+
+/**
+ * An SD-JWT VC signed by a test issuer key
+ * @param {object} holder - Holder key pair
+ * @param {object} [options]
+ * @param {object} [options.header] - Protected header overrides
+ * @param {object} [options.claims] - Payload overrides
+ * @param {string} [options.hashAlg] - _sd_alg
+ * @returns {Promise<string>}
+ */
+async function issue(holder, { header = {}, claims = {}, hashAlg = 'sha-256' } = {}) {
+  const { payload, disclosures } = createDisclosures({ over21: true }, { decoys: 1, hashAlg });
+
+  const jwt = await new SignJWT({
+    iss: ISSUER,
+    vct: DERIVED_VC_TYPE,
+    cnf: { jwk: toPublicJwk(holder.publicKey) },
+    ...payload,
+    _sd_alg: hashAlg,
+    ...claims
+  })
+    .setProtectedHeader({ alg: 'ES256', typ: 'dc+sd-jwt', ...header })
+    .setIssuedAt()
+    .setExpirationTime('1h')
+    .sign(issuerKeys.privateKey);
+
+  return `${jwt}~${disclosures.join('~')}~`;
+}
+
+/**
+ * @param {string} presentation
+ * @returns {Promise<object>}
+ */
+function verify(presentation) {
+  return verifySdJwtPresentation(presentation, { audience: AUDIENCE, nonce: NONCE, issuerPublicKey, issuer: ISSUER });
+}
+
+test('verifies a credential with the expected typ, iss and vct', async () => {
+  const result = await verifyCredential(await issue(await generateKeyPair()), issuerPublicKey, { issuer: ISSUER });
+
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.claims, { over21: true });
+});
+
+test('rejects a credential with another typ', async () => {
+  const sdJwt = await issue(await generateKeyPair(), { header: { typ: 'JWT' } });
+
+  assert.equal((await verifyCredential(sdJwt, issuerPublicKey, { issuer: ISSUER })).valid, false);
+});
+
+test('rejects a credential from another issuer', async () => {
+  const sdJwt = await issue(await generateKeyPair(), { claims: { iss: 'https://other.example.com' } });
+
+  assert.equal((await verifyCredential(sdJwt, issuerPublicKey, { issuer: ISSUER })).valid, false);
+});
+
+test('rejects a credential of another type', async () => {
+  const sdJwt = await issue(await generateKeyPair(), { claims: { vct: 'https://example.com/other' } });
+
+  const result = await verifyCredential(sdJwt, issuerPublicKey, { issuer: ISSUER });
+  assert.equal(result.valid, false);
+  assert.match(result.error, /Unexpected credential type/);
+});
+
+test('verifies a presentation whose sd_hash uses the credential _sd_alg', async () => {
+  const holder = await generateKeyPair();
+  const sdJwt = await issue(holder, { hashAlg: 'sha-512' });
+
+  const presentation = await createPresentation(sdJwt, { disclose: ['over21'], keyPair: holder, audience: AUDIENCE, nonce: NONCE });
+
+  const result = await verify(presentation);
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.claims, { over21: true });
+});
+
+test('rejects a KB-JWT whose header names another algorithm than the cnf key implies', async () => {
+  const holder = await generateKeyPair();
+  const presentation = await createPresentation(await issue(holder), {
+    disclose: ['over21'], keyPair: holder, audience: AUDIENCE, nonce: NONCE
+  });
+
+  // Same KB-JWT claims and signature, header claiming ES384
+  const parts = presentation.split('~');
+  const [, kbPayload, signature] = parts.at(-1).split('.');
+  const header = Buffer.from(JSON.stringify({ typ: 'kb+jwt', alg: 'ES384' })).toString('base64url');
+  parts[parts.length - 1] = `${header}.${kbPayload}.${signature}`;
+
+  const result = await verify(parts.join('~'));
+  assert.equal(result.valid, false);
+});
+
+test('rejects a presentation bound to an unsupported key type', async () => {
+  const holder = await generateKeyPair();
+  const sdJwt = await issue(holder, { claims: { cnf: { jwk: { ...toPublicJwk(holder.publicKey), crv: 'secp256k1' } } } });
+
+  const presentation = await createPresentation(sdJwt, { disclose: ['over21'], keyPair: holder, audience: AUDIENCE, nonce: NONCE });
+
+  const result = await verify(presentation);
+  assert.equal(result.valid, false);
+  assert.match(result.error, /Unsupported cnf.jwk/);
+});
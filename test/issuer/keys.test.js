@@ -0,0 +1,66 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createLocalJWKSet, decodeProtectedHeader, jwtVerify } from 'jose';
+
+// The ring file is relative to the working directory; keep it out of the repository
+const cwd = process.cwd();
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'issuer-keys-'));
+process.chdir(dir);
+
+// Read when the module is imported
+delete process.env.ISSUER_PUBLIC_JWK;
+delete process.env.ISSUER_PRIVATE_JWK;
+process.env.ISSUER_KEY_ROTATION_INTERVAL = '3600';
+process.env.ISSUER_KEY_RETENTION = '60';
+const { getIssuerKeySet, getIssuerJwks, signIssuerJwt } = await import('../../issuer/keys.js');
+
+before(() => {
+  // Every key generated and rotated in is logged
+  mock.method(console, 'log', () => {});
+  mock.timers.enable({ apis: ['Date'], now: Date.now() });
+});
+
+after(async () => {
+  mock.timers.reset();
+  process.chdir(cwd);
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * @param {string} jwt
+ * @returns {Promise<object>} Verified payload, against the currently published keys
+ */
+async function verifyAgainstJwks(jwt) {
+  const { payload } = await jwtVerify(jwt, createLocalJWKSet(await getIssuerJwks()), { currentDate: new Date() });
+  return payload;
+}
+
+test('publishes a retired signing key until its retention has passed', async () => {
+  const [active, next] = await getIssuerKeySet();
+  const jwt = await signIssuerJwt({ typ: 'JWT' }, { sub: 'before-rotation' });
+  assert.equal(decodeProtectedHeader(jwt).kid, active.kid);
+
+  // The next key is published before it signs anything
+  assert.deepEqual((await getIssuerJwks()).keys.map(jwk => jwk.kid), [active.kid, next.kid]);
+
+  // Scheduled rotation: the next key signs from now on
+  mock.timers.tick(3600 * 1000);
+  const rotated = await signIssuerJwt({ typ: 'JWT' }, { sub: 'after-rotation' });
+  assert.equal(decodeProtectedHeader(rotated).kid, next.kid);
+
+  const states = Object.fromEntries((await getIssuerKeySet()).map(key => [key.kid, key.state]));
+  assert.equal(states[next.kid], 'active');
+  assert.equal(states[active.kid], 'retired');
+
+  assert.ok((await getIssuerJwks()).keys.some(jwk => jwk.kid === active.kid));
+  assert.equal((await verifyAgainstJwks(jwt)).sub, 'before-rotation');
+
+  // Dropped once everything it signed has expired
+  mock.timers.tick(60 * 1000);
+  assert.equal((await getIssuerJwks()).keys.some(jwk => jwk.kid === active.kid), false);
+  await assert.rejects(verifyAgainstJwks(jwt), { code: 'ERR_JWKS_NO_MATCHING_KEY' });
+  assert.equal((await verifyAgainstJwks(rotated)).sub, 'after-rotation');
+});
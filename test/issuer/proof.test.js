@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPair as generateIssuerKeyPair, exportJWK, decodeJwt } from 'jose';
+import { validateProofs } from '../../issuer/proof.js';
+import { issueCredential } from '../../issuer/issueCredential.js';
+import { createCNonce } from '../../issuer/sessionStore.js';
+import { generateKeyPair, createProofJwt, signJwt } from '../../holder/index.js';
+import { toPublicJwk } from '../../holder/keys.js';
+
+const AUDIENCE = 'https://issuer.example.com';
+
+// A fixed issuer key, so issuing does not create a key file
+const issuerKeys = await generateIssuerKeyPair('ES256', { extractable: true });
+process.env.ISSUER_PUBLIC_JWK = JSON.stringify(await exportJWK(issuerKeys.publicKey));
+process.env.ISSUER_PRIVATE_JWK = JSON.stringify(await exportJWK(issuerKeys.privateKey));
+
+/**
+ * A single proof JWT over a new c_nonce, built field by field
+ * @param {object} keyPair - Signing key
+ * @param {object} [options]
+ * @param {object} [options.header] - Protected header overrides
+ * @param {object} [options.claims] - Payload overrides
+ * @returns {Promise<{jwt: Array<string>}>}
+ */
+async function proofWith(keyPair, { header = {}, claims = {} } = {}) {
+  const { cNonce } = await createCNonce();
+  return {
+    jwt: [await signJwt(
+      keyPair,
+      { typ: 'openid4vci-proof+jwt', jwk: toPublicJwk(keyPair.publicKey), ...header },
+      { aud: AUDIENCE, iat: Math.floor(Date.now() / 1000), nonce: cNonce, ...claims }
+    )]
+  };
+}
+
+/**
+ * Proof JWTs by fresh holder keys over one new c_nonce
+ * @param {Array<object>} keyPairs
+ * @returns {Promise<{jwt: Array<string>}>}
+ */
+async function proofsFor(keyPairs) {
+  const { cNonce } = await createCNonce();
+  return {
+    jwt: await Promise.all(keyPairs.map(keyPair => createProofJwt(keyPair, { audience: AUDIENCE, nonce: cNonce })))
+  };
+}
+
+test('issues a batch for distinct keys over one c_nonce', async () => {
+  const keyPairs = [await generateKeyPair(), await generateKeyPair()];
+
+  const result = await validateProofs(await proofsFor(keyPairs), { audience: AUDIENCE, batchSize: 10 });
+
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.jwks, keyPairs.map(keyPair => toPublicJwk(keyPair.publicKey)));
+});
+
+test('rejects a batch when a holder key was pinned at /authorize', async () => {
+  const pinned = await generateKeyPair();
+  const proofs = await proofsFor([pinned, await generateKeyPair()]);
+
+  const result = await validateProofs(proofs, {
+    audience: AUDIENCE,
+    holderPublicKey: toPublicJwk(pinned.publicKey),
+    batchSize: 10
+  });
+
+  assert.equal(result.valid, false);
+  assert.equal(result.code, 'invalid_credential_request');
+});
+
+test('accepts a single proof by the pinned key', async () => {
+  const pinned = await generateKeyPair();
+
+  const result = await validateProofs(await proofsFor([pinned]), {
+    audience: AUDIENCE,
+    holderPublicKey: toPublicJwk(pinned.publicKey),
+    batchSize: 10
+  });
+
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.jwks, [toPublicJwk(pinned.publicKey)]);
+});
+
+test('rejects a single proof by another key than the pinned one', async () => {
+  const pinned = await generateKeyPair();
+
+  const result = await validateProofs(await proofsFor([await generateKeyPair()]), {
+    audience: AUDIENCE,
+    holderPublicKey: toPublicJwk(pinned.publicKey),
+    batchSize: 10
+  });
+
+  assert.equal(result.valid, false);
+  assert.equal(result.code, 'invalid_proof');
+});
+
+test('rejects a reused c_nonce', async () => {
+  const proofs = await proofsFor([await generateKeyPair()]);
+
+  assert.equal((await validateProofs(proofs, { audience: AUDIENCE })).valid, true);
+
+  const replay = await validateProofs(proofs, { audience: AUDIENCE });
+  assert.equal(replay.valid, false);
+  assert.equal(replay.code, 'invalid_nonce');
+});
+
+test('rejects a proof without the openid4vci-proof+jwt typ', async () => {
+  const result = await validateProofs(await proofWith(await generateKeyPair(), { header: { typ: 'JWT' } }), { audience: AUDIENCE });
+
+  assert.equal(result.valid, false);
+  assert.equal(result.code, 'invalid_proof');
+  assert.equal(result.error, 'Proof typ must be openid4vci-proof+jwt');
+});
+
+test('rejects a proof not signed by the key in its header', async () => {
+  const other = await generateKeyPair();
+  const proofs = await proofWith(await generateKeyPair(), { header: { jwk: toPublicJwk(other.publicKey) } });
+
+  const result = await validateProofs(proofs, { audience: AUDIENCE });
+
+  assert.equal(result.valid, false);
+  assert.match(result.error, /^Proof verification failed: signature verification failed/);
+});
+
+test('rejects a proof for another credential issuer', async () => {
+  const proofs = await proofWith(await generateKeyPair(), { claims: { aud: 'https://other-issuer.example.com' } });
+
+  const result = await validateProofs(proofs, { audience: AUDIENCE });
+
+  assert.equal(result.valid, false);
+  assert.match(result.error, /unexpected "aud" claim value/);
+});
+
+test('rejects a stale proof', async () => {
+  const tenMinutesAgo = Math.floor(Date.now() / 1000) - 600;
+  const proofs = await proofWith(await generateKeyPair(), { claims: { iat: tenMinutesAgo } });
+
+  const result = await validateProofs(proofs, { audience: AUDIENCE });
+
+  assert.equal(result.valid, false);
+  assert.match(result.error, /"iat" claim timestamp check failed/);
+});
+
+test('binds the issued credential to the proven key', async () => {
+  const holder = await generateKeyPair();
+  const { jwks: [holderPublicKey] } = await validateProofs(await proofsFor([holder]), { audience: AUDIENCE });
+
+  const { sdJwt } = await issueCredential({ holderPublicKey, claims: { over21: true } });
+
+  assert.deepEqual(decodeJwt(sdJwt.split('~')[0]).cnf, { jwk: toPublicJwk(holder.publicKey) });
+});
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createDisclosures, reconstructClaims, digest, decodeDisclosure } from '../../issuer/sdJwt.js';
+
+// RFC 9901 (SD-JWT), Section 5.1 example disclosures and their SHA-256 digests
+const SPEC = {
+  givenName: {
+    disclosure: 'WyIyR0xDNDJzS1F2ZUNmR2ZyeU5STjl3IiwgImdpdmVuX25hbWUiLCAiSm9obiJd',
+    digest: 'jsu9yVulwQQlhFlM_3JlzMaSFzglhQG0DpfayQwLUK4',
+    decoded: ['2GLC42sKQveCfGfryNRN9w', 'given_name', 'John']
+  },
+  familyName: {
+    disclosure: 'WyJlbHVWNU9nM2dTTklJOEVZbnN4QV9BIiwgImZhbWlseV9uYW1lIiwgIkRvZSJd',
+    digest: 'TGf4oLbgwd5JQaHyKVQZU9UdGE0w5rtDsrZzfUaomLo',
+    decoded: ['eluV5Og3gSNII8EYnsxA_A', 'family_name', 'Doe']
+  },
+  email: {
+    disclosure: 'WyI2SWo3dE0tYTVpVlBHYm9TNXRtdlZBIiwgImVtYWlsIiwgImpvaG5kb2VAZXhhbXBsZS5jb20iXQ',
+    digest: 'JzYjH4svliH0R3PyEMfeZu6Jt69u5qehZo7F7EPYlSE',
+    decoded: ['6Ij7tM-a5iVPGboS5tmvVA', 'email', 'johndoe@example.com']
+  },
+  nationalityUs: {
+    disclosure: 'WyJsa2x4RjVqTVlsR1RQVW92TU5JdkNBIiwgIlVTIl0',
+    digest: 'pFndjkZ_VCzmyTa6UjlZo3dh-ko8aIKQc9DlGzhaVYo',
+    decoded: ['lklxF5jMYlGTPUovMNIvCA', 'US']
+  },
+  nationalityDe: {
+    disclosure: 'WyJuUHVvUW5rUkZxM0JJZUFtN0FuWEZBIiwgIkRFIl0',
+    digest: '7Cf6JkPudry3lcbwHgeZ8khAv1U1OSlerP0VkBJrWZ0',
+    decoded: ['nPuoQnkRFq3BIeAm7AnXFA', 'DE']
+  }
+};
+
+/**
+ * A digest no disclosure matches, as an issuer adds for decoys
+ * @returns {string}
+ */
+function decoy() {
+  return digest(crypto.randomBytes(32).toString('base64url'));
+}
+
+test('digests and decodes the spec example disclosures', () => {
+  for (const { disclosure, digest: expected, decoded } of Object.values(SPEC)) {
+    assert.equal(digest(disclosure), expected);
+    assert.deepEqual(decodeDisclosure(disclosure), decoded);
+  }
+});
+
+test('reconstructs object property and array element disclosures from the spec example', () => {
+  const payload = {
+    iss: 'https://issuer.example.com',
+    _sd: [SPEC.givenName.digest, SPEC.familyName.digest, SPEC.email.digest, decoy()].sort(),
+    nationalities: [{ '...': SPEC.nationalityUs.digest }, { '...': SPEC.nationalityDe.digest }],
+    _sd_alg: 'sha-256'
+  };
+
+  const claims = reconstructClaims(payload, [
+    SPEC.givenName.disclosure,
+    SPEC.email.disclosure,
+    SPEC.nationalityDe.disclosure
+  ]);
+
+  // Undisclosed claims, array elements and decoys are left out
+  assert.deepEqual(claims, {
+    iss: 'https://issuer.example.com',
+    nationalities: ['DE'],
+    given_name: 'John',
+    email: 'johndoe@example.com'
+  });
+});
+
+test('reconstructs spec disclosures nested in a disclosed object', () => {
+  const address = Buffer.from(JSON.stringify([
+    'salt', 'address', { _sd: [SPEC.familyName.digest, decoy()], country: 'US' }
+  ])).toString('base64url');
+
+  const payload = { _sd: [digest(address), decoy()].sort(), _sd_alg: 'sha-256' };
+
+  assert.deepEqual(reconstructClaims(payload, [address, SPEC.familyName.disclosure]), {
+    address: { country: 'US', family_name: 'Doe' }
+  });
+  assert.deepEqual(reconstructClaims(payload, [address]), { address: { country: 'US' } });
+});
+
+test('rejects a disclosure no digest references', () => {
+  const payload = { _sd: [SPEC.givenName.digest], _sd_alg: 'sha-256' };
+
+  assert.throws(() => reconstructClaims(payload, [SPEC.givenName.disclosure, SPEC.email.disclosure]),
+    /not referenced/);
+});
+
+test('rejects a disclosure presented twice', () => {
+  const payload = { _sd: [SPEC.givenName.digest], _sd_alg: 'sha-256' };
+
+  assert.throws(() => reconstructClaims(payload, [SPEC.givenName.disclosure, SPEC.givenName.disclosure]),
+    /more than once/);
+});
+
+test('rejects an array element disclosure referenced as an object property', () => {
+  const payload = { _sd: [SPEC.nationalityUs.digest], _sd_alg: 'sha-256' };
+
+  assert.throws(() => reconstructClaims(payload, [SPEC.nationalityUs.disclosure]), /3 elements/);
+});
+
+test('packs nested objects and arrays with decoys and round-trips them', () => {
+  const claims = {
+    given_name: 'John',
+    address: { street_address: '123 Main St', country: 'US' },
+    nationalities: ['US', 'DE']
+  };
+
+  const { payload, disclosures } = createDisclosures(claims, { decoys: 3 });
+
+  // 3 top-level claims and 2 address claims, each with 3 decoys
+  assert.equal(payload._sd.length, 3 + 3);
+  assert.deepEqual(payload._sd, [...payload._sd].sort());
+  // 3 top-level + 2 address + 2 array elements
+  assert.equal(disclosures.length, 7);
+
+  assert.deepEqual(reconstructClaims({ ...payload, _sd_alg: 'sha-256' }, disclosures), claims);
+});
+
+test('honours _sd_alg when packing and reconstructing', () => {
+  const { payload, disclosures } = createDisclosures({ given_name: 'John' }, { decoys: 0, hashAlg: 'sha-512' });
+
+  assert.deepEqual(payload._sd, [digest(disclosures[0], 'sha512')]);
+  assert.deepEqual(reconstructClaims({ ...payload, _sd_alg: 'sha-512' }, disclosures), { given_name: 'John' });
+  assert.throws(() => reconstructClaims({ ...payload, _sd_alg: 'sha-256' }, disclosures), /not referenced/);
+});
@@ -0,0 +1,155 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import zlib from 'zlib';
+import { generateKeyPair as generateIssuerKeyPair, exportJWK, decodeJwt } from 'jose';
+import {
+  allocateStatusIndex,
+  setCredentialStatus,
+  createStatusListToken,
+  checkCredentialStatus,
+  STATUS_LIST_ID
+} from '../../issuer/statusList.js';
+import { issueCredential, verifyCredential } from '../../issuer/issueCredential.js';
+import { getSessionStore } from '../../issuer/sessionStore.js';
+import { generateKeyPair } from '../../holder/index.js';
+import { toPublicJwk } from '../../holder/keys.js';
+
+// A fixed issuer key, so signing status lists does not create a key file
+const issuerKeys = await generateIssuerKeyPair('ES256', { extractable: true });
+const issuerPublicKey = await exportJWK(issuerKeys.publicKey);
+process.env.ISSUER_PUBLIC_JWK = JSON.stringify(issuerPublicKey);
+process.env.ISSUER_PRIVATE_JWK = JSON.stringify(await exportJWK(issuerKeys.privateKey));
+
+// Publishes the current status list token at any path
+const server = http.createServer(async (req, res) => {
+  res.setHeader('Content-Type', 'application/statuslist+jwt');
+  res.end(await createStatusListToken());
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+after(() => server.close());
+
+/**
+ * Point the issuer at the local server under a path of its own, so each test
+ * fetches its status list instead of one cached by an earlier test
+ * @param {string} name
+ */
+function useIssuer(name) {
+  process.env.ISSUER_URL = `http://127.0.0.1:${server.address().port}/${name}`;
+}
+
+// A second module instance stands in for another replica: its own update
+// queue, the same session store
+const replica = await import(`../../issuer/statusList.js?replica=${crypto.randomUUID()}`);
+
+/**
+ * @returns {Promise<{credentialId: string, idx: number}>}
+ */
+async function issue() {
+  const credentialId = crypto.randomUUID();
+  const { status_list: { idx } } = await allocateStatusIndex({ credentialId, ttlSeconds: 60 });
+  return { credentialId, idx };
+}
+
+test('keeps concurrent revocations from two replicas', async () => {
+  const credentials = await Promise.all(Array.from({ length: 6 }, issue));
+
+  const results = await Promise.all(credentials.map(({ credentialId }, i) =>
+    (i % 2 ? replica : { setCredentialStatus }).setCredentialStatus({ credentialId }, 'revoked')
+  ));
+
+  assert.ok(results.every(result => result.updated));
+
+  const { entries } = await getSessionStore().get('status_list', STATUS_LIST_ID);
+  for (const { idx } of credentials) {
+    assert.equal(entries[idx]?.status, 0x01);
+  }
+});
+
+test('releases the status list lock after an update', async () => {
+  const { credentialId } = await issue();
+
+  await setCredentialStatus({ credentialId }, 'suspended');
+
+  assert.equal(await getSessionStore().get('status_lock', STATUS_LIST_ID), null);
+});
+
+test('waits for a lock held by another replica', async () => {
+  const { credentialId, idx } = await issue();
+  const store = getSessionStore();
+  await store.put('status_lock', STATUS_LIST_ID, { owner: 'other-replica' }, 10);
+
+  const update = setCredentialStatus({ credentialId }, 'revoked');
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.equal((await store.get('status_list', STATUS_LIST_ID))?.entries?.[idx], undefined);
+
+  await store.delete('status_lock', STATUS_LIST_ID);
+  assert.equal((await update).updated, true);
+  assert.equal((await store.get('status_list', STATUS_LIST_ID)).entries[idx].status, 0x01);
+});
+
+test('publishes revoked and suspended credentials in the signed status list', async () => {
+  useIssuer('publish');
+  const revoked = await issue();
+  const suspended = await issue();
+  const valid = await issue();
+
+  await setCredentialStatus({ credentialId: revoked.credentialId }, 'revoked');
+  await setCredentialStatus({ credentialId: suspended.credentialId }, 'suspended');
+
+  // Two bits per index, deflated
+  const { status_list: { bits, lst } } = decodeJwt(await createStatusListToken());
+  const bytes = zlib.inflateSync(Buffer.from(lst, 'base64url'));
+  const statusAt = idx => (bytes[idx >> 2] >> ((idx % 4) * 2)) & 0b11;
+  assert.equal(bits, 2);
+  assert.deepEqual([revoked, suspended, valid].map(({ idx }) => statusAt(idx)), [0x01, 0x02, 0x00]);
+
+  const check = ({ idx }) => checkCredentialStatus({ status_list: { idx, uri: `${process.env.ISSUER_URL}/status-lists/${STATUS_LIST_ID}` } }, issuerKeys.publicKey);
+  assert.equal(await check(revoked), 'revoked');
+  assert.equal(await check(suspended), 'suspended');
+  assert.equal(await check(valid), 'valid');
+});
+
+test('rejects a status list signed by another key', async () => {
+  useIssuer('other-key');
+  const { idx } = await issue();
+  const other = await generateIssuerKeyPair('ES256');
+
+  await assert.rejects(
+    checkCredentialStatus({ status_list: { idx, uri: `${process.env.ISSUER_URL}/status-lists/${STATUS_LIST_ID}` } }, other.publicKey),
+    { code: 'ERR_JWS_SIGNATURE_VERIFICATION_FAILED' }
+  );
+});
+
+test('keeps a revoked credential revoked', async () => {
+  const { credentialId, idx } = await issue();
+  await setCredentialStatus({ credentialId }, 'revoked');
+
+  for (const status of ['valid', 'suspended']) {
+    const result = await setCredentialStatus({ credentialId }, status);
+    assert.equal(result.updated, false);
+    assert.equal(result.error, 'Credential is revoked');
+  }
+
+  const { entries } = await getSessionStore().get('status_list', STATUS_LIST_ID);
+  assert.equal(entries[idx].status, 0x01);
+});
+
+test('verifyCredential rejects revoked and suspended credentials', async () => {
+  useIssuer('verify');
+  const holder = await generateKeyPair();
+  const credentials = await Promise.all(['revoked', 'suspended', 'valid'].map(() =>
+    issueCredential({ holderPublicKey: toPublicJwk(holder.publicKey), claims: { over21: true } })
+  ));
+
+  await setCredentialStatus({ credentialId: credentials[0].credentialId }, 'revoked');
+  await setCredentialStatus({ credentialId: credentials[1].credentialId }, 'suspended');
+
+  const [revoked, suspended, valid] = await Promise.all(credentials.map(({ sdJwt }) => verifyCredential(sdJwt, issuerPublicKey)));
+  assert.deepEqual([revoked.valid, revoked.status, revoked.error], [false, 'revoked', 'Credential revoked']);
+  assert.deepEqual([suspended.valid, suspended.status, suspended.error], [false, 'suspended', 'Credential suspended']);
+  assert.equal(valid.valid, true, valid.error);
+  assert.deepEqual(valid.claims, { over21: true });
+});
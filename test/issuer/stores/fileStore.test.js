@@ -0,0 +1,57 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createFileStore } from '../../../issuer/stores/fileStore.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-store-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('stores, adds only when absent and consumes once', async () => {
+  const store = createFileStore({ file: path.join(dir, 'basic.json') });
+
+  await store.put('code', 'a', { n: 1 }, 60);
+  assert.deepEqual(await store.get('code', 'a'), { n: 1 });
+  assert.equal(await store.add('code', 'a', { n: 2 }, 60), false);
+  assert.equal(await store.add('code', 'b', { n: 2 }, 60), true);
+
+  assert.deepEqual(await store.consume('code', 'a'), { n: 1 });
+  assert.equal(await store.consume('code', 'a'), null);
+
+  await store.delete('code', 'b');
+  assert.equal(await store.get('code', 'b'), null);
+  await store.close();
+});
+
+test('consumes a code exactly once across replicas sharing the file', async () => {
+  const file = path.join(dir, 'shared.json');
+  // Separate stores have separate queues, like separate processes
+  const replicas = Array.from({ length: 4 }, () => createFileStore({ file }));
+  await replicas[0].put('code', 'once', { ok: true }, 60);
+
+  const results = await Promise.all(replicas.map(store => store.consume('code', 'once')));
+
+  assert.equal(results.filter(Boolean).length, 1);
+  await Promise.all(replicas.map(store => store.close()));
+});
+
+test('recovers from a lock left behind by a crashed replica', async () => {
+  const file = path.join(dir, 'crashed.json');
+  await fs.writeFile(`${file}.lock`, 'crashed-replica');
+  const then = new Date(Date.now() - 60000);
+  await fs.utimes(`${file}.lock`, then, then);
+
+  const store = createFileStore({ file });
+  await store.put('code', 'a', { n: 1 }, 60);
+
+  assert.deepEqual(await store.get('code', 'a'), { n: 1 });
+  await store.close();
+});
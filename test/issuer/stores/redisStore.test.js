@@ -0,0 +1,176 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { createRedisStore } from '../../../issuer/stores/redisStore.js';
+
+// Local RESP2 stand-in for a Redis server: SET (PX, NX), GET, GETDEL, DEL,
+// AUTH and SELECT, plus switches to misbehave
+const data = new Map();
+const behavior = { mode: 'normal' };
+const sockets = new Set();
+let server;
+let url;
+
+/**
+ * @param {string|null} value
+ * @returns {string}
+ */
+function bulk(value) {
+  return value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+/**
+ * Split complete RESP arrays of bulk strings off the front of a buffer
+ * @param {object} state - { buffer }
+ * @returns {Array<Array<string>>}
+ */
+function readCommands(state) {
+  const commands = [];
+
+  while (true) {
+    const lines = state.buffer.split('\r\n');
+    const count = parseInt(lines[0].slice(1));
+    if (!(count > 0) || lines.length < 2 * count + 2) {
+      return commands;
+    }
+    const args = Array.from({ length: count }, (_, i) => lines[2 + 2 * i]);
+    commands.push(args);
+    state.buffer = lines.slice(2 * count + 1).join('\r\n');
+  }
+}
+
+/**
+ * @param {Array<string>} args
+ * @returns {string} RESP reply
+ */
+function execute([name, key, value, ...options]) {
+  switch (name) {
+    case 'AUTH':
+    case 'SELECT':
+      return '+OK\r\n';
+    case 'SET': {
+      if (options.includes('NX') && data.has(key)) {
+        return bulk(null);
+      }
+      data.set(key, value);
+      return '+OK\r\n';
+    }
+    case 'GET':
+      return bulk(data.get(key) ?? null);
+    case 'GETDEL': {
+      const stored = data.get(key) ?? null;
+      data.delete(key);
+      return bulk(stored);
+    }
+    case 'DEL':
+      return `:${data.delete(key) ? 1 : 0}\r\n`;
+    default:
+      return `-ERR unknown command '${name}'\r\n`;
+  }
+}
+
+before(async () => {
+  server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+
+    const state = { buffer: '' };
+    socket.on('data', chunk => {
+      state.buffer += chunk.toString();
+      for (const args of readCommands(state)) {
+        if (behavior.mode === 'hang') {
+          continue;
+        }
+        socket.write(behavior.mode === 'malformed' ? '?garbage\r\n' : execute(args));
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `redis://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  sockets.forEach(socket => socket.destroy());
+  server.close();
+});
+
+beforeEach(async () => {
+  behavior.mode = 'normal';
+  data.clear();
+
+  // Every test starts without connections left over from the previous one
+  sockets.forEach(socket => socket.destroy());
+  await new Promise(resolve => setTimeout(resolve, 20));
+});
+
+test('stores, adds only when absent and consumes once', async () => {
+  const store = createRedisStore({ url: `${url}/1` });
+
+  await store.put('code', 'a', { n: 1 }, 60);
+  assert.deepEqual(await store.get('code', 'a'), { n: 1 });
+  assert.equal(await store.add('code', 'a', { n: 2 }, 60), false);
+  assert.equal(await store.add('code', 'b', { n: 2 }, 60), true);
+
+  assert.deepEqual(await store.consume('code', 'a'), { n: 1 });
+  assert.equal(await store.consume('code', 'a'), null);
+
+  await store.delete('code', 'b');
+  assert.equal(await store.get('code', 'b'), null);
+  await store.close();
+});
+
+test('fails the pending command on a malformed reply and reconnects', async () => {
+  const store = createRedisStore({ url });
+  await store.put('code', 'a', { n: 1 }, 60);
+
+  behavior.mode = 'malformed';
+  await assert.rejects(store.get('code', 'a'), /unexpected reply type/);
+
+  behavior.mode = 'normal';
+  assert.deepEqual(await store.get('code', 'a'), { n: 1 });
+  await store.close();
+});
+
+test('times out a command the server never answers', async () => {
+  const store = createRedisStore({ url, commandTimeout: 100 });
+  await store.put('code', 'a', { n: 1 }, 60);
+
+  behavior.mode = 'hang';
+  await assert.rejects(store.get('code', 'a'), /timed out/);
+
+  // The late reply cannot be taken for the next command's: a new connection is used
+  behavior.mode = 'normal';
+  assert.deepEqual(await store.get('code', 'a'), { n: 1 });
+  await store.close();
+});
+
+test('a stale socket closing does not drop the connection that replaced it', async () => {
+  const store = createRedisStore({ url, commandTimeout: 100 });
+  await store.put('code', 'a', { n: 1 }, 60);
+
+  // The retry connects again before the timed-out socket has finished closing
+  behavior.mode = 'hang';
+  const retried = store.get('code', 'a').catch(() => {
+    behavior.mode = 'normal';
+    return store.get('code', 'a');
+  });
+  assert.deepEqual(await retried, { n: 1 });
+
+  // Later commands reuse that connection instead of opening another one
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepEqual(await store.get('code', 'a'), { n: 1 });
+  assert.equal(sockets.size, 1);
+  await store.close();
+});
+
+test('rejects commands when the server is unreachable', async () => {
+  const closed = net.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+
+  const store = createRedisStore({ url: `redis://127.0.0.1:${port}` });
+  await assert.rejects(store.get('code', 'a'), { code: 'ECONNREFUSED' });
+  await store.close();
+});
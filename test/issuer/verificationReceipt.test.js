@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { generateKeyPair, exportJWK, SignJWT } from 'jose';
+
+const VERIFIER = 'https://verifier.example.com';
+const KID = 'receipt-key-1';
+
+const verifierKeys = await generateKeyPair('ES256');
+const otherKeys = await generateKeyPair('ES256');
+
+// The verifier identifier and its receipt keys are read when the module is imported
+process.env.VERIFIER_URL = VERIFIER;
+process.env.VERIFIER_RECEIPT_JWKS = JSON.stringify({
+  keys: [{ ...await exportJWK(verifierKeys.publicKey), kid: KID, alg: 'ES256', use: 'sig' }]
+});
+const { validateVerificationReceipt } = await import('../../issuer/verificationReceipt.js');
+
+/**
+ * A verification receipt as the verifier signs it
+ * @param {object} [options]
+ * @param {object} [options.predicates]
+ * @param {number} [options.issuedAt] - Seconds since the epoch
+ * @param {object} [options.privateKey] - Signing key (same kid either way)
+ * @returns {Promise<string>}
+ */
+function createReceipt({ predicates = { over21: true }, issuedAt = Math.floor(Date.now() / 1000), privateKey = verifierKeys.privateKey } = {}) {
+  return new SignJWT({ predicates })
+    .setProtectedHeader({ alg: 'ES256', typ: 'verification-receipt+jwt', kid: KID })
+    .setIssuer(VERIFIER)
+    .setSubject(crypto.randomUUID())
+    .setJti(crypto.randomUUID())
+    .setIssuedAt(issuedAt)
+    .setExpirationTime(issuedAt + 300)
+    .sign(privateKey);
+}
+
+test('accepts a fresh receipt and derives the requested claims', async () => {
+  const result = await validateVerificationReceipt(await createReceipt(), { requestedClaims: ['over21'] });
+
+  assert.equal(result.valid, true, result.error);
+  assert.deepEqual(result.claims, { over21: true });
+});
+
+test('rejects an expired receipt', async () => {
+  const tenMinutesAgo = Math.floor(Date.now() / 1000) - 600;
+
+  const result = await validateVerificationReceipt(await createReceipt({ issuedAt: tenMinutesAgo }));
+
+  assert.equal(result.valid, false);
+  assert.equal(result.code, 'invalid_grant');
+  assert.match(result.error, /^Invalid verification receipt: "exp" claim timestamp check failed/);
+});
+
+test('rejects a replayed receipt', async () => {
+  const receipt = await createReceipt();
+
+  assert.equal((await validateVerificationReceipt(receipt)).valid, true);
+
+  const replay = await validateVerificationReceipt(receipt);
+  assert.equal(replay.valid, false);
+  assert.equal(replay.code, 'invalid_grant');
+  assert.equal(replay.error, 'Verification receipt already used');
+});
+
+test('rejects a receipt signed by another key', async () => {
+  const result = await validateVerificationReceipt(await createReceipt({ privateKey: otherKeys.privateKey }));
+
+  assert.equal(result.valid, false);
+  assert.equal(result.code, 'invalid_grant');
+  assert.match(result.error, /signature verification failed/);
+});
+
+test('refuses claims the predicates do not prove, without using up the receipt', async () => {
+  const receipt = await createReceipt({ predicates: { over18: true, over21: false } });
+
+  const refused = await validateVerificationReceipt(receipt, { requestedClaims: ['over21'] });
+  assert.equal(refused.valid, false);
+  assert.equal(refused.code, 'access_denied');
+  assert.equal(refused.error, 'Verification did not prove: over21');
+
+  const retried = await validateVerificationReceipt(receipt, { requestedClaims: ['over18'] });
+  assert.equal(retried.valid, true, retried.error);
+  assert.deepEqual(retried.claims, { over18: true });
+});
@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { verifyAgainstIACA, validateIACARoot, parseIACA, downloadIACA, MDL_DS_EKU } from '../../trust/iacaLoader.js';
+import { loadCertificate, parseExtensions } from '../../trust/x509.js';
+
+/**
+ * @param {string} name - Fixture from test/fixtures/trust (see generate.sh)
+ * @returns {string} PEM
+ */
+function fixture(name) {
+  return fs.readFileSync(new URL(`../fixtures/trust/${name}.crt`, import.meta.url), 'utf-8');
+}
+
+const IACA = fixture('iaca');
+const DS = fixture('ds');
+
+// A day into the Document Signer's validity, so the fixtures never expire
+const NOW = new Date(new Date(loadCertificate(DS).validFrom).getTime() + 24 * 60 * 60 * 1000);
+
+/**
+ * @param {object} result
+ * @returns {Array<string>}
+ */
+function reasonCodes(result) {
+  return (result.reasons || []).map(({ code }) => code);
+}
+
+test('the fixture hierarchy has the Annex B profiles', () => {
+  const iaca = parseExtensions(loadCertificate(IACA));
+  const ds = parseExtensions(loadCertificate(DS));
+
+  assert.deepEqual(iaca.basicConstraints, { ca: true, pathLength: 0 });
+  assert.deepEqual(iaca.keyUsage, ['keyCertSign', 'cRLSign']);
+  assert.deepEqual(ds.keyUsage, ['digitalSignature']);
+  assert.deepEqual(ds.extendedKeyUsage, [MDL_DS_EKU]);
+  assert.equal(ds.authorityKeyIdentifier, iaca.subjectKeyIdentifier);
+  assert.deepEqual(ds.crlDistributionPoints, ['https://dmv.example.com/crl']);
+  assert.deepEqual(ds.unknownCritical, []);
+});
+
+test('validates a Document Signer issued by the IACA root', async () => {
+  const result = await verifyAgainstIACA(DS, IACA, { now: NOW });
+
+  assert.equal(result.valid, true);
+  assert.equal(result.anchor.subject, loadCertificate(IACA).subject);
+  assert.deepEqual(result.crlDistributionPoints, ['https://dmv.example.com/crl']);
+});
+
+test('finds the anchor among several roots', async () => {
+  const result = await verifyAgainstIACA(DS, [fixture('other-iaca'), IACA], { now: NOW });
+
+  assert.equal(result.valid, true);
+});
+
+test('rejects a Document Signer issued by another root', async () => {
+  const result = await verifyAgainstIACA(fixture('ds-other-iaca'), IACA, { now: NOW });
+
+  assert.deepEqual(reasonCodes(result), ['issuer_not_found']);
+});
+
+test('rejects a Document Signer without the mDL extended key usage', async () => {
+  const result = await verifyAgainstIACA(fixture('ds-no-eku'), IACA, { now: NOW });
+
+  assert.deepEqual(reasonCodes(result), ['extended_key_usage']);
+});
+
+test('rejects a Document Signer that may sign certificates', async () => {
+  const result = await verifyAgainstIACA(fixture('ds-cert-sign'), IACA, { now: NOW });
+
+  assert.deepEqual(reasonCodes(result), ['key_usage']);
+});
+
+test('rejects a Document Signer with key usages besides digitalSignature', async () => {
+  const result = await verifyAgainstIACA(fixture('ds-extra-key-usage'), IACA, { now: NOW });
+
+  assert.deepEqual(reasonCodes(result), ['key_usage']);
+});
+
+test('rejects a Document Signer whose authority key identifier is not the IACA key', async () => {
+  // Signed by the IACA key, but path building already refuses the mismatched key identifier
+  const result = await verifyAgainstIACA(fixture('ds-wrong-aki'), IACA, { now: NOW });
+
+  assert.deepEqual(reasonCodes(result), ['issuer_not_found']);
+});
+
+test('rejects a Document Signer in another state than its IACA', async () => {
+  const result = await verifyAgainstIACA(fixture('ds-other-state'), IACA, { now: NOW });
+
+  assert.deepEqual(reasonCodes(result), ['state_mismatch']);
+});
+
+test('rejects a Document Signer valid beyond its IACA root', async () => {
+  const result = await verifyAgainstIACA(fixture('ds-outlives-iaca'), IACA, { now: NOW });
+
+  assert.deepEqual(reasonCodes(result), ['validity_outside_iaca']);
+});
+
+test('rejects an expired or not yet valid Document Signer', async () => {
+  const { validFrom, validTo } = loadCertificate(DS);
+
+  const expired = await verifyAgainstIACA(DS, IACA, { now: new Date(new Date(validTo).getTime() + 1000) });
+  assert.deepEqual(reasonCodes(expired), ['expired']);
+
+  // The IACA root was issued at the same time, so neither is valid yet
+  const early = await verifyAgainstIACA(DS, IACA, { now: new Date(new Date(validFrom).getTime() - 1000) });
+  assert.deepEqual(reasonCodes(early), ['not_yet_valid', 'not_yet_valid']);
+});
+
+test('rejects unknown critical extensions', async () => {
+  const documentSigner = await verifyAgainstIACA(fixture('ds-critical-extension'), IACA, { now: NOW });
+  assert.deepEqual(reasonCodes(documentSigner), ['unknown_critical_extension']);
+
+  const root = validateIACARoot(fixture('iaca-critical-extension'), { now: NOW });
+  assert.deepEqual(reasonCodes(root), ['unknown_critical_extension']);
+});
+
+test('rejects a Document Signer as IACA root', () => {
+  const result = validateIACARoot(DS, { now: NOW });
+
+  assert.ok(reasonCodes(result).includes('basic_constraints'));
+  assert.ok(reasonCodes(result).includes('key_usage'));
+});
+
+test('only treats a root as mock when flagged, and never in production', async () => {
+  // Text that merely mentions a mock is parsed as a certificate
+  assert.deepEqual(reasonCodes(await verifyAgainstIACA(DS, `${IACA}\nMock`, { now: NOW })), []);
+  assert.equal(parseIACA(IACA).mock, false);
+
+  const mode = process.env.VERIFIER_MODE;
+  try {
+    process.env.VERIFIER_MODE = 'production';
+    assert.equal((await verifyAgainstIACA(DS, 'placeholder', { mock: true })).valid, false);
+
+    process.env.VERIFIER_MODE = 'test';
+    assert.deepEqual(await verifyAgainstIACA(DS, 'placeholder', { mock: true }), { valid: true, mock: true });
+  } finally {
+    process.env.VERIFIER_MODE = mode;
+  }
+});
+
+test('IACA_MOCK serves the mock root outside production only', async () => {
+  const saved = { mode: process.env.VERIFIER_MODE, flag: process.env.IACA_MOCK };
+  try {
+    process.env.IACA_MOCK = 'true';
+
+    process.env.VERIFIER_MODE = 'production';
+    await assert.rejects(downloadIACA('CA', 'http://127.0.0.1:9/iaca.pem'), /Mock IACA is not allowed in production mode/);
+
+    process.env.VERIFIER_MODE = 'development';
+    const { mock } = await downloadIACA('CA', 'http://127.0.0.1:9/iaca.pem');
+    assert.equal(mock, true);
+  } finally {
+    for (const [name, value] of [['VERIFIER_MODE', saved.mode], ['IACA_MOCK', saved.flag]]) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+});
@@ -0,0 +1,130 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { loadCertificate, getFingerprint } from '../../trust/x509.js';
+
+const FIXTURES = new URL('../fixtures/trust/', import.meta.url);
+
+// Downloaded roots are cached under TRUST_CACHE_DIR, read when the loader is imported
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'iaca-registry-'));
+process.env.TRUST_CACHE_DIR = path.join(dir, 'cache');
+const { loadIACARegistry } = await import('../../trust/iacaRegistry.js');
+
+const IACA_PEM = await fs.readFile(new URL('iaca.crt', FIXTURES), 'utf-8');
+const IACA_SHA256 = getFingerprint(loadCertificate(IACA_PEM));
+
+let server;
+let downloads = 0;
+let manifests = 0;
+
+/**
+ * Copy a fixture into the test directory
+ * @param {string} name - Fixture from test/fixtures/trust
+ * @param {string} target - Path relative to the test directory
+ */
+async function place(name, target) {
+  await fs.mkdir(path.dirname(path.join(dir, target)), { recursive: true });
+  await fs.copyFile(new URL(`${name}.crt`, FIXTURES), path.join(dir, target));
+}
+
+/**
+ * Load a registry whose manifest has a single CA root at the local server
+ * @param {object} root - Manifest root entry without url
+ * @param {string} mode - VERIFIER_MODE
+ * @returns {Promise<object>}
+ */
+async function loadFromUrl(root, mode) {
+  const manifestPath = path.join(dir, `url-${++manifests}.json`);
+  await fs.writeFile(manifestPath, JSON.stringify({
+    jurisdictions: { CA: { roots: [{ url: `http://127.0.0.1:${server.address().port}/iaca.pem`, ...root }] } }
+  }));
+
+  const previous = process.env.VERIFIER_MODE;
+  try {
+    process.env.VERIFIER_MODE = mode;
+    return await loadIACARegistry({ manifestPath, directory: null });
+  } finally {
+    process.env.VERIFIER_MODE = previous;
+  }
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    downloads++;
+    res.end(IACA_PEM);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+
+after(async () => {
+  server.close();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('loads per-jurisdiction roots from a directory and rejects invalid ones', async () => {
+  await place('iaca', 'roots/CA/iaca.crt');
+  await place('other-iaca', 'roots/NY/iaca.crt');
+  await place('iaca-critical-extension', 'roots/CA/critical.crt');
+  await place('other-iaca', 'roots/TX/iaca.crt');
+
+  const registry = await loadIACARegistry({ directory: path.join(dir, 'roots'), manifestPath: null });
+
+  assert.deepEqual([...registry.byJurisdiction.keys()].sort(), ['CA', 'NY']);
+  assert.equal(registry.bySki.size, 2);
+  assert.ok(registry.byJurisdiction.get('CA').every(root => root.mock === false));
+
+  const rejected = Object.fromEntries(registry.errors.map(({ source, error }) => [path.relative(dir, source), error]));
+  assert.match(rejected[path.join('roots', 'CA', 'critical.crt')], /unsupported critical extensions: 1.3.6.1.4.1.55555.1/);
+  assert.match(rejected[path.join('roots', 'TX', 'iaca.crt')], /does not belong to jurisdiction TX/);
+});
+
+test('rejects a manifest root whose fingerprint does not match its pin', async () => {
+  await place('iaca', 'manifest/ca.crt');
+  await place('other-iaca', 'manifest/ny.crt');
+  const manifestPath = path.join(dir, 'manifest/manifest.json');
+  await fs.writeFile(manifestPath, JSON.stringify({
+    jurisdictions: {
+      CA: { roots: [{ file: 'ca.crt', sha256: IACA_SHA256 }] },
+      NY: { roots: [{ file: 'ny.crt', sha256: IACA_SHA256 }] }
+    }
+  }));
+
+  const registry = await loadIACARegistry({ manifestPath, directory: null });
+
+  assert.equal(registry.byJurisdiction.get('CA')[0].pinned, true);
+  assert.equal(registry.byJurisdiction.has('NY'), false);
+  assert.match(registry.errors[0].error, /does not match pinned/);
+});
+
+test('does not fetch an unpinned URL root in production', async () => {
+  const requested = downloads;
+  const registry = await loadFromUrl({}, 'production');
+
+  assert.equal(downloads, requested);
+  assert.equal(registry.byJurisdiction.size, 0);
+  assert.match(registry.errors[0].error, /must be pinned with sha256 in production mode/);
+});
+
+test('trusts a pinned URL root in production', async () => {
+  const registry = await loadFromUrl({ sha256: IACA_SHA256 }, 'production');
+
+  const [root] = registry.byJurisdiction.get('CA');
+  assert.equal(root.pinned, true);
+  assert.equal(root.fingerprint, IACA_SHA256);
+});
+
+test('rejects a URL root that does not match its pin', async () => {
+  const registry = await loadFromUrl({ sha256: 'ab'.repeat(32) }, 'production');
+
+  assert.equal(registry.byJurisdiction.size, 0);
+  assert.match(registry.errors[0].error, /does not match pinned/);
+});
+
+test('accepts an unpinned URL root outside production', async () => {
+  const registry = await loadFromUrl({}, 'development');
+
+  assert.equal(registry.byJurisdiction.get('CA')[0].pinned, false);
+});
@@ -0,0 +1,109 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadCertificate, getFingerprint, getSubjectKeyIdentifier } from '../../trust/x509.js';
+
+const FIXTURES = fileURLToPath(new URL('../fixtures/trust/', import.meta.url));
+
+/**
+ * @param {string} name - Fixture from test/fixtures/trust (see generate.sh)
+ * @returns {Promise<Buffer>}
+ */
+function fixture(name) {
+  return fs.readFile(path.join(FIXTURES, name));
+}
+
+// The registry only pins the NY root (other-iaca.crt); the CA root (iaca.crt)
+// is only known through the VICAL. Only CA is an accepted jurisdiction.
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'issuer-trust-'));
+await fs.mkdir(path.join(dir, 'iaca', 'NY'), { recursive: true });
+await fs.copyFile(path.join(FIXTURES, 'other-iaca.crt'), path.join(dir, 'iaca', 'NY', 'other-iaca.crt'));
+
+const server = http.createServer(async (req, res) => res.end(await fixture('vical.cbor')));
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+const mode = process.env.VERIFIER_MODE;
+process.env.VERIFIER_MODE = 'production';
+process.env.IACA_DIR = path.join(dir, 'iaca');
+process.env.TRUST_CACHE_DIR = path.join(dir, 'cache');
+process.env.VICAL_URL = `http://127.0.0.1:${server.address().port}/vical`;
+process.env.VICAL_PROVIDER_CERT = path.join(FIXTURES, 'vical-provider.crt');
+process.env.ACCEPTED_JURISDICTIONS = 'CA';
+process.env.TRUST_POLICY_VERSION = 'test-policy-1';
+const { evaluateIssuerTrust, getTrustedIssuerKeys } = await import('../../trust/issuerTrust.js');
+
+after(async () => {
+  process.env.VERIFIER_MODE = mode;
+  server.close();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('trusts a Document Signer anchored in the VICAL for an accepted jurisdiction', async () => {
+  const iaca = loadCertificate(await fixture('iaca.crt'));
+
+  const result = await evaluateIssuerTrust({ x5chain: [await fixture('ds.crt')] });
+
+  assert.equal(result.trusted, true, result.error);
+  assert.deepEqual(result.decision, {
+    jurisdiction: 'CA',
+    anchor: {
+      source: 'vical',
+      subject: iaca.subject,
+      fingerprint: getFingerprint(iaca),
+      subjectKeyIdentifier: getSubjectKeyIdentifier(iaca)
+    },
+    policyVersion: 'test-policy-1'
+  });
+});
+
+test('rejects a Document Signer anchored in the registry for a jurisdiction that is not accepted', async () => {
+  const result = await evaluateIssuerTrust({ x5chain: [await fixture('ds-other-iaca.crt')] });
+
+  assert.equal(result.trusted, false);
+  assert.equal(result.code, 'jurisdiction_not_accepted');
+  assert.equal(result.error, 'Jurisdiction NY not in accepted list');
+});
+
+test('rejects a Document Signer without a known anchor', async () => {
+  // Its authority key identifier matches neither the registry nor the VICAL
+  const result = await evaluateIssuerTrust({ x5chain: [await fixture('ds-wrong-aki.crt')] });
+
+  assert.equal(result.trusted, false);
+  assert.equal(result.code, 'invalid_issuer');
+  assert.equal(result.error, 'No trusted IACA root found for the Document Signer certificate');
+});
+
+test('rejects a Document Signer whose chain to the anchor does not validate', async () => {
+  const result = await evaluateIssuerTrust({ x5chain: [await fixture('ds-no-eku.crt')] });
+
+  assert.equal(result.trusted, false);
+  assert.equal(result.code, 'invalid_issuer');
+  assert.ok(result.reasons.length > 0);
+});
+
+test('rejects an issuer code from a jurisdiction that is not accepted', async () => {
+  const result = await evaluateIssuerTrust({ issuer: 'NY-DMV', kid: 'ny-dmv-2024-01' });
+
+  assert.equal(result.trusted, false);
+  assert.equal(result.code, 'jurisdiction_not_accepted');
+});
+
+test('returns the Document Signer key only for a trusted chain', async () => {
+  const ds = await fixture('ds.crt');
+
+  const trusted = await getTrustedIssuerKeys({ x5chain: [ds] });
+  assert.equal(trusted.trusted, true);
+  assert.deepEqual(trusted.keys, [{
+    kid: getSubjectKeyIdentifier(loadCertificate(ds)),
+    jurisdiction: 'CA',
+    jwk: loadCertificate(ds).publicKey.export({ format: 'jwk' })
+  }]);
+
+  const untrusted = await getTrustedIssuerKeys({ x5chain: [await fixture('ds-other-iaca.crt')] });
+  assert.equal(untrusted.trusted, false);
+  assert.equal(untrusted.keys, undefined);
+});
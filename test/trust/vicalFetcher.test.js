@@ -0,0 +1,132 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadCertificate, getSubjectKeyIdentifier } from '../../trust/x509.js';
+
+const FIXTURES = fileURLToPath(new URL('../fixtures/trust/', import.meta.url));
+
+/**
+ * @param {string} name - Fixture from test/fixtures/trust (see generate.sh)
+ * @returns {Promise<Buffer>}
+ */
+function fixture(name) {
+  return fs.readFile(path.join(FIXTURES, name));
+}
+
+// The fetcher reads its endpoint, provider certificate and cache directory when imported
+const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vical-'));
+const served = { file: 'vical.cbor' };
+
+const server = http.createServer(async (req, res) => {
+  if (!served.file) {
+    res.statusCode = 503;
+    return res.end();
+  }
+  res.end(await fixture(served.file));
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+process.env.TRUST_CACHE_DIR = cacheDir;
+process.env.VICAL_URL = `http://127.0.0.1:${server.address().port}/vical`;
+process.env.VICAL_PROVIDER_CERT = path.join(FIXTURES, 'vical-provider.crt');
+const { parseVical, fetchVical, refreshVicalCache } = await import('../../trust/vicalFetcher.js');
+
+const PROVIDER = await fixture('vical-provider.crt');
+let mode;
+
+before(() => {
+  mode = process.env.VERIFIER_MODE;
+  process.env.VERIFIER_MODE = 'production';
+});
+
+after(async () => {
+  process.env.VERIFIER_MODE = mode;
+  server.close();
+  await fs.rm(cacheDir, { recursive: true, force: true });
+});
+
+test('parses a VICAL signed by the pinned provider', async () => {
+  const vical = parseVical(await fixture('vical.cbor'), PROVIDER);
+
+  assert.equal(vical.vicalIssueID, 2);
+  assert.equal(vical.vicalProvider, 'Test VICAL Provider');
+  assert.equal(vical.date, '2026-01-01T00:00:00.000Z');
+
+  const [info] = vical.certificateInfos;
+  assert.equal(info.jurisdiction, 'CA');
+  assert.equal(info.ski, getSubjectKeyIdentifier(loadCertificate(await fixture('iaca.crt'))));
+  assert.deepEqual(vical.jurisdictions.map(({ code }) => code), ['CA']);
+});
+
+test('rejects a VICAL with a broken signature', async () => {
+  const bytes = await fixture('vical.cbor');
+  bytes[bytes.length - 1] ^= 0xff;
+
+  assert.throws(() => parseVical(bytes, PROVIDER), /VICAL signature invalid/);
+});
+
+test('rejects a VICAL from a signer other than the pinned provider', async () => {
+  const bytes = await fixture('vical.cbor');
+  const other = await fixture('iaca.crt');
+
+  assert.throws(() => parseVical(bytes, other), /not the pinned VICAL provider/);
+});
+
+test('rejects a VICAL without vicalIssueID', async () => {
+  const bytes = await fixture('vical-no-issue-id.cbor');
+
+  assert.throws(() => parseVical(bytes, PROVIDER), /no vicalIssueID/);
+});
+
+test('keeps the accepted VICAL when an older issue is served', async () => {
+  served.file = 'vical.cbor';
+  assert.equal((await refreshVicalCache()).vicalIssueID, 2);
+
+  served.file = 'vical-older.cbor';
+  const kept = await refreshVicalCache();
+
+  assert.equal(kept.vicalIssueID, 2);
+});
+
+test('re-verifies the cached VICAL instead of trusting the JSON cache', async () => {
+  served.file = 'vical.cbor';
+  await refreshVicalCache();
+
+  // Edits to the JSON cache are ignored
+  const jsonFile = path.join(cacheDir, 'vical.json');
+  const cached = JSON.parse(await fs.readFile(jsonFile, 'utf-8'));
+  cached.certificateInfos[0].ski = '00'.repeat(20);
+  await fs.writeFile(jsonFile, JSON.stringify(cached));
+
+  const fresh = await fetchVical();
+  assert.equal(fresh.certificateInfos[0].ski, getSubjectKeyIdentifier(loadCertificate(await fixture('iaca.crt'))));
+
+  // A tampered signed VICAL is not used, even as a fallback
+  const cborFile = path.join(cacheDir, 'vical.cbor');
+  const bytes = await fs.readFile(cborFile);
+  bytes[bytes.length - 1] ^= 0xff;
+  await fs.writeFile(cborFile, bytes);
+
+  served.file = null;
+  await assert.rejects(fetchVical(), /no cache available/);
+});
+
+test('VICAL_MOCK serves mock data outside production only', async () => {
+  // Without a cache to fall back to
+  await fs.rm(cacheDir, { recursive: true, force: true });
+  process.env.VICAL_MOCK = 'true';
+
+  try {
+    await assert.rejects(fetchVical({ force: true }), /Mock VICAL is not allowed in production mode/);
+
+    process.env.VERIFIER_MODE = 'development';
+    assert.equal((await fetchVical({ force: true })).mock, true);
+  } finally {
+    delete process.env.VICAL_MOCK;
+    process.env.VERIFIER_MODE = 'production';
+  }
+});
@@ -0,0 +1,198 @@
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLongfellowClient } from '../../verifier/longfellowClient.js';
+import { verifyWithLongfellow } from '../../verifier/verifyPresentation.js';
+import { loadZkSpecs } from '../../verifier/mdocZk.js';
+import { createFakeLongfellow, DEFAULT_SPECS } from '../../examples/fake-longfellow.js';
+
+let fake;
+let server;
+let url;
+const clients = [];
+
+before(async () => {
+  fake = createFakeLongfellow({ specs: await loadZkSpecs(DEFAULT_SPECS) });
+  server = await new Promise(resolve => {
+    const listening = fake.app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  clients.forEach(client => client.close());
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  Object.assign(fake.behavior, { delayMs: 0, failRate: 0, failStatus: '503' });
+  Object.assign(fake.stats, { requests: 0, failed: 0 });
+});
+
+/**
+ * Client for the fake, with fast retries unless overridden
+ * @param {object} [options]
+ * @returns {object}
+ */
+function client(options = {}) {
+  const created = createLongfellowClient({ url, retryBaseDelayMs: 1, retryMaxDelayMs: 5, ...options });
+  clients.push(created);
+  return created;
+}
+
+/**
+ * Make the fake fail every request
+ * @param {string|number} failStatus
+ */
+function failWith(failStatus) {
+  Object.assign(fake.behavior, { failRate: 1, failStatus: String(failStatus) });
+}
+
+test('times out a slow attempt', async () => {
+  fake.behavior.delayMs = 500;
+  const longfellow = client({ timeoutMs: 50, retries: 0 });
+
+  const response = await longfellow.post('/verify', {});
+
+  assert.equal(response.ok, false);
+  assert.equal(response.code, 'zk_backend_unavailable');
+  assert.equal(response.cause, 'timeout');
+  assert.equal(longfellow.getMetrics().timeouts, 1);
+});
+
+test('retries retryable statuses with full jitter up to the limit', async () => {
+  failWith(503);
+  const random = mock.method(Math, 'random', () => 0);
+  const longfellow = client({ retries: 2, retryBaseDelayMs: 60000, retryMaxDelayMs: 60000 });
+
+  const started = Date.now();
+  const response = await longfellow.post('/verify', {});
+  random.mock.restore();
+
+  // A random factor of 0 means no wait, however large the backoff base
+  assert.ok(Date.now() - started < 5000);
+  assert.equal(response.code, 'zk_backend_unavailable');
+  assert.equal(response.cause, 'http_503');
+  assert.equal(fake.stats.requests, 3);
+  assert.equal(longfellow.getMetrics().retries, 2);
+});
+
+test('waits random(0, min(max, base * 2^attempt)) between attempts', async () => {
+  failWith(503);
+  const random = mock.method(Math, 'random', () => 0.99);
+  const longfellow = client({ retries: 2, retryBaseDelayMs: 100, retryMaxDelayMs: 150 });
+
+  const started = Date.now();
+  await longfellow.post('/verify', {});
+  random.mock.restore();
+
+  // 0.99 * 100 after the first attempt, 0.99 * 150 (capped from 200) after the second
+  assert.ok(Date.now() - started >= 0.99 * 100 + 0.99 * 150 - 5);
+  assert.equal(fake.stats.requests, 3);
+});
+
+test('does not retry a 4xx answer and reports it as rejected', async () => {
+  const longfellow = client({ retries: 2 });
+
+  // The fake answers 400 for a request without a proof
+  const response = await longfellow.post('/verify', {});
+
+  assert.equal(response.code, 'zk_backend_rejected');
+  assert.equal(response.status, 400);
+  assert.equal(fake.stats.requests, 1);
+  assert.equal(longfellow.getMetrics().circuit.consecutiveFailures, 0);
+});
+
+test('does not retry an answer that is not JSON', async () => {
+  failWith('invalid_json');
+  const longfellow = client({ retries: 2 });
+
+  const response = await longfellow.post('/verify', {});
+
+  assert.equal(response.code, 'zk_backend_unavailable');
+  assert.equal(response.cause, 'invalid_response');
+  assert.equal(fake.stats.requests, 1);
+});
+
+test('retries dropped connections', async () => {
+  failWith('reset');
+  const longfellow = client({ retries: 1 });
+
+  const response = await longfellow.post('/verify', {});
+
+  assert.equal(response.code, 'zk_backend_unavailable');
+  assert.equal(fake.stats.requests, 2);
+});
+
+test('opens the circuit, lets one trial through when half open, and closes on success', async () => {
+  failWith(503);
+  const longfellow = client({ retries: 0, failureThreshold: 2, resetTimeoutMs: 200 });
+
+  await longfellow.post('/verify', {});
+  assert.equal(longfellow.getMetrics().circuit.state, 'closed');
+  await longfellow.post('/verify', {});
+  assert.equal(longfellow.getMetrics().circuit.state, 'open');
+
+  // Open: fail fast without calling Longfellow
+  const shortCircuited = await longfellow.post('/verify', {});
+  assert.equal(shortCircuited.code, 'zk_backend_unavailable');
+  assert.equal(shortCircuited.cause, 'circuit_open');
+  assert.ok(shortCircuited.retryAfter >= 1);
+  assert.equal(fake.stats.requests, 2);
+
+  await new Promise(resolve => setTimeout(resolve, 250));
+  assert.equal(longfellow.getMetrics().circuit.state, 'half_open');
+
+  // A failed trial opens it again
+  await longfellow.post('/verify', {});
+  assert.equal(longfellow.getMetrics().circuit.state, 'open');
+  assert.equal(fake.stats.requests, 3);
+
+  await new Promise(resolve => setTimeout(resolve, 250));
+
+  // Only one trial at a time while half open
+  fake.behavior.failRate = 0;
+  fake.behavior.delayMs = 50;
+  const [trial, concurrent] = await Promise.all([longfellow.post('/verify', {}), longfellow.post('/verify', {})]);
+  assert.equal(trial.code, 'zk_backend_rejected');
+  assert.equal(concurrent.cause, 'circuit_open');
+
+  const metrics = longfellow.getMetrics();
+  assert.equal(metrics.circuit.state, 'closed');
+  assert.equal(metrics.circuit.consecutiveFailures, 0);
+  assert.equal(metrics.circuit.opens, 2);
+});
+
+test('verifyWithLongfellow maps an unavailable backend to zk_backend_unavailable', async () => {
+  // The shared client is created from the environment on first use
+  Object.assign(process.env, {
+    LONGFELLOW_URL: url,
+    LONGFELLOW_RETRIES: '0',
+    LONGFELLOW_BREAKER_THRESHOLD: '1',
+    LONGFELLOW_BREAKER_RESET_MS: '60000'
+  });
+  failWith(503);
+
+  const [spec] = await loadZkSpecs(DEFAULT_SPECS);
+  const request = {
+    spec,
+    document: {
+      docType: 'org.iso.18013.5.1.mDL',
+      timestamp: new Date().toISOString(),
+      attributes: [{ namespace: 'org.iso.18013.5.1', identifier: 'age_over_21', value: true }],
+      proof: Buffer.from('proof')
+    },
+    issuerPublicKeys: [{ kid: 'ds-1', jurisdiction: 'CA', jwk: { kty: 'EC' } }],
+    sessionTranscript: { json: [], bytes: Buffer.alloc(0) }
+  };
+
+  const failed = await verifyWithLongfellow(request);
+  assert.equal(failed.valid, false);
+  assert.equal(failed.code, 'zk_backend_unavailable');
+
+  // The circuit is now open: still unavailable, with a Retry-After hint
+  const shortCircuited = await verifyWithLongfellow(request);
+  assert.equal(shortCircuited.code, 'zk_backend_unavailable');
+  assert.ok(shortCircuited.retryAfter > 0);
+  assert.equal(fake.stats.requests, 1);
+});
@@ -0,0 +1,241 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { encode, encodeEmbedded, Tagged, TAG_ENCODED_CBOR } from '../../common/cbor.js';
+import { createSign1, jwkToCoseKey, HEADER_ALG, HEADER_X5CHAIN } from '../../common/cose.js';
+import { verifyDeviceResponse, MDL_DOCTYPE } from '../../verifier/mdoc.js';
+
+const NAMESPACE = 'org.iso.18013.5.1';
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * DER TLV
+ * @param {number} tag
+ * @param {...Buffer} contents
+ * @returns {Buffer}
+ */
+function der(tag, ...contents) {
+  const body = Buffer.concat(contents);
+  const length = body.length < 0x80
+    ? Buffer.from([body.length])
+    : body.length < 0x100 ? Buffer.from([0x81, body.length]) : Buffer.from([0x82, body.length >> 8, body.length & 0xff]);
+  return Buffer.concat([Buffer.from([tag]), length, body]);
+}
+
+/**
+ * @param {Date} date
+ * @returns {Buffer} UTCTime
+ */
+function utcTime(date) {
+  return der(0x17, Buffer.from(date.toISOString().replace(/[-:T]/g, '').slice(2, 14) + 'Z'));
+}
+
+/**
+ * Minimal self-signed ES256 Document Signer certificate (C=US, ST=CA)
+ * @param {crypto.KeyObject} publicKey
+ * @param {crypto.KeyObject} privateKey
+ * @returns {Buffer} DER
+ */
+function createDocumentSignerCertificate(publicKey, privateKey) {
+  const ecdsaWithSha256 = der(0x30, Buffer.from('06082a8648ce3d040302', 'hex'));
+  const name = der(0x30,
+    der(0x31, der(0x30, Buffer.from('0603550406', 'hex'), der(0x13, Buffer.from('US')))),
+    der(0x31, der(0x30, Buffer.from('0603550408', 'hex'), der(0x0c, Buffer.from('CA')))),
+    der(0x31, der(0x30, Buffer.from('0603550403', 'hex'), der(0x0c, Buffer.from('Test Document Signer'))))
+  );
+
+  const tbs = der(0x30,
+    Buffer.from('a003020102', 'hex'),
+    der(0x02, Buffer.from([0x01])),
+    ecdsaWithSha256,
+    name,
+    der(0x30, utcTime(new Date(Date.now() - 30 * DAY)), utcTime(new Date(Date.now() + 365 * DAY))),
+    name,
+    publicKey.export({ type: 'spki', format: 'der' })
+  );
+
+  const signature = crypto.sign('sha256', tbs, privateKey);
+  return der(0x30, tbs, ecdsaWithSha256, der(0x03, Buffer.from([0x00]), signature));
+}
+
+const documentSignerKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const DOCUMENT_SIGNER = createDocumentSignerCertificate(documentSignerKeys.publicKey, documentSignerKeys.privateKey);
+
+/**
+ * @param {string} origin
+ * @returns {Array} SessionTranscript
+ */
+function sessionTranscriptFor(origin) {
+  return [null, null, ['OpenID4VPDCAPIHandover', crypto.createHash('sha256').update(origin).digest()]];
+}
+
+/**
+ * Build a DeviceResponse disclosing age_over_21, signed by the test Document Signer
+ * @param {object} [options]
+ * @param {object} [options.validityInfo] - Overrides for signed/validFrom/validUntil
+ * @param {*} [options.disclosedValue] - elementValue presented instead of the signed one
+ * @param {'signature'|'mac'} [options.deviceAuth]
+ * @param {Array} [options.sessionTranscript]
+ * @param {crypto.KeyObject} [options.readerPublicKey] - Reader key for DeviceMac
+ * @param {boolean} [options.corruptMac]
+ * @returns {{deviceResponse: Buffer}}
+ */
+function createDeviceResponse({
+  validityInfo = {},
+  disclosedValue,
+  deviceAuth = 'signature',
+  sessionTranscript = sessionTranscriptFor('https://rp.example.com'),
+  readerPublicKey,
+  corruptMac = false
+} = {}) {
+  const deviceKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+  const item = new Map([
+    ['digestID', 0],
+    ['random', crypto.randomBytes(16)],
+    ['elementIdentifier', 'age_over_21'],
+    ['elementValue', true]
+  ]);
+  const digest = crypto.createHash('sha256').update(encode(encodeEmbedded(item))).digest();
+
+  if (disclosedValue !== undefined) {
+    item.set('elementValue', disclosedValue);
+  }
+
+  const mso = new Map([
+    ['version', '1.0'],
+    ['digestAlgorithm', 'SHA-256'],
+    ['valueDigests', new Map([[NAMESPACE, new Map([[0, digest]])]])],
+    ['deviceKeyInfo', new Map([['deviceKey', jwkToCoseKey(deviceKeys.publicKey.export({ format: 'jwk' }))]])],
+    ['docType', MDL_DOCTYPE],
+    ['validityInfo', new Map(Object.entries({
+      signed: new Date(Date.now() - DAY),
+      validFrom: new Date(Date.now() - DAY),
+      validUntil: new Date(Date.now() + 30 * DAY),
+      ...validityInfo
+    }))]
+  ]);
+
+  const issuerAuth = createSign1(encode(encodeEmbedded(mso)), documentSignerKeys.privateKey, {
+    unprotectedHeaders: new Map([[HEADER_X5CHAIN, DOCUMENT_SIGNER]])
+  });
+
+  const deviceNameSpacesBytes = encodeEmbedded(new Map());
+  const deviceAuthenticationBytes = encode(new Tagged(TAG_ENCODED_CBOR, encode([
+    'DeviceAuthentication', sessionTranscript, MDL_DOCTYPE, deviceNameSpacesBytes
+  ])));
+
+  let auth;
+  if (deviceAuth === 'signature') {
+    auth = ['deviceSignature', createSign1(deviceAuthenticationBytes, deviceKeys.privateKey, { detached: true })];
+  } else {
+    // EMacKey from ECDH(SDeviceKey, EReaderKey), salted with the SessionTranscriptBytes digest
+    const sharedSecret = crypto.diffieHellman({ privateKey: deviceKeys.privateKey, publicKey: readerPublicKey });
+    const salt = crypto.createHash('sha256').update(encode(new Tagged(TAG_ENCODED_CBOR, encode(sessionTranscript)))).digest();
+    const macKey = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, salt, 'EMacKey', 32));
+
+    const protectedBytes = encode(new Map([[HEADER_ALG, 5]]));
+    const tag = crypto.createHmac('sha256', macKey)
+      .update(encode(['MAC0', protectedBytes, Buffer.alloc(0), deviceAuthenticationBytes]))
+      .digest();
+    if (corruptMac) {
+      tag[0] ^= 0xff;
+    }
+    auth = ['deviceMac', [protectedBytes, new Map(), null, tag]];
+  }
+
+  const document = new Map([
+    ['docType', MDL_DOCTYPE],
+    ['issuerSigned', new Map([
+      ['nameSpaces', new Map([[NAMESPACE, [encodeEmbedded(item)]]])],
+      ['issuerAuth', issuerAuth]
+    ])],
+    ['deviceSigned', new Map([
+      ['nameSpaces', deviceNameSpacesBytes],
+      ['deviceAuth', new Map([auth])]
+    ])]
+  ]);
+
+  return {
+    deviceResponse: encode(new Map([['version', '1.0'], ['documents', [document]], ['status', 0]]))
+  };
+}
+
+/**
+ * @param {Buffer} deviceResponse
+ * @param {object} [options]
+ * @returns {Promise<object>}
+ */
+function verify(deviceResponse, { origin = 'https://rp.example.com', ...options } = {}) {
+  const sessionTranscript = sessionTranscriptFor(origin);
+  return verifyDeviceResponse(deviceResponse, {
+    sessionTranscript,
+    sessionTranscriptBytes: encode(sessionTranscript),
+    ...options
+  });
+}
+
+test('accepts a DeviceResponse signed by the Document Signer and the device key', async () => {
+  const { deviceResponse } = createDeviceResponse();
+
+  const result = await verify(deviceResponse);
+
+  assert.equal(result.valid, true, result.error);
+  assert.deepEqual(result.predicates, { [`${NAMESPACE}.age_over_21`]: true });
+  assert.equal(result.issuer, 'CA');
+  assert.equal(result.documentSigner.subject, new crypto.X509Certificate(DOCUMENT_SIGNER).subject);
+});
+
+test('rejects an element that does not match its MSO digest', async () => {
+  const { deviceResponse } = createDeviceResponse({ disclosedValue: false });
+
+  const result = await verify(deviceResponse);
+
+  assert.equal(result.valid, false);
+  assert.equal(result.error, `Digest mismatch for ${NAMESPACE}.age_over_21`);
+});
+
+test('rejects an expired MSO', async () => {
+  const { deviceResponse } = createDeviceResponse({ validityInfo: { validUntil: new Date(Date.now() - 1000) } });
+
+  assert.equal((await verify(deviceResponse)).error, 'MSO expired');
+});
+
+test('rejects a validityInfo without valid tdates', async () => {
+  for (const validityInfo of [
+    { validUntil: '2999-01-01T00:00:00Z' },
+    { validFrom: new Tagged(0, 'not a date') },
+    { signed: undefined }
+  ]) {
+    const { deviceResponse } = createDeviceResponse({ validityInfo });
+    assert.equal((await verify(deviceResponse)).error, 'MSO validityInfo malformed');
+  }
+});
+
+test('rejects a DeviceSignature made for another SessionTranscript', async () => {
+  const { deviceResponse } = createDeviceResponse();
+
+  const result = await verify(deviceResponse, { origin: 'https://attacker.example' });
+
+  assert.equal(result.valid, false);
+  assert.equal(result.error, 'DeviceSignature invalid');
+});
+
+test('verifies a DeviceMac with the EMacKey derived from the reader key', async () => {
+  const reader = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const deriveSharedSecret = async devicePublicJwk => crypto.diffieHellman({
+    privateKey: reader.privateKey,
+    publicKey: crypto.createPublicKey({ key: devicePublicJwk, format: 'jwk' })
+  });
+
+  const valid = createDeviceResponse({ deviceAuth: 'mac', readerPublicKey: reader.publicKey });
+  assert.equal((await verify(valid.deviceResponse, { deriveSharedSecret })).valid, true);
+
+  const corrupt = createDeviceResponse({ deviceAuth: 'mac', readerPublicKey: reader.publicKey, corruptMac: true });
+  assert.equal((await verify(corrupt.deviceResponse, { deriveSharedSecret })).error, 'DeviceMac invalid');
+
+  // A MAC keyed for another reader does not verify either
+  const other = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const misdirected = createDeviceResponse({ deviceAuth: 'mac', readerPublicKey: other.publicKey });
+  assert.equal((await verify(misdirected.deviceResponse, { deriveSharedSecret })).error, 'DeviceMac invalid');
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkProvenAttributes } from '../../verifier/mdocZk.js';
+
+const NAMESPACE = 'org.iso.18013.5.1';
+
+/**
+ * @param {...string} identifiers
+ * @returns {Array<{namespace: string, identifier: string}>}
+ */
+function proven(...identifiers) {
+  return identifiers.map(identifier => ({ namespace: NAMESPACE, identifier }));
+}
+
+test('accepts a proof of exactly the requested attributes, in any order', () => {
+  const requested = [[NAMESPACE, 'age_over_21'], [NAMESPACE, 'resident_state']];
+
+  assert.equal(checkProvenAttributes(proven('resident_state', 'age_over_21'), requested), null);
+});
+
+test('rejects a proof missing a requested attribute', () => {
+  const requested = [[NAMESPACE, 'age_over_21'], [NAMESPACE, 'resident_state']];
+
+  assert.equal(checkProvenAttributes(proven('age_over_21'), requested),
+    `Requested attributes not proven: ${NAMESPACE}.resident_state`);
+});
+
+test('rejects a proof disclosing attributes that were not requested', () => {
+  assert.equal(checkProvenAttributes(proven('age_over_21', 'birth_date'), [[NAMESPACE, 'age_over_21']]),
+    `Attributes proven but not requested: ${NAMESPACE}.birth_date`);
+});
+
+test('rejects a proof disclosing an attribute twice', () => {
+  const requested = [[NAMESPACE, 'age_over_21']];
+
+  assert.equal(checkProvenAttributes(proven('age_over_21', 'age_over_21'), requested),
+    `ZK proof discloses ${NAMESPACE}.age_over_21 more than once`);
+});
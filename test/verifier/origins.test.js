@@ -0,0 +1,61 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveSessionOrigin, isAllowedOrigin } from '../../verifier/origins.js';
+
+const ENV = ['VERIFIER_MODE', 'VERIFIER_ORIGIN', 'VERIFIER_ALLOWED_ORIGINS'];
+const saved = Object.fromEntries(ENV.map(name => [name, process.env[name]]));
+
+afterEach(() => {
+  for (const name of ENV) {
+    if (saved[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = saved[name];
+    }
+  }
+});
+
+/**
+ * @param {object} env
+ */
+function configure(env) {
+  ENV.forEach(name => delete process.env[name]);
+  Object.assign(process.env, env);
+}
+
+test('binds sessions to an allowed Origin header', () => {
+  configure({ VERIFIER_MODE: 'production', VERIFIER_ALLOWED_ORIGINS: 'https://rp.example.com, https://shop.example.com' });
+
+  assert.deepEqual(resolveSessionOrigin('https://shop.example.com'), { origin: 'https://shop.example.com' });
+  assert.equal(isAllowedOrigin('https://rp.example.com'), true);
+});
+
+test('refuses an origin that is not configured', () => {
+  configure({ VERIFIER_MODE: 'production', VERIFIER_ORIGIN: 'https://rp.example.com' });
+
+  const { origin, status } = resolveSessionOrigin('https://attacker.example');
+  assert.equal(origin, undefined);
+  assert.equal(status, 403);
+  assert.equal(isAllowedOrigin('https://attacker.example'), false);
+  assert.equal(isAllowedOrigin(undefined), false);
+});
+
+test('uses VERIFIER_ORIGIN for requests without an Origin header', () => {
+  configure({ VERIFIER_MODE: 'production', VERIFIER_ORIGIN: 'https://rp.example.com' });
+
+  assert.deepEqual(resolveSessionOrigin(undefined), { origin: 'https://rp.example.com' });
+});
+
+test('requires configured origins in production', () => {
+  configure({ VERIFIER_MODE: 'production' });
+
+  assert.equal(resolveSessionOrigin('https://rp.example.com').status, 403);
+  assert.equal(isAllowedOrigin('https://rp.example.com'), false);
+});
+
+test('accepts any origin outside production when none is configured', () => {
+  configure({ VERIFIER_MODE: 'development' });
+
+  assert.deepEqual(resolveSessionOrigin('http://localhost:8080'), { origin: 'http://localhost:8080' });
+  assert.equal(resolveSessionOrigin(undefined).status, 400);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { calculateJwkThumbprint } from 'jose';
+import { buildSessionTranscript, encodeHandoverInfo } from '../../verifier/sessionTranscript.js';
+import { encode } from '../../common/cbor.js';
+
+// OpenID4VP 1.0, Appendix B.2.6.2 (DC API handover) example
+const VECTOR = {
+  origin: 'https://example.com',
+  nonce: 'exc7gBkxjx1rdc9udRrveKvSsJIq80avlXeLHhGwqtA',
+  jwkThumbprint: '4283ec927ae0f208daaa2d026a814f2b22dca52cf85ffa8f3f8626c6bd669047',
+  handoverInfo:
+    '837368747470733a2f2f6578616d706c652e636f6d782b6578633767426b786a7831726463397564527276654b7653734a4971383061766c58654c4868477771744158204283ec927ae0f208daaa2d026a814f2b22dca52cf85ffa8f3f8626c6bd669047',
+  handoverInfoHash: 'fbece366f4212f9762c74cfdbf83b8c69e371d5d68cea09cb4c48ca6daab761a',
+  sessionTranscript:
+    '83f6f682764f70656e4944345650444341504948616e646f7665725820fbece366f4212f9762c74cfdbf83b8c69e371d5d68cea09cb4c48ca6daab761a'
+};
+
+const READER_JWK = {
+  kty: 'EC',
+  crv: 'P-256',
+  x: 'WKn-ZIGevcwGIyyrzFoZNBdaq9_TsqzGl96oc0CWuis',
+  y: 'y77t-RvAHRKTsSGdIYUfweuOvwrvDD-Q3Hv5J0fSKbE'
+};
+
+test('encodes OpenID4VPDCAPIHandoverInfo as in the OpenID4VP example', () => {
+  const handoverInfo = encodeHandoverInfo(VECTOR.origin, VECTOR.nonce, Buffer.from(VECTOR.jwkThumbprint, 'hex'));
+
+  assert.equal(handoverInfo.toString('hex'), VECTOR.handoverInfo);
+  assert.equal(crypto.createHash('sha256').update(handoverInfo).digest('hex'), VECTOR.handoverInfoHash);
+});
+
+test('encodes the example SessionTranscript', () => {
+  const transcript = [null, null, ['OpenID4VPDCAPIHandover', Buffer.from(VECTOR.handoverInfoHash, 'hex')]];
+
+  assert.equal(encode(transcript).toString('hex'), VECTOR.sessionTranscript);
+});
+
+test('builds the SessionTranscript over the reader key thumbprint', async () => {
+  const { transcript, bytes } = await buildSessionTranscript(VECTOR.nonce, VECTOR.origin, READER_JWK);
+
+  const thumbprint = Buffer.from(await calculateJwkThumbprint(READER_JWK, 'sha256'), 'base64url');
+  const expectedHash = crypto.createHash('sha256')
+    .update(encodeHandoverInfo(VECTOR.origin, VECTOR.nonce, thumbprint))
+    .digest();
+
+  assert.deepEqual(transcript, [null, null, ['OpenID4VPDCAPIHandover', expectedHash]]);
+  assert.equal(bytes.toString('hex'), encode(transcript).toString('hex'));
+});
+
+test('uses a null thumbprint for unencrypted responses', async () => {
+  const { transcript } = await buildSessionTranscript(VECTOR.nonce, VECTOR.origin);
+
+  const expectedHash = crypto.createHash('sha256')
+    .update(encodeHandoverInfo(VECTOR.origin, VECTOR.nonce, null))
+    .digest();
+
+  assert.deepEqual(transcript[2][1], expectedHash);
+  assert.equal(encodeHandoverInfo(VECTOR.origin, VECTOR.nonce, null).at(-1), 0xf6);
+});
@@ -0,0 +1,196 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { encode, encodeEmbedded, Tagged } from '../../common/cbor.js';
+import { MDL_DOCTYPE } from '../../verifier/mdoc.js';
+import { loadZkSpecs } from '../../verifier/mdocZk.js';
+import { deriveClaims } from '../../issuer/claims.js';
+import { createFakeLongfellow, DEFAULT_SPECS } from '../../examples/fake-longfellow.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NAMESPACE = 'org.iso.18013.5.1';
+const FIXTURES = fileURLToPath(new URL('../fixtures/trust/', import.meta.url));
+
+// ZK proofs are checked by the fake Longfellow, against Document Signers
+// chaining to the fixture IACA (the only registry root); both are configured
+// from the environment when first used
+const specs = await loadZkSpecs(DEFAULT_SPECS);
+const fake = createFakeLongfellow({ specs });
+const longfellow = await new Promise(resolve => {
+  const listening = fake.app.listen(0, '127.0.0.1', () => resolve(listening));
+});
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'verify-presentation-'));
+await fs.mkdir(path.join(dir, 'CA'));
+await fs.copyFile(path.join(FIXTURES, 'iaca.crt'), path.join(dir, 'CA', 'iaca.crt'));
+
+Object.assign(process.env, {
+  IACA_DIR: dir,
+  TRUST_CACHE_DIR: path.join(dir, 'cache'),
+  LONGFELLOW_URL: `http://127.0.0.1:${longfellow.address().port}`,
+  LONGFELLOW_RETRIES: '0'
+});
+const { extractPredicates, verifyWithLongfellow, verifyZkPresentation } = await import('../../verifier/verifyPresentation.js');
+const { getLongfellowClient } = await import('../../verifier/longfellowClient.js');
+
+after(async () => {
+  getLongfellowClient().close();
+  longfellow.closeAllConnections();
+  longfellow.close();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * YYYY-MM-DD of a day relative to today (UTC)
+ * @param {number} days
+ * @returns {string}
+ */
+function fullDate(days) {
+  return new Date(Date.now() + days * DAY).toISOString().slice(0, 10);
+}
+
+test('does not assume notExpired when validity was not proven', () => {
+  const predicates = extractPredicates({ predicates: { 'org.iso.18013.5.1.age_over_21': true } });
+
+  assert.equal('notExpired' in predicates, false);
+  assert.deepEqual(deriveClaims(predicates).claims, { over21: true });
+});
+
+test('takes notExpired from the checked MSO validityInfo', () => {
+  const predicates = extractPredicates({
+    predicates: { 'org.iso.18013.5.1.age_over_21': true },
+    validityInfo: { validUntil: new Date(Date.now() + DAY).toISOString() }
+  });
+
+  assert.equal(predicates.notExpired, true);
+});
+
+test('takes notExpired from a proven expiry_date', () => {
+  assert.equal(extractPredicates({ predicates: { 'org.iso.18013.5.1.expiry_date': fullDate(0) } }).notExpired, true);
+  assert.equal(extractPredicates({ predicates: { 'org.iso.18013.5.1.expiry_date': fullDate(-1) } }).notExpired, false);
+  assert.equal(extractPredicates({ predicates: { 'org.iso.18013.5.1.expiry_date': 'not a date' } }).notExpired, false);
+});
+
+test('an expired expiry_date wins over the MSO validityInfo', () => {
+  const predicates = extractPredicates({
+    predicates: { 'org.iso.18013.5.1.expiry_date': fullDate(-1) },
+    validityInfo: { validUntil: new Date(Date.now() + DAY).toISOString() }
+  });
+
+  assert.equal(predicates.notExpired, false);
+  assert.equal('expiry_date' in predicates, false);
+  assert.equal('org.iso.18013.5.1.expiry_date' in predicates, false);
+});
+
+test('LONGFELLOW_MOCK accepts proofs outside production only', async () => {
+  const saved = { mode: process.env.VERIFIER_MODE, flag: process.env.LONGFELLOW_MOCK };
+  try {
+    process.env.LONGFELLOW_MOCK = 'true';
+
+    process.env.VERIFIER_MODE = 'production';
+    await assert.rejects(verifyWithLongfellow({}), /Mock Longfellow is not allowed in production mode/);
+
+    process.env.VERIFIER_MODE = 'development';
+    assert.deepEqual(await verifyWithLongfellow({}), { valid: true, mock: true });
+  } finally {
+    for (const [name, value] of [['VERIFIER_MODE', saved.mode], ['LONGFELLOW_MOCK', saved.flag]]) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+});
+
+/**
+ * ZK DeviceResponse proving the given mDL elements with a circuit spec
+ * @param {object} options
+ * @param {string} options.specId - zkSystemSpecId
+ * @param {object} options.elements - elementIdentifier → elementValue
+ * @returns {Promise<string>} base64url CBOR
+ */
+async function createZkDeviceResponse({ specId, elements }) {
+  const documentData = new Map([
+    ['docType', MDL_DOCTYPE],
+    ['zkSystemSpecId', specId],
+    ['timestamp', new Tagged(0, new Date().toISOString())],
+    ['issuerSigned', new Map([[NAMESPACE, Object.entries(elements).map(([identifier, value]) =>
+      new Map([['elementIdentifier', identifier], ['elementValue', value]])
+    )]])],
+    ['msoX5chain', new crypto.X509Certificate(await fs.readFile(path.join(FIXTURES, 'ds.crt'))).raw]
+  ]);
+
+  return encode(new Map([
+    ['version', '1.0'],
+    ['zkDocuments', [new Map([['documentData', encodeEmbedded(documentData)], ['proof', Buffer.from('zk-proof')]])]],
+    ['status', 0]
+  ])).toString('base64url');
+}
+
+/**
+ * DCQL query for mDL elements, offering the given circuit specs
+ * @param {Array<string>} elements
+ * @param {Array<object>} offered - zk_system_type entries
+ * @returns {object}
+ */
+function zkQuery(elements, offered) {
+  return {
+    id: 'mdl',
+    format: 'mso_mdoc_zk',
+    meta: { doctype_value: MDL_DOCTYPE, zk_system_type: offered },
+    claims: elements.map(element => ({ path: [NAMESPACE, element] }))
+  };
+}
+
+const SESSION_TRANSCRIPT = { json: [null, null, ['OpenID4VPDCAPIHandover', 'hash']], bytes: encode([null, null, []]) };
+const [oneAttributeSpec, twoAttributeSpec] = specs;
+
+test('verifies a ZK proof made with an offered circuit spec', async () => {
+  const vpToken = await createZkDeviceResponse({ specId: oneAttributeSpec.id, elements: { age_over_21: true } });
+
+  const result = await verifyZkPresentation(vpToken, zkQuery(['age_over_21'], [oneAttributeSpec]), SESSION_TRANSCRIPT);
+
+  assert.equal(result.valid, true, result.error);
+  assert.deepEqual(result.predicates, { [`${NAMESPACE}.age_over_21`]: true });
+  assert.equal(result.trust.decision.jurisdiction, 'CA');
+  assert.equal(fake.stats.requests, 1);
+});
+
+test('rejects a ZK proof made with a circuit spec the request did not offer', async () => {
+  const vpToken = await createZkDeviceResponse({ specId: twoAttributeSpec.id, elements: { age_over_21: true } });
+
+  const result = await verifyZkPresentation(vpToken, zkQuery(['age_over_21'], [oneAttributeSpec]), SESSION_TRANSCRIPT);
+
+  assert.equal(result.valid, false);
+  assert.equal(result.code, 'invalid_presentation');
+  assert.equal(result.error, `ZK proof uses circuit spec ${twoAttributeSpec.id}, which was not offered`);
+});
+
+test('rejects a ZK proof of other attributes than requested', async () => {
+  const query = zkQuery(['age_over_21'], [oneAttributeSpec, twoAttributeSpec]);
+  const requests = fake.stats.requests;
+
+  const extra = await verifyZkPresentation(
+    await createZkDeviceResponse({ specId: twoAttributeSpec.id, elements: { age_over_21: true, family_name: 'Doe' } }),
+    query,
+    SESSION_TRANSCRIPT
+  );
+  assert.equal(extra.code, 'invalid_presentation');
+  assert.equal(extra.error, `Attributes proven but not requested: ${NAMESPACE}.family_name`);
+
+  const other = await verifyZkPresentation(
+    await createZkDeviceResponse({ specId: oneAttributeSpec.id, elements: { age_over_18: true } }),
+    query,
+    SESSION_TRANSCRIPT
+  );
+  assert.equal(other.code, 'invalid_presentation');
+  assert.equal(other.error, `Requested attributes not proven: ${NAMESPACE}.age_over_21`);
+
+  // Neither proof reached Longfellow
+  assert.equal(fake.stats.requests, requests);
+});
@@ -1,133 +1,391 @@
 /**
  * IACA (Issuer Authority Certificate Authority) root loader
- * For California DMV dev/testing
+ * Downloads, caches and validates IACA roots and Document Signer chains
  */
 
 import fs from 'fs/promises';
 import path from 'path';
 import fetch from 'node-fetch';
+import { mocksAllowed, assertMocksAllowed, isMockForced } from '../common/mode.js';
+import {
+  loadCertificate,
+  splitPemBundle,
+  getNameField,
+  parseExtensions,
+  getSubjectKeyIdentifier,
+  getFingerprint
+} from './x509.js';
 
 const IACA_CACHE_DIR = process.env.TRUST_CACHE_DIR || './trust/cache';
 const CA_DMV_IACA_URL = 'https://www.dmv.ca.gov/portal/ca-dmv-wallet/iaca-root.pem';
 
+// ISO 18013-5 Annex B: extended key usage for mDL Document Signer certificates
+const MDL_DS_EKU = '1.0.18013.5.1.2';
+
 /**
  * Download California DMV IACA root certificate
- * @returns {Promise<string>} PEM-encoded certificate
+ * @returns {Promise<{pem: string, mock: boolean}>} PEM-encoded certificate
  */
 export async function downloadCAIACA() {
+  return await downloadIACA('CA', CA_DMV_IACA_URL);
+}
+
+/**
+ * Download a jurisdiction's IACA root certificate
+ * @param {string} jurisdictionCode - e.g. 'CA'
+ * @param {string} url - Download URL (PEM or DER)
+ * @returns {Promise<{pem: string, mock: boolean}>} PEM-encoded certificate; mock is set for the development placeholder
+ */
+export async function downloadIACA(jurisdictionCode, url) {
+  const code = jurisdictionCode.toUpperCase();
+
+  if (isMockForced('iaca')) {
+    assertMocksAllowed('IACA');
+    console.warn(`⚠️  IACA_MOCK=true - using mock ${code} IACA`);
+    return { pem: getMockIACA(code), mock: true };
+  }
+
   try {
-    console.log('🌐 Downloading CA DMV IACA root certificate...');
-    
-    const response = await fetch(CA_DMV_IACA_URL);
+    const response = await fetch(url);
     
     if (!response.ok) {
       throw new Error(`Failed to download: ${response.status}`);
     }
 
-    const pem = await response.text();
+    const body = Buffer.from(await response.arrayBuffer());
+    const pem = body.includes('-----BEGIN CERTIFICATE-----')
+      ? body.toString('utf-8')
+      : loadCertificate(body).toString();
     
     // Save to cache
     await fs.mkdir(IACA_CACHE_DIR, { recursive: true });
-    const cacheFile = path.join(IACA_CACHE_DIR, 'ca-iaca-root.pem');
-    await fs.writeFile(cacheFile, pem);
-    
-    console.log('✅ CA IACA root certificate downloaded and cached');
-    return pem;
+    await fs.writeFile(getCacheFile(code), pem);
+
+    return { pem, mock: false };
 
   } catch (error) {
-    console.error('Failed to download CA IACA:', error);
+    console.error(`Failed to download ${code} IACA:`, error);
     
     // Try loading from cache
-    const cached = await loadCachedIACA();
+    const cached = await loadCachedIACA(code);
     if (cached) {
-      console.warn('⚠️  Using cached CA IACA root certificate');
-      return cached;
+      console.warn(`⚠️  Using cached ${code} IACA root certificate`);
+      return { pem: cached, mock: false };
+    }
+
+    // Only development/test mode may fall back to a mock root
+    if (!mocksAllowed()) {
+      throw new Error(`${code} IACA root unavailable: ${error.message}`);
     }
 
-    // Return mock for development
-    console.warn('⚠️  Using mock CA IACA for development');
-    return getMockCAIACA();
+    console.warn(`⚠️  Using mock ${code} IACA for development`);
+    return { pem: getMockIACA(code), mock: true };
   }
 }
 
+/**
+ * Cache file for a jurisdiction's IACA root
+ * @param {string} code
+ * @returns {string}
+ */
+function getCacheFile(code) {
+  return path.join(IACA_CACHE_DIR, `${code.toLowerCase()}-iaca-root.pem`);
+}
+
 /**
  * Load cached IACA certificate
+ * @param {string} code
  * @returns {Promise<string|null>}
  */
-async function loadCachedIACA() {
+async function loadCachedIACA(code) {
   try {
-    const cacheFile = path.join(IACA_CACHE_DIR, 'ca-iaca-root.pem');
-    return await fs.readFile(cacheFile, 'utf-8');
+    return await fs.readFile(getCacheFile(code), 'utf-8');
   } catch (error) {
     return null;
   }
 }
 
 /**
- * Mock CA IACA for development
+ * Mock IACA for development
+ * @param {string} code
  * @returns {string}
  */
-function getMockCAIACA() {
+function getMockIACA(code) {
   return `-----BEGIN CERTIFICATE-----
 MIIB0zCCAXqgAwIBAgIUMockIACARoot...
-(Mock CA DMV IACA Root Certificate for Development)
+(Mock ${code} IACA Root Certificate for Development)
 -----END CERTIFICATE-----`;
 }
 
 /**
  * Parse and validate IACA certificate
  * @param {string} pem - PEM-encoded certificate
+ * @param {object} [options]
+ * @param {boolean} [options.mock] - pem is the mock placeholder from downloadIACA
  * @returns {object} Parsed certificate info
  */
-export function parseIACA(pem) {
-  // In production, use a proper X.509 parser
-  // For now, return metadata
+export function parseIACA(pem, { mock = false } = {}) {
+  if (mock) {
+    return {
+      type: 'IACA Root',
+      issuer: 'CA-DMV',
+      format: 'X.509',
+      pem: pem,
+      mock: true
+    };
+  }
+
+  const certificate = loadCertificate(pem);
+  const extensions = parseExtensions(certificate);
+
   return {
     type: 'IACA Root',
-    issuer: 'CA-DMV',
+    issuer: certificate.issuer,
+    subject: certificate.subject,
+    country: getNameField(certificate.subject, 'C'),
+    state: getNameField(certificate.subject, 'ST'),
     format: 'X.509',
+    validFrom: new Date(certificate.validFrom).toISOString(),
+    validUntil: new Date(certificate.validTo).toISOString(),
+    fingerprint: getFingerprint(certificate),
+    subjectKeyIdentifier: getSubjectKeyIdentifier(certificate),
+    crlDistributionPoints: extensions.crlDistributionPoints,
     pem: pem,
-    mock: pem.includes('Mock')
+    mock: false
   };
 }
 
 /**
- * Get IACA root for a jurisdiction
- * @param {string} jurisdictionCode 
- * @returns {Promise<string>}
+ * Verify certificate chain against IACA root
+ * Builds the path from the Document Signer certificate to an IACA root and
+ * enforces the ISO 18013-5 Annex B certificate profiles.
+ * @param {string|Buffer|Array} certificate - DS certificate (PEM/DER), or an x5chain starting with it
+ * @param {string|Array} iacaRoot - IACA root certificate(s) (PEM/DER)
+ * @param {object} [options]
+ * @param {Date} [options.now] - Validation time
+ * @param {boolean} [options.mock] - iacaRoot is the mock placeholder from downloadIACA
+ * @returns {Promise<{valid: boolean, error?: string, reasons?: Array<{code: string, message: string}>, anchor?: object, chain?: Array<object>, crlDistributionPoints?: Array<string>, mock?: boolean}>}
  */
-export async function getIACARoot(jurisdictionCode) {
-  const code = jurisdictionCode.toUpperCase();
-  
-  switch (code) {
-    case 'CA':
-      return await downloadCAIACA();
-    
-    default:
-      throw new Error(`IACA root not available for jurisdiction ${code}`);
+export async function verifyAgainstIACA(certificate, iacaRoot, { now = new Date(), mock = false } = {}) {
+  // Mock verification for development/test mode only
+  if (mock) {
+    if (!mocksAllowed()) {
+      return { valid: false, error: 'Mock IACA root is not allowed in production mode' };
+    }
+
+    console.warn('⚠️  Mock IACA verification');
+    return { valid: true, mock: true };
+  }
+
+  let documentSigner;
+  let intermediates;
+  let roots;
+
+  try {
+    const presented = (Array.isArray(certificate) ? certificate : [certificate]).map(loadCertificate);
+    [documentSigner, ...intermediates] = presented;
+    roots = (Array.isArray(iacaRoot) ? iacaRoot : splitPemBundle(iacaRoot))
+      .map(loadCertificate);
+  } catch (error) {
+    return chainFailure([reason('malformed_certificate', `Unable to parse certificate: ${error.message}`)]);
   }
+
+  // Build the path: DS → (intermediates) → IACA root
+  const anchor = roots.find(root => isIssuedBy(documentSigner, root));
+  if (!anchor) {
+    // mDL chains have no intermediates; anything else is rejected
+    const viaIntermediate = intermediates.some(c => isIssuedBy(documentSigner, c));
+    return chainFailure([reason(
+      viaIntermediate ? 'unsupported_chain' : 'issuer_not_found',
+      viaIntermediate
+        ? 'Document Signer is issued by an intermediate CA; mDL chains must chain directly to an IACA root'
+        : 'Document Signer certificate is not issued by any trusted IACA root'
+    )]);
+  }
+
+  const reasons = [
+    ...checkIACAProfile(anchor, now),
+    ...checkDocumentSignerProfile(documentSigner, anchor, now)
+  ];
+
+  if (reasons.length > 0) {
+    return chainFailure(reasons);
+  }
+
+  return {
+    valid: true,
+    anchor: {
+      subject: anchor.subject,
+      fingerprint: getFingerprint(anchor),
+      subjectKeyIdentifier: getSubjectKeyIdentifier(anchor)
+    },
+    chain: [documentSigner, anchor].map(cert => ({
+      subject: cert.subject,
+      fingerprint: getFingerprint(cert)
+    })),
+    crlDistributionPoints: parseExtensions(documentSigner).crlDistributionPoints
+  };
 }
 
 /**
- * Verify certificate chain against IACA root
- * @param {string} certificate - Certificate to verify
- * @param {string} iacaRoot - IACA root certificate
- * @returns {Promise<{valid: boolean, error?: string}>}
+ * Validate a certificate as an IACA root
+ * @param {string|Buffer|crypto.X509Certificate} certificate
+ * @param {object} [options]
+ * @param {Date} [options.now] - Validation time
+ * @returns {{valid: boolean, error?: string, reasons?: Array<{code: string, message: string}>}}
  */
-export async function verifyAgainstIACA(certificate, iacaRoot) {
-  // In production, implement proper X.509 chain verification
-  // This would typically use crypto.X509Certificate or a library
-  
-  console.log('🔒 Verifying certificate against IACA root...');
-  
-  // Mock verification for development
-  if (iacaRoot.includes('Mock')) {
-    console.warn('⚠️  Mock IACA verification');
-    return { valid: true, mock: true };
+export function validateIACARoot(certificate, { now = new Date() } = {}) {
+  const reasons = checkIACAProfile(loadCertificate(certificate), now);
+  return reasons.length > 0 ? chainFailure(reasons) : { valid: true };
+}
+
+/**
+ * Check whether a certificate was issued and signed by a candidate issuer
+ * @param {crypto.X509Certificate} certificate
+ * @param {crypto.X509Certificate} issuer
+ * @returns {boolean}
+ */
+function isIssuedBy(certificate, issuer) {
+  try {
+    return certificate.checkIssued(issuer) && certificate.verify(issuer.publicKey);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate the IACA root certificate profile (ISO 18013-5 Table B.1)
+ * @param {crypto.X509Certificate} iaca
+ * @param {Date} now
+ * @returns {Array<{code: string, message: string}>}
+ */
+function checkIACAProfile(iaca, now) {
+  const reasons = [];
+  const extensions = parseExtensions(iaca);
+
+  reasons.push(...checkValidity(iaca, now, 'IACA'));
+
+  if (!iaca.verify(iaca.publicKey)) {
+    reasons.push(reason('signature_invalid', 'IACA root is not self-signed'));
+  }
+
+  if (!extensions.basicConstraints?.ca) {
+    reasons.push(reason('basic_constraints', 'IACA root is not a CA certificate'));
+  } else if (extensions.basicConstraints.pathLength !== undefined && extensions.basicConstraints.pathLength !== 0) {
+    reasons.push(reason('basic_constraints', 'IACA root pathLenConstraint must be 0'));
+  }
+
+  if (!extensions.keyUsage?.includes('keyCertSign')) {
+    reasons.push(reason('key_usage', 'IACA root key usage must include keyCertSign'));
+  }
+
+  if (!getNameField(iaca.subject, 'C')) {
+    reasons.push(reason('country_mismatch', 'IACA root subject has no country'));
+  }
+
+  if (extensions.unknownCritical.length > 0) {
+    reasons.push(reason('unknown_critical_extension',
+      `IACA root has unsupported critical extensions: ${extensions.unknownCritical.join(', ')}`));
+  }
+
+  return reasons;
+}
+
+/**
+ * Validate the Document Signer certificate profile (ISO 18013-5 Table B.3)
+ * @param {crypto.X509Certificate} documentSigner
+ * @param {crypto.X509Certificate} iaca
+ * @param {Date} now
+ * @returns {Array<{code: string, message: string}>}
+ */
+function checkDocumentSignerProfile(documentSigner, iaca, now) {
+  const reasons = [];
+  const extensions = parseExtensions(documentSigner);
+
+  reasons.push(...checkValidity(documentSigner, now, 'Document Signer'));
+
+  // DS validity must be contained in the IACA validity
+  if (new Date(documentSigner.validFrom) < new Date(iaca.validFrom) ||
+      new Date(documentSigner.validTo) > new Date(iaca.validTo)) {
+    reasons.push(reason('validity_outside_iaca', 'Document Signer validity exceeds IACA root validity'));
+  }
+
+  if (extensions.basicConstraints?.ca) {
+    reasons.push(reason('basic_constraints', 'Document Signer must not be a CA certificate'));
+  }
+
+  if (extensions.keyUsage?.length !== 1 || extensions.keyUsage[0] !== 'digitalSignature') {
+    reasons.push(reason('key_usage', 'Document Signer key usage must be digitalSignature only'));
+  }
+
+  if (!extensions.extendedKeyUsage?.includes(MDL_DS_EKU)) {
+    reasons.push(reason('extended_key_usage', `Document Signer extended key usage must include ${MDL_DS_EKU}`));
   }
 
-  // Real verification would go here
-  // For now, return success
-  return { valid: true };
+  if (extensions.crlDistributionPoints.length === 0) {
+    reasons.push(reason('crl_distribution_points', 'Document Signer has no CRL distribution point'));
+  }
+
+  if (extensions.unknownCritical.length > 0) {
+    reasons.push(reason('unknown_critical_extension',
+      `Document Signer has unsupported critical extensions: ${extensions.unknownCritical.join(', ')}`));
+  }
+
+  const iacaKeyId = parseExtensions(iaca).subjectKeyIdentifier;
+  if (extensions.authorityKeyIdentifier && iacaKeyId && extensions.authorityKeyIdentifier !== iacaKeyId) {
+    reasons.push(reason('issuer_mismatch', 'Document Signer authority key identifier does not match IACA root'));
+  }
+
+  // Issuing country (and state, when the IACA names one) must match the IACA
+  const iacaCountry = getNameField(iaca.subject, 'C');
+  if (getNameField(documentSigner.subject, 'C') !== iacaCountry) {
+    reasons.push(reason('country_mismatch', `Document Signer country does not match IACA country ${iacaCountry}`));
+  }
+
+  const iacaState = getNameField(iaca.subject, 'ST');
+  if (iacaState && getNameField(documentSigner.subject, 'ST') !== iacaState) {
+    reasons.push(reason('state_mismatch', `Document Signer state does not match IACA state ${iacaState}`));
+  }
+
+  return reasons;
+}
+
+/**
+ * Check a certificate validity window
+ * @param {crypto.X509Certificate} certificate
+ * @param {Date} now
+ * @param {string} label
+ * @returns {Array<{code: string, message: string}>}
+ */
+function checkValidity(certificate, now, label) {
+  if (now < new Date(certificate.validFrom)) {
+    return [reason('not_yet_valid', `${label} certificate is not yet valid`)];
+  }
+  if (now > new Date(certificate.validTo)) {
+    return [reason('expired', `${label} certificate has expired`)];
+  }
+  return [];
+}
+
+/**
+ * @param {string} code
+ * @param {string} message
+ * @returns {{code: string, message: string}}
+ */
+function reason(code, message) {
+  return { code, message };
+}
+
+/**
+ * @param {Array<{code: string, message: string}>} reasons
+ * @returns {{valid: false, error: string, reasons: Array<{code: string, message: string}>}}
+ */
+function chainFailure(reasons) {
+  return {
+    valid: false,
+    error: reasons[0].message,
+    reasons
+  };
 }
 
+export { MDL_DS_EKU, CA_DMV_IACA_URL };
@@ -0,0 +1,356 @@
+/**
+ * IACA registry
+ * Per-jurisdiction IACA roots from a manifest and/or directory, pinned by
+ * SHA-256 fingerprint and indexed by subject key identifier
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { downloadIACA, validateIACARoot, CA_DMV_IACA_URL } from './iacaLoader.js';
+import { isJurisdictionAccepted } from './issuerPinning.js';
+import { mocksAllowed } from '../common/mode.js';
+import {
+  loadCertificate,
+  splitPemBundle,
+  getNameField,
+  parseExtensions,
+  getSubjectKeyIdentifier,
+  getFingerprint
+} from './x509.js';
+
+const IACA_MANIFEST = process.env.IACA_MANIFEST;
+const IACA_DIR = process.env.IACA_DIR;
+
+// Used when neither IACA_MANIFEST nor IACA_DIR is configured. The published
+// root is pinned by CA_IACA_SHA256; production rejects it while that is unset
+const DEFAULT_MANIFEST = {
+  jurisdictions: {
+    CA: {
+      name: 'California',
+      roots: [{ url: CA_DMV_IACA_URL, sha256: process.env.CA_IACA_SHA256 }]
+    }
+  }
+};
+
+const CERTIFICATE_EXTENSIONS = ['.pem', '.crt', '.cer', '.der'];
+
+let registryPromise = null;
+
+/**
+ * Load (once) and return the IACA registry
+ * @returns {Promise<{bySki: Map<string, object>, byJurisdiction: Map<string, Array<object>>, errors: Array<object>}>}
+ */
+export async function getIACARegistry() {
+  if (!registryPromise) {
+    registryPromise = loadIACARegistry().then(registry => {
+      logRegistry(registry);
+      return registry;
+    }).catch(error => {
+      registryPromise = null;
+      throw error;
+    });
+  }
+  return await registryPromise;
+}
+
+/**
+ * Discard the loaded registry and load it again
+ * @returns {Promise<object>}
+ */
+export async function reloadIACARegistry() {
+  registryPromise = null;
+  return await getIACARegistry();
+}
+
+/**
+ * Load the IACA registry from the configured sources
+ *
+ * Manifest format (paths relative to the manifest file):
+ *   {
+ *     "jurisdictions": {
+ *       "CA": {
+ *         "name": "California",
+ *         "roots": [
+ *           { "file": "ca/iaca.pem", "sha256": "b3f1f8..." },
+ *           { "url": "https://example.gov/iaca.der", "sha256": "..." }
+ *         ]
+ *       }
+ *     }
+ *   }
+ *
+ * Directory layout: <IACA_DIR>/<JURISDICTION>/*.{pem,crt,cer,der}
+ *
+ * @param {object} [options]
+ * @param {string} [options.manifestPath] - Manifest JSON path
+ * @param {string} [options.directory] - Directory of per-jurisdiction roots
+ * @param {Date} [options.now] - Validation time
+ * @returns {Promise<{bySki: Map<string, object>, byJurisdiction: Map<string, Array<object>>, errors: Array<object>}>}
+ */
+export async function loadIACARegistry({
+  manifestPath = IACA_MANIFEST,
+  directory = IACA_DIR,
+  now = new Date()
+} = {}) {
+  const registry = {
+    bySki: new Map(),
+    byJurisdiction: new Map(),
+    errors: []
+  };
+
+  const sources = [];
+
+  if (manifestPath) {
+    const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+    sources.push(...manifestSources(manifest, path.dirname(manifestPath)));
+  }
+
+  if (directory) {
+    sources.push(...await directorySources(directory));
+  }
+
+  if (!manifestPath && !directory) {
+    sources.push(...manifestSources(DEFAULT_MANIFEST, process.cwd()));
+  }
+
+  for (const source of sources) {
+    try {
+      for (const root of await readSource(source)) {
+        addRoot(registry, source, root, now);
+      }
+    } catch (error) {
+      registry.errors.push({
+        jurisdiction: source.jurisdiction,
+        source: source.file || source.url,
+        error: error.message
+      });
+    }
+  }
+
+  return registry;
+}
+
+/**
+ * Report a loaded registry: rejected and unpinned roots, then a summary
+ * @param {object} registry - From loadIACARegistry
+ */
+function logRegistry(registry) {
+  for (const { jurisdiction, source, error } of registry.errors) {
+    console.warn(`⚠️  IACA root for ${jurisdiction} rejected (${source}): ${error}`);
+  }
+
+  for (const entry of registry.bySki.values()) {
+    if (!entry.pinned) {
+      console.warn(`⚠️  IACA root for ${entry.jurisdiction} is not fingerprint-pinned (${entry.fingerprint})`);
+    }
+  }
+
+  console.log(`✅ IACA registry loaded (${registry.bySki.size} roots, ${registry.byJurisdiction.size} jurisdictions)`);
+}
+
+/**
+ * Flatten a manifest into root sources
+ * @param {object} manifest
+ * @param {string} baseDir
+ * @returns {Array<{jurisdiction: string, name?: string, file?: string, url?: string, sha256?: string}>}
+ */
+function manifestSources(manifest, baseDir) {
+  const sources = [];
+
+  for (const [code, entry] of Object.entries(manifest.jurisdictions || {})) {
+    for (const root of entry.roots || []) {
+      if (!root.file && !root.url) {
+        throw new Error(`IACA manifest entry for ${code} needs a file or url`);
+      }
+
+      sources.push({
+        jurisdiction: code.toUpperCase(),
+        name: entry.name,
+        file: root.file && path.resolve(baseDir, root.file),
+        url: root.url,
+        sha256: root.sha256?.replace(/:/g, '').toLowerCase()
+      });
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * List root sources in a <JURISDICTION>/<file> directory tree
+ * @param {string} directory
+ * @returns {Promise<Array<{jurisdiction: string, file: string}>>}
+ */
+async function directorySources(directory) {
+  const sources = [];
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+
+  for (const entry of entries.filter(e => e.isDirectory())) {
+    const files = await fs.readdir(path.join(directory, entry.name));
+
+    for (const file of files) {
+      if (CERTIFICATE_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+        sources.push({
+          jurisdiction: entry.name.toUpperCase(),
+          file: path.join(directory, entry.name, file)
+        });
+      }
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * Read the certificate(s) of a source as PEM strings
+ * Only a URL source falling back to the development placeholder yields a mock
+ * @param {{jurisdiction: string, file?: string, url?: string, sha256?: string}} source
+ * @returns {Promise<Array<{pem: string, mock: boolean}>>}
+ */
+async function readSource(source) {
+  if (source.url) {
+    // Whatever the network returns must not become a trust anchor unchecked
+    if (!source.sha256 && !mocksAllowed()) {
+      throw new Error('URL sources must be pinned with sha256 in production mode');
+    }
+    return [await downloadIACA(source.jurisdiction, source.url)];
+  }
+
+  const data = await fs.readFile(source.file);
+  const pems = data.includes('-----BEGIN CERTIFICATE-----')
+    ? splitPemBundle(data.toString('utf-8'))
+    : [loadCertificate(data).toString()];
+
+  return pems.map(pem => ({ pem, mock: false }));
+}
+
+/**
+ * Validate a root and add it to the registry indexes
+ * @param {object} registry
+ * @param {{jurisdiction: string, name?: string, file?: string, url?: string, sha256?: string}} source
+ * @param {{pem: string, mock: boolean}} root
+ * @param {Date} now
+ */
+function addRoot(registry, source, { pem, mock }, now) {
+  const { jurisdiction } = source;
+
+  // Mock roots (development/test only) are kept per jurisdiction but never indexed
+  if (mock) {
+    addToJurisdiction(registry, jurisdiction, { jurisdiction, pem, mock: true });
+    return;
+  }
+
+  const certificate = loadCertificate(pem);
+  const fingerprint = getFingerprint(certificate);
+
+  if (source.sha256 && source.sha256 !== fingerprint) {
+    throw new Error(`fingerprint ${fingerprint} does not match pinned ${source.sha256}`);
+  }
+
+  const validation = validateIACARoot(certificate, { now });
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+
+  if (!matchesJurisdiction(certificate, jurisdiction)) {
+    throw new Error(`certificate subject does not belong to jurisdiction ${jurisdiction}`);
+  }
+
+  const entry = {
+    jurisdiction,
+    name: source.name,
+    certificate,
+    pem: certificate.toString(),
+    fingerprint,
+    subjectKeyIdentifier: getSubjectKeyIdentifier(certificate),
+    pinned: Boolean(source.sha256),
+    mock: false
+  };
+
+  registry.bySki.set(entry.subjectKeyIdentifier, entry);
+  addToJurisdiction(registry, jurisdiction, entry);
+}
+
+/**
+ * @param {object} registry
+ * @param {string} jurisdiction
+ * @param {object} entry
+ */
+function addToJurisdiction(registry, jurisdiction, entry) {
+  if (!registry.byJurisdiction.has(jurisdiction)) {
+    registry.byJurisdiction.set(jurisdiction, []);
+  }
+  registry.byJurisdiction.get(jurisdiction).push(entry);
+}
+
+/**
+ * Check that a root's subject names the jurisdiction it is registered under
+ * Accepts ST=CA, ST=US-CA (ISO 3166-2) or, for national issuers, C=NL
+ * @param {crypto.X509Certificate} certificate
+ * @param {string} jurisdiction
+ * @returns {boolean}
+ */
+function matchesJurisdiction(certificate, jurisdiction) {
+  const country = getNameField(certificate.subject, 'C');
+  const state = getNameField(certificate.subject, 'ST');
+
+  return state?.toUpperCase() === jurisdiction ||
+    state?.toUpperCase() === `${country}-${jurisdiction}` ||
+    country?.toUpperCase() === jurisdiction;
+}
+
+/**
+ * Get the registered IACA roots for a jurisdiction
+ * @param {string} jurisdictionCode
+ * @returns {Promise<Array<object>>}
+ */
+export async function getJurisdictionRoots(jurisdictionCode) {
+  const registry = await getIACARegistry();
+  return registry.byJurisdiction.get(jurisdictionCode.toUpperCase()) || [];
+}
+
+/**
+ * Get IACA root for a jurisdiction
+ * @param {string} jurisdictionCode
+ * @returns {Promise<string>} PEM of the first registered root
+ */
+export async function getIACARoot(jurisdictionCode) {
+  const code = jurisdictionCode.toUpperCase();
+  const roots = await getJurisdictionRoots(code);
+
+  if (roots.length === 0) {
+    throw new Error(`IACA root not available for jurisdiction ${code}`);
+  }
+
+  return roots[0].pem;
+}
+
+/**
+ * Find the trust anchor for a presented Document Signer certificate
+ * Looks up the DS authority key identifier in the SKI index, falling back to
+ * an issuer/signature scan for certificates without AKI.
+ * @param {string|Buffer|crypto.X509Certificate} documentSigner
+ * @returns {Promise<{jurisdiction: string, accepted: boolean, root: object}|null>}
+ */
+export async function findIACAForCertificate(documentSigner) {
+  const registry = await getIACARegistry();
+  const certificate = loadCertificate(documentSigner);
+  const { authorityKeyIdentifier } = parseExtensions(certificate);
+
+  let root = authorityKeyIdentifier ? registry.bySki.get(authorityKeyIdentifier) : undefined;
+
+  if (!root) {
+    root = [...registry.bySki.values()].find(entry =>
+      certificate.checkIssued(entry.certificate) && certificate.verify(entry.certificate.publicKey)
+    );
+  }
+
+  if (!root) {
+    return null;
+  }
+
+  return {
+    jurisdiction: root.jurisdiction,
+    accepted: isJurisdictionAccepted(root.jurisdiction),
+    root
+  };
+}
@@ -4,7 +4,10 @@
 
 export { 
   fetchVical, 
+  parseVical,
   getIssuerCertificates, 
+  getVicalCertificateInfos,
+  findVicalCertificate,
   refreshVicalCache 
 } from './vicalFetcher.js';
 
@@ -19,8 +22,19 @@ export {
 
 export { 
   downloadCAIACA,
+  downloadIACA,
   parseIACA,
-  getIACARoot,
+  validateIACARoot,
   verifyAgainstIACA
 } from './iacaLoader.js';
 
+export {
+  getIACARegistry,
+  loadIACARegistry,
+  reloadIACARegistry,
+  getJurisdictionRoots,
+  getIACARoot,
+  findIACAForCertificate
+} from './iacaRegistry.js';
+
+export { evaluateIssuerTrust, getTrustedIssuerKeys } from './issuerTrust.js';
@@ -3,6 +3,7 @@
  * Controls which jurisdictions/issuers are trusted
  */
 
+import crypto from 'crypto';
 import { getIssuerCertificates } from './vicalFetcher.js';
 
 // Configurable list of accepted jurisdictions
@@ -45,7 +46,7 @@ export async function getAcceptedIssuers() {
  * Verify issuer against pinning policy
  * @param {string} issuerCode - e.g., 'CA-DMV'
  * @param {string} kid - Key ID from the credential
- * @returns {Promise<{accepted: boolean, reason?: string}>}
+ * @returns {Promise<{accepted: boolean, jurisdiction?: string, certificate?: object, code?: string, reason?: string}>}
  */
 export async function verifyIssuer(issuerCode, kid) {
   // Extract jurisdiction code from issuer (e.g., 'CA-DMV' -> 'CA')
@@ -55,6 +56,7 @@ export async function verifyIssuer(issuerCode, kid) {
   if (!isJurisdictionAccepted(jurisdictionCode)) {
     return {
       accepted: false,
+      code: 'jurisdiction_not_accepted',
       reason: `Jurisdiction ${jurisdictionCode} not in accepted list`
     };
   }
@@ -69,6 +71,7 @@ export async function verifyIssuer(issuerCode, kid) {
     if (!cert) {
       return {
         accepted: false,
+        code: 'invalid_issuer',
         reason: `Key ID ${kid} not found in trusted certificates for ${jurisdictionCode}`
       };
     }
@@ -81,18 +84,21 @@ export async function verifyIssuer(issuerCode, kid) {
     if (now < validFrom || now > validUntil) {
       return {
         accepted: false,
+        code: 'invalid_issuer',
         reason: `Certificate ${kid} is not currently valid`
       };
     }
 
     return {
       accepted: true,
+      jurisdiction: jurisdictionCode,
       certificate: cert
     };
 
   } catch (error) {
     return {
       accepted: false,
+      code: 'invalid_issuer',
       reason: `Error verifying issuer: ${error.message}`
     };
   }
@@ -100,10 +106,17 @@ export async function verifyIssuer(issuerCode, kid) {
 
 /**
  * Get trust policy configuration
+ * The version is TRUST_POLICY_VERSION if set, otherwise a digest of the
+ * accepted jurisdictions so it changes whenever the policy does
  * @returns {object}
  */
 export function getTrustPolicy() {
+  const version = process.env.TRUST_POLICY_VERSION || crypto.createHash('sha256')
+    .update(JSON.stringify([...ACCEPTED_JURISDICTIONS].sort()))
+    .digest('hex').substring(0, 12);
+
   return {
+    version,
     acceptedJurisdictions: ACCEPTED_JURISDICTIONS,
     policyType: 'jurisdiction-based',
     dataMinimization: true,
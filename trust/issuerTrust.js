@@ -0,0 +1,165 @@
+/**
+ * Issuer trust evaluation
+ * Combines issuer pinning, IACA registry/VICAL lookup and chain validation
+ * into a single trust decision for a verified presentation
+ */
+
+import { findIACAForCertificate } from './iacaRegistry.js';
+import { findVicalCertificate } from './vicalFetcher.js';
+import { verifyAgainstIACA } from './iacaLoader.js';
+import { isJurisdictionAccepted, verifyIssuer, getTrustPolicy } from './issuerPinning.js';
+import { loadCertificate, parseExtensions, getSubjectKeyIdentifier } from './x509.js';
+
+/**
+ * Evaluate whether the issuer of a presentation is trusted
+ *
+ * With a Document Signer certificate (x5chain), the anchor is looked up in the
+ * IACA registry by authority key identifier, then in the VICAL, and the chain
+ * is validated. Without one (e.g. some ZK results), the issuer code and kid are
+ * checked against the VICAL via issuer pinning.
+ *
+ * @param {object} issuerInfo
+ * @param {Array<Buffer|string>} [issuerInfo.x5chain] - Document Signer certificate first
+ * @param {string} [issuerInfo.issuer] - Issuer code, e.g. 'CA-DMV'
+ * @param {string} [issuerInfo.kid] - Issuer key ID
+ * @returns {Promise<{trusted: boolean, code?: string, error?: string, reasons?: Array<object>, decision?: object}>}
+ */
+export async function evaluateIssuerTrust({ x5chain, issuer, kid } = {}) {
+  const policyVersion = getTrustPolicy().version;
+
+  if (x5chain?.length) {
+    return await evaluateCertificateChain(x5chain, policyVersion);
+  }
+
+  if (!issuer) {
+    return untrusted('invalid_issuer', 'Presentation carries no issuer certificate or issuer identifier');
+  }
+
+  const result = await verifyIssuer(issuer, kid);
+
+  if (!result.accepted) {
+    return untrusted(result.code, result.reason);
+  }
+
+  return {
+    trusted: true,
+    decision: {
+      jurisdiction: result.jurisdiction,
+      anchor: {
+        source: 'vical',
+        kid: result.certificate.kid
+      },
+      policyVersion,
+      ...(result.certificate.mock && { mock: true })
+    }
+  };
+}
+
+/**
+ * Get the issuer public keys a ZK proof is verified against
+ *
+ * A ZK proof checks the MSO signature inside the circuit, so the verifier has
+ * to supply the issuer key up front. The Document Signer certificate revealed
+ * with the proof only yields a key once its chain to a trusted IACA has been
+ * validated, with the same jurisdiction policy as any other presentation.
+ *
+ * @param {object} issuerInfo
+ * @param {Array<Buffer|string>} [issuerInfo.x5chain] - Document Signer certificate first
+ * @returns {Promise<{trusted: boolean, keys?: Array<{kid: string, jurisdiction: string, jwk: object}>, decision?: object, code?: string, error?: string, reasons?: Array<object>}>}
+ */
+export async function getTrustedIssuerKeys({ x5chain } = {}) {
+  if (!x5chain?.length) {
+    return untrusted('invalid_issuer', 'ZK presentation does not reveal its Document Signer certificate');
+  }
+
+  const trust = await evaluateIssuerTrust({ x5chain });
+
+  if (!trust.trusted) {
+    return trust;
+  }
+
+  const documentSigner = loadCertificate(x5chain[0]);
+
+  return {
+    trusted: true,
+    keys: [{
+      kid: getSubjectKeyIdentifier(documentSigner),
+      jurisdiction: trust.decision.jurisdiction,
+      jwk: documentSigner.publicKey.export({ format: 'jwk' })
+    }],
+    decision: trust.decision
+  };
+}
+
+/**
+ * Find the anchor for a DS certificate and validate the chain
+ * @param {Array<Buffer|string>} x5chain
+ * @param {string} policyVersion
+ * @returns {Promise<object>}
+ */
+async function evaluateCertificateChain(x5chain, policyVersion) {
+  const documentSigner = loadCertificate(x5chain[0]);
+
+  // 1. IACA registry (pinned roots), 2. VICAL CertificateInfo by AKI
+  let anchor = null;
+  const registryMatch = await findIACAForCertificate(documentSigner);
+
+  if (registryMatch) {
+    anchor = {
+      source: 'iaca-registry',
+      jurisdiction: registryMatch.jurisdiction,
+      pem: registryMatch.root.pem
+    };
+  } else {
+    const { authorityKeyIdentifier } = parseExtensions(documentSigner);
+    const vicalMatch = authorityKeyIdentifier ? await findVicalCertificate(authorityKeyIdentifier) : null;
+
+    if (vicalMatch) {
+      anchor = {
+        source: 'vical',
+        jurisdiction: vicalMatch.jurisdiction,
+        pem: vicalMatch.certificate
+      };
+    }
+  }
+
+  if (!anchor) {
+    return untrusted('invalid_issuer', 'No trusted IACA root found for the Document Signer certificate');
+  }
+
+  if (!isJurisdictionAccepted(anchor.jurisdiction)) {
+    return untrusted('jurisdiction_not_accepted', `Jurisdiction ${anchor.jurisdiction} not in accepted list`);
+  }
+
+  const chain = await verifyAgainstIACA(x5chain, anchor.pem);
+
+  if (!chain.valid) {
+    return {
+      ...untrusted('invalid_issuer', chain.error),
+      reasons: chain.reasons
+    };
+  }
+
+  return {
+    trusted: true,
+    decision: {
+      jurisdiction: anchor.jurisdiction,
+      anchor: {
+        source: anchor.source,
+        subject: chain.anchor.subject,
+        fingerprint: chain.anchor.fingerprint,
+        subjectKeyIdentifier: chain.anchor.subjectKeyIdentifier
+      },
+      policyVersion
+    }
+  };
+}
+
+/**
+ * @param {string} code
+ * @param {string} error
+ * @returns {{trusted: false, code: string, error: string}}
+ */
+function untrusted(code, error) {
+  return { trusted: false, code, error };
+}
@@ -1,56 +1,62 @@
 /**
  * VICAL (Verified Issuer Certificate Authority List) fetcher
- * Retrieves and caches issuer public key material from AAMVA
+ * Retrieves, verifies and caches the signed ISO 18013-5 Annex C VICAL from AAMVA
  */
 
 import fetch from 'node-fetch';
 import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
+import { mocksAllowed, assertMocksAllowed, isMockForced } from '../common/mode.js';
+import { decode, Tagged } from '../common/cbor.js';
+import { verifySign1, parseCoseMessage, getX5Chain } from '../common/cose.js';
+import { loadCertificate, getNameField, getSubjectKeyIdentifier, getFingerprint } from './x509.js';
 
 const VICAL_URL = process.env.VICAL_URL || 'https://vical.dts.aamva.org';
+const VICAL_PROVIDER_CERT = process.env.VICAL_PROVIDER_CERT;
 const CACHE_DIR = process.env.TRUST_CACHE_DIR || './trust/cache';
 const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
 
 /**
  * Fetch VICAL data and cache it locally
- * @returns {Promise<{jurisdictions: object[], timestamp: string}>}
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - Skip a fresh cache and fetch anyway
+ * @returns {Promise<{jurisdictions: object[], certificateInfos: object[], vicalIssueID?: number, timestamp: string}>}
  */
-export async function fetchVical() {
+export async function fetchVical({ force = false } = {}) {
   try {
     // Ensure cache directory exists
     await fs.mkdir(CACHE_DIR, { recursive: true });
 
     // Check cache first
-    const cachedData = await loadFromCache();
-    if (cachedData && !isCacheExpired(cachedData.timestamp)) {
-      console.log('✅ Using cached VICAL data');
+    const cachedData = await loadUsableCache();
+    if (!force && cachedData && !isCacheExpired(cachedData.timestamp)) {
       return cachedData;
     }
 
     console.log('🌐 Fetching fresh VICAL data from AAMVA...');
     
-    // In production, this would fetch from actual VICAL endpoint
-    // For now, we'll create a mock structure
     const response = await fetchVicalData();
-    
-    const vicalData = {
-      jurisdictions: response.jurisdictions || [],
-      timestamp: new Date().toISOString(),
-      version: response.version || '1.0'
-    };
+
+    // A VICAL must never be replaced by an older issue (rollback protection)
+    if (!response.mock) {
+      await checkIssueID(response.vicalIssueID);
+      await saveLastIssueID(response.vicalIssueID);
+    }
+
+    const vicalData = toVicalData(response, new Date().toISOString());
 
     // Cache the data
-    await saveToCache(vicalData);
+    await saveToCache(vicalData, response.bytes);
     console.log(`✅ VICAL data cached (${vicalData.jurisdictions.length} jurisdictions)`);
 
     return vicalData;
 
   } catch (error) {
-    console.error('Failed to fetch VICAL:', error);
+    console.error(`Failed to fetch VICAL: ${error.message}`);
     
     // Try to use stale cache as fallback
-    const cachedData = await loadFromCache();
+    const cachedData = await loadUsableCache();
     if (cachedData) {
       console.warn('⚠️  Using stale VICAL cache as fallback');
       return cachedData;
@@ -60,41 +66,258 @@ export async function fetchVical() {
   }
 }
 
+/**
+ * Build the VICAL data returned to callers and cached
+ * @param {object} vical - Parsed VICAL (see parseVical) or mock data
+ * @param {string} timestamp - When the VICAL was fetched
+ * @returns {object}
+ */
+function toVicalData(vical, timestamp) {
+  return {
+    jurisdictions: vical.jurisdictions || [],
+    certificateInfos: vical.certificateInfos || [],
+    timestamp,
+    version: vical.version || '1.0',
+    vicalProvider: vical.vicalProvider,
+    vicalIssueID: vical.vicalIssueID,
+    date: vical.date,
+    nextUpdate: vical.nextUpdate,
+    ...(vical.mock && { mock: true })
+  };
+}
+
 /**
  * Fetch VICAL data from the endpoint
- * @returns {Promise<object>}
+ * @returns {Promise<object>} Parsed VICAL (see parseVical) with its signed bytes
  */
 async function fetchVicalData() {
+  if (isMockForced('vical')) {
+    assertMocksAllowed('VICAL');
+    console.warn('⚠️  VICAL_MOCK=true - using mock VICAL data');
+    return getMockVicalData();
+  }
+
   try {
     // Note: Real VICAL requires enrollment and authentication
-    // This is a mock for development
-    const response = await fetch(VICAL_URL, {
-      headers: {
-        'Accept': 'application/json'
-      }
-    });
+    const headers = { 'Accept': 'application/cbor, application/octet-stream' };
+    if (process.env.VICAL_AUTH_TOKEN) {
+      headers.Authorization = `Bearer ${process.env.VICAL_AUTH_TOKEN}`;
+    }
+
+    const response = await fetch(VICAL_URL, { headers });
 
     if (!response.ok) {
       throw new Error(`VICAL returned ${response.status}`);
     }
 
-    return await response.json();
+    const bytes = Buffer.from(await response.arrayBuffer());
+    return { ...parseVical(bytes, await readProviderCertificate()), bytes };
 
   } catch (error) {
-    // If VICAL is not accessible, return mock data for development
+    // Only development/test mode may fall back to mock data
+    if (!mocksAllowed()) {
+      throw error;
+    }
+
     console.warn('⚠️  VICAL not accessible - using mock data for development');
     return getMockVicalData();
   }
 }
 
+/**
+ * Read the pinned VICAL provider certificate
+ * @returns {Promise<Buffer>}
+ */
+async function readProviderCertificate() {
+  if (!VICAL_PROVIDER_CERT) {
+    throw new Error('VICAL_PROVIDER_CERT is not configured; cannot verify the VICAL signature');
+  }
+  return await fs.readFile(VICAL_PROVIDER_CERT);
+}
+
+/**
+ * Decode and verify a signed VICAL (ISO 18013-5 Annex C)
+ * The VICAL is a COSE_Sign1 whose x5chain leaf (the VICAL signer) must be the
+ * pinned VICAL provider certificate or be issued by it.
+ * @param {Uint8Array} bytes - CBOR-encoded COSE_Sign1
+ * @param {string|Buffer|crypto.X509Certificate} providerCertificate - Pinned VICAL provider certificate
+ * @param {object} [options]
+ * @param {Date} [options.now] - Verification time
+ * @returns {{version: string, vicalProvider: string, vicalIssueID: number, date: string, nextUpdate?: string, certificateInfos: Array<object>, jurisdictions: Array<object>, signer: object}}
+ */
+export function parseVical(bytes, providerCertificate, { now = new Date() } = {}) {
+  let message = decode(bytes);
+
+  // COSE_Sign1 may be tagged (#6.18)
+  if (message instanceof Tagged && message.tag === 18) {
+    message = message.value;
+  }
+
+  const parsed = parseCoseMessage(message);
+  const [signerDer] = getX5Chain(parsed);
+
+  if (!signerDer) {
+    throw new Error('VICAL has no x5chain');
+  }
+
+  const signer = loadCertificate(signerDer);
+  const provider = loadCertificate(providerCertificate);
+
+  const pinned = signer.fingerprint256 === provider.fingerprint256 ||
+    (signer.checkIssued(provider) && signer.verify(provider.publicKey));
+
+  if (!pinned) {
+    throw new Error('VICAL signer is not the pinned VICAL provider or issued by it');
+  }
+
+  if (now < new Date(signer.validFrom) || now > new Date(signer.validTo)) {
+    throw new Error('VICAL signer certificate is not currently valid');
+  }
+
+  if (!verifySign1(message, signer.publicKey)) {
+    throw new Error('VICAL signature invalid');
+  }
+
+  const vical = decode(parsed.payload);
+
+  // Without an issue ID, rollback to an older VICAL could not be detected
+  if (!Number.isInteger(vical.get('vicalIssueID'))) {
+    throw new Error('VICAL has no vicalIssueID');
+  }
+
+  const certificateInfos = (vical.get('certificateInfos') || []).map(parseCertificateInfo);
+  const nextUpdate = vical.has('nextUpdate') ? toISODate(vical.get('nextUpdate')) : undefined;
+
+  if (nextUpdate && new Date(nextUpdate) < now) {
+    console.warn(`⚠️  VICAL nextUpdate (${nextUpdate}) has passed`);
+  }
+
+  return {
+    version: vical.get('version'),
+    vicalProvider: vical.get('vicalProvider'),
+    vicalIssueID: vical.get('vicalIssueID'),
+    date: toISODate(vical.get('date')),
+    nextUpdate,
+    certificateInfos,
+    jurisdictions: groupByJurisdiction(certificateInfos),
+    signer: {
+      subject: signer.subject,
+      fingerprint: getFingerprint(signer)
+    }
+  };
+}
+
+/**
+ * Convert a decoded CertificateInfo map into a plain object
+ * @param {Map} info
+ * @returns {{certificate: string, ski: string, docType: Array<string>, issuingAuthority?: string, issuingCountry?: string, stateOrProvinceName?: string, serialNumber?: string, jurisdiction: string, validFrom: string, validUntil: string}}
+ */
+function parseCertificateInfo(info) {
+  const certificate = loadCertificate(info.get('certificate'));
+  const serialNumber = info.get('serialNumber');
+
+  const result = {
+    certificate: certificate.toString(),
+    ski: info.has('ski')
+      ? Buffer.from(info.get('ski')).toString('hex')
+      : getSubjectKeyIdentifier(certificate),
+    docType: info.get('docType') || [],
+    issuingAuthority: info.get('issuingAuthority'),
+    issuingCountry: info.get('issuingCountry') || getNameField(certificate.subject, 'C'),
+    stateOrProvinceName: info.get('stateOrProvinceName') || getNameField(certificate.subject, 'ST'),
+    serialNumber: serialNumber instanceof Tagged
+      ? Buffer.from(serialNumber.value).toString('hex')
+      : serialNumber?.toString(16),
+    validFrom: new Date(certificate.validFrom).toISOString(),
+    validUntil: new Date(certificate.validTo).toISOString()
+  };
+
+  result.jurisdiction = jurisdictionCode(result);
+  return result;
+}
+
+/**
+ * Derive the jurisdiction code for a CertificateInfo
+ * "US-CA" and "CA" both map to CA; national issuers use the country code
+ * @param {{issuingCountry?: string, stateOrProvinceName?: string}} info
+ * @returns {string}
+ */
+function jurisdictionCode({ issuingCountry, stateOrProvinceName }) {
+  if (stateOrProvinceName) {
+    return stateOrProvinceName.toUpperCase().replace(/^[A-Z]{2}-/, '');
+  }
+  return issuingCountry?.toUpperCase();
+}
+
+/**
+ * Group CertificateInfos into the jurisdiction list used by the trust module
+ * @param {Array<object>} certificateInfos
+ * @returns {Array<{code: string, name?: string, issuer?: string, certificates: Array<object>}>}
+ */
+function groupByJurisdiction(certificateInfos) {
+  const jurisdictions = new Map();
+
+  for (const info of certificateInfos) {
+    if (!jurisdictions.has(info.jurisdiction)) {
+      jurisdictions.set(info.jurisdiction, {
+        code: info.jurisdiction,
+        name: info.issuingAuthority,
+        issuer: info.issuingAuthority,
+        certificates: []
+      });
+    }
+
+    jurisdictions.get(info.jurisdiction).certificates.push({
+      kid: info.ski,
+      type: 'IACA',
+      ...info
+    });
+  }
+
+  return [...jurisdictions.values()];
+}
+
+/**
+ * Convert a CBOR tdate/full-date into an ISO string
+ * @param {Tagged|string} value
+ * @returns {string}
+ */
+function toISODate(value) {
+  return new Date(value instanceof Tagged ? value.value : value).toISOString();
+}
+
+/**
+ * Get all CertificateInfos from the VICAL
+ * @returns {Promise<Array<object>>}
+ */
+export async function getVicalCertificateInfos() {
+  const vicalData = await fetchVical();
+  return vicalData.certificateInfos || [];
+}
+
+/**
+ * Find the VICAL CertificateInfo for a subject key identifier
+ * @param {string} ski - Hex-encoded subject key identifier
+ * @returns {Promise<object|null>}
+ */
+export async function findVicalCertificate(ski) {
+  const certificateInfos = await getVicalCertificateInfos();
+  return certificateInfos.find(info => info.ski === ski.toLowerCase()) || null;
+}
+
 /**
  * Mock VICAL data for development
  * @returns {object}
  */
 function getMockVicalData() {
+  // Keep mock certificates valid around the current date
+  const validFrom = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString();
+  const validUntil = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString();
+
   return {
     version: '1.0',
     timestamp: new Date().toISOString(),
+    mock: true,
     jurisdictions: [
       {
         code: 'CA',
@@ -106,8 +329,8 @@ function getMockVicalData() {
             type: 'IACA',
             algorithm: 'ES256',
             publicKey: 'mock-public-key-ca',
-            validFrom: '2024-01-01T00:00:00Z',
-            validUntil: '2025-12-31T23:59:59Z'
+            validFrom,
+            validUntil
           }
         ]
       },
@@ -121,8 +344,8 @@ function getMockVicalData() {
             type: 'IACA',
             algorithm: 'ES256',
             publicKey: 'mock-public-key-ny',
-            validFrom: '2024-01-01T00:00:00Z',
-            validUntil: '2025-12-31T23:59:59Z'
+            validFrom,
+            validUntil
           }
         ]
       },
@@ -136,8 +359,8 @@ function getMockVicalData() {
             type: 'IACA',
             algorithm: 'ES256',
             publicKey: 'mock-public-key-fl',
-            validFrom: '2024-01-01T00:00:00Z',
-            validUntil: '2025-12-31T23:59:59Z'
+            validFrom,
+            validUntil
           }
         ]
       }
@@ -147,32 +370,103 @@ function getMockVicalData() {
 
 /**
  * Load VICAL data from cache
+ * A cached VICAL is verified again from its signed bytes; only mock data is
+ * read from the JSON file
  * @returns {Promise<object|null>}
  */
 async function loadFromCache() {
+  let cached;
   try {
-    const cacheFile = path.join(CACHE_DIR, 'vical.json');
-    const data = await fs.readFile(cacheFile, 'utf-8');
-    return JSON.parse(data);
+    cached = JSON.parse(await fs.readFile(path.join(CACHE_DIR, 'vical.json'), 'utf-8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (cached.mock) {
+    return cached;
+  }
+
+  try {
+    const bytes = await fs.readFile(path.join(CACHE_DIR, 'vical.cbor'));
+    const vical = parseVical(bytes, await readProviderCertificate());
+    await checkIssueID(vical.vicalIssueID);
+    return toVicalData(vical, cached.timestamp);
   } catch (error) {
+    console.warn(`⚠️  Ignoring cached VICAL: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Load VICAL data from cache, ignoring mock data in production mode
+ * @returns {Promise<object|null>}
+ */
+async function loadUsableCache() {
+  const cachedData = await loadFromCache();
+
+  if (cachedData?.mock && !mocksAllowed()) {
+    console.warn('⚠️  Ignoring cached mock VICAL data in production mode');
     return null;
   }
+
+  return cachedData;
 }
 
 /**
  * Save VICAL data to cache
- * @param {object} data 
+ * @param {object} data
+ * @param {Buffer} [bytes] - Signed VICAL; mock data has none
  */
-async function saveToCache(data) {
+async function saveToCache(data, bytes) {
   try {
     const cacheFile = path.join(CACHE_DIR, 'vical.json');
     await fs.mkdir(CACHE_DIR, { recursive: true });
+    if (bytes) {
+      await fs.writeFile(path.join(CACHE_DIR, 'vical.cbor'), bytes);
+    }
     await fs.writeFile(cacheFile, JSON.stringify(data, null, 2));
   } catch (error) {
     console.error('Failed to save VICAL cache:', error);
   }
 }
 
+/**
+ * Load the highest vicalIssueID accepted so far
+ * Kept apart from the VICAL cache so refreshes cannot reset it
+ * @returns {Promise<number|null>}
+ */
+async function loadLastIssueID() {
+  try {
+    const data = await fs.readFile(path.join(CACHE_DIR, 'vical-issue.json'), 'utf-8');
+    return JSON.parse(data).vicalIssueID;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reject a VICAL older than the highest issue accepted so far
+ * @param {number} vicalIssueID
+ */
+async function checkIssueID(vicalIssueID) {
+  const lastIssueID = await loadLastIssueID();
+  if (lastIssueID !== null && vicalIssueID < lastIssueID) {
+    throw new Error(`VICAL issue ${vicalIssueID} is older than accepted issue ${lastIssueID}`);
+  }
+}
+
+/**
+ * Record an accepted vicalIssueID
+ * @param {number} vicalIssueID
+ */
+async function saveLastIssueID(vicalIssueID) {
+  await fs.mkdir(CACHE_DIR, { recursive: true });
+  await fs.writeFile(
+    path.join(CACHE_DIR, 'vical-issue.json'),
+    JSON.stringify({ vicalIssueID, acceptedAt: new Date().toISOString() }, null, 2)
+  );
+}
+
 /**
  * Check if cache is expired
  * @param {string} timestamp 
@@ -199,24 +493,19 @@ export async function getIssuerCertificates(jurisdictionCode) {
     throw new Error(`Jurisdiction ${jurisdictionCode} not found in VICAL`);
   }
 
+  if (vicalData.mock) {
+    return jurisdiction.certificates.map(cert => ({ ...cert, mock: true }));
+  }
+
   return jurisdiction.certificates;
 }
 
 /**
  * Refresh VICAL cache
  * Call this periodically (e.g., daily cron job)
+ * The existing cache is kept as a fallback if the new VICAL is rejected
  */
 export async function refreshVicalCache() {
   console.log('🔄 Refreshing VICAL cache...');
-  const cacheFile = path.join(CACHE_DIR, 'vical.json');
-  
-  try {
-    // Delete existing cache
-    await fs.unlink(cacheFile);
-  } catch (error) {
-    // Ignore if file doesn't exist
-  }
-
-  return await fetchVical();
+  return await fetchVical({ force: true });
 }
-
@@ -0,0 +1,318 @@
+/**
+ * X.509 helpers for ISO 18013-5 certificate profiles
+ * Loads certificates and reads the extensions crypto.X509Certificate does not expose
+ */
+
+import crypto from 'crypto';
+
+// Extension OIDs
+const OID_SUBJECT_KEY_IDENTIFIER = '2.5.29.14';
+const OID_KEY_USAGE = '2.5.29.15';
+const OID_ISSUER_ALT_NAME = '2.5.29.18';
+const OID_BASIC_CONSTRAINTS = '2.5.29.19';
+const OID_CRL_DISTRIBUTION_POINTS = '2.5.29.31';
+const OID_AUTHORITY_KEY_IDENTIFIER = '2.5.29.35';
+const OID_EXTENDED_KEY_USAGE = '2.5.29.37';
+
+// Extensions this module understands; any other critical extension must make
+// the certificate unacceptable (RFC 5280 §4.2)
+const PROCESSED_EXTENSIONS = [
+  OID_SUBJECT_KEY_IDENTIFIER,
+  OID_KEY_USAGE,
+  OID_ISSUER_ALT_NAME,
+  OID_BASIC_CONSTRAINTS,
+  OID_CRL_DISTRIBUTION_POINTS,
+  OID_AUTHORITY_KEY_IDENTIFIER,
+  OID_EXTENDED_KEY_USAGE
+];
+
+// keyUsage bit positions (RFC 5280 §4.2.1.3)
+const KEY_USAGE_BITS = [
+  'digitalSignature',
+  'nonRepudiation',
+  'keyEncipherment',
+  'dataEncipherment',
+  'keyAgreement',
+  'keyCertSign',
+  'cRLSign',
+  'encipherOnly',
+  'decipherOnly'
+];
+
+/**
+ * Load a certificate from PEM, DER or an existing X509Certificate
+ * @param {string|Buffer|crypto.X509Certificate} input
+ * @returns {crypto.X509Certificate}
+ */
+export function loadCertificate(input) {
+  if (input instanceof crypto.X509Certificate) {
+    return input;
+  }
+  return new crypto.X509Certificate(input);
+}
+
+/**
+ * Split a PEM bundle into individual PEM certificates
+ * @param {string} pem
+ * @returns {Array<string>}
+ */
+export function splitPemBundle(pem) {
+  return pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+}
+
+/**
+ * Read a single attribute from a distinguished name string
+ * @param {string} dn - e.g. certificate.subject ("C=US\nST=CA\nCN=...")
+ * @param {string} field - e.g. 'C', 'ST', 'CN'
+ * @returns {string|undefined}
+ */
+export function getNameField(dn, field) {
+  const line = dn.split('\n').find(l => l.startsWith(`${field}=`));
+  return line?.substring(field.length + 1);
+}
+
+/**
+ * Parse the extensions relevant to the mDL certificate profile
+ * @param {crypto.X509Certificate} certificate
+ * @returns {{keyUsage: Array<string>|null, basicConstraints: {ca: boolean, pathLength?: number}|null, extendedKeyUsage: Array<string>|null, crlDistributionPoints: Array<string>, issuerAltName: Array<string>, subjectKeyIdentifier: string|null, authorityKeyIdentifier: string|null, critical: Array<string>, unknownCritical: Array<string>}} unknownCritical lists critical extensions that are not processed
+ */
+export function parseExtensions(certificate) {
+  const extensions = readExtensions(certificate.raw);
+  const result = {
+    keyUsage: null,
+    basicConstraints: null,
+    extendedKeyUsage: null,
+    crlDistributionPoints: [],
+    issuerAltName: [],
+    subjectKeyIdentifier: null,
+    authorityKeyIdentifier: null,
+    critical: [],
+    unknownCritical: []
+  };
+
+  for (const { oid, critical, value } of extensions) {
+    if (critical) {
+      result.critical.push(oid);
+      if (!PROCESSED_EXTENSIONS.includes(oid)) {
+        result.unknownCritical.push(oid);
+      }
+    }
+
+    switch (oid) {
+      case OID_KEY_USAGE:
+        result.keyUsage = parseKeyUsage(value);
+        break;
+      case OID_BASIC_CONSTRAINTS:
+        result.basicConstraints = parseBasicConstraints(value);
+        break;
+      case OID_EXTENDED_KEY_USAGE:
+        result.extendedKeyUsage = readChildren(readElement(value, 0)).map(el => decodeOid(el.value));
+        break;
+      case OID_CRL_DISTRIBUTION_POINTS:
+        result.crlDistributionPoints = collectUris(value);
+        break;
+      case OID_ISSUER_ALT_NAME:
+        result.issuerAltName = collectUris(value);
+        break;
+      case OID_SUBJECT_KEY_IDENTIFIER:
+        result.subjectKeyIdentifier = readElement(value, 0).value.toString('hex');
+        break;
+      case OID_AUTHORITY_KEY_IDENTIFIER: {
+        // AuthorityKeyIdentifier ::= SEQUENCE { keyIdentifier [0] IMPLICIT OCTET STRING OPTIONAL, ... }
+        const keyId = readChildren(readElement(value, 0)).find(el => el.tag === 0x80);
+        result.authorityKeyIdentifier = keyId ? keyId.value.toString('hex') : null;
+        break;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Subject key identifier for a certificate
+ * Falls back to the RFC 5280 method 1 value (SHA-1 of the public key bits) when absent
+ * @param {crypto.X509Certificate} certificate
+ * @returns {string} Hex-encoded SKI
+ */
+export function getSubjectKeyIdentifier(certificate) {
+  const { subjectKeyIdentifier } = parseExtensions(certificate);
+  if (subjectKeyIdentifier) {
+    return subjectKeyIdentifier;
+  }
+
+  const spki = certificate.publicKey.export({ type: 'spki', format: 'der' });
+  const bitString = readChildren(readElement(spki, 0))[1];
+  return crypto.createHash('sha1').update(bitString.value.subarray(1)).digest('hex');
+}
+
+/**
+ * SHA-256 fingerprint of a certificate as lowercase hex without separators
+ * @param {crypto.X509Certificate} certificate
+ * @returns {string}
+ */
+export function getFingerprint(certificate) {
+  return certificate.fingerprint256.replace(/:/g, '').toLowerCase();
+}
+
+/**
+ * Locate the extension list inside a DER certificate
+ * @param {Buffer} der
+ * @returns {Array<{oid: string, critical: boolean, value: Buffer}>}
+ */
+function readExtensions(der) {
+  const certificate = readElement(der, 0);
+  const tbsCertificate = readChildren(certificate)[0];
+
+  // extensions [3] EXPLICIT SEQUENCE OF Extension
+  const wrapper = readChildren(tbsCertificate).find(el => el.tag === 0xa3);
+  if (!wrapper) {
+    return [];
+  }
+
+  return readChildren(readElement(wrapper.value, 0)).map(extension => {
+    const [id, ...rest] = readChildren(extension);
+    const critical = rest.length === 2 && rest[0].tag === 0x01 && rest[0].value[0] !== 0;
+    return {
+      oid: decodeOid(id.value),
+      critical,
+      value: rest[rest.length - 1].value
+    };
+  });
+}
+
+/**
+ * Parse a keyUsage BIT STRING
+ * @param {Buffer} value - extnValue contents
+ * @returns {Array<string>}
+ */
+function parseKeyUsage(value) {
+  const bits = readElement(value, 0).value;
+  const usages = [];
+
+  for (let i = 0; i < KEY_USAGE_BITS.length; i++) {
+    const byte = bits[1 + (i >> 3)];
+    if (byte !== undefined && byte & (0x80 >> (i & 7))) {
+      usages.push(KEY_USAGE_BITS[i]);
+    }
+  }
+
+  return usages;
+}
+
+/**
+ * Parse basicConstraints
+ * @param {Buffer} value - extnValue contents
+ * @returns {{ca: boolean, pathLength?: number}}
+ */
+function parseBasicConstraints(value) {
+  const children = readChildren(readElement(value, 0));
+  const result = { ca: false };
+
+  for (const child of children) {
+    if (child.tag === 0x01) {
+      result.ca = child.value[0] !== 0;
+    } else if (child.tag === 0x02) {
+      result.pathLength = child.value.readUIntBE(0, child.value.length);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Collect every uniformResourceIdentifier GeneralName inside a structure
+ * @param {Buffer} value
+ * @returns {Array<string>}
+ */
+function collectUris(value) {
+  const uris = [];
+
+  const walk = buf => {
+    let offset = 0;
+    while (offset < buf.length) {
+      const el = readElement(buf, offset);
+      if (el.tag === 0x86) {
+        uris.push(el.value.toString('ascii'));
+      } else if (el.tag & 0x20) {
+        walk(el.value);
+      }
+      offset = el.end;
+    }
+  };
+
+  walk(value);
+  return uris;
+}
+
+/**
+ * Read one DER TLV element
+ * @param {Buffer} buf
+ * @param {number} offset
+ * @returns {{tag: number, value: Buffer, end: number}}
+ */
+function readElement(buf, offset) {
+  const tag = buf[offset];
+  let length = buf[offset + 1];
+  let headerLength = 2;
+
+  if (length & 0x80) {
+    const octets = length & 0x7f;
+    length = buf.readUIntBE(offset + 2, octets);
+    headerLength += octets;
+  }
+
+  const start = offset + headerLength;
+  if (start + length > buf.length) {
+    throw new Error('DER: element exceeds buffer');
+  }
+
+  return {
+    tag,
+    value: buf.subarray(start, start + length),
+    end: start + length
+  };
+}
+
+/**
+ * Read the child elements of a constructed element
+ * @param {{value: Buffer}} element
+ * @returns {Array<{tag: number, value: Buffer, end: number}>}
+ */
+function readChildren(element) {
+  const children = [];
+  let offset = 0;
+
+  while (offset < element.value.length) {
+    const child = readElement(element.value, offset);
+    children.push(child);
+    offset = child.end;
+  }
+
+  return children;
+}
+
+/**
+ * Decode a DER OBJECT IDENTIFIER
+ * @param {Buffer} bytes
+ * @returns {string}
+ */
+function decodeOid(bytes) {
+  const parts = [];
+  let value = 0;
+
+  for (let i = 0; i < bytes.length; i++) {
+    value = value * 128 + (bytes[i] & 0x7f);
+    if (!(bytes[i] & 0x80)) {
+      if (parts.length === 0) {
+        const first = Math.min(Math.floor(value / 40), 2);
+        parts.push(first, value - first * 40);
+      } else {
+        parts.push(value);
+      }
+      value = 0;
+    }
+  }
+
+  return parts.join('.');
+}
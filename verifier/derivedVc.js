@@ -0,0 +1,204 @@
+/**
+ * Derived VC presentation verification
+ * Relying-party side of the repeat-use flow: verifies SD-JWT+KB presentations
+ * (or derived BBS credentials) of the issuer's derived credentials received
+ * over OID4VP direct_post
+ */
+
+import fetch from 'node-fetch';
+import { createLocalJWKSet } from 'jose';
+import { verifySdJwtPresentation, DERIVED_VC_TYPE } from '../issuer/issueCredential.js';
+import { verifyBbsPresentation, BBS_CREDENTIAL_TYPE } from '../issuer/bbsCredential.js';
+import { DERIVED_VC_QUERY_ID } from './requestBuilder.js';
+
+const ISSUER_URL = process.env.ISSUER_URL || 'http://localhost:3001';
+const ISSUER_METADATA_TTL = parseInt(process.env.ISSUER_METADATA_TTL || '300'); // 5 minutes
+
+const DERIVED_VC_FORMATS = ['dc+sd-jwt', 'ldp_vc'];
+
+let issuerCache = null;
+
+/**
+ * Trusted derived VC issuer: identifier and signing keys from its
+ * OID4VCI metadata at ISSUER_URL, cached for ISSUER_METADATA_TTL seconds
+ * @returns {Promise<{credentialIssuer: string, keys: Function}>}
+ */
+async function getDerivedVcIssuer() {
+  if (issuerCache && Date.now() < issuerCache.expiresAt) {
+    return issuerCache;
+  }
+
+  const response = await fetch(new URL('/.well-known/openid-credential-issuer', ISSUER_URL));
+  if (!response.ok) {
+    throw new Error(`Issuer metadata fetch failed: ${response.status}`);
+  }
+
+  const metadata = await response.json();
+  if (!metadata.credential_issuer || !metadata.jwks?.keys?.length) {
+    throw new Error('Issuer metadata has no credential_issuer or jwks');
+  }
+
+  // BBS credentials are verified against the issuer's controller document
+  let controller = null;
+  const controllerResponse = await fetch(new URL('/controller', ISSUER_URL));
+  if (controllerResponse.ok) {
+    controller = await controllerResponse.json();
+    if (controller.id !== metadata.credential_issuer || !Array.isArray(controller.assertionMethod)) {
+      throw new Error('Issuer controller document does not match credential_issuer');
+    }
+  }
+
+  issuerCache = {
+    credentialIssuer: metadata.credential_issuer,
+    keys: createLocalJWKSet(metadata.jwks),
+    controller,
+    expiresAt: Date.now() + ISSUER_METADATA_TTL * 1000
+  };
+
+  return issuerCache;
+}
+
+/**
+ * Verify a derived VC presentation against its verification session
+ * @param {object|string} vpToken - OID4VP vp_token: { derived_vc: [presentation] } (or its JSON)
+ * @param {object} session - Consumed 'derived_vc' verification session
+ * @returns {Promise<{valid: boolean, claims?: object, issuer?: string, expiresAt?: number, code?: string, error?: string}>}
+ */
+export async function verifyDerivedPresentation(vpToken, session) {
+  const query = session.dcqlQuery.credentials.find(c => c.id === DERIVED_VC_QUERY_ID);
+
+  const presentation = extractPresentation(vpToken, query.format);
+  if (!presentation) {
+    return {
+      valid: false,
+      code: 'invalid_request',
+      error: `vp_token must contain one presentation for "${DERIVED_VC_QUERY_ID}"`
+    };
+  }
+
+  let issuer;
+  try {
+    issuer = await getDerivedVcIssuer();
+  } catch (error) {
+    console.error('Derived VC issuer lookup error:', error);
+    return {
+      valid: false,
+      code: 'issuer_unavailable',
+      error: error.message
+    };
+  }
+
+  const result = query.format === 'ldp_vc'
+    ? await verifyBbs(presentation, session, issuer)
+    : await verifySdJwt(presentation, session, issuer);
+
+  if (!result.valid) {
+    return {
+      valid: false,
+      // Revoked/suspended per the issuer's status list
+      code: result.status ? `credential_${result.status}` : 'invalid_presentation',
+      error: result.error
+    };
+  }
+
+  if (result.issuer !== issuer.credentialIssuer) {
+    return {
+      valid: false,
+      code: 'invalid_issuer',
+      error: `Credential issuer ${result.issuer} is not trusted`
+    };
+  }
+
+  // Every claim the request asked for must have been disclosed
+  const missing = (query.claims || [])
+    .map(({ path }) => path[path.length - 1])
+    .filter(name => !(name in result.claims));
+
+  if (missing.length > 0) {
+    return {
+      valid: false,
+      code: 'invalid_presentation',
+      error: `Requested claims not disclosed: ${missing.join(', ')}`
+    };
+  }
+
+  return {
+    valid: true,
+    claims: result.claims,
+    issuer: result.issuer,
+    expiresAt: result.expiresAt
+  };
+}
+
+/**
+ * SD-JWT+KB: KB-JWT aud is the client_id and its nonce the session nonce (OID4VP 1.0, SD-JWT VC)
+ * @param {string} presentation
+ * @param {object} session
+ * @param {object} issuer
+ * @returns {Promise<object>} Verification result
+ */
+async function verifySdJwt(presentation, session, issuer) {
+  // Also checks typ, iss (the trusted issuer) and vct
+  return verifySdJwtPresentation(presentation, {
+    audience: session.clientId,
+    nonce: session.nonce,
+    issuerPublicKey: issuer.keys,
+    issuer: issuer.credentialIssuer
+  });
+}
+
+/**
+ * Derived BBS credential: the session nonce is the proof's presentation header.
+ * There is no holder binding, so the nonce is what stops replay
+ * @param {object} credential
+ * @param {object} session
+ * @param {object} issuer
+ * @returns {Promise<object>} Verification result
+ */
+async function verifyBbs(credential, session, issuer) {
+  if (!issuer.controller) {
+    return { valid: false, error: 'Issuer does not publish a BBS controller document' };
+  }
+
+  if (!Array.isArray(credential.type) || !credential.type.includes(BBS_CREDENTIAL_TYPE)) {
+    return { valid: false, error: `Credential type must include ${BBS_CREDENTIAL_TYPE}` };
+  }
+
+  return verifyBbsPresentation(credential, {
+    nonce: session.nonce,
+    controller: issuer.controller
+  });
+}
+
+/**
+ * @param {object|string} vpToken
+ * @param {string} format - Requested credential format
+ * @returns {string|object|null}
+ */
+function extractPresentation(vpToken, format) {
+  let token = vpToken;
+
+  // direct_post sends vp_token form-encoded, so the object arrives as JSON
+  if (typeof token === 'string') {
+    try {
+      token = JSON.parse(token);
+    } catch {
+      return null;
+    }
+  }
+
+  const presentations = token?.[DERIVED_VC_QUERY_ID];
+  if (!Array.isArray(presentations) || presentations.length !== 1) {
+    return null;
+  }
+
+  // SD-JWT presentations are compact strings, Data Integrity credentials JSON objects
+  const expected = format === 'ldp_vc' ? 'object' : 'string';
+  if (typeof presentations[0] !== expected || presentations[0] === null) {
+    return null;
+  }
+
+  return presentations[0];
+}
+
+export { DERIVED_VC_TYPE, DERIVED_VC_FORMATS, BBS_CREDENTIAL_TYPE };
@@ -1,73 +1,125 @@
 /**
  * Key management for reader (verifier) keys
- * P-256 key pair for JWE decryption
+ * Rotating P-256 keyring for JWE decryption (ECDH-ES), and a separate P-256
+ * key for signing verification receipts, both held by the configured key
+ * provider (KEY_PROVIDER)
+ *
+ * Requests carry the active reader key; /api/reader-jwks also publishes the
+ * next one. A retired key is no longer published but still decrypts
+ * responses to requests made before the rotation, until those sessions expire.
  */
 
-import { generateKeyPair, exportJWK } from 'jose';
-import fs from 'fs/promises';
-import path from 'path';
+import { generateKeyPair, exportJWK, calculateJwkThumbprint } from 'jose';
+import { createKeyRing } from '../common/keyRing.js';
+import { SESSION_TTL } from './sessionStore.js';
 
 const KEY_FILE = '.reader-keys.json';
+const RECEIPT_KEY_FILE = '.verifier-receipt-keys.json';
+
+const readerKeys = createKeyRing({
+  name: 'reader',
+  file: KEY_FILE,
+  use: 'enc',
+  alg: 'ECDH-ES',
+  rotationInterval: parseInt(process.env.READER_KEY_ROTATION_INTERVAL || '604800'), // 7 days, 0 disables
+  retention: parseInt(process.env.READER_KEY_RETENTION || String(SESSION_TTL)),
+  publish: ['active', 'next'],
+  environment: { publicJwk: 'READER_PUBLIC_JWK', privateJwk: 'READER_PRIVATE_JWK' }
+});
+
+const receiptKeys = createKeyRing({
+  name: 'receipt',
+  file: RECEIPT_KEY_FILE,
+  use: 'sig',
+  alg: 'ES256',
+  rotationInterval: parseInt(process.env.RECEIPT_KEY_ROTATION_INTERVAL || '0'), // disabled by default
+  retention: parseInt(process.env.RECEIPT_KEY_RETENTION || process.env.RECEIPT_TTL || '300'),
+  environment: { publicJwk: 'RECEIPT_PUBLIC_JWK', privateJwk: 'RECEIPT_PRIVATE_JWK' }
+});
 
 /**
- * Get or generate reader key pair
- * @returns {Promise<{publicJwk: object, privateJwk: object}>}
+ * Get the active reader key (used in new requests)
+ * @returns {Promise<{publicJwk: object}>}
  */
 export async function getReaderKeys() {
-  // Try loading from environment first
-  if (process.env.READER_PUBLIC_JWK && process.env.READER_PRIVATE_JWK) {
-    try {
-      return {
-        publicJwk: JSON.parse(process.env.READER_PUBLIC_JWK),
-        privateJwk: JSON.parse(process.env.READER_PRIVATE_JWK)
-      };
-    } catch (error) {
-      console.error('Failed to parse reader keys from environment:', error);
-    }
-  }
+  const { publicJwk } = await readerKeys.getActiveKey();
+  return { publicJwk };
+}
 
-  // Try loading from file
-  try {
-    const keysJson = await fs.readFile(KEY_FILE, 'utf-8');
-    const keys = JSON.parse(keysJson);
-    
-    if (keys.publicJwk && keys.privateJwk) {
-      return keys;
-    }
-  } catch (error) {
-    // File doesn't exist or is invalid, generate new keys
-  }
+/**
+ * Get a reader key by kid, including retired keys still kept for decryption
+ * @param {string} kid
+ * @returns {Promise<{publicJwk: object, deriveSharedSecret: Function}|null>}
+ *   deriveSharedSecret: peerPublicJwk => Promise<Buffer> (ECDH in the key provider)
+ */
+export async function getReaderKey(kid) {
+  const key = await readerKeys.getKey(kid);
+  return key && {
+    publicJwk: key.publicJwk,
+    deriveSharedSecret: publicJwk => readerKeys.deriveSharedSecret(kid, publicJwk)
+  };
+}
 
-  // Generate new key pair
-  console.log('🔑 Generating new reader key pair (P-256)...');
-  const keyPair = await generateKeyPair('ES256');
-  const publicJwk = await exportJWK(keyPair.publicKey);
-  const privateJwk = await exportJWK(keyPair.privateKey);
+/**
+ * Published reader keys: the active and the next key
+ * @returns {Promise<{keys: Array<object>}>} JWK Set
+ */
+export async function getReaderJwks() {
+  return readerKeys.getJwks();
+}
+
+/**
+ * Rotate the reader key now; pending requests can still be answered
+ * @returns {Promise<Array<object>>} The rotated keyring
+ */
+export async function rotateReaderKeys() {
+  return readerKeys.rotate();
+}
 
-  const keys = { publicJwk, privateJwk };
+/**
+ * Get the active verification receipt signing key
+ * Kept apart from the reader key so the encryption key is never used to sign
+ * @returns {Promise<{publicJwk: object}>}
+ */
+export async function getReceiptKeys() {
+  const { publicJwk } = await receiptKeys.getActiveKey();
+  return { publicJwk };
+}
 
-  // Save to file for persistence
-  try {
-    await fs.writeFile(KEY_FILE, JSON.stringify(keys, null, 2));
-    console.log(`✅ Reader keys saved to ${KEY_FILE}`);
-    console.log('⚠️  For production, move these keys to environment variables or secure storage');
-  } catch (error) {
-    console.error('Failed to save keys to file:', error);
-  }
+/**
+ * Public receipt signing keys (active, next and retired keys still in use)
+ * @returns {Promise<{keys: Array<object>}>} JWK Set
+ */
+export async function getReceiptJwks() {
+  return receiptKeys.getJwks();
+}
 
-  return keys;
+/**
+ * Sign a receipt JWT with the active receipt key (ES256, kid set)
+ * @param {object} header - Protected header, e.g. { typ }
+ * @param {object} payload
+ * @returns {Promise<string>} Compact JWS
+ */
+export async function signReceiptJwt(header, payload) {
+  return receiptKeys.signJwt(header, payload);
 }
 
 /**
- * Generate and display new reader keys
- * Utility function for setup
+ * Generate and display a new reader key pair for READER_PUBLIC_JWK/READER_PRIVATE_JWK
+ * Utility function for setup (development: a key from the environment is not
+ * held by a key provider and is never rotated)
  */
 export async function generateAndDisplayKeys() {
-  const { publicJwk, privateJwk } = await getReaderKeys();
-  
+  const keyPair = await generateKeyPair('ECDH-ES', { extractable: true });
+  const publicJwk = await exportJWK(keyPair.publicKey);
+  const privateJwk = await exportJWK(keyPair.privateKey);
+
+  const kid = await calculateJwkThumbprint(publicJwk);
+  Object.assign(publicJwk, { kid, use: 'enc', alg: 'ECDH-ES' });
+  Object.assign(privateJwk, { kid, use: 'enc', alg: 'ECDH-ES' });
+
   console.log('\n📋 Add these to your .env file:\n');
   console.log(`READER_PUBLIC_JWK='${JSON.stringify(publicJwk)}'`);
   console.log(`READER_PRIVATE_JWK='${JSON.stringify(privateJwk)}'`);
   console.log('\n');
 }
-
@@ -0,0 +1,272 @@
+/**
+ * Longfellow client
+ * HTTP client for the Longfellow verifier-service with a per-attempt timeout,
+ * bounded retries with full jitter for failures that are safe to retry
+ * (connection errors, timeouts, 429/502/503/504), a circuit breaker that fails
+ * fast while Longfellow is down, keep-alive connection reuse, and latency and
+ * error-rate metrics.
+ *
+ * Requests resolve to { ok: true, status, body }, or { ok: false, code, error }
+ * where code is 'zk_backend_unavailable' when Longfellow could not be reached
+ * or answered with a server error, and 'zk_backend_rejected' for 4xx answers.
+ */
+
+import http from 'http';
+import https from 'https';
+import fetch from 'node-fetch';
+
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+const METRICS_WINDOW = 500; // most recent requests that latency and error rate are computed over
+
+let client = null;
+
+/**
+ * Get the client for LONGFELLOW_URL, configured from the environment
+ * @returns {object}
+ */
+export function getLongfellowClient() {
+  if (!client) {
+    client = createLongfellowClient({
+      url: process.env.LONGFELLOW_URL || 'http://localhost:8080',
+      timeoutMs: parseInt(process.env.LONGFELLOW_TIMEOUT_MS || '5000'),
+      retries: parseInt(process.env.LONGFELLOW_RETRIES || '2'),
+      retryBaseDelayMs: parseInt(process.env.LONGFELLOW_RETRY_BASE_DELAY_MS || '100'),
+      retryMaxDelayMs: parseInt(process.env.LONGFELLOW_RETRY_MAX_DELAY_MS || '1000'),
+      failureThreshold: parseInt(process.env.LONGFELLOW_BREAKER_THRESHOLD || '5'),
+      resetTimeoutMs: parseInt(process.env.LONGFELLOW_BREAKER_RESET_MS || '30000'),
+      maxSockets: parseInt(process.env.LONGFELLOW_MAX_SOCKETS || '16')
+    });
+  }
+  return client;
+}
+
+/**
+ * Create a Longfellow client
+ * @param {object} options
+ * @param {string} options.url - Longfellow base URL
+ * @param {number} [options.timeoutMs=5000] - Per-attempt timeout, including reading the response
+ * @param {number} [options.retries=2] - Retries after the first attempt
+ * @param {number} [options.retryBaseDelayMs=100] - Backoff base; attempt n waits random(0, base * 2^n)
+ * @param {number} [options.retryMaxDelayMs=1000] - Backoff cap
+ * @param {number} [options.failureThreshold=5] - Consecutive failed requests that open the circuit
+ * @param {number} [options.resetTimeoutMs=30000] - How long the circuit stays open before a trial request
+ * @param {number} [options.maxSockets=16] - Pooled keep-alive connections
+ * @returns {{post: Function, getMetrics: Function, close: Function}}
+ */
+export function createLongfellowClient({
+  url,
+  timeoutMs = 5000,
+  retries = 2,
+  retryBaseDelayMs = 100,
+  retryMaxDelayMs = 1000,
+  failureThreshold = 5,
+  resetTimeoutMs = 30000,
+  maxSockets = 16
+}) {
+  const agent = new (url.startsWith('https:') ? https : http).Agent({ keepAlive: true, maxSockets });
+
+  // closed → open (after failureThreshold failures) → half_open (one trial
+  // request after resetTimeoutMs) → closed on success, open again on failure
+  const circuit = { state: 'closed', consecutiveFailures: 0, openedAt: null, opens: 0, trialInFlight: false };
+
+  const counters = { requests: 0, successes: 0, rejected: 0, failures: 0, retries: 0, shortCircuited: 0, timeouts: 0 };
+  const recent = []; // { latencyMs, ok }
+
+  /**
+   * POST a JSON body to Longfellow
+   * @param {string} path - e.g. '/verify'
+   * @param {object} body
+   * @returns {Promise<{ok: boolean, status?: number, body?: object, code?: string, error?: string, cause?: string, retryAfter?: number}>}
+   */
+  async function post(path, body) {
+    counters.requests++;
+
+    if (!allowRequest()) {
+      counters.shortCircuited++;
+      const retryAfter = Math.max(1, Math.ceil((circuit.openedAt + resetTimeoutMs - Date.now()) / 1000));
+      return {
+        ok: false,
+        code: 'zk_backend_unavailable',
+        error: `Longfellow circuit open after ${circuit.consecutiveFailures} consecutive failures; retry in ${retryAfter}s`,
+        cause: 'circuit_open',
+        retryAfter
+      };
+    }
+
+    const started = Date.now();
+    let outcome;
+
+    for (let attempt = 0; ; attempt++) {
+      outcome = await attemptPost(path, body);
+      if (!outcome.retryable || attempt >= retries) {
+        break;
+      }
+      counters.retries++;
+      await sleep(Math.random() * Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** attempt));
+    }
+
+    record(Date.now() - started, outcome);
+
+    if (outcome.ok) {
+      return { ok: true, status: outcome.status, body: outcome.body };
+    }
+
+    if (outcome.status >= 400 && outcome.status < 500 && !outcome.retryable) {
+      return {
+        ok: false,
+        code: 'zk_backend_rejected',
+        status: outcome.status,
+        error: `Longfellow returned ${outcome.status}: ${outcome.error}`
+      };
+    }
+
+    return {
+      ok: false,
+      code: 'zk_backend_unavailable',
+      error: `Longfellow unavailable: ${outcome.error}`,
+      cause: outcome.cause
+    };
+  }
+
+  /**
+   * One attempt, bounded by timeoutMs
+   * @returns {Promise<{ok: boolean, retryable?: boolean, status?: number, body?: object, error?: string, cause?: string}>}
+   */
+  async function attemptPost(path, body) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const response = await fetch(new URL(path, url), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        agent,
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        return {
+          ok: false,
+          retryable: RETRYABLE_STATUSES.includes(response.status),
+          status: response.status,
+          error: (await response.text()).slice(0, 500) || `HTTP ${response.status}`,
+          cause: `http_${response.status}`
+        };
+      }
+
+      // A body that is not JSON will not parse on a retry either
+      try {
+        return { ok: true, status: response.status, body: await response.json() };
+      } catch (error) {
+        if (!(error instanceof SyntaxError)) {
+          throw error;
+        }
+        return { ok: false, retryable: false, status: 502, error: `invalid JSON response: ${error.message}`, cause: 'invalid_response' };
+      }
+
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        counters.timeouts++;
+        return { ok: false, retryable: true, error: `timed out after ${timeoutMs}ms`, cause: 'timeout' };
+      }
+      return { ok: false, retryable: true, error: error.message, cause: error.code || 'network' };
+
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Whether the circuit lets a request through (moving open → half_open when due)
+   * @returns {boolean}
+   */
+  function allowRequest() {
+    if (circuit.state === 'open' && Date.now() - circuit.openedAt >= resetTimeoutMs) {
+      circuit.state = 'half_open';
+    }
+    if (circuit.state === 'half_open') {
+      if (circuit.trialInFlight) {
+        return false;
+      }
+      circuit.trialInFlight = true;
+      return true;
+    }
+    return circuit.state === 'closed';
+  }
+
+  /**
+   * Update circuit and metrics with the outcome of a request (after retries)
+   * Only unavailability counts against the circuit; a 4xx means Longfellow is up
+   */
+  function record(latencyMs, outcome) {
+    const available = outcome.ok || (outcome.status >= 400 && outcome.status < 500 && !outcome.retryable);
+    circuit.trialInFlight = false;
+
+    if (available) {
+      circuit.state = 'closed';
+      circuit.consecutiveFailures = 0;
+      counters[outcome.ok ? 'successes' : 'rejected']++;
+    } else {
+      circuit.consecutiveFailures++;
+      counters.failures++;
+      if (circuit.state === 'half_open' || circuit.consecutiveFailures >= failureThreshold) {
+        if (circuit.state !== 'open') {
+          circuit.opens++;
+          console.warn(`⚠️  Longfellow circuit open (${circuit.consecutiveFailures} consecutive failures, last: ${outcome.error})`);
+        }
+        circuit.state = 'open';
+        circuit.openedAt = Date.now();
+      }
+    }
+
+    recent.push({ latencyMs, ok: available });
+    if (recent.length > METRICS_WINDOW) {
+      recent.shift();
+    }
+  }
+
+  return {
+    post,
+
+    /**
+     * Request counters, latency percentiles and error rate over the recent window, and circuit state
+     * @returns {object}
+     */
+    getMetrics() {
+      const latencies = recent.map(r => r.latencyMs).sort((a, b) => a - b);
+      const percentile = p => latencies.length ? latencies[Math.min(latencies.length - 1, Math.floor(p * latencies.length))] : null;
+
+      return {
+        ...counters,
+        latencyMs: {
+          window: latencies.length,
+          mean: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+          p50: percentile(0.5),
+          p95: percentile(0.95),
+          p99: percentile(0.99),
+          max: latencies.length ? latencies[latencies.length - 1] : null
+        },
+        errorRate: recent.length ? recent.filter(r => !r.ok).length / recent.length : 0,
+        circuit: {
+          state: circuit.state === 'open' && Date.now() - circuit.openedAt >= resetTimeoutMs ? 'half_open' : circuit.state,
+          consecutiveFailures: circuit.consecutiveFailures,
+          opens: circuit.opens,
+          ...(circuit.openedAt && { openedAt: new Date(circuit.openedAt).toISOString() })
+        }
+      };
+    },
+
+    close() {
+      agent.destroy();
+    }
+  };
+}
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
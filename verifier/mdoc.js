@@ -0,0 +1,282 @@
+/**
+ * Native ISO 18013-5 mso_mdoc DeviceResponse verification
+ * Verifies IssuerAuth, value digests, MSO validity and DeviceAuth without Longfellow
+ */
+
+import crypto from 'crypto';
+import { encode, decode, decodeEmbedded, Tagged, TAG_ENCODED_CBOR } from '../common/cbor.js';
+import { verifySign1, verifyMac0, parseCoseMessage, getX5Chain, coseKeyToJwk } from '../common/cose.js';
+import { getNameField } from '../trust/x509.js';
+
+const MDL_DOCTYPE = 'org.iso.18013.5.1.mDL';
+
+// MSO digestAlgorithm → Node digest names
+const DIGEST_ALGORITHMS = {
+  'SHA-256': 'sha256',
+  'SHA-384': 'sha384',
+  'SHA-512': 'sha512'
+};
+
+/**
+ * Verify an mso_mdoc DeviceResponse
+ * @param {string|Uint8Array} deviceResponse - base64url string or raw CBOR bytes
+ * @param {object} options
+ * @param {Array} options.sessionTranscript - SessionTranscript structure (not bytes)
+ * @param {Buffer} options.sessionTranscriptBytes - CBOR-encoded SessionTranscript
+ * @param {string} [options.docType] - Expected docType
+ * @param {Function} [options.deriveSharedSecret] - ECDH with the reader key for DeviceMac: devicePublicJwk => Promise<Buffer>
+ * @param {Date} [options.now] - Verification time
+ * @returns {Promise<{valid: boolean, predicates?: object, issuer?: string, docType?: string, documentSigner?: crypto.X509Certificate, x5chain?: Array<Buffer>, validityInfo?: object, error?: string}>}
+ */
+export async function verifyDeviceResponse(deviceResponse, {
+  sessionTranscript,
+  sessionTranscriptBytes,
+  docType = MDL_DOCTYPE,
+  deriveSharedSecret,
+  now = new Date()
+}) {
+  try {
+    const bytes = typeof deviceResponse === 'string'
+      ? Buffer.from(deviceResponse, 'base64url')
+      : deviceResponse;
+
+    const response = decode(bytes);
+
+    if (!(response instanceof Map)) {
+      return { valid: false, error: 'DeviceResponse is not a CBOR map' };
+    }
+
+    if (response.get('status') !== 0) {
+      return { valid: false, error: `DeviceResponse status ${response.get('status')}` };
+    }
+
+    const documents = response.get('documents') || [];
+    const document = documents.find(d => d.get('docType') === docType);
+
+    if (!document) {
+      return { valid: false, error: `No ${docType} document in DeviceResponse` };
+    }
+
+    // 1. IssuerAuth: MSO signed by the Document Signer certificate
+    const issuerSigned = document.get('issuerSigned');
+    const issuerAuth = issuerSigned.get('issuerAuth');
+    const parsedIssuerAuth = parseCoseMessage(issuerAuth);
+    const x5chain = getX5Chain(parsedIssuerAuth);
+
+    if (x5chain.length === 0) {
+      return { valid: false, error: 'IssuerAuth has no x5chain' };
+    }
+
+    const documentSigner = new crypto.X509Certificate(x5chain[0]);
+
+    if (!verifySign1(issuerAuth, documentSigner.publicKey)) {
+      return { valid: false, error: 'IssuerAuth signature invalid' };
+    }
+
+    const mso = decodeEmbedded(decode(parsedIssuerAuth.payload));
+
+    if (mso.get('docType') !== docType) {
+      return { valid: false, error: 'MSO docType does not match document' };
+    }
+
+    // 2. MSO validityInfo
+    const { validity, error: validityError } = checkValidityInfo(mso.get('validityInfo'), documentSigner, now);
+    if (validityError) {
+      return { valid: false, error: validityError };
+    }
+
+    // 3. valueDigests for every disclosed IssuerSignedItem
+    const digestAlgorithm = DIGEST_ALGORITHMS[mso.get('digestAlgorithm')];
+    if (!digestAlgorithm) {
+      return { valid: false, error: `Unsupported digestAlgorithm ${mso.get('digestAlgorithm')}` };
+    }
+
+    const { elements, error: digestError } = verifyIssuerSignedItems(
+      issuerSigned.get('nameSpaces') || new Map(),
+      mso.get('valueDigests'),
+      digestAlgorithm
+    );
+
+    if (digestError) {
+      return { valid: false, error: digestError };
+    }
+
+    // 4. DeviceAuth over the SessionTranscript
+    const deviceKey = crypto.createPublicKey({
+      key: coseKeyToJwk(mso.get('deviceKeyInfo').get('deviceKey')),
+      format: 'jwk'
+    });
+
+    const deviceAuthError = await verifyDeviceAuth(document.get('deviceSigned'), {
+      docType,
+      deviceKey,
+      sessionTranscript,
+      sessionTranscriptBytes,
+      deriveSharedSecret
+    });
+
+    if (deviceAuthError) {
+      return { valid: false, error: deviceAuthError };
+    }
+
+    return {
+      valid: true,
+      predicates: elements,
+      issuer: getNameField(documentSigner.subject, 'ST') || getNameField(documentSigner.subject, 'C'),
+      docType,
+      documentSigner,
+      x5chain,
+      validityInfo: {
+        signed: validity.signed.toISOString(),
+        validFrom: validity.validFrom.toISOString(),
+        validUntil: validity.validUntil.toISOString()
+      }
+    };
+
+  } catch (error) {
+    return {
+      valid: false,
+      error: `Malformed DeviceResponse: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Check MSO validityInfo against the current time and DS certificate
+ * @param {Map} validityInfo
+ * @param {crypto.X509Certificate} documentSigner
+ * @param {Date} now
+ * @returns {{validity?: {signed: Date, validFrom: Date, validUntil: Date}, error?: string}}
+ */
+function checkValidityInfo(validityInfo, documentSigner, now) {
+  if (!(validityInfo instanceof Map)) {
+    return { error: 'MSO validityInfo missing' };
+  }
+
+  const signed = toDate(validityInfo.get('signed'));
+  const validFrom = toDate(validityInfo.get('validFrom'));
+  const validUntil = toDate(validityInfo.get('validUntil'));
+
+  // An Invalid Date compares false with everything, so it must never reach the checks below
+  if (!signed || !validFrom || !validUntil) {
+    return { error: 'MSO validityInfo malformed' };
+  }
+
+  if (now < validFrom) {
+    return { error: 'MSO not yet valid' };
+  }
+
+  if (now > validUntil) {
+    return { error: 'MSO expired' };
+  }
+
+  // The MSO must have been signed while the Document Signer certificate was valid
+  if (signed < new Date(documentSigner.validFrom) || signed > new Date(documentSigner.validTo)) {
+    return { error: 'MSO signed outside Document Signer certificate validity' };
+  }
+
+  return { validity: { signed, validFrom, validUntil } };
+}
+
+/**
+ * Verify IssuerSignedItem digests against the MSO valueDigests
+ * @param {Map} nameSpaces - IssuerNameSpaces
+ * @param {Map} valueDigests - MSO valueDigests
+ * @param {string} digestAlgorithm - Node digest name
+ * @returns {{elements?: object, error?: string}} Disclosed elements keyed as "namespace.element"
+ */
+function verifyIssuerSignedItems(nameSpaces, valueDigests, digestAlgorithm) {
+  const elements = {};
+
+  for (const [nameSpace, items] of nameSpaces) {
+    const digests = valueDigests.get(nameSpace);
+
+    if (!digests) {
+      return { error: `No valueDigests for namespace ${nameSpace}` };
+    }
+
+    for (const itemBytes of items) {
+      if (!(itemBytes instanceof Tagged) || itemBytes.tag !== TAG_ENCODED_CBOR) {
+        return { error: `IssuerSignedItem in ${nameSpace} is not tagged CBOR` };
+      }
+
+      const item = decodeEmbedded(itemBytes);
+      const expected = digests.get(item.get('digestID'));
+      const actual = crypto.createHash(digestAlgorithm).update(encode(itemBytes)).digest();
+
+      if (!expected || expected.length !== actual.length ||
+          !crypto.timingSafeEqual(Buffer.from(expected), actual)) {
+        return { error: `Digest mismatch for ${nameSpace}.${item.get('elementIdentifier')}` };
+      }
+
+      elements[`${nameSpace}.${item.get('elementIdentifier')}`] = item.get('elementValue');
+    }
+  }
+
+  return { elements };
+}
+
+/**
+ * Verify DeviceSignature or DeviceMac over DeviceAuthenticationBytes
+ * @param {Map} deviceSigned
+ * @param {object} context
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+async function verifyDeviceAuth(deviceSigned, { docType, deviceKey, sessionTranscript, sessionTranscriptBytes, deriveSharedSecret }) {
+  if (!(deviceSigned instanceof Map)) {
+    return 'DeviceSigned missing';
+  }
+
+  const deviceNameSpacesBytes = deviceSigned.get('nameSpaces');
+  const deviceAuth = deviceSigned.get('deviceAuth');
+
+  // DeviceAuthenticationBytes = #6.24(bstr .cbor DeviceAuthentication)
+  const deviceAuthenticationBytes = encode(new Tagged(TAG_ENCODED_CBOR, encode([
+    'DeviceAuthentication',
+    sessionTranscript,
+    docType,
+    deviceNameSpacesBytes
+  ])));
+
+  if (deviceAuth.has('deviceSignature')) {
+    const valid = verifySign1(deviceAuth.get('deviceSignature'), deviceKey, {
+      detachedPayload: deviceAuthenticationBytes
+    });
+    return valid ? null : 'DeviceSignature invalid';
+  }
+
+  if (deviceAuth.has('deviceMac')) {
+    if (!deriveSharedSecret) {
+      return 'DeviceMac requires the reader key';
+    }
+
+    // EMacKey = HKDF-SHA-256(ECDH(EReaderKey, SDeviceKey), SHA-256(SessionTranscriptBytes), "EMacKey")
+    const sharedSecret = await deriveSharedSecret(deviceKey.export({ format: 'jwk' }));
+    const salt = crypto.createHash('sha256')
+      .update(encode(new Tagged(TAG_ENCODED_CBOR, sessionTranscriptBytes)))
+      .digest();
+    const macKey = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, salt, 'EMacKey', 32));
+
+    const valid = verifyMac0(deviceAuth.get('deviceMac'), macKey, {
+      detachedPayload: deviceAuthenticationBytes
+    });
+    return valid ? null : 'DeviceMac invalid';
+  }
+
+  return 'DeviceAuth has neither deviceSignature nor deviceMac';
+}
+
+/**
+ * Convert a CBOR tdate (tag 0) into a Date
+ * @param {*} value
+ * @returns {Date|null} null unless value is a tdate holding a valid date-time
+ */
+function toDate(value) {
+  if (!(value instanceof Tagged) || value.tag !== 0 || typeof value.value !== 'string') {
+    return null;
+  }
+  const date = new Date(value.value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export { MDL_DOCTYPE };
@@ -0,0 +1,217 @@
+/**
+ * Longfellow ZK mdoc presentations (mso_mdoc_zk)
+ * The wallet proves in zero knowledge that the requested mDL elements were
+ * signed by the issuer, without revealing the MSO or any other element. Each
+ * Longfellow circuit proves a fixed number of attributes, so the verifier
+ * advertises the circuit specs (zk_system_type) that fit the request and the
+ * wallet answers with a ZK DeviceResponse naming the spec it proved with:
+ *
+ *   DeviceResponse = { version, status, zkDocuments: [ZkDocument] }
+ *   ZkDocument     = { documentData: #6.24(bstr .cbor ZkDocumentData), proof: bstr }
+ *   ZkDocumentData = { docType, zkSystemSpecId, timestamp,
+ *                      issuerSigned: { namespace => [{ elementIdentifier, elementValue }] },
+ *                      msoX5chain }
+ */
+
+import fs from 'fs/promises';
+import { decode, decodeEmbedded, Tagged, TAG_ENCODED_CBOR } from '../common/cbor.js';
+import { MDL_DOCTYPE } from './mdoc.js';
+
+const LONGFELLOW_ZK_SPECS = process.env.LONGFELLOW_ZK_SPECS;
+
+let specsPromise = null;
+
+/**
+ * Load (once) and return the Longfellow circuit specs from LONGFELLOW_ZK_SPECS
+ * @returns {Promise<Array<{id: string, system: string, circuit_hash: string, num_attributes: number}>>}
+ */
+export async function getZkSpecs() {
+  if (!specsPromise) {
+    specsPromise = loadZkSpecs().catch(error => {
+      specsPromise = null;
+      throw error;
+    });
+  }
+  return await specsPromise;
+}
+
+/**
+ * Load Longfellow circuit specs
+ *
+ * The file lists the circuits the Longfellow deployment has loaded, in the
+ * DCQL zk_system_type form:
+ *   [
+ *     { "system": "longfellow-libzk-v1", "circuit_hash": "3b9d2a7c...", "num_attributes": 1, "version": 1 }
+ *   ]
+ * A spec is identified by its id, which defaults to its circuit_hash.
+ *
+ * @param {string} [specsPath] - Specs JSON path; no specs when unset
+ * @returns {Promise<Array<{id: string, system: string, circuit_hash: string, num_attributes: number}>>}
+ */
+export async function loadZkSpecs(specsPath = LONGFELLOW_ZK_SPECS) {
+  if (!specsPath) {
+    return [];
+  }
+
+  const specs = JSON.parse(await fs.readFile(specsPath, 'utf-8'));
+
+  if (!Array.isArray(specs)) {
+    throw new Error(`${specsPath} must contain an array of zk_system_type specs`);
+  }
+
+  return specs.map(spec => {
+    if (typeof spec?.system !== 'string' || typeof spec.circuit_hash !== 'string' ||
+        !Number.isInteger(spec.num_attributes) || spec.num_attributes < 1) {
+      throw new Error(`Invalid Longfellow circuit spec in ${specsPath}: ${JSON.stringify(spec)}`);
+    }
+    return { id: spec.circuit_hash, ...spec };
+  });
+}
+
+/**
+ * Circuit specs that can prove a given number of attributes
+ * @param {number} numAttributes
+ * @returns {Promise<Array<object>>}
+ */
+export async function getZkSpecsFor(numAttributes) {
+  return (await getZkSpecs()).filter(spec => spec.num_attributes === numAttributes);
+}
+
+/**
+ * Whether a vp_token is a ZK DeviceResponse (has zkDocuments)
+ * @param {string|Uint8Array} deviceResponse - base64url string or raw CBOR bytes
+ * @returns {boolean}
+ */
+export function isZkDeviceResponse(deviceResponse) {
+  try {
+    const response = decode(toBytes(deviceResponse));
+    return response instanceof Map && response.has('zkDocuments');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parse a ZK DeviceResponse
+ * Nothing here is trusted until Longfellow has verified the proof over it
+ * @param {string|Uint8Array} deviceResponse - base64url string or raw CBOR bytes
+ * @param {object} [options]
+ * @param {string} [options.docType] - Expected docType
+ * @returns {{valid: boolean, document?: {docType: string, zkSpecId: string, timestamp: string, attributes: Array<{namespace: string, identifier: string, value: *}>, x5chain: Array<Buffer>, proof: Buffer}, error?: string}}
+ */
+export function parseZkDeviceResponse(deviceResponse, { docType = MDL_DOCTYPE } = {}) {
+  try {
+    const response = decode(toBytes(deviceResponse));
+
+    if (!(response instanceof Map)) {
+      return { valid: false, error: 'DeviceResponse is not a CBOR map' };
+    }
+
+    if (response.get('status') !== 0) {
+      return { valid: false, error: `DeviceResponse status ${response.get('status')}` };
+    }
+
+    const zkDocument = (response.get('zkDocuments') || [])
+      .map(document => ({ data: embedded(document.get('documentData')), proof: document.get('proof') }))
+      .find(({ data }) => data.get('docType') === docType);
+
+    if (!zkDocument) {
+      return { valid: false, error: `No ${docType} document in ZK DeviceResponse` };
+    }
+
+    const { data, proof } = zkDocument;
+
+    if (!(proof instanceof Uint8Array) || proof.length === 0) {
+      return { valid: false, error: 'ZK document has no proof' };
+    }
+
+    const attributes = [];
+    for (const [namespace, items] of data.get('issuerSigned') || new Map()) {
+      for (const item of items) {
+        attributes.push({
+          namespace,
+          identifier: item.get('elementIdentifier'),
+          value: item.get('elementValue')
+        });
+      }
+    }
+
+    // COSE_X509: a single certificate or an array, Document Signer first
+    const msoX5chain = data.get('msoX5chain');
+    const x5chain = (Array.isArray(msoX5chain) ? msoX5chain : msoX5chain ? [msoX5chain] : [])
+      .map(certificate => Buffer.from(certificate));
+
+    const timestamp = data.get('timestamp');
+
+    return {
+      valid: true,
+      document: {
+        docType,
+        zkSpecId: data.get('zkSystemSpecId'),
+        timestamp: timestamp instanceof Tagged ? timestamp.value : timestamp,
+        attributes,
+        x5chain,
+        proof: Buffer.from(proof)
+      }
+    };
+
+  } catch (error) {
+    return {
+      valid: false,
+      error: `Malformed ZK DeviceResponse: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Check that a ZK proof covers exactly the requested attributes
+ * Circuits reveal every attribute they prove, so anything extra is PII the
+ * verifier did not ask for, and anything missing was not proven
+ * @param {Array<{namespace: string, identifier: string}>} attributes - Attributes the proof discloses
+ * @param {Array<Array<string>>} requestedPaths - DCQL claim paths ([namespace, element])
+ * @returns {string|null} Error message, or null when they match
+ */
+export function checkProvenAttributes(attributes, requestedPaths) {
+  const requested = requestedPaths.map(([namespace, identifier]) => `${namespace}.${identifier}`);
+  const proven = attributes.map(({ namespace, identifier }) => `${namespace}.${identifier}`);
+
+  const duplicate = proven.find((name, index) => proven.indexOf(name) !== index);
+  if (duplicate) {
+    return `ZK proof discloses ${duplicate} more than once`;
+  }
+
+  const missing = requested.filter(name => !proven.includes(name));
+  if (missing.length > 0) {
+    return `Requested attributes not proven: ${missing.join(', ')}`;
+  }
+
+  const extra = proven.filter(name => !requested.includes(name));
+  if (extra.length > 0) {
+    return `Attributes proven but not requested: ${extra.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * @param {string|Uint8Array} deviceResponse
+ * @returns {Uint8Array}
+ */
+function toBytes(deviceResponse) {
+  return typeof deviceResponse === 'string'
+    ? Buffer.from(deviceResponse, 'base64url')
+    : deviceResponse;
+}
+
+/**
+ * ZkDocumentData is embedded CBOR (#6.24); a plain map is accepted too
+ * @param {Tagged|Map} value
+ * @returns {Map}
+ */
+function embedded(value) {
+  const data = value instanceof Tagged && value.tag === TAG_ENCODED_CBOR ? decodeEmbedded(value) : value;
+  if (!(data instanceof Map)) {
+    throw new Error('ZkDocumentData is not a CBOR map');
+  }
+  return data;
+}
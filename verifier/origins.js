@@ -0,0 +1,60 @@
+/**
+ * Allowed verifier origins
+ * Sessions are bound to the web origin that requested them (the
+ * SessionTranscript origin), so only configured origins may open sessions or
+ * call the verification endpoints cross-origin. Without configuration, any
+ * origin is accepted outside production mode.
+ */
+
+import { getVerifierMode } from '../common/mode.js';
+
+/**
+ * Origins configured with VERIFIER_ORIGIN and VERIFIER_ALLOWED_ORIGINS
+ * @returns {Array<string>}
+ */
+export function getAllowedOrigins() {
+  return [process.env.VERIFIER_ORIGIN, ...(process.env.VERIFIER_ALLOWED_ORIGINS || '').split(',')]
+    .map(origin => origin?.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Whether a request from this origin may use the verifier
+ * @param {string} [origin] - Origin header
+ * @returns {boolean}
+ */
+export function isAllowedOrigin(origin) {
+  const allowed = getAllowedOrigins();
+
+  if (allowed.length === 0) {
+    return getVerifierMode() !== 'production';
+  }
+
+  return Boolean(origin) && allowed.includes(origin);
+}
+
+/**
+ * Pick the origin a new session is bound to
+ * A request without an Origin header (not from a browser) gets VERIFIER_ORIGIN
+ * @param {string} [requestOrigin] - Origin header
+ * @returns {{origin?: string, error?: string, status?: number}} status is the HTTP status to fail with
+ */
+export function resolveSessionOrigin(requestOrigin) {
+  const allowed = getAllowedOrigins();
+
+  if (allowed.length === 0 && getVerifierMode() === 'production') {
+    return { error: 'VERIFIER_ORIGIN or VERIFIER_ALLOWED_ORIGINS must be configured in production mode', status: 403 };
+  }
+
+  if (!requestOrigin) {
+    return process.env.VERIFIER_ORIGIN
+      ? { origin: process.env.VERIFIER_ORIGIN }
+      : { error: 'Unable to determine request origin', status: 400 };
+  }
+
+  if (!isAllowedOrigin(requestOrigin)) {
+    return { error: `Origin ${requestOrigin} is not allowed`, status: 403 };
+  }
+
+  return { origin: requestOrigin };
+}
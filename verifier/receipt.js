@@ -0,0 +1,59 @@
+/**
+ * Verification receipts
+ * A receipt is a short-lived JWS, signed by the verifier, recording the outcome
+ * of one verification session. The issuer requires one before /authorize.
+ */
+
+import crypto from 'crypto';
+import { signReceiptJwt } from './keys.js';
+
+const RECEIPT_TTL = parseInt(process.env.RECEIPT_TTL || '300'); // 5 minutes
+const RECEIPT_TYPE = 'verification-receipt+jwt';
+
+/**
+ * Identifier the verifier signs receipts as (iss)
+ * @returns {string}
+ */
+export function getReceiptIssuer() {
+  return process.env.VERIFIER_URL || `http://localhost:${process.env.PORT || 3000}`;
+}
+
+/**
+ * Issue a signed receipt for a successful verification
+ * @param {object} result
+ * @param {string} result.sessionId - Verification session the receipt is for
+ * @param {object} result.predicates - Verified predicates
+ * @param {object} [result.trust] - Issuer trust decision
+ * @param {boolean} [result.mock] - Result came from a mock source
+ * @returns {Promise<{receipt: string, receiptId: string, expiresIn: number}>}
+ */
+export async function issueVerificationReceipt({ sessionId, predicates, trust, mock }) {
+  const receiptId = crypto.randomUUID();
+  const now = Math.floor(Date.now() / 1000);
+
+  const receipt = await signReceiptJwt({ typ: RECEIPT_TYPE }, {
+    predicates,
+    ...(trust && {
+      trust: {
+        jurisdiction: trust.jurisdiction,
+        policyVersion: trust.policyVersion
+      }
+    }),
+    ...(mock && { mock: true }),
+    iss: getReceiptIssuer(),
+    sub: sessionId,
+    jti: receiptId,
+    iat: now,
+    exp: now + RECEIPT_TTL,
+    // Bind the receipt to the issuer that will redeem it, when configured
+    ...(process.env.RECEIPT_AUDIENCE && { aud: process.env.RECEIPT_AUDIENCE })
+  });
+
+  return {
+    receipt,
+    receiptId,
+    expiresIn: RECEIPT_TTL
+  };
+}
+
+export { RECEIPT_TTL, RECEIPT_TYPE };
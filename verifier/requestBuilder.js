@@ -0,0 +1,113 @@
+/**
+ * OID4VP request builder for the Digital Credentials API
+ * Builds the DCQL query and request payload on the server side
+ */
+
+const MDL_DOCTYPE = 'org.iso.18013.5.1.mDL';
+const MDL_NAMESPACE = 'org.iso.18013.5.1';
+
+// Claims requested when the caller does not ask for specific ones
+const DEFAULT_CLAIMS = ['age_over_21'];
+
+// mDL presentation formats: plain mdoc, or a Longfellow ZK proof over it
+const MDL_FORMATS = ['mso_mdoc', 'mso_mdoc_zk'];
+
+// DCQL credential query id and claims for derived VC presentations
+const DERIVED_VC_QUERY_ID = 'derived_vc';
+const DEFAULT_DERIVED_CLAIMS = ['over21'];
+
+/**
+ * Build a DCQL query for an mDL
+ * @param {object} [options]
+ * @param {Array<string>} [options.claims] - mDL element identifiers to request
+ * @param {string} [options.format] - 'mso_mdoc' (default) or 'mso_mdoc_zk' (Longfellow ZK proof)
+ * @param {Array<object>} [options.zkSpecs] - Longfellow circuit specs the wallet may prove with (mso_mdoc_zk)
+ * @returns {object} DCQL query
+ */
+export function buildDcqlQuery({ claims = DEFAULT_CLAIMS, format = 'mso_mdoc', zkSpecs = [] } = {}) {
+  return {
+    credentials: [{
+      id: 'mdl',
+      format,
+      meta: {
+        doctype_value: MDL_DOCTYPE,
+        ...(format === 'mso_mdoc_zk' && { zk_system_type: zkSpecs })
+      },
+      claims: claims.map(claim => ({ path: [MDL_NAMESPACE, claim] }))
+    }]
+  };
+}
+
+/**
+ * Build the DC-API request for a verification session
+ * @param {object} session - Verification session from the session store
+ * @param {object} readerPublicJwk - Reader public key for response encryption
+ * @returns {{protocol: string, data: object}} Request for navigator.credentials.get
+ */
+export function buildDcApiRequest(session, readerPublicJwk) {
+  return {
+    protocol: 'openid4vp-v1-unsigned',
+    data: {
+      response_type: 'vp_token',
+      response_mode: 'dc_api.jwt',
+      nonce: session.nonce,
+      client_id: session.clientId,
+      client_metadata: {
+        jwks: { keys: [readerPublicJwk] }
+      },
+      dcql_query: session.dcqlQuery
+    }
+  };
+}
+
+/**
+ * Build a DCQL query for a derived VC
+ * @param {object} options
+ * @param {string} [options.format] - 'dc+sd-jwt' (default) or 'ldp_vc' (BBS Data Integrity)
+ * @param {string} [options.vct] - Accepted SD-JWT VC type
+ * @param {Array<string>} [options.types] - Accepted W3C VC types (ldp_vc)
+ * @param {Array<string>} [options.claims] - Derived claim names to request
+ * @returns {object} DCQL query
+ */
+export function buildDerivedVcQuery({ format = 'dc+sd-jwt', vct, types, claims = DEFAULT_DERIVED_CLAIMS }) {
+  if (format === 'ldp_vc') {
+    return {
+      credentials: [{
+        id: DERIVED_VC_QUERY_ID,
+        format: 'ldp_vc',
+        meta: { type_values: [types] },
+        claims: claims.map(claim => ({ path: ['credentialSubject', claim] }))
+      }]
+    };
+  }
+
+  return {
+    credentials: [{
+      id: DERIVED_VC_QUERY_ID,
+      format: 'dc+sd-jwt',
+      meta: { vct_values: [vct] },
+      claims: claims.map(claim => ({ path: [claim] }))
+    }]
+  };
+}
+
+/**
+ * Build an OID4VP direct_post request for a derived VC session
+ * The holder POSTs vp_token and state to response_uri
+ * @param {object} session - Verification session from the session store
+ * @param {string} responseUri - Endpoint the presentation is posted to
+ * @returns {object} Authorization request parameters
+ */
+export function buildDirectPostRequest(session, responseUri) {
+  return {
+    response_type: 'vp_token',
+    response_mode: 'direct_post',
+    response_uri: responseUri,
+    client_id: session.clientId,
+    nonce: session.nonce,
+    state: session.id,
+    dcql_query: session.dcqlQuery
+  };
+}
+
+export { DEFAULT_CLAIMS, DEFAULT_DERIVED_CLAIMS, DERIVED_VC_QUERY_ID, MDL_DOCTYPE, MDL_FORMATS, MDL_NAMESPACE };
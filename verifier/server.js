@@ -7,15 +7,105 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { verifyPresentation } from './verifyPresentation.js';
-import { getReaderKeys } from './keys.js';
+import { getLongfellowClient } from './longfellowClient.js';
+import { getReaderKeys, getReaderJwks, getReceiptJwks } from './keys.js';
+import { issueVerificationReceipt } from './receipt.js';
+import { createVerificationSession, consumeVerificationSession, SESSION_TTL } from './sessionStore.js';
+import { buildDcqlQuery, buildDcApiRequest, buildDerivedVcQuery, buildDirectPostRequest, DEFAULT_CLAIMS, MDL_FORMATS } from './requestBuilder.js';
+import { getZkSpecsFor } from './mdocZk.js';
+import { verifyDerivedPresentation, DERIVED_VC_TYPE, DERIVED_VC_FORMATS, BBS_CREDENTIAL_TYPE } from './derivedVc.js';
+import { resolveSessionOrigin, isAllowedOrigin, getAllowedOrigins } from './origins.js';
+import { getVerifierMode, getForcedMockSources } from '../common/mode.js';
 
 dotenv.config();
 
+// Refuse to start in production with any mock source forced on
+const VERIFIER_MODE = getVerifierMode();
+const mockSources = getForcedMockSources();
+
+if (VERIFIER_MODE === 'production' && mockSources.length > 0) {
+  console.error(`❌ Refusing to start: mock sources active in production mode (${mockSources.join(', ')})`);
+  console.error('   Unset the *_MOCK flags or set VERIFIER_MODE=development');
+  process.exit(1);
+}
+
 const app = express();
 const PORT = process.env.PORT || 3000;
+const VERIFIER_URL = process.env.VERIFIER_URL || `http://localhost:${PORT}`;
+
+// Session endpoints answer only the configured origins; the rest is public
+const sessionCors = cors({ origin: (origin, callback) => callback(null, isAllowedOrigin(origin)) });
+app.use(['/api/request', '/api/verify', '/api/vc/request'], sessionCors);
+app.use(['/api/vc/verify', '/api/reader-jwks', '/api/receipt-jwks', '/health', '/metrics'], cors());
 
-app.use(cors());
 app.use(express.json());
+// OID4VP direct_post responses are form-encoded
+app.use(express.urlencoded({ extended: false }));
+
+/**
+ * POST /api/request
+ * Creates a verification session and returns the DC-API request payload
+ */
+app.post('/api/request', async (req, res) => {
+  try {
+    const { claims = DEFAULT_CLAIMS, format = 'mso_mdoc' } = req.body || {};
+
+    if (!MDL_FORMATS.includes(format)) {
+      return res.status(400).json({
+        ok: false,
+        error: `format must be one of: ${MDL_FORMATS.join(', ')}`
+      });
+    }
+
+    if (!Array.isArray(claims) || claims.length === 0 || !claims.every(c => typeof c === 'string') ||
+        new Set(claims).size !== claims.length) {
+      return res.status(400).json({
+        ok: false,
+        error: 'claims must be a non-empty array of distinct mDL element identifiers'
+      });
+    }
+
+    // ZK: offer the Longfellow circuits that prove exactly this many attributes
+    const zkSpecs = format === 'mso_mdoc_zk' ? await getZkSpecsFor(claims.length) : [];
+    if (format === 'mso_mdoc_zk' && zkSpecs.length === 0) {
+      return res.status(400).json({
+        ok: false,
+        error: `No Longfellow circuit configured for ${claims.length} attribute(s) (LONGFELLOW_ZK_SPECS)`
+      });
+    }
+
+    const { origin, error: originError, status } = resolveSessionOrigin(req.get('origin'));
+    if (!origin) {
+      return res.status(status).json({
+        ok: false,
+        error: originError
+      });
+    }
+
+    const { publicJwk } = await getReaderKeys();
+
+    const session = createVerificationSession({
+      clientId: process.env.VERIFIER_CLIENT_ID || origin,
+      origin,
+      dcqlQuery: buildDcqlQuery({ claims, format, zkSpecs }),
+      readerPublicJwk: publicJwk
+    });
+
+    return res.json({
+      ok: true,
+      sessionId: session.id,
+      request: buildDcApiRequest(session, publicJwk),
+      expires_in: SESSION_TTL
+    });
+
+  } catch (error) {
+    console.error('Request creation error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: error.message
+    });
+  }
+});
 
 /**
  * POST /api/verify
@@ -23,8 +113,15 @@ app.use(express.json());
  */
 app.post('/api/verify', async (req, res) => {
   try {
-    const { response: jwe } = req.body;
-    
+    const { response: jwe, sessionId } = req.body;
+
+    if (!isAllowedOrigin(req.get('origin') || process.env.VERIFIER_ORIGIN)) {
+      return res.status(403).json({
+        ok: false,
+        error: 'Origin not allowed'
+      });
+    }
+
     if (!jwe) {
       return res.status(400).json({ 
         ok: false, 
@@ -32,22 +129,62 @@ app.post('/api/verify', async (req, res) => {
       });
     }
 
-    // Verify the presentation via Longfellow
-    const result = await verifyPresentation(jwe);
+    if (!sessionId) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Missing sessionId in request body'
+      });
+    }
+
+    // Each session answers exactly one response (replay protection)
+    const { session, error } = consumeVerificationSession(sessionId);
+    if (!session) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Invalid verification session',
+        details: error
+      });
+    }
+
+    // Verify the presentation and its issuer
+    const result = await verifyPresentation(jwe, session);
+
+    // ZK backend down: not the presentation's fault, so the client may retry
+    // with a new session once Longfellow is back
+    if (result.code === 'zk_backend_unavailable') {
+      if (result.retryAfter) {
+        res.set('Retry-After', String(result.retryAfter));
+      }
+      return res.status(503).json({
+        ok: false,
+        error: 'ZK verification backend unavailable',
+        code: result.code,
+        details: result.error
+      });
+    }
 
     if (!result.valid) {
       return res.status(400).json({ 
         ok: false, 
         error: 'Verification failed',
-        details: result.error 
+        code: result.code || 'verification_failed',
+        details: result.error,
+        ...(result.reasons && { reasons: result.reasons })
       });
     }
 
+    // Signed receipt the issuer requires before issuing a derived credential
+    const { receipt, expiresIn } = await issueVerificationReceipt(result);
+
     // Return minimal predicate outcomes (not raw PII)
     return res.json({
       ok: true,
       predicates: result.predicates,
+      trust: result.trust,
       sessionId: result.sessionId,
+      receipt,
+      receipt_expires_in: expiresIn,
+      ...(result.mock && { mock: true }),
       timestamp: new Date().toISOString()
     });
 
@@ -61,15 +198,128 @@ app.post('/api/verify', async (req, res) => {
 });
 
 /**
- * GET /api/reader-jwks
- * Returns the reader's public JWK for embedding in DC-API requests
+ * POST /api/vc/request
+ * Creates a derived VC verification session and returns the OID4VP
+ * direct_post request a holder answers with an SD-JWT+KB presentation
+ * (or a derived BBS credential for format ldp_vc)
  */
-app.get('/api/reader-jwks', async (req, res) => {
+app.post('/api/vc/request', async (req, res) => {
   try {
-    const { publicJwk } = await getReaderKeys();
+    const { claims, format = 'dc+sd-jwt' } = req.body || {};
+
+    if (!DERIVED_VC_FORMATS.includes(format)) {
+      return res.status(400).json({
+        ok: false,
+        error: `format must be one of: ${DERIVED_VC_FORMATS.join(', ')}`
+      });
+    }
+
+    if (claims !== undefined &&
+        (!Array.isArray(claims) || claims.length === 0 || !claims.every(c => typeof c === 'string'))) {
+      return res.status(400).json({
+        ok: false,
+        error: 'claims must be a non-empty array of derived claim names'
+      });
+    }
+
+    const { origin, error: originError, status } = resolveSessionOrigin(req.get('origin'));
+    if (!origin) {
+      return res.status(status).json({
+        ok: false,
+        error: originError
+      });
+    }
+
+    const responseUri = `${VERIFIER_URL}/api/vc/verify`;
+
+    const session = createVerificationSession({
+      type: 'derived_vc',
+      clientId: process.env.VERIFIER_CLIENT_ID || `redirect_uri:${responseUri}`,
+      origin,
+      dcqlQuery: buildDerivedVcQuery({
+        format,
+        vct: DERIVED_VC_TYPE,
+        types: ['VerifiableCredential', BBS_CREDENTIAL_TYPE],
+        claims
+      })
+    });
+
     return res.json({
-      keys: [publicJwk]
+      ok: true,
+      sessionId: session.id,
+      request: buildDirectPostRequest(session, responseUri),
+      expires_in: SESSION_TTL
+    });
+
+  } catch (error) {
+    console.error('Derived VC request creation error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/vc/verify
+ * OID4VP direct_post response_uri: accepts vp_token and state (the sessionId)
+ */
+app.post('/api/vc/verify', async (req, res) => {
+  try {
+    const { vp_token: vpToken, state } = req.body || {};
+
+    if (!vpToken || !state) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Missing vp_token or state in request body'
+      });
+    }
+
+    // Each session answers exactly one response (replay protection)
+    const { session, error } = consumeVerificationSession(state, 'derived_vc');
+    if (!session) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Invalid verification session',
+        details: error
+      });
+    }
+
+    const result = await verifyDerivedPresentation(vpToken, session);
+
+    if (!result.valid) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Verification failed',
+        code: result.code,
+        details: result.error
+      });
+    }
+
+    return res.json({
+      ok: true,
+      claims: result.claims,
+      issuer: result.issuer,
+      sessionId: session.id,
+      timestamp: new Date().toISOString()
     });
+
+  } catch (error) {
+    console.error('Derived VC verification error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/reader-jwks
+ * Returns the reader's current and next public JWKs (requests embed the current one)
+ */
+app.get('/api/reader-jwks', async (req, res) => {
+  try {
+    return res.json(await getReaderJwks());
   } catch (error) {
     console.error('Error retrieving reader keys:', error);
     return res.status(500).json({ 
@@ -78,6 +328,21 @@ app.get('/api/reader-jwks', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/receipt-jwks
+ * Returns the public key(s) verification receipts are signed with
+ */
+app.get('/api/receipt-jwks', async (req, res) => {
+  try {
+    return res.json(await getReceiptJwks());
+  } catch (error) {
+    console.error('Error retrieving receipt keys:', error);
+    return res.status(500).json({ 
+      error: 'Failed to retrieve receipt keys' 
+    });
+  }
+});
+
 /**
  * GET /health
  * Health check endpoint
@@ -86,15 +351,38 @@ app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok',
     service: 'zk-mdl-kit-verifier',
+    mode: VERIFIER_MODE,
+    longfellow: getLongfellowClient().getMetrics().circuit.state,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /metrics
+ * Longfellow client metrics: request counts, latency, error rate, circuit state
+ */
+app.get('/metrics', (req, res) => {
+  res.json({
+    longfellow: getLongfellowClient().getMetrics(),
     timestamp: new Date().toISOString()
   });
 });
 
 app.listen(PORT, () => {
-  console.log(`🔐 Verifier service running on http://localhost:${PORT}`);
+  console.log(`🔐 Verifier service running on http://localhost:${PORT} (${VERIFIER_MODE} mode)`);
+  if (mockSources.length > 0) {
+    console.warn(`⚠️  Mock sources active: ${mockSources.join(', ')}`);
+  }
+  if (VERIFIER_MODE === 'production' && getAllowedOrigins().length === 0) {
+    console.warn('⚠️  VERIFIER_ORIGIN / VERIFIER_ALLOWED_ORIGINS not set: verification requests will be refused');
+  }
   console.log(`📋 Health check: http://localhost:${PORT}/health`);
+  console.log(`📈 Metrics: http://localhost:${PORT}/metrics`);
   console.log(`🔑 Reader JWKS: http://localhost:${PORT}/api/reader-jwks`);
+  console.log(`🧾 Receipt JWKS: http://localhost:${PORT}/api/receipt-jwks`);
+  console.log(`📝 Request endpoint: POST http://localhost:${PORT}/api/request`);
   console.log(`✅ Verify endpoint: POST http://localhost:${PORT}/api/verify`);
+  console.log(`🎟️  Derived VC endpoints: POST http://localhost:${PORT}/api/vc/request, /api/vc/verify`);
 });
 
 export default app;
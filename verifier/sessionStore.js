@@ -0,0 +1,68 @@
+/**
+ * Verification session store
+ * Tracks OID4VP requests issued by the verifier so responses can be bound to them
+ */
+
+import crypto from 'crypto';
+
+const SESSION_TTL = parseInt(process.env.VERIFICATION_SESSION_TTL || '300'); // 5 minutes
+
+// In-memory session store (use Redis/DB in production)
+const sessions = new Map();
+
+/**
+ * Create a new verification session
+ * @param {object} options
+ * @param {string} options.clientId - Verifier client_id sent to the wallet
+ * @param {string} options.origin - Web origin the DC-API request is made from
+ * @param {object} options.dcqlQuery - DCQL query sent to the wallet
+ * @param {object} [options.readerPublicJwk] - Reader key the response is encrypted to
+ * @param {string} [options.type] - 'mdl' (DC-API mDL request) or 'derived_vc' (SD-JWT VC over direct_post)
+ * @returns {{id: string, type: string, nonce: string, clientId: string, origin: string, dcqlQuery: object, readerPublicJwk: object, createdAt: number, expiresAt: number}}
+ */
+export function createVerificationSession({ clientId, origin, dcqlQuery, readerPublicJwk, type = 'mdl' }) {
+  const now = Date.now();
+  const session = {
+    id: crypto.randomUUID(),
+    type,
+    nonce: crypto.randomBytes(32).toString('base64url'),
+    clientId,
+    origin,
+    dcqlQuery,
+    readerPublicJwk,
+    createdAt: now,
+    expiresAt: now + SESSION_TTL * 1000
+  };
+
+  sessions.set(session.id, session);
+
+  // Auto-expire
+  setTimeout(() => sessions.delete(session.id), SESSION_TTL * 1000).unref();
+
+  return session;
+}
+
+/**
+ * Consume a verification session (single use)
+ * The session is removed whether or not it is still valid
+ * @param {string} sessionId
+ * @param {string} [type] - Session type the response is for
+ * @returns {{session?: object, error?: string}}
+ */
+export function consumeVerificationSession(sessionId, type = 'mdl') {
+  const session = sessions.get(sessionId);
+
+  if (!session || session.type !== type) {
+    return { error: 'Unknown or already used verification session' };
+  }
+
+  sessions.delete(sessionId);
+
+  if (Date.now() > session.expiresAt) {
+    return { error: 'Verification session expired' };
+  }
+
+  return { session };
+}
+
+export { SESSION_TTL };
@@ -4,50 +4,87 @@
  */
 
 import crypto from 'crypto';
+import { calculateJwkThumbprint } from 'jose';
+import { encode } from '../common/cbor.js';
+
+const HANDOVER_NAME = 'OpenID4VPDCAPIHandover';
 
 /**
- * Build ISO 18013-5 SessionTranscript for OID4VP web handover
+ * Build the OpenID4VP DC API SessionTranscript (OpenID4VP 1.0, Appendix B.2.6.2)
+ *
+ *   SessionTranscript = [null, null, OpenID4VPDCAPIHandover]
+ *   OpenID4VPDCAPIHandover = ["OpenID4VPDCAPIHandover", OpenID4VPDCAPIHandoverInfoHash]
+ *   OpenID4VPDCAPIHandoverInfoHash = SHA-256(CBOR([origin, nonce, jwkThumbprint]))
+ *
+ * Spec example: origin "https://example.com", nonce "exc7gBkxjx1rdc9udRrveKvSsJIq80avlXeLHhGwqtA"
+ * and thumbprint 4283ec92...bd669047 give the info hash fbece366...daab761a.
+ *
  * @param {string} nonce - Session nonce from OID4VP request
- * @param {string} audience - Verifier audience/client_id
- * @param {object} envelope - Decrypted envelope for additional context
- * @returns {Array} SessionTranscript array
+ * @param {string} origin - Web origin the request was made from
+ * @param {object|null} readerPublicJwk - Verifier encryption key (dc_api.jwt), or null if the response is unencrypted
+ * @returns {Promise<{transcript: Array, bytes: Buffer, json: Array}>}
+ *   transcript - CBOR-ready structure, bytes - exact CBOR encoding wallets sign over,
+ *   json - JSON-safe form (byte strings as base64url) for the Longfellow service
  */
-export function buildSessionTranscript(nonce, audience, envelope = {}) {
-  // ISO 18013-5 SessionTranscript for web handover mode
-  // Format: [DeviceEngagementBytes, EReaderKeyBytes, Handover]
-  
-  // For OID4VP DC-API handover, the structure is:
-  // [null, null, ["OpenID4VPDCAPIHandover", clientIdHash, nonceHash, responseUriHash]]
-  
-  const handover = [
-    "OpenID4VPDCAPIHandover",
-    hashValue(audience), // client_id hash
-    hashValue(nonce),    // nonce hash
-    null                 // response_uri hash (optional)
-  ];
+export async function buildSessionTranscript(nonce, origin, readerPublicJwk = null) {
+  if (!nonce || !origin) {
+    throw new Error('SessionTranscript requires nonce and origin');
+  }
+
+  const jwkThumbprint = readerPublicJwk
+    ? Buffer.from(await calculateJwkThumbprint(readerPublicJwk, 'sha256'), 'base64url')
+    : null;
 
-  return [
+  const handoverInfo = encodeHandoverInfo(origin, nonce, jwkThumbprint);
+  const handoverInfoHash = crypto.createHash('sha256').update(handoverInfo).digest();
+
+  const transcript = [
     null,    // DeviceEngagementBytes (null for web)
     null,    // EReaderKeyBytes (null for web)
-    handover
+    [HANDOVER_NAME, handoverInfoHash]
   ];
+
+  return {
+    transcript,
+    bytes: encode(transcript),
+    json: toTranscriptJSON(transcript)
+  };
 }
 
 /**
- * Hash a value for SessionTranscript
- * @param {string} value 
- * @returns {string} Base64-encoded SHA-256 hash
+ * CBOR-encode OpenID4VPDCAPIHandoverInfo
+ * @param {string} origin
+ * @param {string} nonce
+ * @param {Buffer|null} jwkThumbprint - SHA-256 JWK thumbprint bytes
+ * @returns {Buffer}
  */
-function hashValue(value) {
-  if (!value) return null;
-  return crypto.createHash('sha256')
-    .update(value, 'utf-8')
-    .digest('base64');
+export function encodeHandoverInfo(origin, nonce, jwkThumbprint) {
+  return encode([origin, nonce, jwkThumbprint]);
+}
+
+/**
+ * Convert a SessionTranscript to its JSON form
+ * Byte strings become base64url strings
+ * @param {Array} transcript
+ * @returns {Array}
+ */
+export function toTranscriptJSON(transcript) {
+  const convert = value => {
+    if (value instanceof Uint8Array) {
+      return Buffer.from(value).toString('base64url');
+    }
+    if (Array.isArray(value)) {
+      return value.map(convert);
+    }
+    return value;
+  };
+
+  return convert(transcript);
 }
 
 /**
  * Validate SessionTranscript structure
- * @param {Array} sessionTranscript 
+ * @param {Array} sessionTranscript
  * @returns {boolean}
  */
 export function validateSessionTranscript(sessionTranscript) {
@@ -66,11 +103,14 @@ export function validateSessionTranscript(sessionTranscript) {
     console.warn('SessionTranscript: unexpected non-null values for web handover');
   }
 
-  // Handover should be an array
-  if (!Array.isArray(handover)) {
+  // Handover should be ["OpenID4VPDCAPIHandover", bstr .size 32]
+  if (!Array.isArray(handover) || handover.length !== 2) {
     return false;
   }
 
-  return true;
-}
+  const [name, infoHash] = handover;
 
+  return name === HANDOVER_NAME &&
+    infoHash instanceof Uint8Array &&
+    infoHash.length === 32;
+}
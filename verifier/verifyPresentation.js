@@ -1,35 +1,63 @@
 /**
  * Core verification logic for mDL presentations
- * Decrypts JWE, builds SessionTranscript, and calls Longfellow
+ * Decrypts JWE, builds SessionTranscript, and verifies natively (mso_mdoc)
+ * or via Longfellow (mso_mdoc_zk)
  */
 
-import { compactDecrypt, importJWK } from 'jose';
-import fetch from 'node-fetch';
-import { getReaderKeys } from './keys.js';
+import { decodeProtectedHeader } from 'jose';
+import { getReaderKey } from './keys.js';
+import { getLongfellowClient } from './longfellowClient.js';
+import { decryptJwe } from '../common/jwe.js';
+import { encode, Tagged } from '../common/cbor.js';
 import { buildSessionTranscript } from './sessionTranscript.js';
-import crypto from 'crypto';
-
-const LONGFELLOW_URL = process.env.LONGFELLOW_URL || 'http://localhost:8080';
+import { verifyDeviceResponse } from './mdoc.js';
+import { isZkDeviceResponse, parseZkDeviceResponse, checkProvenAttributes } from './mdocZk.js';
+import { evaluateIssuerTrust, getTrustedIssuerKeys } from '../trust/index.js';
+import { mocksAllowed, assertMocksAllowed, isMockForced } from '../common/mode.js';
 
 /**
  * Verify an mDL presentation (standard or ZK)
  * @param {string} jwe - JWE-encrypted VP token from DC-API
- * @returns {Promise<{valid: boolean, predicates?: object, error?: string, sessionId?: string}>}
+ * @param {object} session - Verification session the response answers
+ * @returns {Promise<{valid: boolean, predicates?: object, trust?: object, error?: string, code?: string, sessionId?: string}>}
  */
-export async function verifyPresentation(jwe) {
+export async function verifyPresentation(jwe, session) {
   try {
-    // Step 1: Decrypt the JWE using reader's private key
-    const { privateJwk } = await getReaderKeys();
-    const privateKey = await importJWK(privateJwk, 'ES256');
-    
-    const { plaintext } = await compactDecrypt(jwe, privateKey);
+    // Step 1: Decrypt the JWE with the reader key named by its kid header,
+    // which must be the key this session's request was made with
+    const { kid = session.readerPublicJwk?.kid } = decodeProtectedHeader(jwe);
+
+    if (!kid || kid !== session.readerPublicJwk?.kid) {
+      return {
+        valid: false,
+        code: 'invalid_request',
+        error: 'Response is not encrypted to the reader key of this request'
+      };
+    }
+
+    const readerKey = await getReaderKey(kid);
+    if (!readerKey) {
+      return {
+        valid: false,
+        code: 'invalid_request',
+        error: `Unknown or expired reader key ${kid}`
+      };
+    }
+
+    // ECDH runs in the key provider (HSM/KMS in production)
+    const { plaintext } = await decryptJwe(jwe, readerKey.deriveSharedSecret);
     const envelope = JSON.parse(new TextDecoder().decode(plaintext));
 
     // Step 2: Extract VP token
     // Typical shape: envelope.vp_token contains the credential/presentation
-    const vpToken = envelope.vp_token?.mdl || 
-                    envelope.vp_token || 
-                    Object.values(envelope.vp_token ?? {})[0];
+    let vpToken = envelope.vp_token?.mdl || 
+                  envelope.vp_token || 
+                  Object.values(envelope.vp_token ?? {})[0];
+
+    // OID4VP 1.0 returns an array of presentations per DCQL credential id
+    if (Array.isArray(vpToken)) {
+      vpToken = vpToken[0];
+    }
 
     if (!vpToken) {
       return {
@@ -38,30 +66,83 @@ export async function verifyPresentation(jwe) {
       };
     }
 
+    // Wallets may echo the nonce; it must be the one we issued
+    if (envelope.nonce && envelope.nonce !== session.nonce) {
+      return {
+        valid: false,
+        error: 'Nonce does not match verification session'
+      };
+    }
+
     // Step 3: Build SessionTranscript for ISO 18013-5/7 web handover
-    const sessionTranscript = buildSessionTranscript(
-      envelope.nonce || crypto.randomUUID(),
-      envelope.aud || 'https://verifier.example.com',
-      envelope
+    // using the verifier's own nonce, never a value supplied by the response
+    const sessionTranscript = await buildSessionTranscript(
+      session.nonce,
+      session.origin,
+      session.readerPublicJwk
     );
 
-    // Step 4: Call Longfellow verifier-service
-    const longfellowResult = await verifyWithLongfellow(vpToken, sessionTranscript);
+    // Step 4: Verify the credential
+    //   mso_mdoc    → in-process DeviceResponse verification
+    //   mso_mdoc_zk → Longfellow verifier-service
+    // The response must be of the format this session asked for
+    const credentialQuery = session.dcqlQuery?.credentials?.[0];
+    const format = isZkDeviceResponse(vpToken) ? 'mso_mdoc_zk' : 'mso_mdoc';
 
-    if (!longfellowResult.valid) {
+    if (format !== credentialQuery?.format) {
       return {
         valid: false,
-        error: longfellowResult.error || 'Longfellow verification failed'
+        code: 'unsupported_format',
+        error: `Expected an ${credentialQuery?.format} response, got ${format}`
       };
     }
 
-    // Step 5: Extract predicates (data minimization)
-    const predicates = extractPredicates(longfellowResult);
+    const credentialResult = format === 'mso_mdoc'
+      ? await verifyDeviceResponse(vpToken, {
+        sessionTranscript: sessionTranscript.transcript,
+        sessionTranscriptBytes: sessionTranscript.bytes,
+        deriveSharedSecret: readerKey.deriveSharedSecret
+      })
+      : await verifyZkPresentation(vpToken, credentialQuery, sessionTranscript);
+
+    if (!credentialResult.valid) {
+      return {
+        valid: false,
+        ...(credentialResult.code && { code: credentialResult.code }),
+        error: credentialResult.error || 'Credential verification failed',
+        ...(credentialResult.retryAfter && { retryAfter: credentialResult.retryAfter })
+      };
+    }
+
+    // Step 5: Issuer trust (IACA registry / VICAL, jurisdiction policy)
+    // ZK results were already checked before their issuer key was used
+    const trust = credentialResult.trust || await evaluateIssuerTrust({
+      x5chain: credentialResult.x5chain,
+      issuer: credentialResult.issuer,
+      kid: credentialResult.kid
+    });
+
+    if (!trust.trusted) {
+      return {
+        valid: false,
+        code: trust.code,
+        error: trust.error,
+        ...(trust.reasons && { reasons: trust.reasons })
+      };
+    }
+
+    // Step 6: Extract predicates (data minimization)
+    const predicates = {
+      ...extractPredicates(credentialResult),
+      issuerJurisdiction: trust.decision.jurisdiction
+    };
 
     return {
       valid: true,
       predicates,
-      sessionId: crypto.randomUUID()
+      trust: trust.decision,
+      sessionId: session.id,
+      ...((credentialResult.mock || trust.decision.mock) && { mock: true })
     };
 
   } catch (error) {
@@ -74,69 +155,148 @@ export async function verifyPresentation(jwe) {
 }
 
 /**
- * Call Longfellow verifier-service
- * @param {object} vpToken - The VP token (mDL or ZK proof)
- * @param {Array} sessionTranscript - ISO 18013-5 SessionTranscript
- * @returns {Promise<{valid: boolean, predicates?: object, error?: string}>}
+ * Verify an mso_mdoc_zk presentation
+ * Checks the response against the negotiated circuit spec and the requested
+ * attributes, resolves the issuer key through the trust module, then has
+ * Longfellow verify the proof
+ * @param {string} vpToken - ZK DeviceResponse (base64url CBOR)
+ * @param {object} credentialQuery - DCQL credential query of the session
+ * @param {{bytes: Buffer, json: Array}} sessionTranscript - ISO 18013-5 SessionTranscript
+ * @returns {Promise<{valid: boolean, predicates?: object, x5chain?: Array<Buffer>, trust?: object, mock?: boolean, code?: string, error?: string, reasons?: Array<object>, retryAfter?: number}>}
  */
-async function verifyWithLongfellow(vpToken, sessionTranscript) {
-  try {
-    const response = await fetch(`${LONGFELLOW_URL}/verify`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        proof: vpToken,
-        sessionTranscript
-      })
-    });
+async function verifyZkPresentation(vpToken, credentialQuery, sessionTranscript) {
+  const parsed = parseZkDeviceResponse(vpToken, { docType: credentialQuery.meta?.doctype_value });
+  if (!parsed.valid) {
+    return parsed;
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      return {
-        valid: false,
-        error: `Longfellow returned ${response.status}: ${errorText}`
-      };
-    }
+  const { document } = parsed;
 
-    const result = await response.json();
-    return result;
+  // The wallet must prove with one of the circuits this request offered
+  const spec = (credentialQuery.meta?.zk_system_type || []).find(s => s.id === document.zkSpecId);
+  if (!spec) {
+    return {
+      valid: false,
+      code: 'invalid_presentation',
+      error: `ZK proof uses circuit spec ${document.zkSpecId}, which was not offered`
+    };
+  }
 
-  } catch (error) {
-    console.error('Longfellow call error:', error);
-    
-    // If Longfellow is not available, return a mock response for development
-    if (error.code === 'ECONNREFUSED') {
-      console.warn('⚠️  Longfellow not available - using mock verification for development');
-      return mockLongfellowResponse(vpToken);
-    }
-    
+  const attributeError = checkProvenAttributes(document.attributes, credentialQuery.claims.map(c => c.path));
+  if (attributeError) {
+    return { valid: false, code: 'invalid_presentation', error: attributeError };
+  }
+
+  if (document.attributes.length !== spec.num_attributes) {
+    return {
+      valid: false,
+      code: 'invalid_presentation',
+      error: `Circuit spec ${spec.id} proves ${spec.num_attributes} attributes, not ${document.attributes.length}`
+    };
+  }
+
+  const issuerKeys = await getTrustedIssuerKeys({ x5chain: document.x5chain });
+  if (!issuerKeys.trusted) {
     return {
       valid: false,
-      error: `Failed to reach Longfellow: ${error.message}`
+      code: issuerKeys.code,
+      error: issuerKeys.error,
+      ...(issuerKeys.reasons && { reasons: issuerKeys.reasons })
     };
   }
+
+  const result = await verifyWithLongfellow({
+    spec,
+    document,
+    issuerPublicKeys: issuerKeys.keys,
+    sessionTranscript
+  });
+
+  if (!result.valid) {
+    return result;
+  }
+
+  // Proven attributes keyed like native mdoc elements ("namespace.element")
+  return {
+    valid: true,
+    predicates: Object.fromEntries(document.attributes.map(a => [`${a.namespace}.${a.identifier}`, a.value])),
+    x5chain: document.x5chain,
+    trust: { trusted: true, decision: issuerKeys.decision },
+    ...(result.mock && { mock: true })
+  };
 }
 
 /**
- * Mock Longfellow response for development when service is unavailable
- * @param {object} vpToken 
+ * Call Longfellow verifier-service
+ * @param {object} request
+ * @param {object} request.spec - Negotiated circuit spec (zk_system_type entry)
+ * @param {object} request.document - Parsed ZK document (see parseZkDeviceResponse)
+ * @param {Array<{kid: string, jurisdiction: string, jwk: object}>} request.issuerPublicKeys - Trusted issuer keys
+ * @param {{bytes: Buffer, json: Array}} request.sessionTranscript - ISO 18013-5 SessionTranscript
+ * @returns {Promise<{valid: boolean, mock?: boolean, code?: string, error?: string, retryAfter?: number}>}
+ */
+async function verifyWithLongfellow({ spec, document, issuerPublicKeys, sessionTranscript }) {
+  if (isMockForced('longfellow')) {
+    assertMocksAllowed('Longfellow');
+    console.warn('⚠️  LONGFELLOW_MOCK=true - using mock verification');
+    return mockLongfellowResponse();
+  }
+
+  const response = await getLongfellowClient().post('/verify', {
+    zkSystem: spec.system,
+    circuitId: spec.circuit_hash,
+    zkSpec: spec,
+    proof: document.proof.toString('base64url'),
+    docType: document.docType,
+    timestamp: document.timestamp,
+    // Element values as the CBOR the issuer signed
+    attributes: document.attributes.map(({ namespace, identifier, value }) => ({
+      namespace,
+      identifier,
+      value: encode(value).toString('base64url')
+    })),
+    issuerPublicKeys,
+    sessionTranscript: sessionTranscript.json,
+    sessionTranscriptCbor: sessionTranscript.bytes.toString('base64url')
+  });
+
+  if (response.ok) {
+    return response.body?.valid === true
+      ? { valid: true, ...(response.body.mock && { mock: true }) }
+      : { valid: false, error: response.body?.error || 'ZK proof rejected by Longfellow' };
+  }
+
+  // Only development/test mode may fall back to a mock response, and only
+  // when no Longfellow is running at all
+  if (['ECONNREFUSED', 'circuit_open'].includes(response.cause) && mocksAllowed()) {
+    console.warn('⚠️  Longfellow not available - using mock verification for development');
+    return mockLongfellowResponse();
+  }
+
+  console.error('Longfellow call error:', response.error);
+  return {
+    valid: false,
+    // A rejected proof is a failed verification; an unreachable backend is not
+    ...(response.code === 'zk_backend_unavailable' && { code: response.code }),
+    error: response.error,
+    ...(response.retryAfter && { retryAfter: response.retryAfter })
+  };
+}
+
+/**
+ * Mock Longfellow response for development/test mode
+ * Accepts any proof; attributes and issuer still come from the response
  * @returns {object}
  */
-function mockLongfellowResponse(vpToken) {
+function mockLongfellowResponse() {
   return {
     valid: true,
-    predicates: {
-      'org.iso.18013.5.1.age_over_21': true,
-      'org.iso.18013.5.1.not_expired': true
-    },
-    issuer: 'CA-DMV',
-    issuedAt: new Date().toISOString(),
     mock: true
   };
 }
 
 /**
- * Extract predicate outcomes from Longfellow result
+ * Extract predicate outcomes from a Longfellow or native mdoc result
  * @param {object} longfellowResult 
  * @returns {object} Minimal predicate outcomes
  */
@@ -162,16 +322,57 @@ function extractPredicates(longfellowResult) {
     predicates.over18 = true;
   }
 
+  if (longfellowResult.predicates?.['org.iso.18013.5.1.age_over_65']) {
+    predicates.over65 = true;
+  }
+
+  // Residency is coarse (state only), so it is passed through for derived VCs
+  const residentState = longfellowResult.predicates?.['org.iso.18013.5.1.resident_state'];
+  if (typeof residentState === 'string' && residentState) {
+    predicates.residentState = residentState;
+  }
+
   // Add issuer jurisdiction (not PII)
   if (longfellowResult.issuer) {
     predicates.issuerJurisdiction = longfellowResult.issuer;
   }
 
-  // Add validity status
-  predicates.notExpired = longfellowResult.predicates?.['org.iso.18013.5.1.not_expired'] !== false;
+  // Validity status, only when the verification actually established it
+  const notExpired = checkNotExpired(longfellowResult);
+  if (notExpired !== undefined) {
+    predicates.notExpired = notExpired;
+  }
 
   return predicates;
 }
 
-export { verifyWithLongfellow, extractPredicates };
+/**
+ * Whether the mDL is unexpired, from a proven expiry_date or else from the
+ * MSO validityInfo checked by native verification
+ * @param {object} result - Verification result (predicates keyed "namespace.element", validityInfo)
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean|undefined} undefined when neither was checked
+ */
+function checkNotExpired(result, now = Date.now()) {
+  const expiryDate = result.predicates?.['org.iso.18013.5.1.expiry_date'];
+
+  if (expiryDate !== undefined) {
+    const value = expiryDate instanceof Tagged ? expiryDate.value : expiryDate;
+    // A full-date (YYYY-MM-DD) is valid through the end of that day
+    const expiresAt = value instanceof Date
+      ? value.getTime()
+      : /^\d{4}-\d{2}-\d{2}$/.test(value) ? Date.parse(value) + 24 * 60 * 60 * 1000 : Date.parse(value);
+
+    // An unreadable expiry_date does not prove anything
+    return Number.isFinite(expiresAt) && now < expiresAt;
+  }
+
+  if (result.validityInfo) {
+    return now <= Date.parse(result.validityInfo.validUntil);
+  }
+
+  return undefined;
+}
+
+export { verifyZkPresentation, verifyWithLongfellow, extractPredicates };
 